@@ -3,17 +3,34 @@ const path = require('path');
 const { ErrorHandler } = require('../utils/ErrorHandler');
 const { LLMService } = require('../services/LLMService');
 const { ToolManager } = require('../tools/ToolManager');
+const { DiagnosticsFixer } = require('./DiagnosticsFixer');
+const { TestFixer } = require('./TestFixer');
+
+const DEFAULT_MAX_ITERATIONS = 8;
+const DEFAULT_TOKEN_BUDGET = 200000;
+const DEFAULT_MAX_FIX_ROUNDS = 3;
+const DEFAULT_MAX_TEST_ROUNDS = 5;
+const MAX_OBSERVATION_LENGTH = 20000;
+const MAX_TRACES = 20;
+// Follows native tool results, which carry the observations themselves
+const CONTINUE_PROMPT = 'Continue with the original request using these tool results. Call more tools, or finish without any tool calls if the request is complete.';
 
 class AIAgent {
-    constructor(configManager, contextManager) {
+    constructor(configManager, contextManager, pendingChanges) {
+        this.configManager = configManager;
         this.llmService = new LLMService(configManager);
         this.contextManager = contextManager;
-        this.toolManager = new ToolManager();
+        this.pendingChanges = pendingChanges;
+        this.toolManager = new ToolManager(pendingChanges, configManager, contextManager);
+        this.toolManager.getContextSources().forEach(source => this.contextManager.addContextSource(source));
+        this.diagnosticsFixer = new DiagnosticsFixer(pendingChanges, this.toolManager.getTool('DiagnosticsTool'));
+        this.testFixer = new TestFixer(pendingChanges, this.toolManager);
         this.userAnswers = {};
         this.chatHistory = [];
+        this.traces = [];
     }
 
-    async processPrompt(prompt, selectedText, fileContent) {
+    async processPrompt(prompt, selectedText, fileContent, options = {}) {
         try {
             console.log('AIAgent processing prompt:', {
                 prompt,
@@ -21,65 +38,95 @@ class AIAgent {
                 hasFileContent: !!fileContent
             });
 
+            const { maxIterations, tokenBudget, fixDiagnostics, maxFixRounds, maxTestRounds } = this.getLoopLimits();
+
+            await this.toolManager.initialize();
+
             // Get relevant context with proper metadata
             const context = await this.contextManager.getRelevantContext(
-                `${prompt}\n\nSelected Text:\n${selectedText}\n\nFile Content:\n${fileContent}`
+                `${prompt}\n\nSelected Text:\n${selectedText}\n\nFile Content:\n${fileContent}`,
+                options.cancellationToken
             );
             
             console.log('Got context from ContextManager:', context);
 
-            // Generate initial response from LLM with full context
-            let response = await this.llmService.generateResponse(prompt, context, this.chatHistory);
-            
-            console.log('Got LLM response:', response);
-
-            // Process actions if any
-            if (response.actions && response.actions.length > 0) {
-                console.log('Processing actions:', response.actions);
-                for (const action of response.actions) {
-                    try {
-                        console.log('Executing action:', action);
-                        const actionResult = await this.toolManager.executeAction(action);
-                        console.log('Action result:', actionResult);
-
-                        // If it's a read operation, send the content back to LLM for processing
-                        if (action.tool === 'FileManager' && action.command === 'readFile') {
-                            const fileContent = actionResult;
-                            console.log('File content read:', fileContent);
-                            
-                            const followUpResponse = await this.llmService.generateResponse(
-                                `I've read the file content:\n${fileContent}\nPlease provide the necessary changes to add version 3.8.`,
-                                [...context, `File content:\n${fileContent}`],
-                                this.chatHistory
-                            );
-                            
-                            console.log('Follow-up response:', followUpResponse);
-                            
-                            // Process follow-up actions (like edit operations)
-                            if (followUpResponse.actions) {
-                                for (const followUpAction of followUpResponse.actions) {
-                                    console.log('Executing follow-up action:', followUpAction);
-                                    await this.toolManager.executeAction(followUpAction);
-                                }
-                            }
-
-                            // Update response content
-                            response.content = followUpResponse.content;
-                        }
-                    } catch (error) {
-                        console.error('Error executing action:', error);
-                        response.content += `\nError executing action: ${error.message}`;
-                    }
+            const llmOptions = {
+                onToken: options.onToken,
+                cancellationToken: options.cancellationToken,
+                tools: this.toolManager.getToolDefinitions()
+            };
+            const trace = {
+                prompt,
+                startedAt: new Date().toISOString(),
+                limits: { maxIterations, tokenBudget },
+                tokensUsed: 0,
+                steps: [],
+                stopReason: null
+            };
+            this.recordTrace(trace);
+            const startRevision = this.pendingChanges.revision;
+
+            // stepHistory holds the messages exchanged within this request, on top of the chat history
+            const state = {
+                stepPrompt: prompt,
+                stepHistory: [],
+                context,
+                llmOptions,
+                trace,
+                cancellationToken: options.cancellationToken,
+                onStep: options.onStep
+            };
+            let response;
+            if (options.mode === 'fixTests') {
+                response = await this.fixFailingTests(state, maxTestRounds);
+            } else {
+                response = await this.runSteps(state);
+                if (trace.stopReason === 'done' && fixDiagnostics) {
+                    response = await this.fixDiagnostics(state, response, startRevision, maxFixRounds);
                 }
             }
 
+            trace.finishedAt = new Date().toISOString();
+            console.log('Agent trace:', {
+                steps: trace.steps.length,
+                tokensUsed: trace.tokensUsed,
+                stopReason: trace.stopReason
+            });
+
+            response = response || { content: '', actions: [], questions: [], requiresUserInput: false };
+            if (trace.stopReason === 'maxIterations' || trace.stopReason === 'tokenBudget') {
+                const limit = trace.stopReason === 'maxIterations'
+                    ? `the ${maxIterations}-step limit`
+                    : `the ${tokenBudget}-token budget`;
+                response.content = `${response.content || ''}\n\n⚠️ Stopped after reaching ${limit}. The task may be incomplete.`.trim();
+            }
+            response.trace = trace;
+            // Files staged during this request, for the chat view to offer accept/reject
+            response.changes = this.pendingChanges.listSince(startRevision);
+
+            // Keep the partial answer, but don't treat it as a finished turn
+            if (response.cancelled) {
+                this.chatHistory.push(
+                    { role: 'user', content: prompt },
+                    { role: 'assistant', content: `${response.content}\n[Response cancelled by user]` }
+                );
+                this.chatHistory = this.chatHistory.slice(-10);
+                return { ...response, actions: [], questions: [], requiresUserInput: false };
+            }
+            // The error was already shown; keep the failure notice out of the conversation
+            if (response.failed) {
+                return response;
+            }
+
             // Handle questions if any
             if (response.questions && response.questions.length > 0) {
                 return {
                     content: response.content,
                     questions: response.questions,
                     requiresUserInput: true,
-                    actions: []
+                    actions: [],
+                    changes: response.changes,
+                    trace
                 };
             }
 
@@ -93,6 +140,15 @@ class AIAgent {
 
             return response;
         } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                return {
+                    content: '',
+                    actions: [],
+                    questions: [],
+                    requiresUserInput: false,
+                    cancelled: true
+                };
+            }
             console.error('Error in AIAgent.processPrompt:', error);
             return {
                 content: `Error: ${error.message}`,
@@ -103,6 +159,248 @@ class AIAgent {
         }
     }
 
+    // Plan/act/observe from state.stepPrompt until the model finishes or a limit is hit.
+    // Steps are appended to state.trace and the conversation to state.stepHistory, so a
+    // later call continues the same exchange.
+    async runSteps(state) {
+        const { trace } = state;
+        let response;
+
+        // Plan/act/observe: the model picks actions, sees their results and decides what's next
+        for (let iteration = trace.steps.length + 1; ; iteration++) {
+            if (iteration > trace.limits.maxIterations) {
+                trace.stopReason = 'maxIterations';
+                break;
+            }
+            if (trace.tokensUsed >= trace.limits.tokenBudget) {
+                trace.stopReason = 'tokenBudget';
+                break;
+            }
+
+            // Lets the chat start a new streamed message for each step
+            state.onStep?.(iteration);
+            const history = [...this.chatHistory, ...state.stepHistory];
+            response = await this.llmService.generateResponse(state.stepPrompt, state.context, history, state.llmOptions);
+            console.log(`Got LLM response for step ${iteration}:`, response);
+
+            const tokens = this.countTokens(response, state.stepPrompt, state.context, history);
+            trace.tokensUsed += tokens;
+            const step = {
+                iteration,
+                prompt: state.stepPrompt,
+                response: response.content,
+                actions: response.actions || [],
+                observations: [],
+                tokens
+            };
+            trace.steps.push(step);
+
+            if (response.cancelled) {
+                trace.stopReason = 'cancelled';
+                break;
+            }
+            // The request itself failed (and was reported); that isn't the model finishing
+            if (response.failed) {
+                trace.stopReason = 'error';
+                break;
+            }
+            if (response.questions && response.questions.length > 0) {
+                trace.stopReason = 'question';
+                break;
+            }
+            if (!response.actions || response.actions.length === 0) {
+                trace.stopReason = 'done';
+                break;
+            }
+
+            step.observations = await this.executeActions(response.actions, state.cancellationToken);
+            if (step.observations.some(observation => observation.cancelled)) {
+                response.cancelled = true;
+                trace.stopReason = 'cancelled';
+                break;
+            }
+
+            if (response.toolCalls?.length) {
+                // Native calls go back as the provider's own call and result messages
+                state.stepHistory.push(
+                    { role: 'user', content: state.stepPrompt },
+                    { role: 'assistant', content: response.content, toolCalls: response.toolCalls },
+                    ...step.observations.map(observation => ({
+                        role: 'tool',
+                        toolCallId: observation.action.callId,
+                        name: response.toolCalls.find(call => call.id === observation.action.callId)?.name,
+                        content: this.formatObservation(observation),
+                        isError: !!observation.error
+                    }))
+                );
+                state.stepPrompt = CONTINUE_PROMPT;
+            } else {
+                state.stepHistory.push(
+                    { role: 'user', content: state.stepPrompt },
+                    { role: 'assistant', content: this.describeStep(response) }
+                );
+                state.stepPrompt = this.formatObservations(step.observations);
+            }
+
+            if (response.done) {
+                trace.stopReason = 'done';
+                break;
+            }
+        }
+        return response;
+    }
+
+    // Fix-until-clean mode; the report of diagnostics before and after is appended to the
+    // original answer, since the fix rounds' own replies are only progress notes
+    async fixDiagnostics(state, response, startRevision, maxFixRounds) {
+        const answer = response.content;
+        let last = response;
+        const report = await this.diagnosticsFixer.run(startRevision, maxFixRounds, async prompt => {
+            state.stepPrompt = prompt;
+            last = await this.runSteps(state) || last;
+            return state.trace.stopReason === 'done';
+        });
+        if (!report) return response;
+
+        state.trace.diagnostics = {
+            files: report.files.length,
+            rounds: report.rounds,
+            before: report.before.length,
+            after: report.after.length,
+            remaining: report.remaining.length
+        };
+        return {
+            ...last,
+            content: `${answer || ''}\n\n${this.diagnosticsFixer.formatReport(report)}`.trim()
+        };
+    }
+
+    // Fix-failing-tests mode: the prompt is the user's request, and each round the agent
+    // gets the current failures until the tests pass
+    async fixFailingTests(state, maxRounds) {
+        let last;
+        const report = await this.testFixer.run(state.stepPrompt, maxRounds, async prompt => {
+            state.stepPrompt = prompt;
+            last = await this.runSteps(state) || last;
+            return state.trace.stopReason;
+        }, state.cancellationToken);
+
+        if (!report) {
+            state.trace.stopReason = 'declined';
+            return { content: 'Cancelled; the tests were not run.', actions: [], questions: [], requiresUserInput: false };
+        }
+        state.trace.stopReason = state.trace.stopReason || 'done';
+        state.trace.tests = {
+            command: report.command,
+            rounds: report.rounds,
+            passing: report.passing,
+            failedBefore: this.testFixer.testRunner.getFailures(report.before).length,
+            failedAfter: this.testFixer.testRunner.getFailures(report.after).length
+        };
+        return {
+            ...last,
+            content: `${last?.content || ''}\n\n${this.testFixer.formatReport(report)}`.trim()
+        };
+    }
+
+    async executeActions(actions, cancellationToken) {
+        const observations = [];
+        for (const action of actions) {
+            if (cancellationToken?.isCancellationRequested) {
+                observations.push({ action, cancelled: true });
+                break;
+            }
+            try {
+                console.log('Executing action:', action);
+                const result = await this.toolManager.executeAction(action, cancellationToken);
+                console.log('Action result:', result);
+                observations.push({ action, result });
+            } catch (error) {
+                if (ErrorHandler.isCancellation(error)) {
+                    observations.push({ action, cancelled: true });
+                    break;
+                }
+                console.error('Error executing action:', error);
+                observations.push({ action, error: error.message, details: error.details });
+            }
+        }
+        return observations;
+    }
+
+    formatObservations(observations) {
+        const formatted = observations.map(observation => this.formatObservation(observation));
+
+        return `${formatted.join('\n\n')}
+
+Continue with the original request using these observations. Respond with the next actions, or finish without any actions if the request is complete.`;
+    }
+
+    formatObservation(observation) {
+        const { tool, command } = observation.action;
+        if (observation.details?.problems) {
+            // Structured so the model can see exactly which arguments to fix
+            return `Observation from ${tool}.${command}: INVALID_ARGUMENTS\n${JSON.stringify({ error: observation.error, ...observation.details }, null, 2)}\nFix the arguments and call ${tool}.${command} again.`;
+        }
+        if (observation.error) {
+            return `Observation from ${tool}.${command}: ERROR\n${observation.error}`;
+        }
+        let result = typeof observation.result === 'string'
+            ? observation.result
+            : JSON.stringify(observation.result, null, 2);
+        if (result === undefined) {
+            result = '(no output)';
+        }
+        if (result.length > MAX_OBSERVATION_LENGTH) {
+            result = `${result.substring(0, MAX_OBSERVATION_LENGTH)}\n... [truncated ${result.length - MAX_OBSERVATION_LENGTH} characters]`;
+        }
+        return `Observation from ${tool}.${command}:\n${result}`;
+    }
+
+    describeStep(response) {
+        const actions = response.actions
+            .map(action => `${action.tool}.${action.command}(${JSON.stringify(action.params ?? {})})`)
+            .join(', ');
+        return `${response.content}\n[Actions: ${actions}]`;
+    }
+
+    countTokens(response, prompt, context, history) {
+        const { inputTokens = 0, outputTokens = 0 } = response.usage || {};
+        if (inputTokens || outputTokens) {
+            return inputTokens + outputTokens;
+        }
+
+        // Providers that don't report usage get a rough estimate of ~4 characters per token
+        const characters = prompt.length +
+            context.join('').length +
+            history.reduce((sum, msg) => sum + (msg.content || '').length, 0) +
+            (response.content || '').length;
+        return Math.ceil(characters / 4);
+    }
+
+    getLoopLimits() {
+        const config = this.configManager.getAgentConfig();
+        return {
+            maxIterations: config.maxIterations || DEFAULT_MAX_ITERATIONS,
+            tokenBudget: config.tokenBudget || DEFAULT_TOKEN_BUDGET,
+            fixDiagnostics: !!config.fixDiagnostics,
+            maxFixRounds: config.maxFixRounds ?? DEFAULT_MAX_FIX_ROUNDS,
+            maxTestRounds: this.configManager.getTestsConfig().maxFixRounds || DEFAULT_MAX_TEST_ROUNDS
+        };
+    }
+
+    reloadSecurityConfig() {
+        this.toolManager.reloadSecurityConfig();
+    }
+
+    recordTrace(trace) {
+        this.traces.push(trace);
+        this.traces = this.traces.slice(-MAX_TRACES);
+    }
+
+    getLastTrace() {
+        return this.traces[this.traces.length - 1];
+    }
+
     async handleUserAnswer(answer, questionId) {
         try {
             // Store the answer
@@ -133,6 +431,10 @@ class AIAgent {
             };
         }
     }
+
+    dispose() {
+        this.toolManager.dispose();
+    }
 }
 
 module.exports = { AIAgent }; 
\ No newline at end of file
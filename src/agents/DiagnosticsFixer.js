@@ -0,0 +1,121 @@
+const vscode = require('vscode');
+
+const APPLY = 'Apply and Check';
+const MAX_LISTED = 20;
+
+// Optional agent mode: once the agent is done, write its changes to disk so the language
+// servers can check them, then send the errors it introduced back to the agent for up to
+// maxRounds more rounds. Writing needs the user's consent, asked once per request.
+class DiagnosticsFixer {
+    constructor(pendingChanges, diagnosticsTool) {
+        this.pendingChanges = pendingChanges;
+        this.diagnosticsTool = diagnosticsTool;
+    }
+
+    // runRound(prompt) runs the agent on the prompt and resolves to true if it finished.
+    // Returns null when there is nothing to check or the user declines.
+    async run(startRevision, maxRounds, runRound) {
+        const files = this.changedFiles(startRevision);
+        if (files.length === 0) return null;
+
+        const choice = await vscode.window.showWarningMessage(
+            `Toshimo changed ${files.length} file${files.length === 1 ? '' : 's'}. Check them for errors?`,
+            {
+                modal: true,
+                detail: `This accepts the pending changes to ${files.map(f => this.pendingChanges.getRelativePath(f)).join(', ')} and writes them to disk so VS Code can check them. If they introduce errors, Toshimo fixes them and writes the fixes directly, for up to ${maxRounds} round${maxRounds === 1 ? '' : 's'}.`
+            },
+            APPLY
+        );
+        if (choice !== APPLY) return null;
+
+        // New files have no diagnostics yet, so "before" only covers files that existed
+        const before = await this.diagnosticsTool.collect(files);
+        const applied = new Set(await this.apply(files));
+        let after = await this.diagnosticsTool.collect([...applied]);
+        let rounds = 0;
+
+        while (rounds < maxRounds) {
+            const introduced = this.introducedErrors(before, after);
+            if (introduced.length === 0) break;
+
+            rounds++;
+            const revision = this.pendingChanges.revision;
+            const finished = await runRound(this.formatPrompt(introduced, rounds, maxRounds));
+            (await this.apply(this.changedFiles(revision))).forEach(file => applied.add(file));
+            after = await this.diagnosticsTool.collect([...applied]);
+            if (!finished) break;
+        }
+
+        return {
+            files: [...applied],
+            before,
+            after,
+            rounds,
+            remaining: this.introducedErrors(before, after)
+        };
+    }
+
+    changedFiles(revision) {
+        return this.pendingChanges.listSince(revision)
+            .filter(change => change.proposedContent !== null)
+            .map(change => change.filePath);
+    }
+
+    async apply(files) {
+        for (const file of files) {
+            await this.pendingChanges.accept(file);
+        }
+        return files;
+    }
+
+    // Errors in `after` that weren't there before. Lines shift as code is edited, so
+    // diagnostics are compared by file, source and message rather than position.
+    introducedErrors(before, after) {
+        const counts = new Map();
+        const key = d => `${d.file}\n${d.source}\n${d.code}\n${d.message}`;
+        before.filter(d => d.severity === 'error').forEach(d => counts.set(key(d), (counts.get(key(d)) || 0) + 1));
+
+        return after.filter(d => {
+            if (d.severity !== 'error') return false;
+            const remaining = counts.get(key(d)) || 0;
+            if (remaining > 0) {
+                counts.set(key(d), remaining - 1);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    formatPrompt(errors, round, maxRounds) {
+        return `Your changes were applied, and VS Code now reports errors that were not there before (fix round ${round} of ${maxRounds}):
+${errors.map(d => `- ${this.diagnosticsTool.formatDiagnostic(d)}`).join('\n')}
+
+Fix these errors. Read the files again first, since they changed on disk. Finish without any actions once they are fixed.`;
+    }
+
+    formatReport(report) {
+        const summarize = diagnostics => {
+            const errors = diagnostics.filter(d => d.severity === 'error').length;
+            return `${errors} error${errors === 1 ? '' : 's'}, ${diagnostics.length - errors} warning${diagnostics.length - errors === 1 ? '' : 's'}`;
+        };
+        const list = diagnostics => diagnostics.slice(0, MAX_LISTED)
+            .map(d => `- ${this.diagnosticsTool.formatDiagnostic(d)}`)
+            .concat(diagnostics.length > MAX_LISTED ? [`- ... and ${diagnostics.length - MAX_LISTED} more`] : [])
+            .join('\n');
+
+        const rounds = `${report.rounds} fix round${report.rounds === 1 ? '' : 's'}`;
+        const status = report.remaining.length === 0
+            ? `✅ no new errors (${rounds})`
+            : `⚠️ ${report.remaining.length} new error${report.remaining.length === 1 ? '' : 's'} left after ${rounds}`;
+        const sections = [
+            `🩺 Diagnostics for ${report.files.length} applied file${report.files.length === 1 ? '' : 's'}: ${status}`,
+            `Before: ${summarize(report.before)}`
+        ];
+        if (report.before.length > 0) sections.push(list(report.before));
+        sections.push(`After: ${summarize(report.after)}`);
+        if (report.after.length > 0) sections.push(list(report.after));
+        return sections.join('\n');
+    }
+}
+
+module.exports = { DiagnosticsFixer };
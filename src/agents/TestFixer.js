@@ -0,0 +1,138 @@
+const vscode = require('vscode');
+
+const START = 'Start';
+const MAX_LISTED = 10;
+
+const STOP_REASONS = {
+    maxRounds: 'reached the round limit',
+    noChanges: 'the agent made no further changes',
+    maxIterations: 'reached the step limit',
+    tokenBudget: 'reached the token budget',
+    question: 'the agent asked a question',
+    error: 'the model request failed',
+    cancelled: 'cancelled'
+};
+
+// "Fix failing tests" agent mode: run the suite, give the failures to the agent, write
+// its edits to disk and run the suite again, until it passes or the rounds or the agent's
+// budget run out. Tests only see files on disk, so the user agrees up front that edits
+// are written without the usual review.
+class TestFixer {
+    constructor(pendingChanges, toolManager) {
+        this.pendingChanges = pendingChanges;
+        this.toolManager = toolManager;
+    }
+
+    get testRunner() {
+        return this.toolManager.getTool('TestRunner');
+    }
+
+    // runRound(prompt) runs the agent on the prompt and resolves to its stop reason.
+    // Returns null when the user declines.
+    async run(request, maxRounds, runRound, cancellationToken) {
+        const { commandLine } = await this.testRunner.prepare();
+
+        const choice = await vscode.window.showWarningMessage(
+            'Let Toshimo fix the failing tests?',
+            {
+                modal: true,
+                detail: `Toshimo runs ${commandLine} and edits files until the tests pass, for up to ${maxRounds} round${maxRounds === 1 ? '' : 's'}. The edits are written to disk as soon as each round ends, so the tests can see them; review them with git afterwards.`
+            },
+            START
+        );
+        if (choice !== START) return null;
+
+        const before = await this.runTests(cancellationToken);
+        let after = before;
+        const files = new Set();
+        let rounds = 0;
+        let stopReason = null;
+
+        while (!this.testRunner.isPassing(after)) {
+            if (rounds >= maxRounds) {
+                stopReason = 'maxRounds';
+                break;
+            }
+
+            rounds++;
+            const revision = this.pendingChanges.revision;
+            const roundStopReason = await runRound(this.formatPrompt(rounds === 1 ? request : null, after, rounds, maxRounds));
+            const changed = await this.apply(revision);
+            changed.forEach(file => files.add(file));
+
+            if (changed.length > 0 && roundStopReason !== 'cancelled') {
+                after = await this.runTests(cancellationToken);
+            }
+            if (roundStopReason !== 'done') {
+                stopReason = roundStopReason;
+                break;
+            }
+            if (changed.length === 0) {
+                stopReason = 'noChanges';
+                break;
+            }
+        }
+
+        return {
+            command: commandLine,
+            before,
+            after,
+            rounds,
+            files: [...files],
+            passing: this.testRunner.isPassing(after),
+            stopReason
+        };
+    }
+
+    // Approved like the agent's own runTests calls, so "remember" covers both
+    async runTests(cancellationToken) {
+        await this.toolManager.authorize('TestRunner', 'runTests', []);
+        return this.testRunner.run({}, { cancellationToken });
+    }
+
+    async apply(revision) {
+        const files = this.pendingChanges.listSince(revision)
+            .filter(change => change.proposedContent !== null)
+            .map(change => change.filePath);
+        for (const file of files) {
+            await this.pendingChanges.accept(file);
+        }
+        return files;
+    }
+
+    formatPrompt(request, run, round, maxRounds) {
+        const intro = request ? `${request}\n\n` : '';
+        return `${intro}The tests fail (fix round ${round} of ${maxRounds}):
+${this.testRunner.formatRun(run)}
+
+Fix the code so these tests pass; only change a test if the test itself is wrong, and say so. Your edits are written to disk and the tests run again when you finish this round, so running them yourself only checks what is already on disk. Finish without any actions once your fixes are in place.`;
+    }
+
+    formatReport(report) {
+        const summarize = run => (run.results ? this.testRunner.formatCounts(run) : `exit code ${run.exitCode}`);
+        if (report.rounds === 0 && report.passing) {
+            return `🧪 The tests already pass (${summarize(report.before)}); nothing to fix.`;
+        }
+
+        const rounds = `${report.rounds} fix round${report.rounds === 1 ? '' : 's'}`;
+        const failures = this.testRunner.getFailures(report.after);
+        const status = report.passing
+            ? `✅ passing after ${rounds}`
+            : `⚠️ still failing after ${rounds} (${STOP_REASONS[report.stopReason] || report.stopReason})`;
+        const sections = [
+            `🧪 Tests: ${status}`,
+            `Before: ${summarize(report.before)}`,
+            `After: ${summarize(report.after)}`
+        ];
+        if (report.files.length > 0) {
+            sections.push(`Changed files: ${report.files.map(file => this.pendingChanges.getRelativePath(file)).join(', ')}`);
+        }
+        if (!report.passing && failures.length > 0) {
+            sections.push('Still failing:', ...failures.slice(0, MAX_LISTED).map(failure => this.testRunner.formatFailure(failure)));
+            if (failures.length > MAX_LISTED) sections.push(`... and ${failures.length - MAX_LISTED} more`);
+        }
+        return sections.join('\n');
+    }
+}
+
+module.exports = { TestFixer };
@@ -6,20 +6,95 @@ class ConfigurationManager {
         this.config = vscode.workspace.getConfiguration('toshimo');
     }
 
+    // Settings are read from a snapshot; call after onDidChangeConfiguration
+    reload() {
+        this.config = vscode.workspace.getConfiguration('toshimo');
+    }
+
     getLLMConfig() {
         return {
             provider: this.config.get('llm.provider'),
             model: this.config.get('llm.model'),
             endpoint: this.config.get('llm.endpoint'),
             apiKey: this.config.get('llm.apiKey'),
-            parameters: this.config.get('llm.parameters')
+            parameters: this.config.get('llm.parameters'),
+            toolCalling: this.config.get('llm.toolCalling')
         };
     }
 
     getContextConfig() {
         return {
             maxFiles: this.config.get('context.maxFiles'),
-            maxTokens: this.config.get('context.maxTokens')
+            maxTokens: this.config.get('context.maxTokens'),
+            minRelevance: this.config.get('context.minRelevance'),
+            watchFiles: this.config.get('context.watchFiles')
+        };
+    }
+
+    getRerankConfig() {
+        return {
+            mode: this.config.get('context.rerank'),
+            model: this.config.get('context.rerankModel'),
+            endpoint: this.config.get('context.rerankEndpoint')
+        };
+    }
+
+    // Unset endpoint and key fall back to the LLM's when both use the same provider
+    getEmbeddingConfig() {
+        const provider = this.config.get('embedding.provider') || 'ollama';
+        const llm = this.getLLMConfig();
+        const sameProvider = llm.provider === provider;
+        return {
+            provider,
+            model: this.config.get('embedding.model'),
+            endpoint: this.config.get('embedding.endpoint') || (sameProvider && provider === 'ollama' ? llm.endpoint : undefined),
+            apiKey: this.config.get('embedding.apiKey') || (sameProvider ? llm.apiKey : undefined),
+            dimensions: this.config.get('embedding.dimensions'),
+            batchSize: this.config.get('embedding.batchSize'),
+            concurrency: this.config.get('embedding.concurrency')
+        };
+    }
+
+    getAgentConfig() {
+        return {
+            maxIterations: this.config.get('agent.maxIterations'),
+            tokenBudget: this.config.get('agent.tokenBudget'),
+            fixDiagnostics: this.config.get('agent.fixDiagnostics'),
+            maxFixRounds: this.config.get('agent.maxFixRounds')
+        };
+    }
+
+    getTerminalConfig() {
+        return {
+            timeoutSeconds: this.config.get('terminal.timeoutSeconds'),
+            maxOutputLength: this.config.get('terminal.maxOutputLength')
+        };
+    }
+
+    getCommandPolicyConfig() {
+        return {
+            allowedCommands: this.config.get('terminal.allowedCommands'),
+            deniedCommands: this.config.get('terminal.deniedCommands')
+        };
+    }
+
+    getFilesConfig() {
+        return {
+            protectedPaths: this.config.get('files.protectedPaths')
+        };
+    }
+
+    getTestsConfig() {
+        return {
+            command: this.config.get('tests.command'),
+            timeoutSeconds: this.config.get('tests.timeoutSeconds'),
+            maxFixRounds: this.config.get('tests.maxFixRounds')
+        };
+    }
+
+    getMcpConfig() {
+        return {
+            servers: this.config.get('mcp.servers')
         };
     }
 
@@ -41,10 +41,11 @@ class ConfigurationPanel {
                     case 'updateConfig':
                         await this._configManager.updateLLMConfig(message.config);
                         break;
-                    case 'fetchModels':
+                    case 'fetchModels': {
                         const models = await this._configManager.getAvailableModels(message.provider);
                         this._panel.webview.postMessage({ command: 'modelsLoaded', models });
                         break;
+                    }
                 }
             },
             null,
@@ -0,0 +1,420 @@
+const vscode = require('vscode');
+
+const DEFAULT_MAX_CHUNK_SIZE = 1500;
+// Characters repeated at the start of the next piece when an oversized symbol is split
+const OVERLAP_SIZE = 200;
+// Neighbouring chunks smaller than this are merged, so one-line helpers don't each cost an embedding
+const MIN_CHUNK_SIZE = 300;
+const MAX_LISTED_SYMBOLS = 4;
+
+const CONTROL_KEYWORDS = new Set([
+    'if', 'else', 'for', 'foreach', 'while', 'do', 'switch', 'case', 'catch', 'try', 'finally',
+    'return', 'throw', 'new', 'function', 'typeof', 'await', 'yield', 'using', 'lock', 'synchronized',
+    'with', 'sizeof', 'defer', 'go', 'func', 'select', 'match', 'loop', 'unsafe', 'when', 'guard'
+]);
+
+// Declarations that open a block, by language family. The first group is the name; kinds
+// marked as containers have their members parsed too.
+const BRACE_DECLARATIONS = {
+    javascript: [
+        { kind: 'class', container: true, pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/ },
+        { kind: 'function', pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/ },
+        { kind: 'function', pattern: /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/ },
+        { kind: 'class', container: true, pattern: /^\s*(?:export\s+)?(?:declare\s+)?(?:interface|enum|namespace|module)\s+([A-Za-z_$][\w$]*)/ },
+        // module.exports = { ... } and other top-level object literals
+        { kind: 'object', pattern: /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*[{[]\s*$/ }
+    ],
+    // Java, C#, C/C++, Go, Rust, Swift, Kotlin, Scala, PHP
+    native: [
+        { kind: 'class', container: true, pattern: /^\s*(?:[\w@#[\]]+\s+)*(?:class|interface|enum|struct|trait|record|object|protocol|extension|namespace|union)\s+([A-Za-z_]\w*)/ },
+        { kind: 'class', container: true, pattern: /^\s*impl(?:<[^>]*>)?\s+(?:[\w:<>, ]+\s+for\s+)?([A-Za-z_]\w*)/ },
+        { kind: 'class', pattern: /^\s*type\s+([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+(?:struct|interface)\b/ },
+        { kind: 'function', pattern: /^\s*func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/ },
+        { kind: 'function', pattern: /^\s*(?:[\w@]+\s+)*(?:fn|fun|func|def|function)\s+([A-Za-z_]\w*)/ },
+        // C-family functions and methods: `type name(args) {`
+        { kind: 'function', pattern: /^\s*(?:[\w<>[\],*&:~?]+\s+)+[*&]?([A-Za-z_~][\w:~]*)\s*\([^;]*\)?\s*(?:const\s*)?(?:throws\s+[\w., ]+)?\s*\{?\s*$/ }
+    ]
+};
+
+// Members inside a class body: `name(args) {` with optional modifiers
+const MEMBER_PATTERN = /^\s*(?:(?:public|private|protected|internal|static|async|get|set|readonly|override|abstract|virtual|final|constructor)\s+)*\*?#?([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\([^;]*\)?\s*(?::[^{;=]*)?\{?\s*$/;
+
+const LANGUAGE_FAMILIES = {
+    javascript: 'javascript',
+    typescript: 'javascript',
+    java: 'native',
+    csharp: 'native',
+    c: 'native',
+    cpp: 'native',
+    go: 'native',
+    rust: 'native',
+    swift: 'native',
+    kotlin: 'native',
+    scala: 'native',
+    php: 'native',
+    python: 'python',
+    ruby: 'ruby',
+    markdown: 'markdown'
+};
+
+// Structural symbol kinds worth their own chunk when a language server provides the outline
+const OUTLINE_KINDS = ['Module', 'Namespace', 'Package', 'Class', 'Method', 'Constructor', 'Enum', 'Interface', 'Function', 'Struct', 'Object'];
+
+// Splits files into chunks that follow code structure: each function, class or method is
+// one chunk when it fits, classes that don't fit are split into their members, and
+// oversized bodies are cut into overlapping pieces. Symbols come from a language server's
+// outline when one is passed in, otherwise from a small line-based parser per language.
+class CodeChunker {
+    constructor(maxChunkSize = DEFAULT_MAX_CHUNK_SIZE) {
+        this.maxChunkSize = maxChunkSize;
+    }
+
+    // Returns [{ type: 'chunk', path, language, content, startLine, endLine, symbol, metadata }]
+    // with 1-based inclusive lines. symbols: [{ name, startLine, endLine, children }].
+    chunk(document, symbols) {
+        const lines = document.content.split('\n');
+        if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+
+        const outline = symbols?.length ? symbols : this.parseSymbols(lines, document.language);
+        // Sections read better as "Setup > Install" than "Setup.Install"
+        const separator = LANGUAGE_FAMILIES[document.language] === 'markdown' ? ' > ' : '.';
+        const pieces = this.mergeSmall(lines, this.chunkRange(lines, 1, lines.length, outline, null, separator));
+        // Blank files still get one chunk, so the index knows they were seen
+        if (pieces.length === 0) pieces.push({ startLine: 1, endLine: lines.length, symbols: [] });
+
+        return pieces.map(piece => {
+            const symbol = this.formatSymbols(piece.symbols);
+            return {
+                type: 'chunk',
+                path: document.path,
+                language: document.language,
+                content: `${lines.slice(piece.startLine - 1, piece.endLine).join('\n')}\n`,
+                startLine: piece.startLine,
+                endLine: piece.endLine,
+                symbol,
+                metadata: [
+                    `File: ${document.path}`,
+                    `Language: ${document.language}`,
+                    `Type: ${document.type}`,
+                    ...(symbol ? [`Symbol: ${symbol}`] : []),
+                    `Lines: ${piece.startLine}-${piece.endLine}`
+                ].join('\n')
+            };
+        });
+    }
+
+    // Converts vscode.executeDocumentSymbolProvider results to the outline chunk() takes
+    static fromDocumentSymbols(symbols) {
+        const convert = symbol => {
+            const range = symbol.range || symbol.location?.range;
+            if (!range || !OUTLINE_KINDS.includes(vscode.SymbolKind[symbol.kind])) return null;
+            return {
+                name: symbol.name,
+                startLine: range.start.line + 1,
+                endLine: range.end.line + 1,
+                children: (symbol.children || []).map(convert).filter(Boolean)
+            };
+        };
+        return symbols.map(convert).filter(Boolean);
+    }
+
+    chunkRange(lines, startLine, endLine, symbols, container, separator) {
+        const pieces = [];
+        let cursor = startLine;
+        const ordered = symbols
+            .filter(symbol => symbol.startLine >= startLine && symbol.endLine <= endLine)
+            .sort((a, b) => a.startLine - b.startLine);
+
+        for (const symbol of ordered) {
+            // Nested or overlapping entries from a flat outline are covered by their parent
+            if (symbol.startLine < cursor) continue;
+            if (symbol.startLine > cursor) {
+                pieces.push(...this.splitLines(lines, cursor, symbol.startLine - 1, container, false));
+            }
+
+            const name = container ? `${container}${separator}${symbol.name}` : symbol.name;
+            if (this.measure(lines, symbol.startLine, symbol.endLine) <= this.maxChunkSize) {
+                pieces.push({ startLine: symbol.startLine, endLine: symbol.endLine, symbols: [name] });
+            } else if (symbol.children?.length) {
+                pieces.push(...this.chunkRange(lines, symbol.startLine, symbol.endLine, symbol.children, name, separator));
+            } else {
+                pieces.push(...this.splitLines(lines, symbol.startLine, symbol.endLine, name, true));
+            }
+            cursor = symbol.endLine + 1;
+        }
+
+        if (cursor <= endLine) {
+            pieces.push(...this.splitLines(lines, cursor, endLine, container, false));
+        }
+        return pieces;
+    }
+
+    // Cuts a line range into pieces of at most maxChunkSize characters, dropping blank
+    // ranges. With overlap, each piece repeats the last few lines of the previous one.
+    splitLines(lines, startLine, endLine, symbol, overlap) {
+        const pieces = [];
+        let start = startLine;
+        while (start <= endLine) {
+            let end = start;
+            let size = lines[start - 1].length + 1;
+            while (end < endLine && size + lines[end].length + 1 <= this.maxChunkSize) {
+                size += lines[end].length + 1;
+                end++;
+            }
+
+            if (lines.slice(start - 1, end).some(line => line.trim())) {
+                pieces.push({ startLine: start, endLine: end, symbols: symbol ? [symbol] : [] });
+            }
+            if (end >= endLine) break;
+
+            let next = end + 1;
+            if (overlap) {
+                let repeated = 0;
+                while (next - 1 > start + 1 && repeated + lines[next - 2].length + 1 <= OVERLAP_SIZE) {
+                    repeated += lines[next - 2].length + 1;
+                    next--;
+                }
+            }
+            start = next;
+        }
+        return pieces;
+    }
+
+    // Joins neighbouring pieces while one of them is small and the result still fits
+    mergeSmall(lines, pieces) {
+        const merged = [];
+        for (const piece of pieces) {
+            const previous = merged[merged.length - 1];
+            const small = size => size < MIN_CHUNK_SIZE;
+            if (previous
+                && previous.endLine < piece.startLine
+                && (small(this.measure(lines, previous.startLine, previous.endLine)) || small(this.measure(lines, piece.startLine, piece.endLine)))
+                && this.measure(lines, previous.startLine, piece.endLine) <= this.maxChunkSize) {
+                previous.endLine = piece.endLine;
+                piece.symbols.forEach(symbol => {
+                    if (!previous.symbols.includes(symbol)) previous.symbols.push(symbol);
+                });
+            } else {
+                merged.push({ ...piece, symbols: [...piece.symbols] });
+            }
+        }
+        return merged;
+    }
+
+    formatSymbols(symbols) {
+        if (symbols.length === 0) return null;
+        const listed = symbols.slice(0, MAX_LISTED_SYMBOLS).join(', ');
+        return symbols.length > MAX_LISTED_SYMBOLS ? `${listed} and ${symbols.length - MAX_LISTED_SYMBOLS} more` : listed;
+    }
+
+    measure(lines, startLine, endLine) {
+        let size = 0;
+        for (let i = startLine - 1; i < endLine; i++) {
+            size += lines[i].length + 1;
+        }
+        return size;
+    }
+
+    parseSymbols(lines, language) {
+        switch (LANGUAGE_FAMILIES[language]) {
+            case 'javascript':
+            case 'native':
+                return this.parseBraceSymbols(lines, 0, lines.length - 1, BRACE_DECLARATIONS[LANGUAGE_FAMILIES[language]], language);
+            case 'python':
+                return this.parseIndentedSymbols(lines, /^(\s*)(?:async\s+)?(?:def|class)\s+([A-Za-z_]\w*)/, ['#', '@']);
+            case 'ruby':
+                return this.parseRubySymbols(lines);
+            case 'markdown':
+                return this.parseMarkdownSections(lines);
+            default:
+                return [];
+        }
+    }
+
+    // Declarations found by pattern, each ending where its braces balance. Lines are
+    // 0-based here and 1-based in the returned symbols.
+    parseBraceSymbols(lines, from, to, declarations, language, memberPattern) {
+        const symbols = [];
+        for (let i = from; i <= to; i++) {
+            const declaration = this.matchDeclaration(lines[i], declarations, memberPattern);
+            if (!declaration) continue;
+
+            const end = this.findBlockEnd(lines, i, to, language);
+            if (end === -1) continue;
+
+            const symbol = {
+                name: declaration.name,
+                startLine: this.extendOverComments(lines, i, ['//', '/*', '*', '@', '#[', '///']) + 1,
+                endLine: end + 1,
+                children: []
+            };
+            if (declaration.container && end > i) {
+                symbol.children = this.parseBraceSymbols(lines, i + 1, end - 1, declarations, language, MEMBER_PATTERN);
+            }
+            symbols.push(symbol);
+            i = end;
+        }
+        return symbols;
+    }
+
+    matchDeclaration(line, declarations, memberPattern) {
+        for (const declaration of declarations) {
+            const match = line.match(declaration.pattern);
+            if (match && !CONTROL_KEYWORDS.has(match[1])) {
+                return { name: match[1], container: declaration.container };
+            }
+        }
+        const member = memberPattern && line.match(memberPattern);
+        if (member && !CONTROL_KEYWORDS.has(member[1])) {
+            return { name: member[1], container: false };
+        }
+        return null;
+    }
+
+    // Follows braces from the declaration line, skipping strings, comments and the
+    // parameter list. A
+    // declaration without a block within a few lines (e.g. `const f = x => x + 1;`)
+    // ends on the line that finishes the statement.
+    findBlockEnd(lines, start, limit, language) {
+        let depth = 0;
+        let parens = 0;
+        let opened = false;
+        let inBlockComment = false;
+        // Rust lifetimes ('a) would look like unterminated character literals
+        const quotes = language === 'rust' ? '"`' : '"\'`';
+
+        for (let i = start; i <= limit; i++) {
+            const line = lines[i];
+            let quote = null;
+            for (let c = 0; c < line.length; c++) {
+                const char = line[c];
+                if (inBlockComment) {
+                    if (char === '*' && line[c + 1] === '/') {
+                        inBlockComment = false;
+                        c++;
+                    }
+                } else if (quote) {
+                    if (char === '\\') c++;
+                    else if (char === quote) quote = null;
+                } else if (char === '/' && line[c + 1] === '/') {
+                    break;
+                } else if (char === '/' && line[c + 1] === '*') {
+                    inBlockComment = true;
+                    c++;
+                } else if (quotes.includes(char)) {
+                    quote = char;
+                } else if (!opened && (char === '(' || char === ')')) {
+                    parens += char === '(' ? 1 : -1;
+                } else if (!opened && parens > 0) {
+                    // Braces in the parameter list, e.g. `run({ files } = {}) {`
+                    continue;
+                } else if (char === '{') {
+                    depth++;
+                    opened = true;
+                } else if (char === '}') {
+                    depth--;
+                    if (opened && depth <= 0) return i;
+                }
+            }
+            // Template literals may span lines; other quotes end with the line
+            if (quote !== '`') quote = null;
+
+            if (!opened && parens <= 0 && /[;,]\s*$/.test(line)) return i;
+            if (!opened && i - start >= (parens > 0 ? 12 : 3)) return -1;
+        }
+        return -1;
+    }
+
+    // Python: a block ends before the next non-blank line indented no deeper than it
+    parseIndentedSymbols(lines, pattern, commentPrefixes, from = 0, to = lines.length - 1) {
+        const symbols = [];
+        for (let i = from; i <= to; i++) {
+            const match = lines[i].match(pattern);
+            if (!match) continue;
+
+            const indent = match[1].length;
+            let end = i;
+            for (let j = i + 1; j <= to; j++) {
+                if (!lines[j].trim()) continue;
+                if (lines[j].length - lines[j].trimStart().length <= indent) break;
+                end = j;
+            }
+            symbols.push({
+                name: match[2],
+                startLine: this.extendOverComments(lines, i, commentPrefixes) + 1,
+                endLine: end + 1,
+                children: this.parseIndentedSymbols(lines, pattern, commentPrefixes, i + 1, end)
+            });
+            i = end;
+        }
+        return symbols;
+    }
+
+    // Ruby: def/class/module up to the `end` at the same indentation
+    parseRubySymbols(lines, from = 0, to = lines.length - 1) {
+        const symbols = [];
+        for (let i = from; i <= to; i++) {
+            const match = lines[i].match(/^(\s*)(?:def|class|module)\s+([\w.:?!]+)/);
+            if (!match) continue;
+            const end = lines.findIndex((line, j) => j > i && j <= to && line.startsWith(`${match[1]}end`) && !line.slice(match[1].length + 3).match(/^\w/));
+            if (end === -1) continue;
+            symbols.push({
+                name: match[2],
+                startLine: this.extendOverComments(lines, i, ['#']) + 1,
+                endLine: end + 1,
+                children: this.parseRubySymbols(lines, i + 1, end - 1)
+            });
+            i = end;
+        }
+        return symbols;
+    }
+
+    // Markdown: each heading's section, with subsections as children
+    parseMarkdownSections(lines, from = 0, to = lines.length - 1, level = 1) {
+        const symbols = [];
+        for (let i = from; i <= to; i++) {
+            const heading = this.matchHeading(lines, i);
+            if (!heading || heading.level < level) continue;
+
+            let end = to;
+            for (let j = i + 1; j <= to; j++) {
+                const next = this.matchHeading(lines, j);
+                if (next && next.level <= heading.level) {
+                    end = j - 1;
+                    break;
+                }
+            }
+            symbols.push({
+                name: heading.name,
+                startLine: i + 1,
+                endLine: end + 1,
+                children: this.parseMarkdownSections(lines, i + 1, end, heading.level + 1)
+            });
+            i = end;
+        }
+        return symbols;
+    }
+
+    // `## Title`, or a title underlined with === (level 1) or --- (level 2)
+    matchHeading(lines, index) {
+        const atx = lines[index].match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (atx) return { level: atx[1].length, name: atx[2] };
+
+        const underline = lines[index + 1]?.match(/^(=+|-+)\s*$/);
+        if (underline && underline[1].length >= 3 && lines[index].trim() && !/^[-=#>*]/.test(lines[index].trim())) {
+            return { level: underline[1][0] === '=' ? 1 : 2, name: lines[index].trim() };
+        }
+        return null;
+    }
+
+    // Includes the doc comment, decorators or attributes right above a declaration
+    extendOverComments(lines, index, prefixes) {
+        let start = index;
+        while (start > 0 && prefixes.some(prefix => lines[start - 1].trim().startsWith(prefix))) {
+            start--;
+        }
+        return start;
+    }
+}
+
+module.exports = { CodeChunker };
@@ -1,94 +1,59 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs/promises');
+const crypto = require('crypto');
 const { LocalVectorDB } = require('./LocalVectorDB');
 const { EmbeddingProvider } = require('./EmbeddingProvider');
 const { LLMService } = require('../services/LLMService');
 const { ConfigurationManager } = require('../config/ConfigurationManager');
 const { ErrorHandler, ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { throwIfCancelled } = require('../utils/Cancellation');
+const { IgnoreRules, STANDARD_IGNORES } = require('./IgnoreRules');
+const { CodeChunker } = require('./CodeChunker');
+const { Reranker } = require('./Reranker');
+
+// Folders never indexed; the index itself lives in .toshimo
+const INDEX_IGNORED_DIRECTORIES = ['.git', 'node_modules', '.toshimo'];
+// With reranking on, this many times the wanted results are fetched for the reranker to order
+const RERANK_CANDIDATE_FACTOR = 3;
 
 class ContextManager {
     constructor() {
-        this.vectorDB = new LocalVectorDB();
-        this.embeddingProvider = new EmbeddingProvider();
         this.configManager = new ConfigurationManager();
+        this.embeddingProvider = new EmbeddingProvider(this.configManager.getEmbeddingConfig());
+        this.vectorDB = new LocalVectorDB(this.embeddingProvider);
+        this.codeChunker = new CodeChunker();
         this.llmService = new LLMService(this.configManager);
+        this.reranker = new Reranker(this.configManager, this.llmService);
         this.codebaseContext = null;
         this.isInitializing = false;
         this.fileList = [];
+        // Other providers of context, e.g. MCP servers; each has getContext(query)
+        this.contextSources = [];
+        // Incremental updates from the file watcher; initializeCodebase waits for them
+        this.updating = null;
+        this.indexChangeEmitter = new vscode.EventEmitter();
+        this.onDidChangeIndex = this.indexChangeEmitter.event;
 
         // Standard folders to ignore across all languages/frameworks
-        this.standardIgnores = {
-            general: [
-                '.git', '.svn', '.hg',                    // Version control
-                '.vscode', '.idea', '.vs',                // IDEs
-                'build', 'dist', 'out', 'target',         // Build outputs
-                'coverage', '.nyc_output',                // Test coverage
-                '.DS_Store', 'Thumbs.db',                 // OS files
-                'tmp', 'temp', 'logs', 'log',             // Temporary files
-                '.env', '.env.local', '.env.*'            // Environment files
-            ],
-            node: [
-                'node_modules',
-                '.npm',
-                '.yarn',
-                '.pnpm-store'
-            ],
-            python: [
-                '__pycache__',
-                '*.pyc',
-                '.pytest_cache',
-                '.tox',
-                '.venv',
-                'venv',
-                'env',
-                'ENV',
-                'htmlcov',
-                '*.egg-info'
-            ],
-            java: [
-                'target',
-                '.gradle',
-                'build',
-                '.m2',
-                '*.class',
-                'bin'
-            ],
-            dotnet: [
-                'bin',
-                'obj',
-                'packages',
-                '.vs',
-                'TestResults'
-            ],
-            rust: [
-                'target',
-                'Cargo.lock',
-                '.cargo'
-            ],
-            go: [
-                'vendor',
-                'bin',
-                'pkg'
-            ],
-            ruby: [
-                'vendor/bundle',
-                '.bundle',
-                'coverage'
-            ]
-        };
+        this.standardIgnores = STANDARD_IGNORES;
     }
 
-    async initializeCodebase() {
+    // Returns { cancelled, indexedFiles, removedFiles, totalFiles }; a cancelled run still
+    // saves what was indexed
+    async initializeCodebase(cancellationToken, progress) {
         // Prevent multiple simultaneous initializations
         if (this.isInitializing) {
             console.log('Initialization already in progress, skipping...');
-            return;
+            return { cancelled: false, indexedFiles: 0, removedFiles: 0, totalFiles: 0 };
         }
 
         this.isInitializing = true;
+        this.indexChangeEmitter.fire();
 
         try {
+            await this.updating;
+
             const workspaceFolders = vscode.workspace.workspaceFolders;
             if (!workspaceFolders) {
                 throw new ToshimoError(ErrorType.Configuration, 'No workspace folder found');
@@ -106,9 +71,11 @@ class ContextManager {
                 console.warn('Error creating .toshimo directory:', error);
             }
 
-            // Always start with a fresh vector DB
-            console.log('Creating new vector DB index...');
-            this.vectorDB = new LocalVectorDB(); // Reset the vector DB
+            // Start from the saved index, so only new and changed files are embedded again
+            this.vectorDB = new LocalVectorDB(this.embeddingProvider);
+            if (await this.exists(vectorDBFile)) {
+                await this.vectorDB.load(vectorDBFile);
+            }
 
             // Check if we need to analyze codebase
             let needsContextAnalysis = true;
@@ -124,9 +91,23 @@ class ContextManager {
 
             // Always index the codebase
             console.log('Indexing codebase...');
-            await this.indexWorkspace(workspaceRoot);
-            
-            // Save the new vector DB
+            const indexResult = await this.indexWorkspace(workspaceRoot, cancellationToken, progress);
+
+            if (indexResult.cancelled) {
+                console.log(`Indexing cancelled after ${indexResult.indexedFiles} of ${indexResult.totalFiles} files`);
+                this.vectorDB.isPartial = true;
+                this.vectorDB.isDirty = true;
+                if (!this.vectorDB.isEmpty()) {
+                    await this.vectorDB.save(vectorDBFile);
+                }
+                return indexResult;
+            }
+
+            this.vectorDB.isPartial = false;
+            this.vectorDB.updatedAt = Date.now();
+            this.vectorDB.isDirty = true;
+
+            // Save the updated vector DB
             if (!this.vectorDB.isEmpty()) {
                 console.log('Saving vector DB...');
                 await this.vectorDB.save(vectorDBFile);
@@ -163,100 +144,282 @@ class ContextManager {
                 this.codebaseContext.directoryStructure = directoryTree;
             }
 
+            return indexResult;
         } catch (error) {
             ErrorHandler.handle(error, 'ContextManager.initializeCodebase');
             throw error;
         } finally {
             this.isInitializing = false;
+            if (!this.updating) await this.switchEmbeddingProvider();
+            this.indexChangeEmitter.fire();
         }
     }
 
-    async indexWorkspace(workspaceRoot) {
+    async indexWorkspace(workspaceRoot, cancellationToken, progress) {
         try {
             const fileStructure = await this.getFileStructure(workspaceRoot);
             const files = this.flattenFileStructure(fileStructure, workspaceRoot);
             
             this.fileList = files.map(filePath => path.relative(workspaceRoot, filePath));
-            let indexedCount = 0;
-            
-            for (const filePath of files) {
-                try {
-                    // Only process text files
-                    if (!this.isTextFile(filePath)) continue;
+            let indexedFiles = 0;
+            let removedFiles = 0;
+            let next = 0;
+            // Set when a worker hits a cancellation or an error every other file would hit too
+            let stop = null;
+
+            // Several files are embedded at once; the provider caps the requests in flight
+            const worker = async () => {
+                while (next < files.length && !stop) {
+                    if (cancellationToken?.isCancellationRequested) {
+                        stop = { cancelled: true };
+                        return;
+                    }
+                    const filePath = files[next++];
+                    progress?.report({
+                        message: path.relative(workspaceRoot, filePath),
+                        increment: 100 / files.length
+                    });
 
-                    const content = await fs.readFile(filePath, 'utf8');
-                    const relativePath = path.relative(workspaceRoot, filePath);
-                    
-                    // Create a document with metadata
-                    const document = {
-                        type: 'file',
-                        path: relativePath,
-                        language: this.getFileLanguage(filePath),
-                        content: content,
-                        metadata: {
-                            size: content.length,
-                            lastModified: (await fs.stat(filePath)).mtime,
-                            extension: path.extname(filePath)
-                        }
-                    };
+                    try {
+                        // Only process text files
+                        if (!this.isTextFile(filePath)) continue;
 
-                    // Create chunks for large files
-                    const chunks = this.chunkDocument(document);
-                    
-                    for (const chunk of chunks) {
-                        const embedding = await this.embeddingProvider.getEmbedding(
-                            `${chunk.metadata}\n\n${chunk.content}`
-                        );
-                        await this.vectorDB.add(chunk, embedding);
-                        indexedCount++;
+                        if (await this.indexFile(workspaceRoot, filePath, cancellationToken) === 'updated') {
+                            indexedFiles++;
+                        }
+                    } catch (error) {
+                        if (ErrorHandler.isCancellation(error)) {
+                            stop = stop || { cancelled: true };
+                        } else if (error.details?.fatal) {
+                            stop = stop || { error };
+                        } else {
+                            console.warn(`Failed to index file ${filePath}:`, error);
+                        }
                     }
+                }
+            };
+            const { concurrency } = this.vectorDB.embeddingProvider.config;
+            await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, worker));
 
-                    console.log(`Indexed file: ${relativePath}`);
-                } catch (error) {
-                    console.warn(`Failed to index file ${filePath}:`, error);
+            if (stop?.error) throw stop.error;
+            if (stop?.cancelled) {
+                return { cancelled: true, indexedFiles, removedFiles, totalFiles: files.length };
+            }
+
+            // Files deleted since the last run
+            const present = new Set(this.fileList);
+            for (const indexedPath of this.vectorDB.getIndexedPaths()) {
+                if (!present.has(indexedPath) && this.vectorDB.remove(indexedPath)) {
+                    removedFiles++;
                 }
             }
 
-            console.log(`Indexing completed. Processed ${indexedCount} chunks from ${files.length} files`);
+            console.log(`Indexing completed. Embedded ${indexedFiles} new or changed files and removed ${removedFiles} of ${files.length} files`);
+            return { cancelled: false, indexedFiles, removedFiles, totalFiles: files.length };
         } catch (error) {
             ErrorHandler.handle(error, 'ContextManager.indexWorkspace');
             throw error;
         }
     }
 
-    chunkDocument(document, maxChunkSize = 1500) {
-        const chunks = [];
-        const lines = document.content.split('\n');
-        let currentChunk = {
-            type: 'chunk',
-            path: document.path,
-            language: document.language,
-            content: '',
-            metadata: `File: ${document.path}\nLanguage: ${document.language}\nType: ${document.type}`
+    // Embeds one file unless the index already has this version of it. Returns 'unchanged',
+    // 'updated', or 'removed' when the file no longer exists.
+    async indexFile(workspaceRoot, filePath, cancellationToken) {
+        const relativePath = path.relative(workspaceRoot, filePath);
+        let stat;
+        try {
+            stat = await fs.stat(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return this.vectorDB.remove(relativePath) ? 'removed' : 'unchanged';
+            }
+            throw error;
+        }
+
+        const indexed = this.vectorDB.getFileState(relativePath);
+        if (indexed?.mtime === stat.mtimeMs) return 'unchanged';
+
+        const content = await fs.readFile(filePath, 'utf8');
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        // Touched or checked out again without changes
+        if (indexed?.hash === hash) {
+            this.vectorDB.touch(relativePath, stat.mtimeMs);
+            return 'unchanged';
+        }
+
+        // Create a document with metadata
+        const document = {
+            type: 'file',
+            path: relativePath,
+            language: this.getFileLanguage(filePath),
+            content: content,
+            metadata: {
+                size: content.length,
+                lastModified: stat.mtime,
+                extension: path.extname(filePath)
+            }
         };
-        let currentSize = 0;
-
-        for (const line of lines) {
-            if (currentSize + line.length > maxChunkSize) {
-                chunks.push(currentChunk);
-                currentChunk = {
-                    type: 'chunk',
-                    path: document.path,
-                    language: document.language,
-                    content: '',
-                    metadata: `File: ${document.path}\nLanguage: ${document.language}\nType: ${document.type}`
-                };
-                currentSize = 0;
+
+        // One chunk per function, class or method where they fit
+        const chunks = this.chunkDocument(document, await this.getOpenDocumentSymbols(filePath));
+
+        // Embed all chunks before replacing any, so a cancelled file is never half-indexed
+        throwIfCancelled(cancellationToken);
+        const embeddings = await this.vectorDB.embeddingProvider.getEmbeddings(
+            chunks.map(chunk => `${chunk.metadata}\n\n${chunk.content}`),
+            cancellationToken
+        );
+        this.vectorDB.remove(relativePath);
+        for (let i = 0; i < chunks.length; i++) {
+            await this.vectorDB.add({ ...chunks[i], hash, mtime: stat.mtimeMs }, embeddings[i]);
+        }
+        console.log(`Indexed file: ${relativePath}`);
+        return 'updated';
+    }
+
+    // Re-embeds files the watcher saw created, changed or deleted, and saves the index.
+    // Workspaces that were never indexed are left alone. Returns null if a full
+    // initialization is running, so the caller can try again later.
+    async updateFiles(filePaths) {
+        if (this.isInitializing) return null;
+        const previous = this.updating;
+        let done;
+        const current = new Promise(resolve => {
+            done = resolve;
+        });
+        this.updating = current;
+        this.indexChangeEmitter.fire();
+
+        try {
+            await previous;
+            const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+            if (!workspaceRoot) return 0;
+            const vectorDBFile = path.join(workspaceRoot, '.toshimo', 'toshimo.vector.db');
+            await this.ensureVectorDBLoaded();
+            if (this.vectorDB.isEmpty() && !(await this.exists(vectorDBFile))) return 0;
+            // Saving only these files would replace the full index from the previous model
+            if (this.vectorDB.needsRebuild) {
+                console.log('Skipping index update until the index is rebuilt for the new embedding model');
+                return 0;
             }
-            currentChunk.content += line + '\n';
-            currentSize += line.length + 1;
+
+            let updated = 0;
+            for (const filePath of filePaths) {
+                try {
+                    const relativePath = path.relative(workspaceRoot, filePath);
+                    const result = this.shouldIndex(relativePath)
+                        ? await this.indexFile(workspaceRoot, filePath)
+                        : (this.vectorDB.remove(relativePath) ? 'removed' : 'unchanged');
+                    if (result !== 'unchanged') updated++;
+                } catch (error) {
+                    console.warn(`Failed to update index for ${filePath}:`, error);
+                }
+            }
+
+            if (updated > 0 || this.vectorDB.isDirty) {
+                this.vectorDB.updatedAt = Date.now();
+                this.vectorDB.isDirty = true;
+                await this.vectorDB.save(vectorDBFile);
+            }
+            console.log(`Index update: ${updated} of ${filePaths.length} changed files re-embedded or removed`);
+            return updated;
+        } finally {
+            done();
+            if (this.updating === current) this.updating = null;
+            if (!this.updating && !this.isInitializing) await this.switchEmbeddingProvider();
+            this.indexChangeEmitter.fire();
+        }
+    }
+
+    // Whether a workspace-relative path belongs in the index
+    shouldIndex(relativePath) {
+        return !this.isIgnoredPath(relativePath) && this.isTextFile(relativePath);
+    }
+
+    isIgnoredPath(relativePath) {
+        return relativePath.startsWith('..')
+            || relativePath.split(/[\\/]/).some(segment => INDEX_IGNORED_DIRECTORIES.includes(segment));
+    }
+
+    // { indexed, busy, partial, needsRebuild, updatedAt, files, chunks } for the status bar
+    getIndexStatus() {
+        return {
+            indexed: !this.vectorDB.isEmpty(),
+            busy: this.isInitializing || !!this.updating,
+            partial: this.vectorDB.isPartial,
+            needsRebuild: this.vectorDB.needsRebuild,
+            updatedAt: this.vectorDB.updatedAt,
+            files: this.vectorDB.getFileCount(),
+            chunks: this.vectorDB.documents.length
+        };
+    }
+
+    // Picks up changed embedding settings. Returns true when the index holds vectors from
+    // another model and has to be rebuilt. Indexing that is already running finishes with
+    // the model it started with; the switch happens when it is done.
+    async reloadEmbeddingConfig() {
+        this.configManager.reload();
+        const provider = new EmbeddingProvider(this.configManager.getEmbeddingConfig());
+        const changed = provider.getIdentity() !== this.embeddingProvider.getIdentity();
+        this.embeddingProvider = provider;
+        // Only batching, concurrency or the key changed; the vectors still fit
+        if (this.vectorDB.embeddingProvider.getIdentity() === provider.getIdentity()) {
+            this.vectorDB.embeddingProvider = provider;
         }
+        if (!changed) return false;
+
+        console.log(`Embedding model changed to ${provider.getIdentity()}`);
+        if (this.isInitializing || this.updating) return this.vectorDB.embeddingProvider !== provider;
+        return this.switchEmbeddingProvider();
+    }
+
+    // Rerank settings and the LLM the reranker calls apply to the next search
+    reloadRerankConfig() {
+        this.configManager.reload();
+        this.llmService.reloadConfig();
+        this.reranker.reloadConfig();
+    }
+
+    // Reloads the saved index for the current provider, which finds out whether it was
+    // built with the same model
+    async switchEmbeddingProvider() {
+        if (this.vectorDB.embeddingProvider === this.embeddingProvider) return this.vectorDB.needsRebuild;
 
-        if (currentChunk.content) {
-            chunks.push(currentChunk);
+        this.vectorDB = new LocalVectorDB(this.embeddingProvider);
+        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        const vectorDBFile = workspaceRoot && path.join(workspaceRoot, '.toshimo', 'toshimo.vector.db');
+        if (vectorDBFile && await this.exists(vectorDBFile)) {
+            await this.vectorDB.load(vectorDBFile);
         }
+        this.indexChangeEmitter.fire();
+        return this.vectorDB.needsRebuild;
+    }
 
-        return chunks;
+    async exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    chunkDocument(document, symbols) {
+        return this.codeChunker.chunk(document, symbols);
+    }
+
+    // A language server's outline is only used for files already open and saved, so
+    // indexing never starts language servers or sees unsaved text
+    async getOpenDocumentSymbols(filePath) {
+        const document = vscode.workspace.textDocuments.find(doc => doc.uri.fsPath === filePath);
+        if (!document || document.isDirty) return null;
+        try {
+            const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri);
+            return symbols?.length ? CodeChunker.fromDocumentSymbols(symbols) : null;
+        } catch (error) {
+            console.warn(`Document symbols unavailable for ${filePath}:`, error.message);
+            return null;
+        }
     }
 
     isTextFile(filePath) {
@@ -401,7 +564,7 @@ The response should be a valid JSON object with the following structure:
         }
     }
 
-    async getFileStructure(dir, ignoreDirs = ['.git', 'node_modules', '.toshimo']) {
+    async getFileStructure(dir, ignoreDirs = INDEX_IGNORED_DIRECTORIES) {
         const structure = { files: [], directories: {} };
         
         const entries = await fs.readdir(dir, { withFileTypes: true });
@@ -420,11 +583,51 @@ The response should be a valid JSON object with the following structure:
         return structure;
     }
 
-    async getRelevantContext(query) {
+    addContextSource(source) {
+        this.contextSources.push(source);
+    }
+
+    async getContextFromSources(query) {
+        const results = await Promise.all(this.contextSources.map(async source => {
+            try {
+                return await source.getContext(query);
+            } catch (error) {
+                console.warn('Context source failed:', error);
+                return [];
+            }
+        }));
+        return results.flat();
+    }
+
+    // Keyword and embedding search over the index, reranked when toshimo.context.rerank is
+    // set. options: { language, path (glob), limit, cancellationToken }
+    async searchCodebase(query, { language, path: pathGlob, limit, cancellationToken } = {}) {
+        const { maxFiles, minRelevance } = this.configManager.getContextConfig();
+        await this.ensureVectorDBLoaded();
+
+        const k = limit || maxFiles || 5;
+        const candidates = await this.vectorDB.search(
+            query,
+            this.reranker.isEnabled() ? k * RERANK_CANDIDATE_FACTOR : k,
+            // Chunks that are not actually related to the query only count as keyword matches
+            { language, path: pathGlob, minSimilarity: minRelevance ?? 0.3 }
+        );
+        const results = (await this.reranker.rerank(query, candidates, cancellationToken)).slice(0, k);
+        console.log('Codebase search results:', results.map(r => ({
+            path: r.path,
+            lines: `${r.startLine}-${r.endLine}`,
+            similarity: r.similarity?.toFixed(3),
+            keywordScore: r.keywordScore?.toFixed(2)
+        })));
+        return results;
+    }
+
+    async getRelevantContext(query, cancellationToken) {
         try {
-            // Get vector search results
-            const searchResults = await this.vectorDB.search(query);
-            let context = [...searchResults];  // Create a copy of search results
+            const relevant = await this.searchCodebase(query, { cancellationToken });
+
+            let context = relevant.map(result => this.formatSearchResult(result));
+            context.push(...await this.getContextFromSources(query));
             
             // Get workspace root
             const workspaceFolders = vscode.workspace.workspaceFolders;
@@ -485,17 +688,36 @@ The response should be a valid JSON object with the following structure:
         }
     }
 
-    async getGitIgnorePatterns(rootPath) {
+    async ensureVectorDBLoaded() {
+        if (!this.vectorDB.isEmpty() || this.vectorDB.isLoaded || this.vectorDB.needsRebuild || this.isInitializing) return;
+
+        const workspaceFolders = vscode.workspace.workspaceFolders;
+        if (!workspaceFolders) return;
+
+        const vectorDBFile = path.join(workspaceFolders[0].uri.fsPath, '.toshimo', 'toshimo.vector.db');
         try {
-            const gitIgnorePath = path.join(rootPath, '.gitignore');
-            const content = await fs.readFile(gitIgnorePath, 'utf8');
-            return content
-                .split('\n')
-                .map(line => line.trim())
-                .filter(line => line && !line.startsWith('#'));
+            await fs.access(vectorDBFile);
         } catch {
-            return [];
+            return;
         }
+        await this.vectorDB.load(vectorDBFile);
+    }
+
+    formatSearchResult(result) {
+        const location = result.startLine ? `${result.path}:${result.startLine}-${result.endLine}` : result.path;
+        const match = [
+            result.symbol,
+            result.similarity !== undefined ? `similarity ${result.similarity.toFixed(2)}` : null,
+            result.keywordScore !== undefined ? 'keyword match' : null
+        ].filter(Boolean).join(', ');
+        return `File: ${location} (${match})
+\`\`\`${result.language || ''}
+${result.content.replace(/\n$/, '')}
+\`\`\``;
+    }
+
+    async getGitIgnorePatterns(rootPath) {
+        return IgnoreRules.readGitIgnore(rootPath);
     }
 
     async getDirectoryTree(dir, gitIgnorePatterns = [], depth = 0, maxDepth = 10) {
@@ -542,32 +764,7 @@ The response should be a valid JSON object with the following structure:
     }
 
     shouldIgnore(filePath, gitIgnorePatterns) {
-        // Check standard ignores
-        for (const category of Object.values(this.standardIgnores)) {
-            for (const pattern of category) {
-                if (this.matchesPattern(filePath, pattern)) {
-                    return true;
-                }
-            }
-        }
-
-        // Check gitignore patterns
-        for (const pattern of gitIgnorePatterns) {
-            if (this.matchesPattern(filePath, pattern)) {
-                return true;
-            }
-        }
-
-        return false;
-    }
-
-    matchesPattern(filePath, pattern) {
-        // Convert glob pattern to regex
-        const regex = pattern
-            .replace(/\./g, '\\.')
-            .replace(/\*/g, '.*')
-            .replace(/\?/g, '.');
-        return new RegExp(`^${regex}$`).test(filePath);
+        return new IgnoreRules(gitIgnorePatterns, this.standardIgnores).shouldIgnore(filePath);
     }
 }
 
@@ -1,101 +1,198 @@
 const axios = require('axios');
 const { ErrorHandler, ToshimoError, ErrorType } = require('../utils/ErrorHandler');
-
+const { throwIfCancelled, toAbortSignal } = require('../utils/Cancellation');
+
+const PROVIDER_DEFAULTS = {
+    ollama: { model: 'nomic-embed-text', endpoint: 'http://localhost:11434' },
+    openai: { model: 'text-embedding-3-small', endpoint: 'https://api.openai.com/v1' },
+    // LM Studio's default address; llama.cpp's server uses http://localhost:8080/v1
+    openaiCompatible: { model: '', endpoint: 'http://localhost:1234/v1' }
+};
+const DEFAULT_BATCH_SIZE = 32;
+const DEFAULT_CONCURRENCY = 4;
+const REQUEST_TIMEOUT_MS = 120000;
+
+// Turns text into vectors through the configured provider (toshimo.embedding.*):
+// - ollama: POST /api/embed, or /api/embeddings one text at a time on servers before 0.3.4
+// - openai and openaiCompatible (LM Studio, llama.cpp, vLLM, ...): POST /v1/embeddings
+// Texts are sent in batches, with at most `concurrency` requests in flight across all
+// callers, so indexing several files at once doesn't flood a local server.
 class EmbeddingProvider {
-    constructor(config) {
-        this.config = config || {
-            provider: 'ollama',
-            model: this.getEmbeddingModel(),
-            endpoint: 'http://localhost:11434'
+    constructor(config = {}) {
+        const provider = PROVIDER_DEFAULTS[config.provider] ? config.provider : 'ollama';
+        this.config = {
+            ...config,
+            provider,
+            model: config.model || PROVIDER_DEFAULTS[provider].model,
+            endpoint: (config.endpoint || PROVIDER_DEFAULTS[provider].endpoint).replace(/\/+$/, ''),
+            batchSize: config.batchSize || DEFAULT_BATCH_SIZE,
+            concurrency: config.concurrency || DEFAULT_CONCURRENCY
         };
+        this.active = 0;
+        this.waiting = [];
+        this.legacyOllama = false;
     }
 
-    getEmbeddingModel() {
-        // Use nomic-embed-text as recommended embedding model
-        return 'nomic-embed-text';
+    // Names the vector space; an index built in a different one is rebuilt rather than mixed
+    getIdentity() {
+        const { provider, model, endpoint, dimensions } = this.config;
+        return `${provider}:${model || endpoint}${dimensions ? `:${dimensions}` : ''}`;
     }
 
-    async getEmbedding(text) {
-        try {
-            console.log('Getting embedding for text length:', text.length);
-
-            const requestBody = {
-                model: this.config.model,
-                prompt: text
-            };
+    async getEmbedding(text, cancellationToken) {
+        const [embedding] = await this.getEmbeddings([text], cancellationToken);
+        return embedding;
+    }
 
-            console.log('Embedding request:', {
-                endpoint: `${this.config.endpoint}/api/embeddings`,
-                model: this.config.model
-            });
+    // Returns one vector per text, in order. Throws a ToshimoError rather than returning
+    // made-up vectors, so a broken provider never ends up in the index.
+    async getEmbeddings(texts, cancellationToken) {
+        const batches = [];
+        for (let i = 0; i < texts.length; i += this.config.batchSize) {
+            batches.push(texts.slice(i, i + this.config.batchSize));
+        }
+        const results = await Promise.all(batches.map(batch => this.withRequestSlot(() => {
+            throwIfCancelled(cancellationToken);
+            return this.embedBatch(batch, cancellationToken);
+        })));
+        return results.flat();
+    }
 
-            const response = await axios.post(
-                `${this.config.endpoint}/api/embeddings`,
-                requestBody
-            );
+    async withRequestSlot(task) {
+        while (this.active >= this.config.concurrency) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+        this.active++;
+        try {
+            return await task();
+        } finally {
+            this.active--;
+            this.waiting.shift()?.();
+        }
+    }
 
-            if (response.data && response.data.embedding) {
-                console.log('Got embedding vector of length:', response.data.embedding.length);
-                return response.data.embedding;
-            }
-            
-            console.warn('No embedding in response:', response.data);
-            return this.generateSimpleHash(text);
-            
+    async embedBatch(texts, cancellationToken) {
+        const abort = toAbortSignal(cancellationToken);
+        try {
+            const embeddings = this.config.provider === 'ollama'
+                ? await this.embedWithOllama(texts, abort.signal)
+                : await this.embedWithOpenAI(texts, abort.signal);
+            return this.checkEmbeddings(embeddings, texts.length);
         } catch (error) {
-            console.error('Failed to get embedding:', {
-                error: error.message,
-                response: error.response?.data,
-                status: error.response?.status
-            });
-
-            if (error.response?.status === 404) {
-                console.warn('Embedding model not found. Please run: ollama pull nomic-embed-text');
-            }
-
-            return this.generateSimpleHash(text);
+            throw this.toError(error);
+        } finally {
+            abort.dispose();
         }
     }
 
-    generateSimpleHash(text) {
-        if (!text || typeof text !== 'string') {
-            text = text?.toString() || '';
+    async embedWithOllama(texts, signal) {
+        const { endpoint, model } = this.config;
+        const options = { timeout: REQUEST_TIMEOUT_MS, signal };
+
+        if (!this.legacyOllama) {
+            try {
+                const response = await axios.post(`${endpoint}/api/embed`, { model, input: texts }, options);
+                return response.data?.embeddings;
+            } catch (error) {
+                // A 404 that isn't about the model means the server predates /api/embed
+                const body = JSON.stringify(error.response?.data || '');
+                if (error.response?.status !== 404 || /model/i.test(body)) throw error;
+                console.warn('Ollama has no /api/embed, embedding one text per request');
+                this.legacyOllama = true;
+            }
+        }
+
+        const embeddings = [];
+        for (const text of texts) {
+            const response = await axios.post(`${endpoint}/api/embeddings`, { model, prompt: text }, options);
+            embeddings.push(response.data?.embedding);
         }
+        return embeddings;
+    }
 
-        const vec = new Array(384).fill(0);
-        const words = text.split(/\s+/).filter(w => w.length > 0);
-        
-        if (words.length === 0) {
-            // Handle empty input
-            const hash = this.simpleHash(text);
-            const pos = Math.abs(hash) % 384;
-            vec[pos] = 1;
-            return vec;
+    async embedWithOpenAI(texts, signal) {
+        const { provider, endpoint, model, apiKey, dimensions } = this.config;
+        if (provider === 'openai' && !apiKey) {
+            throw new ToshimoError(
+                ErrorType.Configuration,
+                'OpenAI embeddings need an API key: set toshimo.embedding.apiKey (or toshimo.llm.apiKey with the openai provider)',
+                null,
+                { fatal: true }
+            );
         }
 
-        words.forEach((word, index) => {
-            const hash = this.simpleHash(word);
-            const pos = Math.abs(hash) % 384;
-            vec[pos] += 1 / (index + 1);
+        // Base URLs are given with or without the /v1 suffix
+        const url = /\/v1$/.test(endpoint) ? `${endpoint}/embeddings` : `${endpoint}/v1/embeddings`;
+        const response = await axios.post(url, {
+            ...(model ? { model } : {}),
+            input: texts,
+            ...(dimensions ? { dimensions } : {})
+        }, {
+            timeout: REQUEST_TIMEOUT_MS,
+            signal,
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
         });
 
-        // Normalize
-        const magnitude = Math.sqrt(vec.reduce((sum, val) => sum + val * val, 0));
-        return magnitude > 0 ? vec.map(val => val / magnitude) : vec;
+        const data = response.data?.data;
+        if (!Array.isArray(data)) return null;
+        return [...data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map(item => item.embedding);
     }
 
-    simpleHash(text) {
-        if (!text || typeof text !== 'string') {
-            return 0;
+    checkEmbeddings(embeddings, expected) {
+        if (!Array.isArray(embeddings) || embeddings.length !== expected
+            || embeddings.some(embedding => !Array.isArray(embedding) || embedding.length === 0)) {
+            throw new ToshimoError(
+                ErrorType.Embedding,
+                `${this.config.provider} returned no usable embeddings from ${this.config.endpoint}`
+            );
+        }
+        const { dimensions } = this.config;
+        if (dimensions && embeddings[0].length !== dimensions) {
+            throw new ToshimoError(
+                ErrorType.Embedding,
+                `${this.config.model} returned ${embeddings[0].length} dimensions but toshimo.embedding.dimensions is ${dimensions}`,
+                null,
+                { fatal: true }
+            );
+        }
+        return embeddings;
+    }
+
+    // details.fatal marks errors that will fail every request (server down, wrong model
+    // or key), as opposed to one text the server rejected
+    toError(error) {
+        if (error instanceof ToshimoError) return error;
+        if (ErrorHandler.isCancellation(error)) {
+            return new ToshimoError(ErrorType.Cancelled, 'Embedding cancelled', error);
         }
 
-        let hash = 0;
-        for (let i = 0; i < text.length; i++) {
-            const char = text.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+        const { provider, endpoint, model } = this.config;
+        const status = error.response?.status;
+        const detail = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+        console.error('Failed to get embeddings:', { provider, endpoint, model, status, detail });
+
+        if (!error.response) {
+            return new ToshimoError(
+                ErrorType.Embedding,
+                `Could not connect to the ${provider} embedding server at ${endpoint}. Make sure it is running, or change toshimo.embedding.endpoint`,
+                error,
+                { fatal: true }
+            );
+        }
+        if (status === 404 && provider === 'ollama') {
+            return new ToshimoError(
+                ErrorType.Embedding,
+                `Embedding model ${model} not found. Please run: ollama pull ${model}`,
+                error,
+                { fatal: true }
+            );
         }
-        return hash;
+        return new ToshimoError(
+            ErrorType.Embedding,
+            `Embedding request failed (${status}): ${detail}`,
+            error,
+            { fatal: status === 401 || status === 403 || status === 404 }
+        );
     }
 
     chunkText(text, maxChunkSize = 512) {
@@ -127,4 +224,4 @@ class EmbeddingProvider {
     }
 }
 
-module.exports = { EmbeddingProvider }; 
\ No newline at end of file
+module.exports = { EmbeddingProvider };
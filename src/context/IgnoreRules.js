@@ -0,0 +1,103 @@
+const path = require('path');
+const fs = require('fs/promises');
+const { matchesAnyGlob } = require('../utils/Glob');
+
+// Standard folders to ignore across all languages/frameworks
+const STANDARD_IGNORES = {
+    general: [
+        '.git', '.svn', '.hg',                    // Version control
+        '.vscode', '.idea', '.vs',                // IDEs
+        'build', 'dist', 'out', 'target',         // Build outputs
+        'coverage', '.nyc_output',                // Test coverage
+        '.DS_Store', 'Thumbs.db',                 // OS files
+        'tmp', 'temp', 'logs', 'log',             // Temporary files
+        '.env', '.env.local', '.env.*'            // Environment files
+    ],
+    node: [
+        'node_modules',
+        '.npm',
+        '.yarn',
+        '.pnpm-store'
+    ],
+    python: [
+        '__pycache__',
+        '*.pyc',
+        '.pytest_cache',
+        '.tox',
+        '.venv',
+        'venv',
+        'env',
+        'ENV',
+        'htmlcov',
+        '*.egg-info'
+    ],
+    java: [
+        'target',
+        '.gradle',
+        'build',
+        '.m2',
+        '*.class',
+        'bin'
+    ],
+    dotnet: [
+        'bin',
+        'obj',
+        'packages',
+        '.vs',
+        'TestResults'
+    ],
+    rust: [
+        'target',
+        'Cargo.lock',
+        '.cargo'
+    ],
+    go: [
+        'vendor',
+        'bin',
+        'pkg'
+    ],
+    ruby: [
+        'vendor/bundle',
+        '.bundle',
+        'coverage'
+    ]
+};
+
+// Ignore rules shared by codebase indexing and the file tools: the standard ignores
+// plus the workspace's .gitignore patterns (negations are not supported). Patterns keep
+// their leading slash, which anchors them to the workspace root as in git.
+class IgnoreRules {
+    constructor(gitIgnorePatterns = [], standardIgnores = STANDARD_IGNORES) {
+        this.patterns = [
+            ...Object.values(standardIgnores).flat(),
+            ...gitIgnorePatterns.filter(pattern => !pattern.startsWith('!'))
+        ];
+    }
+
+    static async forWorkspace(rootPath) {
+        return new IgnoreRules(await IgnoreRules.readGitIgnore(rootPath));
+    }
+
+    static async readGitIgnore(rootPath) {
+        try {
+            const gitIgnorePath = path.join(rootPath, '.gitignore');
+            const content = await fs.readFile(gitIgnorePath, 'utf8');
+            return content
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'));
+        } catch {
+            return [];
+        }
+    }
+
+    // relativePath is relative to the workspace folder
+    shouldIgnore(relativePath) {
+        return matchesAnyGlob(relativePath, this.patterns);
+    }
+}
+
+module.exports = {
+    IgnoreRules,
+    STANDARD_IGNORES
+};
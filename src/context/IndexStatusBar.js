@@ -0,0 +1,71 @@
+const vscode = require('vscode');
+
+// Re-renders "updated 5m ago" as time passes
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Status bar item showing how fresh the codebase index is; clicking it re-indexes
+class IndexStatusBar {
+    constructor(contextManager, indexWatcher) {
+        this.contextManager = contextManager;
+        this.indexWatcher = indexWatcher;
+        this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+        this.item.command = 'toshimo.initializeCodebase';
+        this.subscriptions = [
+            contextManager.onDidChangeIndex(() => this.update()),
+            indexWatcher.onDidChangePending(() => this.update())
+        ];
+        this.timer = setInterval(() => this.update(), REFRESH_INTERVAL_MS);
+        this.update();
+        this.item.show();
+    }
+
+    update() {
+        const status = this.contextManager.getIndexStatus();
+        const pending = this.indexWatcher.pending.size;
+
+        if (status.busy) {
+            this.item.text = '$(sync~spin) Index: updating';
+            this.item.tooltip = 'Toshimo is updating the codebase index';
+            return;
+        }
+        if (status.needsRebuild) {
+            this.item.text = '$(warning) Index: rebuild needed';
+            this.item.tooltip = 'The embedding model changed, so the codebase index has to be built again. Click to rebuild it';
+            return;
+        }
+        if (!status.indexed) {
+            this.item.text = '$(database) Index: none';
+            this.item.tooltip = 'The codebase is not indexed yet. Click to index it, so Toshimo can find relevant code for your requests';
+            return;
+        }
+
+        let state = status.updatedAt ? this.formatAge(Date.now() - status.updatedAt) : 'unknown age';
+        if (pending > 0) state = `${pending} file${pending === 1 ? '' : 's'} changed`;
+        if (status.partial) state = 'partial';
+        this.item.text = `$(${status.partial ? 'warning' : 'database'}) Index: ${state}`;
+        this.item.tooltip = [
+            `Toshimo codebase index: ${status.files} files, ${status.chunks} chunks`,
+            status.updatedAt ? `Last updated ${new Date(status.updatedAt).toLocaleString()}` : 'Never fully updated',
+            status.partial ? 'Indexing was cancelled before every file was embedded' : '',
+            pending > 0 ? `${pending} changed file${pending === 1 ? '' : 's'} will be re-indexed shortly` : '',
+            'Click to bring the whole index up to date'
+        ].filter(Boolean).join('\n');
+    }
+
+    formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return 'up to date';
+        if (minutes < 60) return `${minutes}m ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ago`;
+        return `${Math.floor(hours / 24)}d ago`;
+    }
+
+    dispose() {
+        clearInterval(this.timer);
+        this.subscriptions.forEach(subscription => subscription.dispose());
+        this.item.dispose();
+    }
+}
+
+module.exports = { IndexStatusBar };
@@ -0,0 +1,170 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// On-disk layout of the codebase index, version 2.1:
+//   toshimo.vector.db         JSON manifest: settings and one entry per chunk, without its text
+//   toshimo.vector.db.vectors every vector as Float32 (little-endian on every platform VS Code runs on)
+//   toshimo.vector.db.text    every chunk's text as UTF-8, back to back
+//   toshimo.vector.db.graph   the HnswIndex graph, when the index is large enough to have one
+// Chunk entries point into the binary files with vectorOffset/dimensions (in floats) and
+// textOffset/textLength (in bytes), counted after the file's header. Each save picks a
+// random generation id and writes it to the manifest and at the start of every data file,
+// so files left from an interrupted save are detected instead of read at the wrong
+// offsets, even when they happen to have the expected size.
+//
+// Version 2.0 files have no generation header and are only checked by size. Versions 1.x
+// kept everything, vectors included, in one pretty-printed JSON file. Both are read as
+// before and written back as 2.1 on the next save.
+const FORMAT_VERSION = '2.1';
+const VERSIONS_WITHOUT_GENERATION = ['2.0'];
+const VECTORS_SUFFIX = '.vectors';
+const TEXT_SUFFIX = '.text';
+const GRAPH_SUFFIX = '.graph';
+// A multiple of 4, so the Float32 and Int32 data after it stays aligned
+const GENERATION_BYTES = 16;
+
+// index: { documents, vectors, partial, updatedAt, nextId, embedding, graph: { meta, buffer } | null }
+async function saveIndex(filePath, index) {
+    const textBuffers = [];
+    let textOffset = 0;
+    let vectorOffset = 0;
+    const entries = index.documents.map((document, i) => {
+        const { content, ...fields } = document;
+        const text = Buffer.from(content || '', 'utf8');
+        textBuffers.push(text);
+        const entry = {
+            ...fields,
+            textOffset,
+            textLength: text.length,
+            vectorOffset,
+            dimensions: index.vectors[i].length
+        };
+        textOffset += text.length;
+        vectorOffset += index.vectors[i].length;
+        return entry;
+    });
+
+    const vectors = new Float32Array(vectorOffset);
+    index.vectors.forEach((vector, i) => vectors.set(vector, entries[i].vectorOffset));
+    const vectorBuffer = Buffer.from(vectors.buffer);
+    const textBuffer = Buffer.concat(textBuffers);
+    const generation = crypto.randomBytes(GENERATION_BYTES);
+
+    // Data files first, so the manifest never points at files that are still being written
+    await writeAtomically(`${filePath}${VECTORS_SUFFIX}`, Buffer.concat([generation, vectorBuffer]));
+    await writeAtomically(`${filePath}${TEXT_SUFFIX}`, Buffer.concat([generation, textBuffer]));
+    if (index.graph) {
+        await writeAtomically(`${filePath}${GRAPH_SUFFIX}`, Buffer.concat([generation, index.graph.buffer]));
+    } else {
+        await fs.rm(`${filePath}${GRAPH_SUFFIX}`, { force: true });
+    }
+
+    const manifest = {
+        version: FORMAT_VERSION,
+        generation: generation.toString('hex'),
+        partial: index.partial,
+        updatedAt: index.updatedAt,
+        nextId: index.nextId,
+        // EmbeddingProvider.getIdentity() of the model the vectors came from
+        embedding: index.embedding,
+        vectorBytes: vectorBuffer.length,
+        textBytes: textBuffer.length,
+        graph: index.graph ? { ...index.graph.meta, bytes: index.graph.buffer.length } : null,
+        documents: entries
+    };
+    await writeAtomically(filePath, JSON.stringify(manifest));
+}
+
+// Returns { version, documents, vectors, partial, updatedAt, nextId, embedding, graph } with every
+// document's text restored and an id assigned, or null if the files don't fit together
+async function loadIndex(filePath) {
+    const manifest = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (Array.isArray(manifest.vectors)) {
+        return migrateJsonIndex(manifest);
+    }
+    const hasGeneration = manifest.version === FORMAT_VERSION;
+    if ((!hasGeneration && !VERSIONS_WITHOUT_GENERATION.includes(manifest.version)) || !Array.isArray(manifest.documents)) {
+        console.warn(`Unsupported vector DB version ${manifest.version}`);
+        return null;
+    }
+
+    const [vectorFile, textFile, graphFile] = await Promise.all([
+        fs.readFile(`${filePath}${VECTORS_SUFFIX}`),
+        fs.readFile(`${filePath}${TEXT_SUFFIX}`),
+        manifest.graph ? fs.readFile(`${filePath}${GRAPH_SUFFIX}`).catch(() => null) : null
+    ]);
+    const generation = hasGeneration ? manifest.generation : null;
+    const vectorBuffer = readGeneration(vectorFile, generation);
+    const textBuffer = readGeneration(textFile, generation);
+    if (!vectorBuffer || !textBuffer || vectorBuffer.length !== manifest.vectorBytes || textBuffer.length !== manifest.textBytes) {
+        console.warn('Vector DB files do not match their manifest');
+        return null;
+    }
+
+    // Copy into a fresh buffer: Float32Array needs 4-byte alignment, file buffers may not have it
+    const allVectors = new Float32Array(vectorBuffer.buffer.slice(vectorBuffer.byteOffset, vectorBuffer.byteOffset + vectorBuffer.length));
+    const vectors = [];
+    const documents = manifest.documents.map(entry => {
+        const { textOffset, textLength, vectorOffset, dimensions, ...fields } = entry;
+        vectors.push(allVectors.subarray(vectorOffset, vectorOffset + dimensions));
+        return { ...fields, content: textBuffer.toString('utf8', textOffset, textOffset + textLength) };
+    });
+
+    // A stale graph is only rebuilt; the chunks themselves are fine
+    const graphBuffer = graphFile && readGeneration(graphFile, generation);
+    const graphMatches = graphBuffer && graphBuffer.length === manifest.graph.bytes;
+    return {
+        version: manifest.version,
+        documents,
+        vectors,
+        partial: !!manifest.partial,
+        updatedAt: manifest.updatedAt || null,
+        nextId: manifest.nextId,
+        embedding: manifest.embedding || null,
+        graph: graphMatches ? { meta: manifest.graph, buffer: graphBuffer } : null
+    };
+}
+
+function migrateJsonIndex(parsed) {
+    if (!parsed.documents || parsed.vectors.length !== parsed.documents.length) {
+        return null;
+    }
+    // Version 1.0 files have no hashes and before 1.2 chunks were fixed-size slices, so
+    // dropping the hash makes their files embedded again on the next update
+    const currentChunks = (parseFloat(parsed.version) || 1) >= 1.2;
+    const documents = parsed.documents.map((document, i) => {
+        const migrated = { ...document, id: i };
+        if (!currentChunks) delete migrated.hash;
+        return migrated;
+    });
+    return {
+        version: parsed.version || '1.0',
+        documents,
+        vectors: parsed.vectors.map(vector => Float32Array.from(vector || [])),
+        partial: !!parsed.partial,
+        updatedAt: parsed.updatedAt || null,
+        nextId: documents.length,
+        embedding: null,
+        graph: null
+    };
+}
+
+// The data after the generation header, or null if another save wrote the file. Without
+// a generation (version 2.0) the whole file is data.
+function readGeneration(buffer, generation) {
+    if (!generation) return buffer;
+    if (buffer.length < GENERATION_BYTES || buffer.toString('hex', 0, GENERATION_BYTES) !== generation) {
+        return null;
+    }
+    return buffer.subarray(GENERATION_BYTES);
+}
+
+async function writeAtomically(filePath, data) {
+    const temporary = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(temporary, data);
+    await fs.rename(temporary, filePath);
+}
+
+module.exports = { saveIndex, loadIndex, FORMAT_VERSION };
@@ -0,0 +1,105 @@
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs/promises');
+
+// Saving several files, or a git checkout, fires a burst of events
+const UPDATE_DELAY_MS = 2000;
+// How long to wait before trying again while Initialize Codebase is running
+const RETRY_DELAY_MS = 10000;
+
+// Keeps the saved index in step with the workspace. File events are collected and, once
+// they have been quiet for a moment, only those files are embedded again in the background.
+class IndexWatcher {
+    constructor(contextManager) {
+        this.contextManager = contextManager;
+        // Absolute paths waiting to be re-indexed
+        this.pending = new Set();
+        this.timer = undefined;
+        this.watcher = undefined;
+        this.root = undefined;
+        this.pendingChangeEmitter = new vscode.EventEmitter();
+        this.onDidChangePending = this.pendingChangeEmitter.event;
+    }
+
+    start() {
+        const folder = vscode.workspace.workspaceFolders?.[0];
+        if (!folder || this.watcher) return;
+        if (this.contextManager.configManager.getContextConfig().watchFiles === false) {
+            console.log('Index file watching is disabled');
+            return;
+        }
+
+        this.root = folder.uri.fsPath;
+        this.watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, '**/*'));
+        const queue = uri => this.queue(uri.fsPath).catch(error => console.warn('Failed to queue index update:', error));
+        this.watcher.onDidCreate(queue);
+        this.watcher.onDidChange(queue);
+        this.watcher.onDidDelete(queue);
+
+        // Load the saved index up front, so its freshness can be shown before the first request
+        this.contextManager.ensureVectorDBLoaded()
+            .then(() => this.pendingChangeEmitter.fire())
+            .catch(error => console.warn('Failed to load the codebase index:', error));
+    }
+
+    async queue(filePath) {
+        const relativePath = path.relative(this.root, filePath);
+        if (this.contextManager.isIgnoredPath(relativePath)) return;
+
+        if (this.contextManager.shouldIndex(relativePath)) {
+            this.pending.add(filePath);
+        } else {
+            // Folders are reported once rather than per file: a deleted folder drops its
+            // indexed files and a new one (e.g. moved in) adds its own
+            const prefix = `${relativePath}${path.sep}`;
+            this.contextManager.vectorDB.getIndexedPaths()
+                .filter(indexedPath => indexedPath.startsWith(prefix))
+                .forEach(indexedPath => this.pending.add(path.join(this.root, indexedPath)));
+            await this.queueFolder(filePath);
+        }
+        this.schedule(UPDATE_DELAY_MS);
+    }
+
+    async queueFolder(folderPath) {
+        try {
+            if (!(await fs.stat(folderPath)).isDirectory()) return;
+        } catch {
+            return;
+        }
+        const structure = await this.contextManager.getFileStructure(folderPath);
+        this.contextManager.flattenFileStructure(structure, folderPath)
+            .filter(filePath => this.contextManager.shouldIndex(path.relative(this.root, filePath)))
+            .forEach(filePath => this.pending.add(filePath));
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.flush().catch(error => console.error('Failed to update the codebase index:', error));
+        }, delay);
+        this.pendingChangeEmitter.fire();
+    }
+
+    async flush() {
+        if (this.pending.size === 0) return;
+
+        const files = [...this.pending];
+        this.pending.clear();
+        const updated = await this.contextManager.updateFiles(files);
+        if (updated === null) {
+            files.forEach(file => this.pending.add(file));
+            this.schedule(RETRY_DELAY_MS);
+            return;
+        }
+        this.pendingChangeEmitter.fire();
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.watcher?.dispose();
+        this.watcher = undefined;
+        this.pendingChangeEmitter.dispose();
+    }
+}
+
+module.exports = { IndexWatcher };
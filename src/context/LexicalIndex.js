@@ -0,0 +1,92 @@
+// Okapi BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// In-memory BM25 inverted index over chunk text. Embeddings blur exact identifiers and
+// error codes together; this ranks chunks that literally contain the query's words.
+// Entries are keyed by any object (LocalVectorDB uses the stored documents themselves).
+class LexicalIndex {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        // term -> Map(entry -> term frequency)
+        this.postings = new Map();
+        // entry -> { length, terms }
+        this.entries = new Map();
+        this.totalLength = 0;
+    }
+
+    add(entry, text) {
+        this.remove(entry);
+        const tokens = LexicalIndex.tokenize(text);
+        const frequencies = new Map();
+        tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+        for (const [term, frequency] of frequencies) {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(entry, frequency);
+        }
+        this.entries.set(entry, { length: tokens.length, terms: [...frequencies.keys()] });
+        this.totalLength += tokens.length;
+    }
+
+    remove(entry) {
+        const indexed = this.entries.get(entry);
+        if (!indexed) return;
+        for (const term of indexed.terms) {
+            const posting = this.postings.get(term);
+            posting.delete(entry);
+            if (posting.size === 0) this.postings.delete(term);
+        }
+        this.entries.delete(entry);
+        this.totalLength -= indexed.length;
+    }
+
+    // Returns up to k [{ entry, score }] by descending BM25 score; filter(entry) narrows the candidates
+    search(query, k, filter = () => true) {
+        const count = this.entries.size;
+        if (count === 0) return [];
+        const averageLength = this.totalLength / count || 1;
+        const scores = new Map();
+
+        for (const term of new Set(LexicalIndex.tokenize(query))) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+            for (const [entry, frequency] of posting) {
+                const length = this.entries.get(entry).length;
+                const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+                scores.set(entry, (scores.get(entry) || 0) + score);
+            }
+        }
+
+        return [...scores]
+            .filter(([entry]) => filter(entry))
+            .map(([entry, score]) => ({ entry, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
+    // Identifiers are kept whole and also split into their words, so `parseResponse`
+    // matches queries for "parseResponse", "parse response" and "response"
+    static tokenize(text) {
+        const tokens = [];
+        for (const word of (text || '').match(/[A-Za-z_$][\w$]*|\d+/g) || []) {
+            const lower = word.toLowerCase();
+            if (lower.length > 1) tokens.push(lower);
+
+            const parts = word
+                .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+                .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+                .split(/[\s_$]+/)
+                .map(part => part.toLowerCase())
+                .filter(part => part.length > 1 && part !== lower);
+            tokens.push(...parts);
+        }
+        return tokens;
+    }
+}
+
+module.exports = { LexicalIndex };
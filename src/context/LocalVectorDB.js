@@ -1,18 +1,118 @@
-const fs = require('fs/promises');
-const path = require('path');
 const { ErrorHandler, ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { LexicalIndex } = require('./LexicalIndex');
+const { HnswIndex } = require('./HnswIndex');
+const { saveIndex, loadIndex, FORMAT_VERSION } = require('./IndexStorage');
+const { matchesGlob } = require('../utils/Glob');
+
+// How many hits each ranking contributes before fusion
+const CANDIDATES_PER_RANKING = 50;
+// Reciprocal rank fusion constant; larger values flatten the gap between top ranks
+const RRF_K = 60;
+// Below this many vectors an exact scan is fast enough, so no graph is built
+const ANN_MIN_VECTORS = 2000;
+// Candidate list size for graph searches; higher finds more of the true nearest chunks
+const ANN_EF_SEARCH = 200;
 
 class LocalVectorDB {
-    constructor() {
+    constructor(embeddingProvider) {
+        this.embeddingProvider = embeddingProvider;
         this.vectors = [];
         this.documents = [];
         this.isDirty = false;
+        // Set when indexing was cancelled before every file was embedded
+        this.isPartial = false;
+        // When the index last caught up with the workspace (ms since epoch)
+        this.updatedAt = null;
+        // Path -> { hash, mtime } of each indexed file, from its chunks
+        this.files = new Map();
+        // BM25 over the same chunks; rebuilt on load rather than saved
+        this.lexicalIndex = new LexicalIndex();
+        // Chunk id -> document; ids stay stable when other chunks are removed
+        this.documentsById = new Map();
+        // Chunk id -> its index in documents and vectors, and path -> its chunks' ids, so
+        // files are updated without a scan over every chunk
+        this.positions = new Map();
+        this.idsByPath = new Map();
+        this.nextId = 0;
+        // HnswIndex over the vectors, once there are ANN_MIN_VECTORS of them
+        this.annIndex = null;
+        // Set once load() has read (or failed to read) the saved index
+        this.isLoaded = false;
+        // Set when the saved index was discarded because it came from another embedding
+        // model; cleared once an index from the current model is saved
+        this.needsRebuild = false;
     }
 
+    // Chunks carry the hash and mtime of the file they came from, so unchanged files
+    // can be skipped when re-indexing
     async add(document, vector) {
-        this.vectors.push(vector);
+        const stored = Float32Array.from(vector);
+        document.id = this.nextId++;
+        this.vectors.push(stored);
         this.documents.push(document);
+        this.track(document, this.documents.length - 1);
+        this.lexicalIndex.add(document, this.getSearchableText(document));
+        if (this.annIndex?.dimensions === stored.length) {
+            this.annIndex.add(document.id, stored);
+        }
+        this.files.set(document.path, { hash: document.hash, mtime: document.mtime });
+        this.isDirty = true;
+    }
+
+    getFileState(filePath) {
+        return this.files.get(filePath);
+    }
+
+    getIndexedPaths() {
+        return [...this.files.keys()];
+    }
+
+    // Records a new mtime for a file whose content hasn't changed
+    touch(filePath, mtime) {
+        if (!this.files.has(filePath)) return;
+        for (const id of this.idsByPath.get(filePath) || []) {
+            this.documentsById.get(id).mtime = mtime;
+        }
+        this.files.get(filePath).mtime = mtime;
+        this.isDirty = true;
+    }
+
+    // Drops every chunk of a file; returns whether it was indexed. The last chunk moves
+    // into each freed slot, so chunk order is not kept.
+    remove(filePath) {
+        if (!this.files.has(filePath)) return false;
+        for (const id of this.idsByPath.get(filePath) || []) {
+            const document = this.documentsById.get(id);
+            this.lexicalIndex.remove(document);
+            this.annIndex?.remove(id);
+
+            const position = this.positions.get(id);
+            const last = this.documents.length - 1;
+            if (position !== last) {
+                this.documents[position] = this.documents[last];
+                this.vectors[position] = this.vectors[last];
+                this.positions.set(this.documents[position].id, position);
+            }
+            this.documents.pop();
+            this.vectors.pop();
+            this.documentsById.delete(id);
+            this.positions.delete(id);
+        }
+        this.idsByPath.delete(filePath);
+        this.files.delete(filePath);
         this.isDirty = true;
+        return true;
+    }
+
+    track(document, position) {
+        this.documentsById.set(document.id, document);
+        this.positions.set(document.id, position);
+        if (!this.idsByPath.has(document.path)) this.idsByPath.set(document.path, []);
+        this.idsByPath.get(document.path).push(document.id);
+    }
+
+    getFileCount() {
+        return this.files.size;
     }
 
     async save(filePath) {
@@ -22,15 +122,21 @@ class LocalVectorDB {
                 return;
             }
 
-            const data = {
-                vectors: this.vectors,
+            // Built here rather than on the first search, so loading a large index is quick
+            const latest = this.vectors[this.vectors.length - 1];
+            const annIndex = latest ? this.getAnnIndex(latest.length) : null;
+            await saveIndex(filePath, {
                 documents: this.documents,
-                version: '1.0'
-            };
-
-            await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+                vectors: this.vectors,
+                partial: this.isPartial,
+                updatedAt: this.updatedAt,
+                nextId: this.nextId,
+                embedding: this.embeddingProvider?.getIdentity(),
+                graph: annIndex ? annIndex.serialize() : null
+            });
             console.log(`Saved vector DB to ${filePath} with ${this.vectors.length} entries`);
             this.isDirty = false;
+            this.needsRebuild = false;
         } catch (error) {
             throw new ToshimoError(
                 ErrorType.Storage,
@@ -41,53 +147,211 @@ class LocalVectorDB {
     }
 
     async load(filePath) {
+        this.isLoaded = true;
         try {
-            const data = await fs.readFile(filePath, 'utf8');
-            const parsed = JSON.parse(data);
-            
-            if (!parsed.vectors || !parsed.documents || parsed.vectors.length !== parsed.documents.length) {
+            const index = await loadIndex(filePath);
+            if (!index) {
                 console.warn('Invalid or corrupted vector DB, reinitializing...');
-                this.vectors = [];
-                this.documents = [];
-                this.isDirty = true;
+                this.reset();
+                return false;
+            }
+
+            // Vectors from another model or size can't be searched with this one's queries.
+            // Indexes saved before the model was recorded are assumed to match.
+            const embedding = this.embeddingProvider?.getIdentity();
+            if (index.embedding && embedding && index.embedding !== embedding) {
+                console.log(`Embedding model changed from ${index.embedding} to ${embedding}, the vector DB has to be rebuilt`);
+                this.reset();
+                this.needsRebuild = true;
                 return false;
             }
 
-            this.vectors = parsed.vectors;
-            this.documents = parsed.documents;
+            this.vectors = index.vectors;
+            this.documents = index.documents;
+            this.isPartial = index.partial;
+            this.updatedAt = index.updatedAt;
+            this.nextId = index.nextId;
+            this.documentsById = new Map();
+            this.positions = new Map();
+            this.idsByPath = new Map();
+            this.documents.forEach((document, i) => this.track(document, i));
+            this.files = new Map(this.documents.map(document => [document.path, { hash: document.hash, mtime: document.mtime }]));
+            this.lexicalIndex.clear();
+            this.documents.forEach(document => this.lexicalIndex.add(document, this.getSearchableText(document)));
+            this.annIndex = null;
+            if (index.graph) {
+                try {
+                    this.annIndex = HnswIndex.deserialize(index.graph.meta, index.graph.buffer, id => this.vectors[this.positions.get(id)]);
+                } catch (error) {
+                    console.warn('Ignoring unreadable vector graph, it will be rebuilt:', error.message);
+                }
+            }
             this.isDirty = false;
-            
-            console.log(`Loaded vector DB from ${filePath} with ${this.vectors.length} entries`);
+
+            // Older layouts are rewritten in the current format straight away
+            if (index.version !== FORMAT_VERSION) {
+                console.log(`Migrating vector DB from version ${index.version} to ${FORMAT_VERSION}`);
+                this.isDirty = true;
+                await this.save(filePath).catch(error => console.warn('Failed to migrate vector DB:', error));
+            }
+
+            console.log(`Loaded ${this.isPartial ? 'partial ' : ''}vector DB from ${filePath} with ${this.vectors.length} entries`);
             return true;
         } catch (error) {
             console.warn('Failed to load vector database:', error);
-            this.vectors = [];
-            this.documents = [];
-            this.isDirty = true;
+            this.reset();
             return false;
         }
     }
 
+    reset() {
+        this.vectors = [];
+        this.documents = [];
+        this.files = new Map();
+        this.documentsById = new Map();
+        this.positions = new Map();
+        this.idsByPath = new Map();
+        this.lexicalIndex.clear();
+        this.annIndex = null;
+        this.isDirty = true;
+    }
+
+    // The graph over vectors with the given dimensions, built on first use; null while
+    // there are too few of them for approximate search to pay off
+    getAnnIndex(dimensions) {
+        if (this.annIndex?.dimensions === dimensions) {
+            return this.annIndex.size >= ANN_MIN_VECTORS ? this.annIndex : null;
+        }
+
+        const matching = this.documents
+            .map((document, i) => ({ id: document.id, vector: this.vectors[i] }))
+            .filter(({ vector }) => vector.length === dimensions);
+        if (matching.length < ANN_MIN_VECTORS) return null;
+
+        console.log(`Building vector graph over ${matching.length} chunks...`);
+        const started = Date.now();
+        this.annIndex = new HnswIndex({ dimensions });
+        matching.forEach(({ id, vector }) => this.annIndex.add(id, vector));
+        console.log(`Built vector graph in ${Date.now() - started}ms`);
+        return this.annIndex;
+    }
+
     isEmpty() {
         return this.vectors.length === 0;
     }
 
-    async search(query, k = 5) {
+    // Ranks chunks by embedding similarity and by BM25 keyword score, then fuses the two
+    // rankings with reciprocal rank fusion, so exact identifiers are found even when the
+    // embeddings miss them. options: { language, path (glob), minSimilarity }; chunks
+    // below minSimilarity only count as keyword matches.
+    // Returns [{ content, score, similarity, keywordScore, path, language, startLine, endLine, symbol }]
+    async search(query, k = 5, options = {}) {
         if (this.isEmpty()) {
             console.warn('Vector DB is empty, no results to return');
             return [];
         }
 
+        if (!this.embeddingProvider) {
+            throw new ToshimoError(
+                ErrorType.VectorDB,
+                'Vector DB search requires an embedding provider'
+            );
+        }
+
         try {
-            // Return relevant document contents
-            return this.documents
+            const matches = this.createFilter(options);
+            let queryVector = [];
+            try {
+                queryVector = await this.embeddingProvider.getEmbedding(query);
+            } catch (error) {
+                console.warn('Could not embed the query, using keyword matches only:', error.message);
+            }
+
+            // Filtered searches scan only the matching chunks exactly; the graph can't be narrowed
+            const annIndex = !options.language && !options.path && queryVector.length > 0
+                ? this.getAnnIndex(queryVector.length)
+                : null;
+            const scored = [];
+            if (annIndex) {
+                for (const { id, score } of annIndex.search(queryVector, CANDIDATES_PER_RANKING, ANN_EF_SEARCH)) {
+                    if (score >= (options.minSimilarity ?? -1)) {
+                        scored.push({ document: this.documentsById.get(id), similarity: score });
+                    }
+                }
+            }
+            // Score every stored chunk against the query
+            for (let i = 0; !annIndex && i < this.vectors.length; i++) {
+                // Vectors from a different embedding model can't be compared
+                if (!this.vectors[i] || this.vectors[i].length !== queryVector.length) continue;
+                if (!matches(this.documents[i])) continue;
+                const similarity = this.cosineSimilarity(queryVector, this.vectors[i]);
+                if (similarity >= (options.minSimilarity ?? -1)) {
+                    scored.push({ document: this.documents[i], similarity });
+                }
+            }
+            if (scored.length === 0 && queryVector.length > 0 && this.vectors.some(vector => vector?.length !== queryVector.length)) {
+                console.warn('No stored vectors match the query embedding dimensions; using keyword matches only');
+            }
+
+            const semantic = scored
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, CANDIDATES_PER_RANKING);
+            const lexical = this.lexicalIndex.search(query, CANDIDATES_PER_RANKING, matches);
+
+            const fused = new Map();
+            const fuse = (document, rank, field, value) => {
+                const result = fused.get(document) || { document, score: 0 };
+                result.score += 1 / (RRF_K + rank + 1);
+                result[field] = value;
+                fused.set(document, result);
+            };
+            semantic.forEach(({ document, similarity }, rank) => fuse(document, rank, 'similarity', similarity));
+            lexical.forEach(({ entry, score }, rank) => fuse(entry, rank, 'keywordScore', score));
+
+            return [...fused.values()]
+                .sort((a, b) => b.score - a.score)
                 .slice(0, k)
-                .map(doc => doc.content);
+                .map(({ document, score, similarity, keywordScore }) => ({
+                    content: document.content,
+                    score,
+                    similarity,
+                    keywordScore,
+                    path: document.path,
+                    language: document.language,
+                    startLine: document.startLine,
+                    endLine: document.endLine,
+                    symbol: document.symbol
+                }));
         } catch (error) {
             console.error('Search error:', error);
             return [];
         }
     }
+
+    createFilter({ language, path: pathGlob } = {}) {
+        return document => (!language || document.language?.toLowerCase() === language.toLowerCase())
+            && (!pathGlob || matchesGlob(document.path, pathGlob));
+    }
+
+    // The path and symbol name count too, so a query for a file or function name finds it
+    getSearchableText(document) {
+        return `${document.path} ${document.symbol || ''}\n${document.content}`;
+    }
+
+    cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        if (normA === 0 || normB === 0) {
+            return 0;
+        }
+        return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+    }
 }
 
-module.exports = { LocalVectorDB }; 
\ No newline at end of file
+module.exports = { LocalVectorDB }; 
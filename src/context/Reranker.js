@@ -0,0 +1,103 @@
+const axios = require('axios');
+const { ErrorHandler } = require('../utils/ErrorHandler');
+const { toAbortSignal } = require('../utils/Cancellation');
+
+const REQUEST_TIMEOUT_MS = 30000;
+// Each passage is cut to this many characters in the LLM prompt
+const MAX_PASSAGE_LENGTH = 800;
+// A JSON array of passage numbers never needs more
+const MAX_RANKING_TOKENS = 200;
+
+// Optional second pass over fused search results (toshimo.context.rerank):
+// - 'llm' asks the chat model to order the passages by relevance
+// - 'crossEncoder' sends them to a rerank endpoint such as llama.cpp's or any server
+//   with the Jina/Cohere-style POST /v1/rerank API
+// Any failure keeps the original order, so reranking never loses context.
+class Reranker {
+    constructor(configManager, llmService) {
+        this.configManager = configManager;
+        this.llmService = llmService;
+        this.reloadConfig();
+    }
+
+    // Settings are read once; call after toshimo.context or toshimo.llm changes
+    reloadConfig() {
+        this.config = this.configManager.getRerankConfig();
+        this.llmConfig = this.configManager.getLLMConfig();
+    }
+
+    isEnabled() {
+        return !!this.config.mode && this.config.mode !== 'none';
+    }
+
+    // results: [{ content, path, ... }] from LocalVectorDB.search; returns them reordered.
+    // Cancellation is passed on rather than treated as a ranking failure.
+    async rerank(query, results, cancellationToken) {
+        if (!this.isEnabled() || results.length < 2) return results;
+
+        try {
+            const order = this.config.mode === 'crossEncoder'
+                ? await this.rankWithCrossEncoder(query, results, cancellationToken)
+                : await this.rankWithLLM(query, results, cancellationToken);
+
+            // Passages the ranker left out keep their fused order after the ranked ones
+            const ranked = [...new Set(order.filter(index => index >= 0 && index < results.length))];
+            const rest = results.map((_, index) => index).filter(index => !ranked.includes(index));
+            console.log('Reranked search results:', { mode: this.config.mode, order: ranked });
+            return [...ranked, ...rest].map(index => results[index]);
+        } catch (error) {
+            if (ErrorHandler.isCancellation(error)) throw error;
+            console.warn(`Reranking with ${this.config.mode} failed, keeping fused order:`, error.message);
+            return results;
+        }
+    }
+
+    async rankWithCrossEncoder(query, results, cancellationToken) {
+        const endpoint = (this.config.endpoint || this.llmConfig.endpoint || '').replace(/\/$/, '');
+        const abort = toAbortSignal(cancellationToken);
+        let response;
+        try {
+            response = await axios.post(`${endpoint}/v1/rerank`, {
+                model: this.config.model || undefined,
+                query,
+                documents: results.map(result => result.content),
+                top_n: results.length
+            }, { timeout: REQUEST_TIMEOUT_MS, signal: abort.signal });
+        } finally {
+            abort.dispose();
+        }
+
+        const ranked = response.data?.results;
+        if (!Array.isArray(ranked)) {
+            throw new Error('Rerank response has no results array');
+        }
+        return ranked
+            .sort((a, b) => (b.relevance_score ?? b.score ?? 0) - (a.relevance_score ?? a.score ?? 0))
+            .map(result => result.index);
+    }
+
+    // A bare completion: the agent's system prompt and tool list would only cost tokens here
+    async rankWithLLM(query, results, cancellationToken) {
+        const passages = results.map((result, index) => {
+            const location = result.startLine ? `${result.path}:${result.startLine}-${result.endLine}` : result.path;
+            return `[${index}] ${location}\n${result.content.slice(0, MAX_PASSAGE_LENGTH)}`;
+        }).join('\n\n');
+
+        const prompt = `Rank these code passages by how useful they are for answering the query. Reply with only a JSON array of passage numbers, most useful first, e.g. [2, 0, 1].
+
+Query:
+${query.slice(0, 2000)}
+
+Passages:
+${passages}`;
+
+        const reply = await this.llmService.complete(prompt, { maxTokens: MAX_RANKING_TOKENS, cancellationToken });
+        const match = reply.match(/\[[\d\s,]*\]/);
+        if (!match) {
+            throw new Error('No ranking in the model response');
+        }
+        return JSON.parse(match[0]);
+    }
+}
+
+module.exports = { Reranker };
@@ -3,7 +3,10 @@ const axios = require('axios');
 const { ConfigurationManager } = require('./config/ConfigurationManager');
 const { PromptHandler } = require('./prompt/PromptHandler');
 const { ContextManager } = require('./context/ContextManager');
+const { IndexWatcher } = require('./context/IndexWatcher');
+const { IndexStatusBar } = require('./context/IndexStatusBar');
 const { AIAgent } = require('./agents/AIAgent');
+const { PendingChanges, ORIGINAL_SCHEME, PROPOSED_SCHEME } = require('./tools/PendingChanges');
 
 async function activate(context) {
     try {
@@ -12,8 +15,12 @@ async function activate(context) {
         // Initialize components
         const configManager = new ConfigurationManager();
         const contextManager = new ContextManager();
-        const aiAgent = new AIAgent(configManager, contextManager);
-        const promptHandler = new PromptHandler(context, aiAgent);
+        const pendingChanges = new PendingChanges();
+        const aiAgent = new AIAgent(configManager, contextManager, pendingChanges);
+        const promptHandler = new PromptHandler(context, aiAgent, pendingChanges);
+        const indexWatcher = new IndexWatcher(contextManager);
+        indexWatcher.start();
+        const indexStatusBar = new IndexStatusBar(contextManager, indexWatcher);
 
         // Quick pick items for common AI actions
         const quickPickItems = [
@@ -22,6 +29,11 @@ async function activate(context) {
                 detail: "Ask a question or request help with your code",
                 action: 'showPrompt'
             },
+            {
+                label: "🧪 Fix Failing Tests",
+                detail: "Run the project's tests and let the agent fix the failures",
+                action: 'fixFailingTests'
+            },
             {
                 label: "⚙️ Configure Toshimo",
                 detail: "Modify settings for AI providers and models",
@@ -36,6 +48,13 @@ async function activate(context) {
 
         // Register commands
         const disposables = [
+            pendingChanges,
+            aiAgent,
+            indexWatcher,
+            indexStatusBar,
+            vscode.workspace.registerTextDocumentContentProvider(ORIGINAL_SCHEME, pendingChanges),
+            vscode.workspace.registerTextDocumentContentProvider(PROPOSED_SCHEME, pendingChanges),
+
             vscode.commands.registerCommand('toshimo.showQuickPick', async () => {
                 console.log('Showing Toshimo quick pick menu');
                 const selection = await vscode.window.showQuickPick(quickPickItems, {
@@ -49,18 +68,14 @@ async function activate(context) {
                     case 'showPrompt':
                         await promptHandler.showPromptDialog();
                         break;
+                    case 'fixFailingTests':
+                        await promptHandler.fixFailingTests();
+                        break;
                     case 'openConfig':
                         vscode.commands.executeCommand('workbench.action.openSettings', 'toshimo');
                         break;
                     case 'initializeCodebase':
-                        await vscode.window.withProgress({
-                            location: vscode.ProgressLocation.Notification,
-                            title: "Initializing Toshimo codebase",
-                            cancellable: false
-                        }, async () => {
-                            await contextManager.initializeCodebase();
-                            vscode.window.showInformationMessage('Toshimo: Codebase initialization complete!');
-                        });
+                        await initializeCodebaseWithProgress(contextManager);
                         break;
                 }
             }),
@@ -70,19 +85,56 @@ async function activate(context) {
                 await promptHandler.showPromptDialog();
             }),
             
+            vscode.commands.registerCommand('toshimo.fixFailingTests', async () => {
+                await promptHandler.fixFailingTests();
+            }),
+
             vscode.commands.registerCommand('toshimo.openConfig', () => {
                 vscode.commands.executeCommand('workbench.action.openSettings', 'toshimo');
             }),
 
             vscode.commands.registerCommand('toshimo.initializeCodebase', async () => {
-                await vscode.window.withProgress({
-                    location: vscode.ProgressLocation.Notification,
-                    title: "Initializing Toshimo codebase",
-                    cancellable: false
-                }, async () => {
-                    await contextManager.initializeCodebase();
-                    vscode.window.showInformationMessage('Toshimo: Codebase initialization complete!');
+                await initializeCodebaseWithProgress(contextManager);
+            }),
+
+            vscode.workspace.onDidChangeConfiguration(event => {
+                // A new deny rule or protected path must apply to the very next command
+                if (event.affectsConfiguration('toshimo.terminal') || event.affectsConfiguration('toshimo.files')) {
+                    aiAgent.reloadSecurityConfig();
+                }
+            }),
+
+            vscode.workspace.onDidChangeConfiguration(event => {
+                // The reranker calls the LLM, so both sections affect it
+                if (event.affectsConfiguration('toshimo.context') || event.affectsConfiguration('toshimo.llm')) {
+                    contextManager.reloadRerankConfig();
+                }
+            }),
+
+            vscode.workspace.onDidChangeConfiguration(async event => {
+                // The embedding endpoint and key can fall back to the LLM settings
+                if (!event.affectsConfiguration('toshimo.embedding') && !event.affectsConfiguration('toshimo.llm')) return;
+                if (!(await contextManager.reloadEmbeddingConfig())) return;
+                const choice = await vscode.window.showInformationMessage(
+                    'Toshimo: The embedding model changed, so the codebase index has to be rebuilt.',
+                    'Rebuild Index'
+                );
+                if (choice === 'Rebuild Index') {
+                    await initializeCodebaseWithProgress(contextManager);
+                }
+            }),
+
+            vscode.commands.registerCommand('toshimo.showAgentTrace', async () => {
+                const trace = aiAgent.getLastTrace();
+                if (!trace) {
+                    vscode.window.showInformationMessage('Toshimo: No agent trace recorded yet.');
+                    return;
+                }
+                const document = await vscode.workspace.openTextDocument({
+                    language: 'json',
+                    content: JSON.stringify(trace, null, 2)
                 });
+                await vscode.window.showTextDocument(document, { preview: true });
             })
         ];
 
@@ -95,6 +147,25 @@ async function activate(context) {
     }
 }
 
+async function initializeCodebaseWithProgress(contextManager) {
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "Initializing Toshimo codebase",
+        cancellable: true
+    }, async (progress, token) => {
+        const result = await contextManager.initializeCodebase(token, progress);
+        if (result?.cancelled) {
+            vscode.window.showWarningMessage(
+                `Toshimo: Codebase initialization cancelled. Partial index saved (${result.indexedFiles} of ${result.totalFiles} files).`
+            );
+            return;
+        }
+        vscode.window.showInformationMessage(
+            `Toshimo: Codebase index is up to date (${result.indexedFiles} files embedded, ${result.removedFiles} removed, ${result.totalFiles} checked).`
+        );
+    });
+}
+
 function deactivate() {
     console.log('Toshimo deactivated');
 }
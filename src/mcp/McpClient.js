@@ -0,0 +1,193 @@
+const { spawn } = require('child_process');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+
+const PROTOCOL_VERSION = '2024-11-05';
+const DEFAULT_REQUEST_TIMEOUT_SECONDS = 60;
+const METHOD_NOT_FOUND = -32601;
+
+// Model Context Protocol client for a single server over the stdio transport:
+// newline-delimited JSON-RPC 2.0 messages on the child's stdin/stdout, logs on stderr.
+class McpClient {
+    constructor(name, config, log = () => {}) {
+        this.name = name;
+        this.config = config;
+        this.log = log;
+        this.timeoutSeconds = config.timeoutSeconds || DEFAULT_REQUEST_TIMEOUT_SECONDS;
+        this.process = undefined;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.buffer = '';
+        this.serverInfo = undefined;
+        this.capabilities = {};
+    }
+
+    async connect() {
+        this.process = spawn(this.config.command, this.config.args || [], {
+            cwd: this.config.cwd,
+            env: { ...process.env, ...(this.config.env || {}) },
+            stdio: ['pipe', 'pipe', 'pipe'],
+            windowsHide: true
+        });
+
+        this.process.stdout.on('data', data => this.onData(data));
+        this.process.stderr.on('data', data => this.log(data.toString().trimEnd()));
+        this.process.on('error', error => this.onExit(`failed to start: ${error.message}`));
+        this.process.on('close', (code, signal) => this.onExit(`exited with ${code ?? signal}`));
+        // Writes after the server died surface as request failures, not as crashes
+        this.process.stdin.on('error', error => this.log(`stdin error: ${error.message}`));
+
+        const result = await this.request('initialize', {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: { name: 'toshimo', version: '1.0.0' }
+        });
+        this.serverInfo = result.serverInfo;
+        this.capabilities = result.capabilities || {};
+        this.notify('notifications/initialized');
+        this.log(`Connected to ${result.serverInfo?.name || this.name} (protocol ${result.protocolVersion})`);
+        return result;
+    }
+
+    async listTools() {
+        return this.listAll('tools/list', 'tools');
+    }
+
+    async callTool(name, args, cancellationToken) {
+        return this.request('tools/call', { name, arguments: args }, cancellationToken);
+    }
+
+    async listResources() {
+        if (!this.capabilities.resources) return [];
+        return this.listAll('resources/list', 'resources');
+    }
+
+    async readResource(uri, cancellationToken) {
+        return this.request('resources/read', { uri }, cancellationToken);
+    }
+
+    // Follows nextCursor until the server has returned every page
+    async listAll(method, key) {
+        const items = [];
+        let cursor;
+        do {
+            const result = await this.request(method, cursor ? { cursor } : {});
+            items.push(...(result[key] || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+        return items;
+    }
+
+    request(method, params, cancellationToken) {
+        if (!this.isRunning()) {
+            return Promise.reject(new ToshimoError(ErrorType.MCP, `MCP server ${this.name} is not running`));
+        }
+        if (cancellationToken?.isCancellationRequested) {
+            return Promise.reject(new ToshimoError(ErrorType.Cancelled, `Cancelled before calling ${method} on ${this.name}`));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.settle(id);
+                this.notify('notifications/cancelled', { requestId: id, reason: 'timeout' });
+                reject(new ToshimoError(ErrorType.MCP, `MCP server ${this.name} did not answer ${method} within ${this.timeoutSeconds}s`));
+            }, this.timeoutSeconds * 1000);
+
+            const cancelListener = cancellationToken?.onCancellationRequested(() => {
+                this.settle(id);
+                this.notify('notifications/cancelled', { requestId: id, reason: 'cancelled by user' });
+                reject(new ToshimoError(ErrorType.Cancelled, `Cancelled ${method} on ${this.name}`));
+            });
+
+            this.pending.set(id, { resolve, reject, method, timer, cancelListener });
+            this.send({ jsonrpc: '2.0', id, method, params });
+        });
+    }
+
+    notify(method, params) {
+        if (this.isRunning()) {
+            this.send(params ? { jsonrpc: '2.0', method, params } : { jsonrpc: '2.0', method });
+        }
+    }
+
+    send(message) {
+        this.process.stdin.write(`${JSON.stringify(message)}\n`);
+    }
+
+    onData(data) {
+        this.buffer += data.toString();
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).trim();
+            this.buffer = this.buffer.slice(newline + 1);
+            if (!line) continue;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch {
+                this.log(`Ignoring non-JSON output: ${line}`);
+                continue;
+            }
+            this.onMessage(message);
+        }
+    }
+
+    onMessage(message) {
+        // Server-initiated request; only ping is supported
+        if (message.method && message.id !== undefined) {
+            this.send(message.method === 'ping'
+                ? { jsonrpc: '2.0', id: message.id, result: {} }
+                : { jsonrpc: '2.0', id: message.id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } });
+            return;
+        }
+        if (message.method) {
+            this.log(`Notification: ${message.method}`);
+            return;
+        }
+
+        const request = this.settle(message.id);
+        if (!request) return;
+        if (message.error) {
+            request.reject(new ToshimoError(
+                ErrorType.MCP,
+                `MCP server ${this.name} failed ${request.method}: ${message.error.message} (code ${message.error.code})`
+            ));
+        } else {
+            request.resolve(message.result || {});
+        }
+    }
+
+    settle(id) {
+        const request = this.pending.get(id);
+        if (!request) return undefined;
+        this.pending.delete(id);
+        clearTimeout(request.timer);
+        request.cancelListener?.dispose();
+        return request;
+    }
+
+    onExit(reason) {
+        if (!this.process) return;
+        this.log(`Server ${reason}`);
+        this.process = undefined;
+        for (const id of [...this.pending.keys()]) {
+            const request = this.settle(id);
+            request.reject(new ToshimoError(ErrorType.MCP, `MCP server ${this.name} ${reason} during ${request.method}`));
+        }
+    }
+
+    isRunning() {
+        return !!this.process && this.process.exitCode === null;
+    }
+
+    dispose() {
+        if (this.process) {
+            this.process.stdin.end();
+            this.process.kill();
+            this.process = undefined;
+        }
+    }
+}
+
+module.exports = { McpClient, PROTOCOL_VERSION };
@@ -0,0 +1,229 @@
+const vscode = require('vscode');
+const path = require('path');
+const { McpClient } = require('./McpClient');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+
+const TOOL_PREFIX = 'mcp_';
+const MAX_CONTEXT_RESOURCES = 3;
+const MAX_RESOURCE_LENGTH = 8000;
+const MAX_LISTED_RESOURCES = 50;
+
+// Starts the MCP servers configured in toshimo.mcp.servers, registers their tools in
+// the tool registry as mcp_<server> and offers their resources as context.
+class McpManager {
+    constructor(configManager, registry) {
+        this.configManager = configManager;
+        this.registry = registry;
+        this.servers = [];
+        this.outputChannel = undefined;
+    }
+
+    async connectAll() {
+        const configured = Object.entries(this.configManager?.getMcpConfig().servers || {})
+            .filter(([, config]) => config && config.command && !config.disabled);
+        if (configured.length === 0) return;
+
+        // Server definitions come from workspace settings, so they only run in trusted workspaces
+        if (!vscode.workspace.isTrusted) {
+            this.log('Workspace is not trusted; MCP servers were not started');
+            return;
+        }
+
+        const failed = [];
+        await Promise.all(configured.map(async ([name, config]) => {
+            try {
+                await this.connect(name, config);
+            } catch (error) {
+                this.log(`[${name}] ${error.message}`);
+                failed.push(name);
+            }
+        }));
+
+        if (failed.length > 0) {
+            vscode.window.showWarningMessage(
+                `Toshimo: Could not start MCP server${failed.length > 1 ? 's' : ''} ${failed.join(', ')}. See the "Toshimo MCP" output for details.`
+            );
+        }
+    }
+
+    async connect(name, config) {
+        const client = new McpClient(name, {
+            ...config,
+            cwd: this.resolveCwd(config.cwd)
+        }, message => this.log(`[${name}] ${message}`));
+
+        try {
+            await client.connect();
+            const tools = await client.listTools();
+            const resources = await client.listResources();
+            const server = { name, config, client, resources, toolName: this.toToolName(name) };
+
+            this.registry.register(this.createProxy(server, tools), this.createDescriptor(server, tools));
+            this.servers.push(server);
+            this.log(`[${name}] Registered ${tools.length} tools and ${resources.length} resources as ${server.toolName}`);
+        } catch (error) {
+            client.dispose();
+            throw error;
+        }
+    }
+
+    createDescriptor(server, tools) {
+        const { client, config } = server;
+        const commands = {};
+
+        for (const tool of tools) {
+            commands[this.toCommandName(tool.name)] = {
+                description: tool.description || tool.title || tool.name,
+                parameters: this.normalizeSchema(tool.inputSchema),
+                sideEffect: tool.annotations?.readOnlyHint ? 'read' : 'exec'
+            };
+        }
+        if (client.capabilities.resources && !commands.readResource) {
+            commands.readResource = {
+                description: `Read a resource from the ${server.name} MCP server by URI`,
+                sideEffect: 'read',
+                // Resources are already read into the context without asking
+                requiresApproval: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        uri: { type: 'string', description: 'Resource URI, as listed in the MCP Resources context' }
+                    },
+                    required: ['uri']
+                }
+            };
+        }
+
+        const serverName = client.serverInfo?.name ? ` (${client.serverInfo.name})` : '';
+        return {
+            name: server.toolName,
+            description: config.description || `Tools provided by the ${server.name} MCP server${serverName}`,
+            // Remote tools can do anything, so each call is approved unless the server is trusted
+            requiresApproval: !config.trusted,
+            sideEffect: 'exec',
+            commands
+        };
+    }
+
+    // Tool methods receive positional arguments in schema order followed by a context
+    // object; MCP wants them back as named arguments
+    createProxy(server, tools) {
+        const proxy = Object.create(null);
+
+        for (const tool of tools) {
+            const order = Object.keys(this.normalizeSchema(tool.inputSchema).properties);
+            proxy[this.toCommandName(tool.name)] = async (...args) => {
+                const { cancellationToken } = args.pop() || {};
+                const named = {};
+                order.forEach((key, i) => {
+                    if (args[i] !== undefined) named[key] = args[i];
+                });
+                const result = await server.client.callTool(tool.name, named, cancellationToken);
+                const text = this.formatContent(result.content);
+                if (result.isError) {
+                    throw new ToshimoError(ErrorType.MCP, text || `${tool.name} failed`);
+                }
+                return text || (result.structuredContent ? JSON.stringify(result.structuredContent, null, 2) : '(no output)');
+            };
+        }
+        if (server.client.capabilities.resources && !proxy.readResource) {
+            proxy.readResource = async (uri, { cancellationToken } = {}) => {
+                const result = await server.client.readResource(uri, cancellationToken);
+                return this.formatContent(result.contents) || '(empty resource)';
+            };
+        }
+        return proxy;
+    }
+
+    normalizeSchema(schema) {
+        return {
+            ...(schema || {}),
+            type: 'object',
+            properties: schema?.properties || {},
+            required: schema?.required || []
+        };
+    }
+
+    // Tool and resource contents are lists of text, image, audio or embedded resource items
+    formatContent(items = []) {
+        return items.map(item => {
+            if (typeof item.text === 'string') return item.text;
+            if (item.type === 'resource') return item.resource?.text ?? `[resource ${item.resource?.uri}]`;
+            if (item.blob !== undefined || item.data !== undefined) {
+                return `[${item.type || 'binary'} ${item.mimeType || ''} ${item.uri || ''}]`.replace(/\s+]/, ']');
+            }
+            return JSON.stringify(item);
+        }).join('\n');
+    }
+
+    // Context source for ContextManager: a catalogue of the available resources plus the
+    // contents of the few whose name or description shares words with the query
+    async getContext(query) {
+        const entries = this.servers.flatMap(server => server.resources.map(resource => ({ server, resource })));
+        if (entries.length === 0) return [];
+
+        const terms = new Set((query.toLowerCase().match(/[a-z0-9_]{3,}/g) || []));
+        const relevant = entries
+            .map(entry => ({ ...entry, score: this.scoreResource(entry.resource, terms) }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_CONTEXT_RESOURCES);
+
+        const context = [];
+        for (const { server, resource } of relevant) {
+            try {
+                const result = await server.client.readResource(resource.uri);
+                let text = this.formatContent(result.contents);
+                if (text.length > MAX_RESOURCE_LENGTH) {
+                    text = `${text.substring(0, MAX_RESOURCE_LENGTH)}\n... [truncated]`;
+                }
+                context.push(`MCP Resource: ${resource.name || resource.uri} (${resource.uri}, from ${server.name})
+\`\`\`
+${text}
+\`\`\``);
+            } catch (error) {
+                this.log(`[${server.name}] Failed to read ${resource.uri}: ${error.message}`);
+            }
+        }
+
+        const catalogue = entries.slice(0, MAX_LISTED_RESOURCES).map(({ server, resource }) =>
+            `- ${resource.uri}${resource.name ? ` (${resource.name})` : ''}${resource.description ? `: ${resource.description}` : ''} [${server.toolName}.readResource]`);
+        context.push(`MCP Resources:\n${catalogue.join('\n')}`);
+        return context;
+    }
+
+    scoreResource(resource, terms) {
+        const words = `${resource.name || ''} ${resource.description || ''} ${resource.uri}`.toLowerCase().match(/[a-z0-9_]{3,}/g) || [];
+        return new Set(words.filter(word => terms.has(word))).size;
+    }
+
+    resolveCwd(cwd) {
+        const root = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        if (!cwd) return root;
+        return root ? path.resolve(root, cwd) : cwd;
+    }
+
+    // Native tool names only allow letters, digits, _ and -, and __ separates tool from command
+    toToolName(serverName) {
+        return `${TOOL_PREFIX}${serverName.replace(/[^A-Za-z0-9_-]/g, '_').replace(/_{2,}/g, '_')}`;
+    }
+
+    toCommandName(toolName) {
+        return toolName.replace(/[^A-Za-z0-9_-]/g, '_');
+    }
+
+    log(message) {
+        if (!this.outputChannel) {
+            this.outputChannel = vscode.window.createOutputChannel('Toshimo MCP');
+        }
+        this.outputChannel.appendLine(`[${new Date().toISOString()}] ${message}`);
+    }
+
+    dispose() {
+        this.servers.forEach(server => server.client.dispose());
+        this.servers = [];
+        this.outputChannel?.dispose();
+    }
+}
+
+module.exports = { McpManager };
@@ -1,9 +1,12 @@
 const vscode = require('vscode');
+const fs = require('fs/promises');
+const path = require('path');
 
 class PromptHandler {
-    constructor(context, aiAgent) {
+    constructor(context, aiAgent, pendingChanges) {
         this.context = context;
         this.aiAgent = aiAgent;
+        this.pendingChanges = pendingChanges;
         this.messages = [];
         
         // Register the view provider
@@ -40,6 +43,15 @@ class PromptHandler {
                             case 'sendMessage':
                                 await this.handleUserMessage(message.text);
                                 break;
+                            case 'cancelRequest':
+                                this.cancelCurrentRequest();
+                                break;
+                            case 'changeAction':
+                                await this.handleChangeAction(message.action, message.filePath);
+                                break;
+                            case 'openFile':
+                                await this.openFileAtLine(message.filePath, message.line);
+                                break;
                         }
                     }
                 );
@@ -52,7 +64,13 @@ class PromptHandler {
         await vscode.commands.executeCommand('toshimoChatView.focus');
     }
 
-    async handleUserMessage(text) {
+    // Runs the fix-failing-tests agent mode, shown in the chat like a typed request
+    async fixFailingTests() {
+        await this.showPromptDialog();
+        await this.handleUserMessage('Fix the failing tests', { mode: 'fixTests' });
+    }
+
+    async handleUserMessage(text, options = {}) {
         try {
             // Add user message to chat
             this.messages.push({
@@ -74,12 +92,18 @@ class PromptHandler {
             });
             this._updateChatView();
 
+            this.cancellationSource = new vscode.CancellationTokenSource();
             try {
-                // Process with AI and get response
-                const response = await this.aiAgent.processPrompt(text, selectedText, fileContent);
+                // Process with AI and get response, streaming tokens into the chat as they arrive
+                const response = await this.aiAgent.processPrompt(text, selectedText, fileContent, {
+                    onToken: token => this._appendStreamToken(token),
+                    onStep: () => this._endStreamStep(),
+                    cancellationToken: this.cancellationSource.token,
+                    mode: options.mode
+                });
 
-                // Remove processing message
-                this.messages = this.messages.filter(m => m.id !== 'processing');
+                // Remove processing and streamed messages
+                this.messages = this.messages.filter(m => m.id !== 'processing' && !this._isStreamed(m));
 
                 // Handle questions if any
                 if (response.requiresUserInput && response.questions) {
@@ -111,9 +135,16 @@ class PromptHandler {
                         });
                     }
 
+                    if (response.cancelled) {
+                        this.messages.push({
+                            role: 'system',
+                            content: '⏹️ Request cancelled. Anything shown above is a partial result.'
+                        });
+                    }
+
                     // Handle file changes
                     if (response.changes && response.changes.length > 0) {
-                        const changeMessages = await this.handleFileChanges(response.changes);
+                        const changeMessages = this.handleFileChanges(response.changes);
                         this.messages.push(...changeMessages);
                     }
 
@@ -126,14 +157,17 @@ class PromptHandler {
                     }
                 }
             } catch (error) {
-                // Remove processing message
-                this.messages = this.messages.filter(m => m.id !== 'processing');
+                // Remove processing and streamed messages
+                this.messages = this.messages.filter(m => m.id !== 'processing' && !this._isStreamed(m));
                 
                 // Add error message
                 this.messages.push({
                     role: 'system',
                     content: `❌ Error: ${error.message}`
                 });
+            } finally {
+                this.cancellationSource.dispose();
+                this.cancellationSource = undefined;
             }
 
             this._updateChatView();
@@ -148,58 +182,219 @@ class PromptHandler {
         }
     }
 
-    async handleFileChanges(changes) {
+    cancelCurrentRequest() {
+        if (this.cancellationSource) {
+            console.log('Cancelling current request');
+            this.cancellationSource.cancel();
+        }
+    }
+
+    // Changes are already staged in PendingChanges; the chat only previews them and
+    // offers the buttons that decide whether they reach the disk
+    handleFileChanges(changes) {
         const messages = [];
-        
+
         for (const change of changes) {
             try {
-                // Create diff view
-                const uri = vscode.Uri.file(change.file);
-                let originalContent = '';
-                try {
-                    const document = await vscode.workspace.openTextDocument(uri);
-                    originalContent = document.getText();
-                } catch {
-                    // File doesn't exist yet
+                // Older messages for the same file now point at a stale version
+                for (const message of this.messages) {
+                    if (message.id === this._changeMessageId(change.filePath)) {
+                        delete message.actions;
+                    }
                 }
 
-                // Show diff in chat
+                const { patch, added, removed } = this.pendingChanges.getDiff(change.filePath, { headers: false });
+                const label = change.originalContent === null
+                    ? 'New file'
+                    : change.proposedContent === null ? 'Delete' : 'Proposed changes to';
                 messages.push({
                     role: 'system',
-                    content: `📝 Changes to \`${change.file}\`:\n\`\`\`diff\n${this.createDiff(originalContent, change.content)}\`\`\``
+                    id: this._changeMessageId(change.filePath),
+                    content: `📝 ${label} \`${change.relativePath}\` (+${added} −${removed}):\n\`\`\`diff\n${patch || 'No changes\n'}\`\`\``,
+                    actions: [
+                        { label: 'View Diff', action: 'showDiff', filePath: change.filePath },
+                        { label: 'Accept', action: 'accept', filePath: change.filePath },
+                        { label: 'Reject', action: 'reject', filePath: change.filePath }
+                    ]
                 });
-
             } catch (error) {
                 messages.push({
                     role: 'system',
-                    content: `❌ Error processing changes for ${change.file}: ${error.message}`
+                    content: `❌ Error processing changes for ${change.relativePath}: ${error.message}`
                 });
             }
         }
 
+        // The summary always goes last, after the newest file messages
+        this.messages = this.messages.filter(m => m.id !== 'change:all');
+        const summary = this._createChangeSummary();
+        if (summary) {
+            messages.push(summary);
+        }
+
         return messages;
     }
 
-    createDiff(originalContent, newContent) {
-        const original = originalContent.split('\n');
-        const modified = newContent.split('\n');
-        let diff = '';
+    async handleChangeAction(action, filePath) {
+        try {
+            switch (action) {
+                case 'showDiff':
+                    await this.pendingChanges.showDiff(filePath);
+                    return;
+                case 'exportPatch':
+                    await this.exportPatch();
+                    return;
+                case 'accept':
+                    this._markChange(await this.pendingChanges.accept(filePath), '✅ Accepted');
+                    break;
+                case 'reject':
+                    this._markChange(this.pendingChanges.reject(filePath), '🚫 Rejected');
+                    break;
+                case 'acceptAll':
+                    (await this.pendingChanges.acceptAll()).forEach(change => this._markChange(change, '✅ Accepted'));
+                    break;
+                case 'rejectAll':
+                    this.pendingChanges.rejectAll().forEach(change => this._markChange(change, '🚫 Rejected'));
+                    break;
+                default:
+                    console.warn('Unknown change action:', action);
+                    return;
+            }
 
-        for (let i = 0; i < Math.max(original.length, modified.length); i++) {
-            if (i < original.length && i < modified.length) {
-                if (original[i] !== modified[i]) {
-                    diff += `- ${original[i]}\n+ ${modified[i]}\n`;
+            const index = this.messages.findIndex(m => m.id === 'change:all');
+            if (index !== -1) {
+                const summary = this._createChangeSummary();
+                if (summary) {
+                    this.messages[index] = summary;
                 } else {
-                    diff += `  ${original[i]}\n`;
+                    this.messages.splice(index, 1);
                 }
-            } else if (i < original.length) {
-                diff += `- ${original[i]}\n`;
-            } else {
-                diff += `+ ${modified[i]}\n`;
             }
+        } catch (error) {
+            console.error('Error handling change action:', error);
+            this.messages.push({
+                role: 'system',
+                content: `❌ Error: ${error.message}`
+            });
+        }
+        this._updateChatView();
+    }
+
+    async exportPatch() {
+        const patch = this.pendingChanges.toPatch();
+        if (!patch) {
+            vscode.window.showInformationMessage('Toshimo: No pending changes to export.');
+            return;
+        }
+
+        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri;
+        const uri = await vscode.window.showSaveDialog({
+            defaultUri: workspaceRoot ? vscode.Uri.joinPath(workspaceRoot, 'toshimo.patch') : undefined,
+            filters: { 'Patch files': ['patch', 'diff'] }
+        });
+        if (!uri) return;
+
+        await fs.writeFile(uri.fsPath, patch);
+        vscode.window.showInformationMessage(`Toshimo: Saved patch to ${uri.fsPath}`);
+    }
+
+    // Opens a file:line cited in the chat; paths are relative to the workspace root
+    async openFileAtLine(filePath, line) {
+        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        if (!workspaceRoot) return;
+
+        const absolutePath = path.resolve(workspaceRoot, filePath);
+        if (path.relative(workspaceRoot, absolutePath).startsWith('..')) {
+            vscode.window.showWarningMessage(`Toshimo: ${filePath} is outside the workspace`);
+            return;
+        }
+
+        try {
+            const document = await vscode.workspace.openTextDocument(absolutePath);
+            const position = new vscode.Position(Math.max(0, Math.min((line || 1) - 1, document.lineCount - 1)), 0);
+            await vscode.window.showTextDocument(document, {
+                selection: new vscode.Range(position, position),
+                preview: true
+            });
+        } catch (error) {
+            console.warn('Could not open cited file:', error);
+            vscode.window.showWarningMessage(`Toshimo: Could not open ${filePath}`);
+        }
+    }
+
+    // Totals across every pending file, with the bulk actions
+    _createChangeSummary() {
+        const pending = this.pendingChanges.list();
+        if (pending.length === 0) {
+            return null;
+        }
+
+        let added = 0;
+        let removed = 0;
+        for (const change of pending) {
+            const stats = this.pendingChanges.getDiff(change.filePath, { headers: false });
+            added += stats.added;
+            removed += stats.removed;
+        }
+
+        const actions = pending.length > 1
+            ? [{ label: 'Accept All', action: 'acceptAll' }, { label: 'Reject All', action: 'rejectAll' }]
+            : [];
+        actions.push({ label: 'Export Patch', action: 'exportPatch' });
+
+        return {
+            role: 'system',
+            id: 'change:all',
+            content: `${pending.length} file${pending.length === 1 ? '' : 's'} with pending changes (+${added} −${removed})`,
+            actions
+        };
+    }
+
+    _markChange(change, status) {
+        for (const message of this.messages) {
+            if (message.id === this._changeMessageId(change.filePath) && message.actions) {
+                delete message.actions;
+                message.content += `\n${status}`;
+            }
+        }
+    }
+
+    _changeMessageId(filePath) {
+        return `change:${filePath}`;
+    }
+
+    // Keeps the text streamed for the previous step in its own message, so the next step's
+    // tokens start a new one
+    _endStreamStep() {
+        const streamingMessage = this.messages.find(m => m.id === 'streaming');
+        if (streamingMessage) {
+            streamingMessage.id = `streamed:${this.messages.indexOf(streamingMessage)}`;
         }
+    }
 
-        return diff;
+    _isStreamed(message) {
+        return message.id === 'streaming' || message.id?.startsWith('streamed:');
+    }
+
+    _appendStreamToken(token) {
+        const streamingMessage = this.messages.find(m => m.id === 'streaming');
+        if (!streamingMessage) {
+            this.messages.push({
+                role: 'assistant',
+                content: token,
+                id: 'streaming'
+            });
+            this._updateChatView();
+            return;
+        }
+
+        streamingMessage.content += token;
+        if (this.currentView) {
+            this.currentView.webview.postMessage({
+                command: 'streamToken',
+                token
+            });
+        }
     }
 
     _updateChatView() {
@@ -307,6 +502,23 @@ class PromptHandler {
                         #send-button:hover:not(:disabled) {
                             background-color: var(--vscode-button-hoverBackground);
                         }
+
+                        #stop-button {
+                            display: none;
+                            padding: 8px 16px;
+                            height: 40px;
+                            background-color: var(--vscode-button-secondaryBackground);
+                            color: var(--vscode-button-secondaryForeground);
+                            border: none;
+                            border-radius: 4px;
+                            cursor: pointer;
+                            font-family: var(--vscode-font-family);
+                            white-space: nowrap;
+                        }
+
+                        #stop-button:hover:not(:disabled) {
+                            background-color: var(--vscode-button-secondaryHoverBackground);
+                        }
                         
                         #send-button:disabled {
                             opacity: 0.5;
@@ -325,6 +537,32 @@ class PromptHandler {
                             font-family: var(--vscode-editor-font-family);
                             font-size: var(--vscode-editor-font-size);
                         }
+
+                        .file-link {
+                            color: var(--vscode-textLink-foreground);
+                            cursor: pointer;
+                            text-decoration: underline;
+                        }
+
+                        .message-actions {
+                            display: flex;
+                            gap: 6px;
+                            margin-top: 8px;
+                        }
+
+                        .message-actions button {
+                            padding: 4px 10px;
+                            background-color: var(--vscode-button-secondaryBackground);
+                            color: var(--vscode-button-secondaryForeground);
+                            border: none;
+                            border-radius: 4px;
+                            cursor: pointer;
+                            font-family: var(--vscode-font-family);
+                        }
+
+                        .message-actions button:hover {
+                            background-color: var(--vscode-button-secondaryHoverBackground);
+                        }
                     </style>
                 </head>
                 <body>
@@ -337,6 +575,7 @@ class PromptHandler {
                                 rows="1"
                             ></textarea>
                             <button type="submit" id="send-button">Send</button>
+                            <button type="button" id="stop-button">Stop</button>
                         </div>
                     </form>
 
@@ -346,19 +585,41 @@ class PromptHandler {
                             const chatContainer = document.getElementById('chat-container');
                             const messageInput = document.getElementById('message-input');
                             const sendButton = document.getElementById('send-button');
+                            const stopButton = document.getElementById('stop-button');
                             const chatForm = document.getElementById('chat-form');
                             let isProcessing = false;
+                            let streamingText = '';
 
                             function formatMessage(msg) {
-                                return formatMessageContent(msg.content);
+                                return formatMessageContent(msg.content) + formatActions(msg.actions);
+                            }
+
+                            function formatActions(actions) {
+                                if (!actions || actions.length === 0) return '';
+                                const buttons = actions.map(action =>
+                                    \`<button data-action="\${escapeHtml(action.action)}" data-file="\${encodeURIComponent(action.filePath || '')}">\${escapeHtml(action.label)}</button>\`
+                                ).join('');
+                                return \`<div class="message-actions">\${buttons}</div>\`;
+                            }
+
+                            // Model output and file contents must show as text, not markup
+                            function escapeHtml(text) {
+                                return String(text ?? '')
+                                    .replace(/&/g, '&amp;')
+                                    .replace(/</g, '&lt;')
+                                    .replace(/>/g, '&gt;')
+                                    .replace(/"/g, '&quot;')
+                                    .replace(/'/g, '&#39;');
                             }
 
                             function formatMessageContent(content) {
-                                return content
+                                return escapeHtml(content)
                                     .replace(/\`\`\`(.*?)\`\`\`/gs, '<pre><code>$1</code></pre>')
                                     .replace(/\`([^\`]+)\`/g, '<code>$1</code>')
                                     .replace(/\\n/g, '<br>')
-                                    .replace(/^- (.*)$/gm, '• $1');
+                                    .replace(/^- (.*)$/gm, '• $1')
+                                    .replace(/(^|[\\s(>])((?:[\\w.-]+\\/)*[\\w-]+\\.[A-Za-z]\\w*):(\\d+)(-\\d+)?/g,
+                                        '$1<a class="file-link" data-path="$2" data-line="$3">$2:$3$4</a>');
                             }
 
                             function sendMessage(e) {
@@ -373,9 +634,7 @@ class PromptHandler {
                                 }
                                 
                                 console.log('Sending message:', text);
-                                isProcessing = true;
-                                sendButton.disabled = true;
-                                messageInput.disabled = true;
+                                setProcessing(true);
                                 
                                 vscode.postMessage({
                                     command: 'sendMessage',
@@ -392,22 +651,69 @@ class PromptHandler {
                                     const className = msg.role === 'user' ? 'user-message' : 
                                                     msg.role === 'system' ? 'system-message' : 
                                                     'assistant-message';
-                                    return \`<div class="message \${className}">\${formatMessage(msg)}</div>\`;
+                                    const idAttribute = msg.id ? \` data-id="\${msg.id}"\` : '';
+                                    return \`<div class="message \${className}"\${idAttribute}>\${formatMessage(msg)}</div>\`;
                                 }).join('');
+                                streamingText = messages.find(m => m.id === 'streaming')?.content || '';
                                 
                                 chatContainer.scrollTop = chatContainer.scrollHeight;
                                 
                                 if (!messages.some(m => m.id === 'processing')) {
                                     console.log('Re-enabling input');
-                                    isProcessing = false;
-                                    sendButton.disabled = false;
-                                    messageInput.disabled = false;
+                                    setProcessing(false);
                                     messageInput.focus();
                                 }
                             }
 
+                            function setProcessing(processing) {
+                                isProcessing = processing;
+                                sendButton.disabled = processing;
+                                messageInput.disabled = processing;
+                                sendButton.style.display = processing ? 'none' : '';
+                                stopButton.style.display = processing ? 'block' : 'none';
+                                stopButton.disabled = false;
+                            }
+
+                            function cancelRequest() {
+                                if (!isProcessing) return;
+                                stopButton.disabled = true;
+                                vscode.postMessage({ command: 'cancelRequest' });
+                            }
+
+                            function appendStreamToken(token) {
+                                const streamingElement = chatContainer.querySelector('[data-id="streaming"]');
+                                if (!streamingElement) return;
+                                streamingText += token;
+                                streamingElement.innerHTML = formatMessageContent(streamingText);
+                                chatContainer.scrollTop = chatContainer.scrollHeight;
+                            }
+
                             // Handle form submission
                             chatForm.addEventListener('submit', sendMessage);
+                            stopButton.addEventListener('click', cancelRequest);
+
+                            // file:line citations, and Accept / Reject / View Diff buttons on proposed changes
+                            chatContainer.addEventListener('click', (e) => {
+                                const link = e.target.closest('.file-link');
+                                if (link) {
+                                    vscode.postMessage({
+                                        command: 'openFile',
+                                        filePath: link.dataset.path,
+                                        line: Number(link.dataset.line)
+                                    });
+                                    return;
+                                }
+                                const button = e.target.closest('button[data-action]');
+                                if (!button) return;
+                                if (button.dataset.action !== 'showDiff' && button.dataset.action !== 'exportPatch') {
+                                    button.disabled = true;
+                                }
+                                vscode.postMessage({
+                                    command: 'changeAction',
+                                    action: button.dataset.action,
+                                    filePath: decodeURIComponent(button.dataset.file)
+                                });
+                            });
 
                             // Handle Enter key
                             messageInput.addEventListener('keydown', (e) => {
@@ -425,6 +731,9 @@ class PromptHandler {
                                     case 'updateChat':
                                         updateChat(message.messages);
                                         break;
+                                    case 'streamToken':
+                                        appendStreamToken(message.token);
+                                        break;
                                 }
                             });
 
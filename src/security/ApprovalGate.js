@@ -0,0 +1,122 @@
+const vscode = require('vscode');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+
+const RUN = 'Run';
+const RUN_AND_REMEMBER = 'Run and Remember for This Session';
+const ALLOW = 'Allow';
+const ALLOW_AND_REMEMBER = 'Allow for This Session';
+const MAX_ARGUMENT_PREVIEW = 200;
+
+// Asks the user before the agent runs a shell command, unless the command policy
+// already allows or denies it, and before any other tool command that requires approval.
+// Every decision is written to the "Toshimo Commands Log" output channel.
+class ApprovalGate {
+    constructor(policy) {
+        this.policy = policy;
+        this.sessionApprovals = new Set();
+        this.outputChannel = undefined;
+    }
+
+    // Resolves when the command may run; throws a Permission error otherwise
+    async approveCommand(command, cwd) {
+        const { decision, pattern } = this.policy.evaluate(command);
+
+        if (decision === 'deny') {
+            this.log('DENIED', command, `cwd: ${cwd}`, `matches denied pattern ${pattern}`);
+            throw new ToshimoError(
+                ErrorType.Permission,
+                `Command blocked by policy (matches denied pattern ${pattern}): ${command}`
+            );
+        }
+
+        if (decision === 'allow') {
+            this.log('ALLOWED', command, `cwd: ${cwd}`, 'matches allowed patterns');
+            return;
+        }
+
+        const key = `${cwd}\n${command}`;
+        if (this.sessionApprovals.has(key)) {
+            this.log('ALLOWED', command, `cwd: ${cwd}`, 'approved earlier this session');
+            return;
+        }
+
+        const choice = await vscode.window.showWarningMessage(
+            'Toshimo wants to run a command',
+            {
+                modal: true,
+                detail: `${command}\n\nWorking directory: ${cwd}`
+            },
+            RUN,
+            RUN_AND_REMEMBER
+        );
+
+        if (choice === RUN_AND_REMEMBER) {
+            this.sessionApprovals.add(key);
+            this.log('APPROVED', command, `cwd: ${cwd}`, 'by user, remembered for this session');
+            return;
+        }
+        if (choice === RUN) {
+            this.log('APPROVED', command, `cwd: ${cwd}`, 'by user');
+            return;
+        }
+
+        this.log('DECLINED', command, `cwd: ${cwd}`, 'by user');
+        throw new ToshimoError(ErrorType.Permission, `The user declined to run: ${command}`);
+    }
+
+    // For tool commands other than shell commands; approval can be remembered per command
+    async approveAction(definition, args) {
+        const name = `${definition.tool}.${definition.command}`;
+        const where = `${definition.sideEffect} access`;
+
+        if (this.sessionApprovals.has(name)) {
+            this.log('ALLOWED', name, where, 'approved earlier this session');
+            return;
+        }
+
+        const names = Object.keys(definition.parameters.properties || {});
+        const detail = names
+            .map((paramName, i) => `${paramName}: ${this.previewArgument(args[i])}`)
+            .join('\n');
+        const choice = await vscode.window.showWarningMessage(
+            `Toshimo wants to use ${name}`,
+            { modal: true, detail: `${definition.description}\n\n${detail}` },
+            ALLOW,
+            ALLOW_AND_REMEMBER
+        );
+
+        if (choice === ALLOW_AND_REMEMBER) {
+            this.sessionApprovals.add(name);
+            this.log('APPROVED', name, where, 'by user, remembered for this session');
+            return;
+        }
+        if (choice === ALLOW) {
+            this.log('APPROVED', name, where, 'by user');
+            return;
+        }
+
+        this.log('DECLINED', name, where, 'by user');
+        throw new ToshimoError(ErrorType.Permission, `The user declined ${name}`);
+    }
+
+    previewArgument(value) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        if (text === undefined) return '(not set)';
+        return text.length > MAX_ARGUMENT_PREVIEW ? `${text.substring(0, MAX_ARGUMENT_PREVIEW)}...` : text;
+    }
+
+    log(decision, subject, context, reason) {
+        if (!this.outputChannel) {
+            this.outputChannel = vscode.window.createOutputChannel('Toshimo Commands Log');
+        }
+        const line = `[${new Date().toISOString()}] ${decision}: ${subject} (${context}; ${reason})`;
+        this.outputChannel.appendLine(line);
+        console.log(line);
+    }
+
+    dispose() {
+        this.outputChannel?.dispose();
+    }
+}
+
+module.exports = { ApprovalGate };
@@ -0,0 +1,76 @@
+// Decides whether a shell command proposed by the agent may run. Patterns are regular
+// expressions from the toshimo.terminal.allowedCommands / deniedCommands settings.
+// Denied patterns always win; a command runs without asking only if every part of it
+// (split on ;, &, &&, || and |) matches an allowed pattern. Everything else needs approval,
+// including any command with substitution, redirection or a subshell, which can run or
+// write things no single part shows.
+
+const DEFAULT_DENIED_COMMANDS = [
+    // rm with both a recursive and a force flag, in any order or spelling
+    '\\brm\\s+(?=(?:[^;&|\\n]*\\s)?-(?:[a-zA-Z]*[rR]|-recursive))(?=(?:[^;&|\\n]*\\s)?-(?:[a-zA-Z]*f|-force))',
+    '\\b(curl|wget)\\b[^|]*\\|\\s*(sudo\\s+)?(ba|z|da|k)?sh\\b',
+    '\\bgit\\s+push\\b.*(--force\\b|--force-with-lease\\b|\\s-f\\b)',
+    '\\bsudo\\b',
+    '\\bmkfs(\\.\\w+)?\\b',
+    '\\bdd\\s+.*\\bof=/dev/',
+    ':\\(\\)\\s*\\{.*\\};\\s*:'
+];
+
+// $(...), backticks, < and > redirection (including <(...) and >(...)), and a part
+// starting with ( or {
+const UNCHECKABLE_SYNTAX = /\$\(|`|[<>]|(^|[;&|\n])\s*[({]/;
+// Duplicating a file descriptor, like 2>&1, writes nowhere
+const FD_DUPLICATION = /\d*>&\d+/g;
+
+class CommandPolicy {
+    constructor(config = {}) {
+        this.allowed = this.compile(config.allowedCommands || []);
+        this.denied = this.compile(config.deniedCommands || DEFAULT_DENIED_COMMANDS);
+    }
+
+    // Returns { decision: 'allow' | 'deny' | 'ask', pattern }
+    evaluate(command) {
+        const normalized = command.replace(FD_DUPLICATION, '');
+        const segments = this.splitSegments(normalized);
+
+        for (const { pattern, regex } of this.denied) {
+            if (regex.test(command) || segments.some(segment => regex.test(segment))) {
+                return { decision: 'deny', pattern };
+            }
+        }
+
+        if (UNCHECKABLE_SYNTAX.test(normalized)) {
+            return { decision: 'ask', pattern: null };
+        }
+
+        if (segments.length > 0 && segments.every(segment => this.allowed.some(({ regex }) => regex.test(segment)))) {
+            return { decision: 'allow', pattern: null };
+        }
+
+        return { decision: 'ask', pattern: null };
+    }
+
+    splitSegments(command) {
+        return command
+            .split(/&&|\|\||[;&|\n]/)
+            .map(segment => segment.trim())
+            .filter(segment => segment.length > 0);
+    }
+
+    compile(patterns) {
+        const compiled = [];
+        for (const pattern of patterns) {
+            try {
+                compiled.push({ pattern, regex: new RegExp(pattern) });
+            } catch (error) {
+                console.error(`Ignoring invalid command pattern "${pattern}":`, error.message);
+            }
+        }
+        return compiled;
+    }
+}
+
+module.exports = {
+    CommandPolicy,
+    DEFAULT_DENIED_COMMANDS
+};
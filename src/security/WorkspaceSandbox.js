@@ -0,0 +1,124 @@
+const vscode = require('vscode');
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { matchesAnyGlob } = require('../utils/Glob');
+
+// Writes to these are refused even inside the workspace. .vscode/settings.json and
+// .toshimo/tools are included so the agent can't widen its own permissions or tools.
+const DEFAULT_PROTECTED_PATHS = [
+    '.git',
+    '.env',
+    '.env.*',
+    '.vscode/settings.json',
+    '.toshimo/tools',
+    '*.code-workspace',
+    '*.pem',
+    '*.key',
+    'id_rsa*',
+    'id_ed25519*'
+];
+
+// Resolves model-supplied paths for the file tools. Relative paths are resolved against
+// the first workspace folder (or the folder named by their first segment in multi-root
+// workspaces); symlinks are followed and the result must stay inside a workspace folder.
+class WorkspaceSandbox {
+    constructor(config = {}) {
+        this.configure(config);
+    }
+
+    // Called again when the toshimo.files settings change
+    configure(config = {}) {
+        this.protectedPaths = config.protectedPaths || DEFAULT_PROTECTED_PATHS;
+    }
+
+    async resolve(filePath, { write = false } = {}) {
+        if (typeof filePath !== 'string' || !filePath.trim()) {
+            throw new ToshimoError(ErrorType.Sandbox, 'A file path is required');
+        }
+
+        const roots = await this.getRoots();
+        if (roots.length === 0) {
+            throw new ToshimoError(ErrorType.Sandbox, 'File tools need an open workspace folder');
+        }
+
+        const candidate = this.toAbsolute(filePath, roots);
+        const realCandidate = await this.realpathAllowingMissing(candidate);
+        const root = roots.find(r => this.isInside(realCandidate, r.realPath));
+        if (!root) {
+            throw new ToshimoError(
+                ErrorType.Sandbox,
+                `Access denied: ${filePath} is outside the workspace`
+            );
+        }
+
+        const relativePath = path.relative(root.realPath, realCandidate);
+        // .GIT/config is .git/config on the default macOS and Windows file systems
+        const ignoreCase = os.platform() === 'darwin' || os.platform() === 'win32';
+        if (write && matchesAnyGlob(relativePath, this.protectedPaths, { ignoreCase })) {
+            throw new ToshimoError(
+                ErrorType.Sandbox,
+                `Access denied: ${relativePath} is protected and cannot be modified`
+            );
+        }
+
+        // Report the path under the workspace folder as VS Code knows it
+        return path.join(root.path, relativePath);
+    }
+
+    async getRoots() {
+        const folders = vscode.workspace.workspaceFolders || [];
+        return Promise.all(folders.map(async folder => ({
+            name: folder.name,
+            path: folder.uri.fsPath,
+            realPath: await this.realpathAllowingMissing(folder.uri.fsPath)
+        })));
+    }
+
+    toAbsolute(filePath, roots) {
+        if (path.isAbsolute(filePath)) {
+            return path.resolve(filePath);
+        }
+
+        const [firstSegment, ...rest] = filePath.split(/[\\/]/);
+        const namedRoot = roots.length > 1 && roots.find(r => r.name === firstSegment);
+        if (namedRoot) {
+            return path.resolve(namedRoot.path, ...rest);
+        }
+        return path.resolve(roots[0].path, filePath);
+    }
+
+    // Resolves symlinks in the longest existing prefix, so new files can be checked too
+    async realpathAllowingMissing(filePath) {
+        const missing = [];
+        let current = filePath;
+
+        for (;;) {
+            try {
+                const real = await fs.realpath(current);
+                return path.join(real, ...missing.reverse());
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+                    throw error;
+                }
+                const parent = path.dirname(current);
+                if (parent === current) {
+                    return filePath;
+                }
+                missing.push(path.basename(current));
+                current = parent;
+            }
+        }
+    }
+
+    isInside(filePath, rootPath) {
+        const relative = path.relative(rootPath, filePath);
+        return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+    }
+}
+
+module.exports = {
+    WorkspaceSandbox,
+    DEFAULT_PROTECTED_PATHS
+};
@@ -1,7 +1,18 @@
-const axios = require('axios');
 const { ErrorHandler, ToshimoError, ErrorType } = require('../utils/ErrorHandler');
 const os = require('os');
 const { CodeContext } = require('../context/CodeContext');
+const { StreamingClient } = require('./StreamingClient');
+const { throwIfCancelled, toAbortSignal } = require('../utils/Cancellation');
+const {
+    toOpenAITools,
+    toClaudeTools,
+    toOllamaTools,
+    toolCallToAction,
+    toOpenAIMessages,
+    toOllamaMessages,
+    toClaudeMessages,
+    toTextMessages
+} = require('./ToolCalling');
 
 class LLMService {
     constructor(configManager) {
@@ -32,6 +43,9 @@ class LLMService {
             shell: process.env.SHELL || (this.platform === 'win32' ? 'cmd.exe' : '/bin/bash')
         };
         this.codeContext = new CodeContext();
+        this.streamingClient = new StreamingClient();
+        // provider:model pairs that rejected native tool calls
+        this.toolsUnsupported = new Set();
         this.initializeCodeContext();
     }
 
@@ -39,7 +53,10 @@ class LLMService {
         await this.codeContext.initialize();
     }
 
-    async generateResponse(prompt, context, chatHistory = []) {
+    // options.onToken is called with each chunk of text as the provider streams it;
+    // options.cancellationToken aborts the request and returns whatever arrived so far;
+    // options.tools (tool definitions) are sent through the provider's native tool-calling API
+    async generateResponse(prompt, context, chatHistory = [], options = {}) {
         console.log("=======================================")
         console.log('Generating response with:', {
             provider: this.config.provider,
@@ -51,6 +68,8 @@ class LLMService {
 
         return ErrorHandler.withErrorHandling(
             async () => {
+                throwIfCancelled(options.cancellationToken);
+
                 // Validate API key only when making actual calls
                 if (this.config.provider !== 'ollama' && !this.config.apiKey) {
                     console.warn(`No API key found for ${this.config.provider}`);
@@ -60,18 +79,22 @@ class LLMService {
                     );
                 }
                 
-                console.log('Using provider:', this.config.provider);
+                options = { ...options, nativeTools: this.shouldUseNativeTools(options.tools) };
+                if (!options.nativeTools) {
+                    chatHistory = toTextMessages(chatHistory);
+                }
+                console.log('Using provider:', this.config.provider, options.nativeTools ? 'with native tools' : 'with response markers');
                 switch (this.config.provider) {
                     case 'claude':
-                        return await this.callClaude(prompt, context, chatHistory);
+                        return await this.callClaude(prompt, context, chatHistory, options);
                     case 'openai':
-                        return await this.callOpenAI(prompt, context, chatHistory);
+                        return await this.callOpenAI(prompt, context, chatHistory, options);
                     case 'ollama':
-                        return await this.callOllama(prompt, context, chatHistory);
+                        return await this.callOllama(prompt, context, chatHistory, options);
                     default:
                         console.warn(`Unsupported provider ${this.config.provider}, falling back to Ollama`);
                         this.config.provider = 'ollama';
-                        return await this.callOllama(prompt, context, chatHistory);
+                        return await this.callOllama(prompt, context, chatHistory, options);
                 }
             },
             'LLMService.generateResponse',
@@ -79,15 +102,131 @@ class LLMService {
                 content: 'Failed to generate response. Please check the error message and try again.',
                 actions: [],
                 questions: [],
-                requiresUserInput: false
+                requiresUserInput: false,
+                failed: true
             }
         );
     }
 
-    async callOllama(prompt, context, chatHistory = []) {
+    // Settings are read once; call after toshimo.llm changes
+    reloadConfig() {
+        this.config = this.configManager.getLLMConfig();
+    }
+
+    // One prompt without the agent's system prompt, tools or history, for internal work
+    // like reranking. Failures are thrown to the caller instead of shown to the user.
+    // options: { system, maxTokens, cancellationToken }; returns the reply text.
+    async complete(prompt, options = {}) {
+        throwIfCancelled(options.cancellationToken);
+        if (this.config.provider !== 'ollama' && !this.config.apiKey) {
+            throw new ToshimoError(ErrorType.Configuration, 'API key is required for ' + this.config.provider);
+        }
+
+        const abort = toAbortSignal(options.cancellationToken);
+        const maxTokens = options.maxTokens || this.config.parameters?.maxTokens || 50000;
+        const messages = [
+            ...(options.system ? [{ role: 'system', content: options.system }] : []),
+            { role: 'user', content: prompt }
+        ];
+        let text = '';
+        try {
+            switch (this.config.provider) {
+                case 'claude':
+                    await this.streamingClient.stream({
+                        url: 'https://api.anthropic.com/v1/messages',
+                        body: {
+                            model: this.config.model || 'claude-3-opus-20240229',
+                            max_tokens: maxTokens,
+                            messages: [{ role: 'user', content: prompt }],
+                            ...(options.system ? { system: options.system } : {}),
+                            stream: true
+                        },
+                        headers: {
+                            'x-api-key': this.config.apiKey,
+                            'anthropic-version': '2023-06-01',
+                            'content-type': 'application/json'
+                        },
+                        format: 'sse',
+                        signal: abort.signal,
+                        onEvent: (event) => {
+                            const data = JSON.parse(event.data);
+                            if (data.type === 'error') {
+                                throw new ToshimoError(ErrorType.API, `Claude API error: ${data.error?.message || event.data}`);
+                            }
+                            if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+                                text += data.delta.text;
+                            }
+                        }
+                    });
+                    break;
+                case 'openai':
+                    await this.streamingClient.stream({
+                        url: 'https://api.openai.com/v1/chat/completions',
+                        body: {
+                            model: this.config.model || 'gpt-4',
+                            messages,
+                            max_tokens: maxTokens,
+                            temperature: 0,
+                            stream: true
+                        },
+                        headers: {
+                            'Authorization': `Bearer ${this.config.apiKey}`,
+                            'Content-Type': 'application/json'
+                        },
+                        format: 'sse',
+                        signal: abort.signal,
+                        onEvent: (event) => {
+                            if (event.data === '[DONE]') return;
+                            text += JSON.parse(event.data).choices?.[0]?.delta?.content || '';
+                        }
+                    });
+                    break;
+                default:
+                    await this.streamingClient.stream({
+                        url: `${this.config.endpoint}/api/chat`,
+                        body: {
+                            model: this.config.model,
+                            messages,
+                            stream: true,
+                            options: { temperature: 0, num_predict: maxTokens }
+                        },
+                        format: 'ndjson',
+                        signal: abort.signal,
+                        onEvent: (event) => {
+                            if (event.error) {
+                                throw new ToshimoError(ErrorType.API, `Ollama API error: ${event.error}`);
+                            }
+                            text += event.message?.content || '';
+                        }
+                    });
+            }
+            return text;
+        } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                throw new ToshimoError(ErrorType.Cancelled, 'Completion cancelled', error);
+            }
+            if (error instanceof ToshimoError) {
+                throw error;
+            }
+            const detail = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+            throw new ToshimoError(ErrorType.API, `${this.config.provider} API error: ${detail}`, error);
+        } finally {
+            abort.dispose();
+        }
+    }
+
+    async callOllama(prompt, context, chatHistory = [], options = {}) {
+        const abort = toAbortSignal(options.cancellationToken);
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        const toolCalls = [];
+        let responseText = '';
+        // Native tools need the chat endpoint; the marker protocol uses plain generation
+        const endpoint = options.nativeTools
+            ? `${this.config.endpoint}/api/chat`
+            : `${this.config.endpoint}/api/generate`;
         try {
             console.log('Calling Ollama API:', {
-                endpoint: `${this.config.endpoint}/api/generate`,
+                endpoint,
                 model: this.config.model,
                 promptLength: prompt.length,
                 temperature: this.config.parameters?.temperature || 0.7,
@@ -95,7 +234,9 @@ class LLMService {
                 historyLength: chatHistory.length
             });
 
-            const fullPrompt = this.constructPrompt(prompt, context, chatHistory);
+            const fullPrompt = options.nativeTools
+                ? this.constructPrompt('', context, [], options)
+                : this.constructPrompt(prompt, context, chatHistory, options);
             console.log('Constructed prompt with history:', {
                 promptLength: fullPrompt.length,
                 hasHistory: chatHistory.length > 0
@@ -103,13 +244,22 @@ class LLMService {
 
             const requestBody = {
                 model: this.config.model,
-                prompt: fullPrompt,
-                stream: false,
+                stream: true,
                 options: {
                     temperature: this.config.parameters?.temperature || 0.7,
                     num_predict: this.config.parameters?.maxTokens || 50000
                 }
             };
+            if (options.nativeTools) {
+                requestBody.messages = [
+                    { role: 'system', content: fullPrompt },
+                    ...toOllamaMessages(chatHistory),
+                    { role: 'user', content: prompt }
+                ];
+                requestBody.tools = toOllamaTools(options.tools);
+            } else {
+                requestBody.prompt = fullPrompt;
+            }
 
             // Format the request body for better readability
             console.log('Ollama request body:');
@@ -118,23 +268,46 @@ class LLMService {
             console.log('Options:', JSON.stringify(requestBody.options, null, 2));
             console.log('Prompt:');
             console.log('-'.repeat(80));
-            console.log(requestBody.prompt);
+            console.log(fullPrompt);
             console.log('='.repeat(80));
 
-            const response = await axios.post(
-                `${this.config.endpoint}/api/generate`,
-                requestBody
-            );
+            await this.streamingClient.stream({
+                url: endpoint,
+                body: requestBody,
+                format: 'ndjson',
+                signal: abort.signal,
+                onEvent: (event) => {
+                    if (event.error) {
+                        throw new ToshimoError(ErrorType.API, `Ollama API error: ${event.error}`);
+                    }
+                    const token = event.response ?? event.message?.content;
+                    if (token) {
+                        responseText += token;
+                        options.onToken?.(token);
+                    }
+                    for (const call of event.message?.tool_calls || []) {
+                        toolCalls.push({ id: call.id, name: call.function.name, arguments: call.function.arguments });
+                    }
+                    if (event.done) {
+                        usage.inputTokens = event.prompt_eval_count || 0;
+                        usage.outputTokens = event.eval_count || 0;
+                    }
+                }
+            });
 
             console.log('Ollama API response:', {
-                status: response.status,
-                headers: response.headers,
-                responseLength: response.data?.response?.length,
-                response: response.data?.response //?.substring(0, 200) + '...' // First 200 chars
+                responseLength: responseText.length,
+                response: responseText,
+                toolCalls
             });
 
-            return this.parseResponse(response.data.response);
+            return { ...this.buildResponse(responseText, toolCalls, options), usage };
         } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                console.log('Ollama request cancelled after', responseText.length, 'characters');
+                return { ...this.createCancelledResponse(responseText), usage };
+            }
+
             console.error('Ollama API error:', {
                 message: error.message,
                 code: error.code,
@@ -142,6 +315,15 @@ class LLMService {
                 stack: error.stack
             });
 
+            // Models without tool support are remembered and retried with the marker protocol
+            if (options.nativeTools && this.isToolsUnsupportedError(error)) {
+                console.warn(`Model ${this.config.model} does not support native tools, falling back to response markers`);
+                this.toolsUnsupported.add(this.getToolSupportKey());
+                return await this.callOllama(prompt, context, toTextMessages(chatHistory), { ...options, nativeTools: false });
+            }
+            if (error instanceof ToshimoError) {
+                throw error;
+            }
             if (error.isAxiosError) {
                 if (error.code === 'ECONNREFUSED') {
                     throw new ToshimoError(
@@ -152,7 +334,7 @@ class LLMService {
                 }
                 throw new ToshimoError(
                     ErrorType.API,
-                    `Ollama API error: ${error.response?.data || error.message}`,
+                    `Ollama API error: ${error.response?.data?.error || error.response?.data || error.message}`,
                     error
                 );
             }
@@ -161,10 +343,17 @@ class LLMService {
                 'Unexpected error while calling Ollama API',
                 error
             );
+        } finally {
+            abort.dispose();
         }
     }
 
-    async callOpenAI(prompt, context, chatHistory = []) {
+    async callOpenAI(prompt, context, chatHistory = [], options = {}) {
+        const abort = toAbortSignal(options.cancellationToken);
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        // Tool call fragments keyed by their index in the stream
+        const toolCallParts = [];
+        let responseText = '';
         try {
             console.log('Calling OpenAI API:', {
                 model: this.config.model || 'gpt-4',
@@ -172,43 +361,67 @@ class LLMService {
                 temperature: this.config.parameters?.temperature || 0.7
             });
 
-            const response = await axios.post(
-                'https://api.openai.com/v1/chat/completions',
-                {
+            await this.streamingClient.stream({
+                url: 'https://api.openai.com/v1/chat/completions',
+                body: {
                     model: this.config.model || 'gpt-4',
                     messages: [
                         {
                             role: 'system',
-                            content: this.constructPrompt('', context, [])
+                            content: this.constructPrompt('', context, [], options)
                         },
-                        ...chatHistory.map(msg => ({
-                            role: msg.role === 'assistant' ? 'assistant' : 'user',
-                            content: msg.content
-                        })),
+                        ...toOpenAIMessages(chatHistory),
                         {
                             role: 'user',
                             content: prompt
                         }
                     ],
                     max_tokens: this.config.parameters?.maxTokens || 50000,
-                    temperature: this.config.parameters?.temperature || 0.7
+                    temperature: this.config.parameters?.temperature || 0.7,
+                    stream: true,
+                    stream_options: { include_usage: true },
+                    ...(options.nativeTools ? { tools: toOpenAITools(options.tools) } : {})
                 },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.config.apiKey}`,
-                        'Content-Type': 'application/json'
+                headers: {
+                    'Authorization': `Bearer ${this.config.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                format: 'sse',
+                signal: abort.signal,
+                onEvent: (event) => {
+                    if (event.data === '[DONE]') return;
+                    const data = JSON.parse(event.data);
+                    const delta = data.choices?.[0]?.delta;
+                    if (delta?.content) {
+                        responseText += delta.content;
+                        options.onToken?.(delta.content);
+                    }
+                    for (const part of delta?.tool_calls || []) {
+                        const call = toolCallParts[part.index] || (toolCallParts[part.index] = { id: undefined, name: '', arguments: '' });
+                        call.id = call.id || part.id;
+                        call.name += part.function?.name || '';
+                        call.arguments += part.function?.arguments || '';
+                    }
+                    if (data.usage) {
+                        usage.inputTokens = data.usage.prompt_tokens || 0;
+                        usage.outputTokens = data.usage.completion_tokens || 0;
                     }
                 }
-            );
+            });
 
+            const toolCalls = toolCallParts.filter(Boolean);
             console.log('OpenAI API response:', {
-                status: response.status,
-                headers: response.headers,
-                responseLength: response.data?.choices?.[0]?.message?.content?.length
+                responseLength: responseText.length,
+                toolCalls
             });
 
-            return this.parseResponse(response.data.choices[0].message.content);
+            return { ...this.buildResponse(responseText, toolCalls, options), usage };
         } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                console.log('OpenAI request cancelled after', responseText.length, 'characters');
+                return { ...this.createCancelledResponse(responseText), usage };
+            }
+
             console.error('OpenAI API error:', {
                 message: error.message,
                 code: error.code,
@@ -216,6 +429,9 @@ class LLMService {
                 stack: error.stack
             });
 
+            if (error instanceof ToshimoError) {
+                throw error;
+            }
             if (error.isAxiosError) {
                 if (error.response?.status === 401) {
                     throw new ToshimoError(
@@ -235,50 +451,84 @@ class LLMService {
                 'Unexpected error while calling OpenAI API',
                 error
             );
+        } finally {
+            abort.dispose();
         }
     }
 
-    async callClaude(prompt, context, chatHistory = []) {
+    async callClaude(prompt, context, chatHistory = [], options = {}) {
+        const abort = toAbortSignal(options.cancellationToken);
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        // tool_use content blocks keyed by their block index
+        const toolBlocks = [];
+        let responseText = '';
         try {
             console.log('Calling Claude API:', {
                 model: this.config.model || 'claude-3-opus-20240229',
                 maxTokens: this.config.parameters?.maxTokens || 50000
             });
 
-            const response = await axios.post(
-                'https://api.anthropic.com/v1/messages',
-                {
+            await this.streamingClient.stream({
+                url: 'https://api.anthropic.com/v1/messages',
+                body: {
                     model: this.config.model || 'claude-3-opus-20240229',
                     max_tokens: this.config.parameters?.maxTokens || 50000,
-                    messages: [
-                        ...chatHistory.map(msg => ({
-                            role: msg.role === 'assistant' ? 'assistant' : 'user',
-                            content: msg.content
-                        })),
+                    messages: toClaudeMessages([
+                        ...chatHistory,
                         {
                             role: 'user',
-                            content: this.constructPrompt(prompt, context, chatHistory)
+                            content: this.constructPrompt(prompt, context, toTextMessages(chatHistory), options)
                         }
-                    ],
-                    system: "You are a helpful AI programming assistant with access to various tools. Format your responses according to the prompt guidelines."
+                    ]),
+                    system: "You are a helpful AI programming assistant with access to various tools. Format your responses according to the prompt guidelines.",
+                    stream: true,
+                    ...(options.nativeTools ? { tools: toClaudeTools(options.tools) } : {})
+                },
+                headers: {
+                    'x-api-key': this.config.apiKey,
+                    'anthropic-version': '2023-06-01',
+                    'content-type': 'application/json'
                 },
-                {
-                    headers: {
-                        'x-api-key': this.config.apiKey,
-                        'anthropic-version': '2023-06-01',
-                        'content-type': 'application/json'
+                format: 'sse',
+                signal: abort.signal,
+                onEvent: (event) => {
+                    const data = JSON.parse(event.data);
+                    if (data.type === 'error') {
+                        throw new ToshimoError(ErrorType.API, `Claude API error: ${data.error?.message || event.data}`);
+                    }
+                    if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+                        responseText += data.delta.text;
+                        options.onToken?.(data.delta.text);
+                    }
+                    if (data.type === 'content_block_start' && data.content_block?.type === 'tool_use') {
+                        toolBlocks[data.index] = { id: data.content_block.id, name: data.content_block.name, arguments: '' };
+                    }
+                    // Input for a block that never started can't be matched to a tool
+                    if (data.type === 'content_block_delta' && data.delta?.type === 'input_json_delta' && toolBlocks[data.index]) {
+                        toolBlocks[data.index].arguments += data.delta.partial_json;
+                    }
+                    if (data.type === 'message_start') {
+                        usage.inputTokens = data.message?.usage?.input_tokens || 0;
+                    }
+                    if (data.type === 'message_delta') {
+                        usage.outputTokens = data.usage?.output_tokens || 0;
                     }
                 }
-            );
+            });
 
+            const toolCalls = toolBlocks.filter(Boolean);
             console.log('Claude API response:', {
-                status: response.status,
-                headers: response.headers,
-                responseLength: response.data?.content?.[0]?.text?.length
+                responseLength: responseText.length,
+                toolCalls
             });
 
-            return this.parseResponse(response.data.content[0].text);
+            return { ...this.buildResponse(responseText, toolCalls, options), usage };
         } catch (error) {
+            if (ErrorHandler.isCancellation(error)) {
+                console.log('Claude request cancelled after', responseText.length, 'characters');
+                return { ...this.createCancelledResponse(responseText), usage };
+            }
+
             console.error('Claude API error:', {
                 message: error.message,
                 code: error.code,
@@ -286,6 +536,9 @@ class LLMService {
                 stack: error.stack
             });
 
+            if (error instanceof ToshimoError) {
+                throw error;
+            }
             if (error.isAxiosError) {
                 if (error.response?.status === 401) {
                     throw new ToshimoError(
@@ -296,7 +549,7 @@ class LLMService {
                 }
                 throw new ToshimoError(
                     ErrorType.API,
-                    `Claude API error: ${error.response?.data?.error || error.message}`,
+                    `Claude API error: ${error.response?.data?.error?.message || error.message}`,
                     error
                 );
             }
@@ -305,10 +558,60 @@ class LLMService {
                 'Unexpected error while calling Claude API',
                 error
             );
+        } finally {
+            abort.dispose();
         }
     }
 
-    constructPrompt(prompt, context, chatHistory = []) {
+    shouldUseNativeTools(tools) {
+        if (!tools || tools.length === 0) return false;
+
+        const mode = this.config.toolCalling || 'auto';
+        if (mode === 'markers') return false;
+        if (mode === 'native') return true;
+        return !this.toolsUnsupported.has(this.getToolSupportKey());
+    }
+
+    getToolSupportKey() {
+        return `${this.config.provider}:${this.config.model}`;
+    }
+
+    isToolsUnsupportedError(error) {
+        const data = error.response?.data;
+        const message = typeof data === 'string' ? data : data?.error?.message || data?.error || '';
+        return error.response?.status === 400 && /does not support tools/i.test(String(message));
+    }
+
+    // Native tool calls become actions; text-only replies fall back to the marker protocol
+    buildResponse(text, toolCalls, options) {
+        if (!options.nativeTools || (toolCalls.length === 0 && text.includes('<RESPONSE_START>'))) {
+            return this.parseResponse(text);
+        }
+
+        // Results are sent back keyed by call id; Ollama doesn't assign one
+        const calls = toolCalls.map((call, i) => ({ ...call, id: call.id || `call_${i + 1}` }));
+        const actions = calls.map(call => ({ ...toolCallToAction(call.name, call.arguments), callId: call.id }));
+        return {
+            content: text,
+            actions,
+            toolCalls: calls,
+            questions: [],
+            requiresUserInput: false,
+            done: actions.length === 0
+        };
+    }
+
+    createCancelledResponse(partialText) {
+        return {
+            content: partialText,
+            actions: [],
+            questions: [],
+            requiresUserInput: false,
+            cancelled: true
+        };
+    }
+
+    constructPrompt(prompt, context, chatHistory = [], options = {}) {
         // Extract metadata context if it exists
         let metadataContext = '';
         const metadataEntry = context.find(c => c.startsWith('Project Context:'));
@@ -328,6 +631,9 @@ class LLMService {
         // Add code context
         const codeContext = this.codeContext.getFormattedContext();
 
+        const tools = options.tools || [];
+        const toolNames = [...new Set(tools.map(t => t.tool))];
+
         return `
 You are Toshimo, an AI programming assistant with access to various tools. You can use these tools to help users with their requests.
 
@@ -336,55 +642,25 @@ Operating System: ${this.platformInfo.isWindows ? 'Windows' : this.platformInfo.
 Shell: ${this.platformInfo.shell}
 
 Available Tools:
-1. FileManager
-   - createFile(filePath, content)
-   - readFile(filePath)
-   - fileExists(filePath)
-
-2. FileEditor
-   - editFile(filePath, changes)
-   - showDiff(filePath, originalContent, newContent)
-
-3. WebScraper
-   - scrape(url)
-
-Format your response as a JSON block with the following structure:
-<RESPONSE_START>
-{
-    "actions": [
-        {
-            "tool": "FileManager",
-            "command": "readFile",
-            "params": ["path/to/file"]
-        }
-    ],
-    "chat": "Your explanation of what you're doing",
-    "questions": [
-        {
-            "id": "unique_id",
-            "text": "Question text",
-            "type": "yes_no|choice|text",
-            "options": ["option1", "option2"],
-            "importance": "high|medium|low"
-        }
-    ]
-}
-<RESPONSE_END>
+${this.formatToolList(tools)}
 
-Important JSON Guidelines:
-1. Use the exact markers <RESPONSE_START> and <RESPONSE_END> to wrap your JSON
-2. Do not use backticks or markdown formatting
-3. Properly escape all special characters in strings
-4. Use double quotes for all JSON strings
-5. Keep file paths simple without escape characters
+${options.nativeTools ? this.getNativeToolGuidelines() : this.getMarkerGuidelines()}
 
 Important Tool Guidelines:
 1. Read from CodeContext before using FileManager
 2. File paths should be exact (e.g., "Dockerfile", not "dockerfile.txt")
-3. Tool names must be exactly: FileManager, FileEditor, or WebScraper
-4. For file edits, first read the file, then use FileEditor.editFile with the updated content
+3. Tool names must be exactly: ${toolNames.join(', ')}
+4. For file edits, first read the file, then use FileEditor.searchReplace or FileEditor.applyPatch for targeted changes; use FileEditor.editFile only to rewrite a whole file
 5. When showing diffs, use actual file content, not placeholders
 
+Step Guidelines:
+1. You work in steps. After each response, the results of your actions are sent back to you as observations
+2. Use the observations to decide the next action; do not guess what a tool returned
+3. ${options.nativeTools
+    ? 'Once the request is complete, reply without calling any tools and summarize the outcome'
+    : 'Set "done" to true, with no actions, once the request is complete and summarize the outcome in "chat"'}
+4. If an action failed, read the error in the observation and try a corrected action
+
 Question Guidelines:
 1. DO NOT ask questions for any reason.
 2. Make reasonable assumptions based on:
@@ -411,11 +687,71 @@ Remember to:
 3. Make reasonable assumptions when possible
 4. Use WebScraper for any web content you need
 5. Maintain conversation context using chat history
+6. Cite code as path:line (e.g. src/app.js:42) so the user can jump to it
 
 ${codeContext}
 `;
     }
 
+    formatToolList(tools) {
+        const byTool = new Map();
+        for (const definition of tools) {
+            if (!byTool.has(definition.tool)) byTool.set(definition.tool, []);
+            byTool.get(definition.tool).push(definition);
+        }
+
+        return [...byTool.entries()].map(([tool, commands], index) => {
+            const lines = commands.map(definition => {
+                const params = Object.keys(definition.parameters?.properties || {}).join(', ');
+                const approval = definition.requiresApproval ? ' (the user must approve each call)' : '';
+                return `   - ${definition.command}(${params}): ${definition.description}${approval}`;
+            });
+            const description = commands[0].toolDescription ? ` - ${commands[0].toolDescription}` : '';
+            return `${index + 1}. ${tool}${description}\n${lines.join('\n')}`;
+        }).join('\n\n');
+    }
+
+    getNativeToolGuidelines() {
+        return `Tool Calling:
+1. Use the provided tool functions to act; each function is named <Tool>__<command>
+2. Explain what you are doing in plain text alongside the tool calls
+3. Do not wrap your reply in JSON or response markers`;
+    }
+
+    getMarkerGuidelines() {
+        return `Format your response as a JSON block with the following structure:
+<RESPONSE_START>
+{
+    "actions": [
+        {
+            "tool": "FileManager",
+            "command": "readFile",
+            "params": { "filePath": "path/to/file" }
+        }
+    ],
+    "chat": "Your explanation of what you're doing",
+    "done": false,
+    "questions": [
+        {
+            "id": "unique_id",
+            "text": "Question text",
+            "type": "yes_no|choice|text",
+            "options": ["option1", "option2"],
+            "importance": "high|medium|low"
+        }
+    ]
+}
+<RESPONSE_END>
+
+Important JSON Guidelines:
+1. Use the exact markers <RESPONSE_START> and <RESPONSE_END> to wrap your JSON
+2. Do not use backticks or markdown formatting
+3. Properly escape all special characters in strings
+4. Use double quotes for all JSON strings
+5. Keep file paths simple without escape characters
+6. Pass params as an object keyed by the parameter names listed for each command`;
+    }
+
     parseResponse(response) {
         try {
             console.log('Original response:', response);
@@ -496,7 +832,8 @@ ${codeContext}
                     content: parsedResponse.chat || response,
                     actions: parsedResponse.actions || [],
                     questions: parsedResponse.questions || [],
-                    requiresUserInput: parsedResponse.questions?.length > 0
+                    requiresUserInput: parsedResponse.questions?.length > 0,
+                    done: parsedResponse.done === true
                 };
             } catch (jsonError) {
                 console.error('JSON parsing error:', {
@@ -0,0 +1,147 @@
+const axios = require('axios');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+
+// Splits newline-delimited JSON (Ollama) into parsed objects
+class NdjsonParser {
+    constructor() {
+        this.buffer = '';
+    }
+
+    push(text) {
+        this.buffer += text;
+        const lines = this.buffer.split('\n');
+        this.buffer = lines.pop();
+        return lines
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => JSON.parse(line));
+    }
+
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest ? [JSON.parse(rest)] : [];
+    }
+}
+
+// Splits a server-sent event stream (OpenAI, Anthropic) into { event, data } records
+class SseParser {
+    constructor() {
+        this.buffer = '';
+    }
+
+    push(text) {
+        this.buffer += text.replace(/\r\n/g, '\n');
+        const blocks = this.buffer.split('\n\n');
+        this.buffer = blocks.pop();
+        return blocks.map(block => this.parseBlock(block)).filter(Boolean);
+    }
+
+    flush() {
+        const rest = this.buffer;
+        this.buffer = '';
+        const event = this.parseBlock(rest);
+        return event ? [event] : [];
+    }
+
+    parseBlock(block) {
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (!line || line.startsWith(':')) continue;
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.substring(0, separator);
+            const value = separator === -1 ? '' : line.substring(separator + 1).replace(/^ /, '');
+            if (field === 'event') {
+                event = value;
+            } else if (field === 'data') {
+                data.push(value);
+            }
+        }
+        if (data.length === 0) return null;
+        return { event, data: data.join('\n') };
+    }
+}
+
+class StreamingClient {
+    constructor(httpClient = axios) {
+        this.httpClient = httpClient;
+    }
+
+    // POSTs `body` to `url` and calls onEvent for every NDJSON object or SSE record received
+    async stream({ url, body, headers = {}, format, onEvent, signal }) {
+        const parser = format === 'sse' ? new SseParser() : new NdjsonParser();
+
+        const response = await this.httpClient.post(url, body, {
+            headers,
+            responseType: 'stream',
+            signal
+        }).catch(async error => {
+            // Error bodies arrive as a stream too; read them so callers can report them
+            if (error.response?.data && typeof error.response.data.on === 'function') {
+                error.response.data = await this.readErrorBody(error.response.data);
+            }
+            throw error;
+        });
+
+        return new Promise((resolve, reject) => {
+            const stream = response.data;
+            let settled = false;
+            const fail = (error) => {
+                if (settled) return;
+                settled = true;
+                stream.destroy?.();
+                reject(error);
+            };
+
+            stream.setEncoding?.('utf8');
+            // Parse failures are reported as malformed data; errors thrown by onEvent pass through
+            const dispatch = (read) => {
+                let events;
+                try {
+                    events = read();
+                } catch (error) {
+                    fail(new ToshimoError(ErrorType.API, `Malformed stream data from ${url}`, error));
+                    return false;
+                }
+                try {
+                    events.forEach(onEvent);
+                } catch (error) {
+                    fail(error);
+                    return false;
+                }
+                return true;
+            };
+
+            stream.on('data', chunk => {
+                if (settled) return;
+                dispatch(() => parser.push(chunk.toString()));
+            });
+            stream.on('end', () => {
+                if (settled) return;
+                if (dispatch(() => parser.flush())) {
+                    settled = true;
+                    resolve();
+                }
+            });
+            stream.on('error', fail);
+        });
+    }
+
+    async readErrorBody(stream) {
+        return new Promise(resolve => {
+            let text = '';
+            stream.on('data', chunk => { text += chunk.toString(); });
+            stream.on('end', () => {
+                try {
+                    resolve(JSON.parse(text));
+                } catch {
+                    resolve(text);
+                }
+            });
+            stream.on('error', () => resolve(text));
+        });
+    }
+}
+
+module.exports = { StreamingClient, NdjsonParser, SseParser };
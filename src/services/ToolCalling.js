@@ -0,0 +1,183 @@
+// Converts tool definitions to each provider's native tool-calling format and
+// converts the tool calls they return back into Toshimo actions.
+
+const NAME_SEPARATOR = '__';
+
+function toFunctionName(definition) {
+    return `${definition.tool}${NAME_SEPARATOR}${definition.command}`;
+}
+
+function toOpenAITools(definitions) {
+    return definitions.map(definition => ({
+        type: 'function',
+        function: {
+            name: toFunctionName(definition),
+            description: definition.description,
+            parameters: definition.parameters
+        }
+    }));
+}
+
+function toClaudeTools(definitions) {
+    return definitions.map(definition => ({
+        name: toFunctionName(definition),
+        description: definition.description,
+        input_schema: definition.parameters
+    }));
+}
+
+// Ollama's /api/chat uses the OpenAI function format
+function toOllamaTools(definitions) {
+    return toOpenAITools(definitions);
+}
+
+// `args` may be an object (Ollama, Claude) or a JSON string (OpenAI)
+function toolCallToAction(name, args) {
+    const separator = name.indexOf(NAME_SEPARATOR);
+    const tool = separator === -1 ? name : name.substring(0, separator);
+    const command = separator === -1 ? '' : name.substring(separator + NAME_SEPARATOR.length);
+    const action = { tool, command, params: {} };
+
+    let parsedArgs = args;
+    if (typeof args === 'string') {
+        try {
+            parsedArgs = args.trim() ? JSON.parse(args) : {};
+        } catch (error) {
+            action.argumentsError = `Arguments for ${name} are not valid JSON: ${error.message}`;
+            return action;
+        }
+    }
+
+    // Named arguments are validated against the command's schema when the action runs
+    action.params = parsedArgs ?? {};
+    return action;
+}
+
+// Conversation messages are { role: 'user' | 'assistant', content }. After native tool
+// calls the assistant message also carries toolCalls: [{ id, name, arguments }], and each
+// result follows as { role: 'tool', toolCallId, name, content, isError }.
+
+function stringifyArguments(args) {
+    return typeof args === 'string' ? args : JSON.stringify(args ?? {});
+}
+
+function parseArguments(args) {
+    if (typeof args !== 'string') return args ?? {};
+    try {
+        return args.trim() ? JSON.parse(args) : {};
+    } catch {
+        return {};
+    }
+}
+
+function toOpenAIMessages(history) {
+    return history.map(msg => {
+        if (msg.role === 'tool') {
+            return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+        }
+        if (msg.role === 'assistant' && msg.toolCalls?.length) {
+            return {
+                role: 'assistant',
+                content: msg.content || null,
+                tool_calls: msg.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: stringifyArguments(call.arguments) }
+                }))
+            };
+        }
+        return { role: msg.role === 'assistant' ? 'assistant' : 'user', content: msg.content };
+    });
+}
+
+// Ollama has no call ids; results are matched to calls by tool name and order
+function toOllamaMessages(history) {
+    return history.map(msg => {
+        if (msg.role === 'tool') {
+            return { role: 'tool', tool_name: msg.name, content: msg.content };
+        }
+        if (msg.role === 'assistant' && msg.toolCalls?.length) {
+            return {
+                role: 'assistant',
+                content: msg.content || '',
+                tool_calls: msg.toolCalls.map(call => ({
+                    function: { name: call.name, arguments: parseArguments(call.arguments) }
+                }))
+            };
+        }
+        return { role: msg.role === 'assistant' ? 'assistant' : 'user', content: msg.content };
+    });
+}
+
+function toClaudeBlocks(content) {
+    if (Array.isArray(content)) return content;
+    return content ? [{ type: 'text', text: content }] : [];
+}
+
+// Claude wants alternating roles, so tool results and the prompt after them share one user turn
+function toClaudeMessages(history) {
+    const messages = [];
+    for (const msg of history) {
+        let message;
+        if (msg.role === 'tool') {
+            message = {
+                role: 'user',
+                content: [{
+                    type: 'tool_result',
+                    tool_use_id: msg.toolCallId,
+                    content: msg.content,
+                    ...(msg.isError ? { is_error: true } : {})
+                }]
+            };
+        } else if (msg.role === 'assistant' && msg.toolCalls?.length) {
+            message = {
+                role: 'assistant',
+                content: [
+                    ...toClaudeBlocks(msg.content),
+                    ...msg.toolCalls.map(call => ({
+                        type: 'tool_use',
+                        id: call.id,
+                        name: call.name,
+                        input: parseArguments(call.arguments)
+                    }))
+                ]
+            };
+        } else {
+            message = { role: msg.role === 'assistant' ? 'assistant' : 'user', content: msg.content };
+        }
+
+        const last = messages[messages.length - 1];
+        if (last && last.role === message.role) {
+            last.content = [...toClaudeBlocks(last.content), ...toClaudeBlocks(message.content)];
+        } else {
+            messages.push(message);
+        }
+    }
+    return messages;
+}
+
+// For the marker protocol, which only has text: calls are described and results become user turns
+function toTextMessages(history) {
+    return history.map(msg => {
+        if (msg.role === 'tool') {
+            return { role: 'user', content: msg.content };
+        }
+        if (msg.role === 'assistant' && msg.toolCalls?.length) {
+            const calls = msg.toolCalls.map(call => `${call.name}(${stringifyArguments(call.arguments)})`).join(', ');
+            return { role: 'assistant', content: `${msg.content || ''}\n[Actions: ${calls}]`.trim() };
+        }
+        return msg;
+    });
+}
+
+module.exports = {
+    toFunctionName,
+    toOpenAITools,
+    toClaudeTools,
+    toOllamaTools,
+    toolCallToAction,
+    toOpenAIMessages,
+    toOllamaMessages,
+    toClaudeMessages,
+    toTextMessages
+};
@@ -0,0 +1,200 @@
+const vscode = require('vscode');
+const os = require('os');
+const { spawn } = require('child_process');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+
+const DEFAULT_TIMEOUT_SECONDS = 120;
+const DEFAULT_MAX_OUTPUT_LENGTH = 20000;
+const KILL_GRACE_MS = 2000;
+
+// Keeps the end of a stream once it grows past the limit, since errors and test
+// summaries are usually printed last
+class OutputBuffer {
+    constructor(maxLength) {
+        this.maxLength = maxLength;
+        this.text = '';
+        this.droppedLength = 0;
+    }
+
+    append(chunk) {
+        this.text += chunk;
+        if (this.text.length > this.maxLength) {
+            this.droppedLength += this.text.length - this.maxLength;
+            this.text = this.text.slice(-this.maxLength);
+        }
+    }
+
+    toString() {
+        return this.droppedLength > 0
+            ? `[... ${this.droppedLength} characters truncated ...]\n${this.text}`
+            : this.text;
+    }
+}
+
+// Runs shell commands as child processes so their output and exit code can be returned
+// to the agent, while mirroring everything into a pseudoterminal the user can watch.
+class CommandRunner {
+    constructor(options = {}) {
+        this.platform = os.platform();
+        this.timeoutSeconds = options.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS;
+        this.maxOutputLength = options.maxOutputLength || DEFAULT_MAX_OUTPUT_LENGTH;
+        this.terminal = undefined;
+        this.writeEmitter = undefined;
+        this.pendingOutput = null;
+    }
+
+    async run(command, options = {}) {
+        if (!command || !command.trim()) {
+            throw new ToshimoError(ErrorType.Terminal, 'Cannot execute empty command');
+        }
+
+        const cwd = options.cwd || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || os.homedir();
+        const timeoutMs = (options.timeoutSeconds || this.timeoutSeconds) * 1000;
+        const maxOutputLength = options.maxOutputLength || this.maxOutputLength;
+        const stdout = new OutputBuffer(maxOutputLength);
+        const stderr = new OutputBuffer(maxOutputLength);
+        const startedAt = Date.now();
+
+        this.write(`\x1b[1m$ ${command}\x1b[0m\r\n`);
+        console.log('Running command:', { command, cwd });
+
+        return new Promise((resolve, reject) => {
+            let child;
+            try {
+                child = spawn(command, {
+                    cwd,
+                    shell: true,
+                    env: options.env ? { ...process.env, ...options.env } : process.env,
+                    // Own process group so a timeout can stop everything the command started
+                    detached: this.platform !== 'win32',
+                    windowsHide: true
+                });
+            } catch (error) {
+                reject(new ToshimoError(ErrorType.Terminal, `Failed to start command: ${command}`, error));
+                return;
+            }
+
+            let timedOut = false;
+            let cancelled = false;
+            let settled = false;
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                this.write(`\r\n\x1b[33mCommand timed out after ${timeoutMs / 1000}s\x1b[0m\r\n`);
+                this.kill(child);
+            }, timeoutMs);
+
+            const cancelListener = options.cancellationToken?.onCancellationRequested(() => {
+                cancelled = true;
+                this.write('\r\n\x1b[33mCommand cancelled\x1b[0m\r\n');
+                this.kill(child);
+            });
+
+            const finish = (exitCode, signal) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                cancelListener?.dispose();
+
+                const result = {
+                    command,
+                    cwd,
+                    exitCode,
+                    signal: signal || null,
+                    stdout: stdout.toString(),
+                    stderr: stderr.toString(),
+                    durationMs: Date.now() - startedAt,
+                    timedOut,
+                    cancelled,
+                    truncated: stdout.droppedLength > 0 || stderr.droppedLength > 0
+                };
+                this.write(`\x1b[2m[exit ${exitCode ?? signal} in ${(result.durationMs / 1000).toFixed(1)}s]\x1b[0m\r\n\r\n`);
+                console.log('Command finished:', { command, exitCode, signal, durationMs: result.durationMs });
+                resolve(result);
+            };
+
+            child.stdout.on('data', data => {
+                const text = data.toString();
+                stdout.append(text);
+                this.write(text);
+            });
+            child.stderr.on('data', data => {
+                const text = data.toString();
+                stderr.append(text);
+                this.write(text);
+            });
+            child.on('error', error => {
+                stderr.append(`${error.message}\n`);
+                finish(null, null);
+            });
+            child.on('close', (code, signal) => finish(code, signal));
+        });
+    }
+
+    kill(child) {
+        if (child.exitCode !== null || child.killed) return;
+
+        try {
+            if (this.platform === 'win32') {
+                spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true });
+                return;
+            }
+            process.kill(-child.pid, 'SIGTERM');
+            setTimeout(() => {
+                if (child.exitCode === null) {
+                    try {
+                        process.kill(-child.pid, 'SIGKILL');
+                    } catch {
+                        // Already gone
+                    }
+                }
+            }, KILL_GRACE_MS).unref();
+        } catch (error) {
+            console.error('Failed to stop command:', error);
+        }
+    }
+
+    // Mirrors output into the "Toshimo Commands" pseudoterminal, creating it on first use.
+    // Output written before the terminal opens is buffered, since VS Code drops it otherwise.
+    write(text) {
+        try {
+            if (!this.terminal || this.terminal.exitStatus !== undefined) {
+                this.writeEmitter = new vscode.EventEmitter();
+                this.pendingOutput = [];
+                const pty = {
+                    onDidWrite: this.writeEmitter.event,
+                    open: () => {
+                        const pending = this.pendingOutput;
+                        this.pendingOutput = null;
+                        pending.forEach(chunk => this.writeEmitter.fire(chunk));
+                    },
+                    close: () => {
+                        this.terminal = undefined;
+                    }
+                };
+                this.terminal = vscode.window.createTerminal({ name: 'Toshimo Commands', pty });
+                this.terminal.show(true);
+            }
+
+            // Terminals need CRLF line endings
+            const chunk = text.replace(/\r?\n/g, '\r\n');
+            if (this.pendingOutput) {
+                this.pendingOutput.push(chunk);
+            } else {
+                this.writeEmitter.fire(chunk);
+            }
+        } catch (error) {
+            console.error('Failed to write to Toshimo terminal:', error);
+        }
+    }
+
+    dispose() {
+        if (this.terminal) {
+            this.terminal.dispose();
+            this.terminal = undefined;
+        }
+        this.writeEmitter?.dispose();
+    }
+}
+
+module.exports = { CommandRunner };
@@ -1,6 +1,7 @@
 const vscode = require('vscode');
 const os = require('os');
 const { ErrorHandler, ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { CommandRunner } = require('./CommandRunner');
 
 class TerminalCommandManager {
     constructor() {
@@ -8,6 +9,7 @@ class TerminalCommandManager {
         this.isExecuting = false;
         this.platform = os.platform();
         this.shell = process.env.SHELL || (this.platform === 'win32' ? 'cmd.exe' : '/bin/bash');
+        this.runner = new CommandRunner();
     }
 
     getTerminal() {
@@ -44,7 +46,8 @@ class TerminalCommandManager {
         return ['-l']; // Login shell for Unix-like systems
     }
 
-    async executeCommand(command) {
+    // Resolves with { exitCode, stdout, stderr, durationMs, timedOut, cancelled, ... }
+    async executeCommand(command, options = {}) {
         return ErrorHandler.withErrorHandling(
             async () => {
                 if (this.isExecuting) {
@@ -62,17 +65,13 @@ class TerminalCommandManager {
                 }
 
                 this.isExecuting = true;
-                const terminal = this.getTerminal();
 
                 try {
                     const formattedCommand = this.formatCommand(command);
                     console.log(`Executing command on ${this.platform}:`, formattedCommand);
 
-                    terminal.show();
-                    terminal.sendText(formattedCommand);
-                    
-                    // Wait a bit to ensure the command starts executing
-                    await new Promise(resolve => setTimeout(resolve, 100));
+                    // Output is mirrored to the Toshimo Commands terminal while it runs
+                    return await this.runner.run(formattedCommand, options);
                 } finally {
                     this.isExecuting = false;
                 }
@@ -106,6 +105,7 @@ class TerminalCommandManager {
             this.terminal.dispose();
             this.terminal = undefined;
         }
+        this.runner.dispose();
     }
 }
 
@@ -0,0 +1,217 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { quote } = require('../utils/Shell');
+
+// What `npm init` writes when a project has no tests
+const NPM_PLACEHOLDER = /no test specified/;
+
+// Checked in order, so `vitest` wins over a `jest` mentioned in the same script
+const FRAMEWORK_PATTERNS = [
+    ['vitest', /\bvitest\b/],
+    ['jest', /\bjest\b/],
+    ['mocha', /\bmocha\b/],
+    ['node', /\bnode\b.*\s--test\b/],
+    ['pytest', /\bpytest\b/],
+    ['go', /\bgo\s+test\b/],
+    ['cargo', /\bcargo\s+test\b/]
+];
+
+const PYTEST_CONFIGS = [
+    ['pytest.ini', null],
+    ['conftest.py', null],
+    ['pyproject.toml', '[tool.pytest'],
+    ['setup.cfg', '[tool:pytest]'],
+    ['tox.ini', '[pytest]']
+];
+
+// Finds how the workspace runs its tests: package.json scripts, pytest, go test or
+// cargo test, in that order. Returns { framework, command, separator, source } or null.
+// `separator` goes between the command and extra arguments (npm needs `--`).
+async function detectTestCommand(root, override) {
+    if (override) {
+        return { framework: frameworkOf(override), command: override, separator: '', source: 'toshimo.tests.command' };
+    }
+    return await detectNode(root)
+        || await detectPython(root)
+        || await detectGo(root)
+        || await detectCargo(root);
+}
+
+async function detectNode(root) {
+    const manifest = await readJson(path.join(root, 'package.json'));
+    if (!manifest) return null;
+
+    const packageManager = await detectPackageManager(root);
+    const script = manifest.scripts?.test;
+    if (script && !NPM_PLACEHOLDER.test(script)) {
+        return {
+            framework: frameworkOf(script),
+            command: `${packageManager} test`,
+            separator: packageManager === 'npm' ? '--' : '',
+            source: `package.json scripts.test (${script})`
+        };
+    }
+
+    const dependencies = { ...manifest.dependencies, ...manifest.devDependencies };
+    const framework = ['vitest', 'jest', 'mocha'].find(name => dependencies[name]);
+    if (!framework) return null;
+    return {
+        framework,
+        command: framework === 'vitest' ? 'npx vitest run' : `npx ${framework}`,
+        separator: '',
+        source: `${framework} in package.json dependencies`
+    };
+}
+
+async function detectPackageManager(root) {
+    if (await exists(path.join(root, 'pnpm-lock.yaml'))) return 'pnpm';
+    if (await exists(path.join(root, 'yarn.lock'))) return 'yarn';
+    return 'npm';
+}
+
+async function detectPython(root) {
+    for (const [file, marker] of PYTEST_CONFIGS) {
+        const content = await readText(path.join(root, file));
+        if (content !== null && (!marker || content.includes(marker))) {
+            return pytest(file);
+        }
+    }
+
+    // No configuration, but test files pytest would collect
+    for (const directory of ['.', 'tests', 'test']) {
+        const files = await readDirectory(path.join(root, directory));
+        if (files.some(file => /^test_.*\.py$|_test\.py$/.test(file))) {
+            return pytest(`test files in ${directory === '.' ? 'the workspace root' : directory}`);
+        }
+    }
+    return null;
+}
+
+function pytest(source) {
+    const python = process.platform === 'win32' ? 'python' : 'python3';
+    return { framework: 'pytest', command: `${python} -m pytest`, separator: '', source };
+}
+
+async function detectGo(root) {
+    const goMod = await readText(path.join(root, 'go.mod'));
+    if (goMod === null) return null;
+    return {
+        framework: 'go',
+        command: 'go test',
+        separator: '',
+        source: 'go.mod',
+        module: goMod.match(/^module\s+(\S+)/m)?.[1]
+    };
+}
+
+async function detectCargo(root) {
+    if (!(await exists(path.join(root, 'Cargo.toml')))) return null;
+    return { framework: 'cargo', command: 'cargo test', separator: '', source: 'Cargo.toml' };
+}
+
+function frameworkOf(command) {
+    return FRAMEWORK_PATTERNS.find(([, pattern]) => pattern.test(command))?.[0] || 'custom';
+}
+
+// Adds the arguments that select tests and make the framework write a machine-readable
+// report. `files` are relative to the root; reportFile is where jest, vitest, mocha and
+// pytest write theirs (go and node:test report on stdout, cargo only prints text).
+// Returns { command, selectionIgnored } where selectionIgnored names what couldn't be applied.
+function buildTestCommand(detection, { files = [], testNamePattern, reportFile }) {
+    const args = [];
+    const ignored = [];
+
+    switch (detection.framework) {
+        case 'jest':
+            args.push('--json', `--outputFile=${reportFile}`, '--testLocationInResults');
+            if (testNamePattern) args.push('-t', testNamePattern);
+            args.push(...files);
+            break;
+        case 'vitest':
+            args.push('--reporter=default', '--reporter=json', `--outputFile=${reportFile}`);
+            if (testNamePattern) args.push('-t', testNamePattern);
+            args.push(...files);
+            break;
+        case 'mocha':
+            args.push('--reporter', 'json', '--reporter-option', `output=${reportFile}`);
+            if (testNamePattern) args.push('--grep', testNamePattern);
+            args.push(...files);
+            break;
+        case 'node':
+            args.push('--test-reporter=tap');
+            if (testNamePattern) args.push(`--test-name-pattern=${testNamePattern}`);
+            args.push(...files);
+            break;
+        case 'pytest':
+            args.push(`--junitxml=${reportFile}`);
+            if (testNamePattern) args.push('-k', testNamePattern);
+            args.push(...files);
+            break;
+        case 'go': {
+            args.push('-json');
+            if (testNamePattern) args.push('-run', testNamePattern);
+            // go test selects packages, so files become their directories
+            const packages = [...new Set(files.map(file => `./${path.posix.dirname(file)}`.replace(/\/\.$/, '')))];
+            args.push(...(packages.length > 0 ? packages : ['./...']));
+            break;
+        }
+        case 'cargo': {
+            // Integration tests in tests/<name>.rs are selected with --test <name>
+            const targets = files.filter(file => /^tests\/[^/]+\.rs$/.test(file));
+            if (targets.length < files.length) ignored.push('files outside tests/*.rs');
+            targets.forEach(file => args.push('--test', path.posix.basename(file, '.rs')));
+            if (testNamePattern) args.push(testNamePattern);
+            break;
+        }
+        default:
+            if (testNamePattern) ignored.push('testNamePattern');
+            args.push(...files);
+    }
+
+    if (args.length === 0) {
+        return { command: detection.command, selectionIgnored: ignored };
+    }
+    const separator = detection.separator ? ` ${detection.separator}` : '';
+    return {
+        command: `${detection.command}${separator} ${args.map(arg => quote(arg)).join(' ')}`,
+        selectionIgnored: ignored
+    };
+}
+
+async function readJson(filePath) {
+    const content = await readText(filePath);
+    if (content === null) return null;
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        console.warn('Could not parse', filePath, error.message);
+        return null;
+    }
+}
+
+async function readText(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+async function readDirectory(directory) {
+    try {
+        return await fs.readdir(directory);
+    } catch {
+        return [];
+    }
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+module.exports = { detectTestCommand, buildTestCommand };
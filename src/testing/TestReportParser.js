@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAX_MESSAGE_LINES = 30;
+// eslint-disable-next-line no-control-regex
+const ANSI = /\x1b\[[0-9;]*[A-Za-z]/g;
+// path:line in stack traces and assertion output, e.g. /repo/a.test.js:5:17 or tests/test_x.py:12
+const LOCATION = /((?:[A-Za-z]:\\|\/)?[\w.@-][\w.@\-/\\]*\.\w+):(\d+)/g;
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Turns a test framework's report into records of
+// { name, file, line, status: 'passed' | 'failed' | 'skipped', message, durationMs },
+// with file relative to the root. Returns null when the output can't be read, e.g. the
+// run failed before any test started.
+function parseTestReport(framework, { report, stdout, stderr, root, module }) {
+    try {
+        switch (framework) {
+            case 'jest':
+            case 'vitest':
+                return report ? parseJestJson(JSON.parse(report), root) : null;
+            case 'mocha':
+                return report ? parseMochaJson(JSON.parse(report), root) : null;
+            case 'pytest':
+                return report ? parseJUnitXml(report, root) : null;
+            case 'go':
+                return parseGoTestJson(stdout, stderr, root, module);
+            case 'cargo':
+                return parseCargoOutput(stdout, root);
+            default:
+                // node:test, and custom commands that happen to print TAP
+                return parseTap(stdout, root);
+        }
+    } catch (error) {
+        console.warn(`Could not parse ${framework} test report:`, error.message);
+        return null;
+    }
+}
+
+// jest --json; vitest's json reporter uses the same shape
+function parseJestJson(report, root) {
+    const results = [];
+    for (const suite of report.testResults || []) {
+        const assertions = suite.assertionResults || [];
+        const file = relative(root, suite.name);
+
+        // A suite that fails to load (syntax error, missing import) has no assertions
+        if (assertions.length === 0 && suite.status === 'failed') {
+            const message = cleanMessage(suite.message || suite.failureMessage);
+            results.push({
+                name: file,
+                ...locate(message, root, file),
+                status: 'failed',
+                message
+            });
+            continue;
+        }
+
+        for (const assertion of assertions) {
+            const status = normalizeStatus(assertion.status);
+            const message = status === 'failed' ? cleanMessage((assertion.failureMessages || []).join('\n')) : '';
+            const definedAt = { file, line: assertion.location?.line };
+            results.push({
+                name: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' > '),
+                ...(status === 'failed' ? locate(message, root, file, definedAt) : definedAt),
+                status,
+                message,
+                durationMs: assertion.duration ?? undefined
+            });
+        }
+    }
+    return results;
+}
+
+function parseMochaJson(report, root) {
+    const key = test => `${test.file}\n${test.fullTitle}`;
+    const pending = new Set((report.pending || []).map(key));
+    const tests = report.tests || [];
+    const seen = new Set(tests.map(key));
+    // Failing hooks ("before all" hook) are listed as failures but not as tests
+    const all = [...tests, ...(report.failures || []).filter(test => !seen.has(key(test)))];
+
+    return all.map(test => {
+        const failed = !!test.err?.message;
+        const file = relative(root, test.file);
+        const message = failed ? cleanMessage(`${test.err.message}\n${test.err.stack || ''}`) : '';
+        return {
+            name: test.fullTitle || test.title,
+            ...(failed ? locate(message, root, file) : { file }),
+            status: failed ? 'failed' : pending.has(key(test)) ? 'skipped' : 'passed',
+            message,
+            durationMs: test.duration
+        };
+    });
+}
+
+// JUnit XML as written by pytest --junitxml. Only testcase elements matter, so a few
+// regular expressions do instead of an XML parser.
+function parseJUnitXml(xml, root) {
+    const results = [];
+    for (const match of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+        const attributes = parseAttributes(match[1]);
+        const body = match[2] || '';
+        const problem = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+        const skipped = /<skipped\b/.test(body);
+
+        const file = attributes.file ? relative(root, attributes.file) : undefined;
+        const definedAt = { file, line: attributes.line ? Number(attributes.line) + 1 : undefined };
+        let message = '';
+        if (problem) {
+            const summary = parseAttributes(problem[2]).message || '';
+            message = cleanMessage([summary, decodeXml(problem[3] || '')].filter(Boolean).join('\n'));
+        }
+
+        results.push({
+            name: [attributes.classname, attributes.name].filter(Boolean).join('.'),
+            ...(problem ? locate(message, root, file, definedAt) : definedAt),
+            status: problem ? 'failed' : skipped ? 'skipped' : 'passed',
+            message,
+            durationMs: attributes.time ? Math.round(Number(attributes.time) * 1000) : undefined
+        });
+    }
+    return results;
+}
+
+// go test -json prints one event per line. Output is collected per test; a package that
+// fails without any failing test (usually a build error) becomes a record of its own.
+function parseGoTestJson(stdout, stderr, root, module) {
+    const output = new Map();
+    const results = [];
+    const failedPackages = new Map();
+    let events = 0;
+
+    for (const line of stdout.split('\n')) {
+        if (!line.startsWith('{')) continue;
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch {
+            continue;
+        }
+        events++;
+
+        const key = `${event.Package}\n${event.Test || ''}`;
+        if (event.Action === 'output' || event.Action === 'build-output') {
+            output.set(key, (output.get(key) || '') + event.Output);
+            continue;
+        }
+        if (!['pass', 'fail', 'skip'].includes(event.Action)) continue;
+
+        if (!event.Test) {
+            if (event.Action === 'fail') failedPackages.set(event.Package, output.get(key) || '');
+            continue;
+        }
+
+        const message = event.Action === 'fail' ? cleanMessage(output.get(key) || '') : '';
+        results.push({
+            name: `${event.Package}.${event.Test}`,
+            ...(message ? locateInPackage(message, root, packageDirectory(event.Package, module)) : {}),
+            status: event.Action === 'pass' ? 'passed' : event.Action === 'fail' ? 'failed' : 'skipped',
+            message,
+            durationMs: event.Elapsed !== undefined ? Math.round(event.Elapsed * 1000) : undefined
+        });
+    }
+
+    for (const [name, text] of failedPackages) {
+        if (results.some(result => result.status === 'failed' && result.name.startsWith(`${name}.`))) continue;
+        // Older go versions print build errors on stderr rather than as events
+        const message = cleanMessage(text.trim() ? text : stderr);
+        results.push({ name, ...locate(message, root), status: 'failed', message });
+    }
+    return events === 0 ? null : results;
+}
+
+// go prints test locations relative to the package directory
+function locateInPackage(message, root, directory) {
+    const location = locate(message, path.join(root, directory));
+    return location.file ? { ...location, file: path.posix.join(directory, location.file) } : location;
+}
+
+function packageDirectory(importPath, module) {
+    if (module && (importPath === module || importPath.startsWith(`${module}/`))) {
+        return importPath.slice(module.length + 1);
+    }
+    return '';
+}
+
+// cargo test prints "test name ... ok" lines, then a "---- name stdout ----" section per failure
+function parseCargoOutput(stdout, root) {
+    const text = stdout.replace(ANSI, '');
+    const statuses = { ok: 'passed', FAILED: 'failed', ignored: 'skipped' };
+    const results = [];
+    for (const match of text.matchAll(/^test (\S+) \.\.\. (ok|FAILED|ignored)/gm)) {
+        results.push({ name: match[1], status: statuses[match[2]], message: '' });
+    }
+    if (results.length === 0) return null;
+
+    for (const match of text.matchAll(/^---- (\S+) stdout ----\n([\s\S]*?)(?=\n---- \S+ stdout ----|\n+failures:|(?![\s\S]))/gm)) {
+        const result = results.find(r => r.name === match[1] && r.status === 'failed');
+        if (!result) continue;
+        result.message = cleanMessage(match[2]);
+        Object.assign(result, locate(result.message, root));
+    }
+    return results;
+}
+
+// TAP 13 as printed by node --test-reporter=tap. Subtests are indented four spaces under
+// their parent; parents that only group other tests are left out.
+function parseTap(stdout, root) {
+    const lines = stdout.replace(ANSI, '').split('\n');
+    const results = [];
+    // Open parents by depth, for nested names and to mark groups
+    const names = [];
+    let sawPlan = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        if (/^\s*TAP version|^\s*1\.\.\d+/.test(lines[i])) sawPlan = true;
+        const subtest = lines[i].match(/^(\s*)# Subtest: (.*)$/);
+        if (subtest) {
+            names[subtest[1].length / 4] = subtest[2];
+            continue;
+        }
+
+        const match = lines[i].match(/^(\s*)(ok|not ok) \d+ - (.*?)(?: # (SKIP|TODO)\b.*)?$/i);
+        if (!match) continue;
+        const depth = match[1].length / 4;
+
+        // The YAML block right after the test line holds duration, error and location
+        const block = [];
+        if (lines[i + 1]?.trim() === '---') {
+            for (i += 2; i < lines.length && lines[i].trim() !== '...'; i++) {
+                block.push(lines[i]);
+            }
+        }
+        const yaml = block.join('\n');
+
+        const isGroup = results.length > 0 && results[results.length - 1].depth > depth;
+        const failed = match[2] === 'not ok' && !match[4];
+        if (isGroup) {
+            // A group fails when a child does; only keep it if it failed on its own (e.g. a hook)
+            const childFailed = results.some(result => result.depth > depth && result.status === 'failed');
+            results.forEach(result => {
+                if (result.depth > depth) result.depth = depth;
+            });
+            if (!failed || childFailed) continue;
+        }
+
+        const message = failed ? cleanMessage(readYamlValue(block, 'error') || yaml) : '';
+        const declared = readYamlValue(block, 'location')?.match(/^(.*):(\d+):\d+$/);
+        const definedAt = declared ? { file: relative(root, declared[1]), line: Number(declared[2]) } : {};
+        results.push({
+            name: [...names.slice(0, depth), match[3]].join(' > '),
+            ...(failed ? locate(`${message}\n${readYamlValue(block, 'stack') || ''}`, root, definedAt.file, definedAt) : definedAt),
+            status: match[4] ? 'skipped' : failed ? 'failed' : 'passed',
+            message,
+            durationMs: Number(readYamlValue(block, 'duration_ms')) || undefined,
+            depth
+        });
+        names.length = depth;
+    }
+
+    if (!sawPlan && results.length === 0) return null;
+    return results.map(({ depth, ...result }) => result);
+}
+
+// Reads `key: value`, `key: 'quoted'` or a `key: |-` block from a TAP YAML diagnostic
+function readYamlValue(block, key) {
+    const index = block.findIndex(line => line.trimStart().startsWith(`${key}:`));
+    if (index === -1) return undefined;
+
+    const line = block[index];
+    const value = line.slice(line.indexOf(':') + 1).trim();
+    if (/^[|>][-+]?$/.test(value)) {
+        const indent = line.length - line.trimStart().length;
+        const rest = [];
+        for (const next of block.slice(index + 1)) {
+            if (next.trim() && next.length - next.trimStart().length <= indent) break;
+            rest.push(next.trim());
+        }
+        return rest.join('\n');
+    }
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+    if (/^".*"$/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value.slice(1, -1);
+        }
+    }
+    return value;
+}
+
+// The first location in the message that is a file in the workspace (outside
+// node_modules), preferring the test's own file; otherwise where the test was defined
+function locate(message, root, preferredFile, fallback = {}) {
+    const candidates = [];
+    for (const match of (message || '').matchAll(LOCATION)) {
+        const absolute = path.resolve(root, match[1]);
+        const file = path.relative(root, absolute);
+        if (file.startsWith('..') || path.isAbsolute(file) || file.split(path.sep).includes('node_modules')) continue;
+        if (!fs.existsSync(absolute)) continue;
+        candidates.push({ file: file.split(path.sep).join('/'), line: Number(match[2]) });
+    }
+    return candidates.find(candidate => candidate.file === preferredFile)
+        || candidates[0]
+        || { file: fallback.file ?? preferredFile, line: fallback.line };
+}
+
+function relative(root, filePath) {
+    if (!filePath) return undefined;
+    return path.relative(root, path.resolve(root, filePath)).split(path.sep).join('/');
+}
+
+function normalizeStatus(status) {
+    if (status === 'passed' || status === 'failed') return status;
+    // pending, skipped, todo, disabled
+    return 'skipped';
+}
+
+function cleanMessage(message) {
+    const lines = (message || '').replace(ANSI, '').trim().split('\n');
+    if (lines.length <= MAX_MESSAGE_LINES) return lines.join('\n');
+    return [...lines.slice(0, MAX_MESSAGE_LINES), `... (${lines.length - MAX_MESSAGE_LINES} more lines)`].join('\n');
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    for (const match of (text || '').matchAll(/([\w:-]+)="([^"]*)"/g)) {
+        attributes[match[1]] = decodeXml(match[2]);
+    }
+    return attributes;
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+            }
+            return XML_ENTITIES[name] ?? entity;
+        });
+}
+
+module.exports = { parseTestReport };
@@ -0,0 +1,290 @@
+const vscode = require('vscode');
+const path = require('path');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { throwIfCancelled } = require('../utils/Cancellation');
+
+const MAX_RESULTS = 100;
+const MAX_PREVIEWS = 50;
+const MAX_CONTEXT_SYMBOLS = 3;
+const MAX_DEFINITION_LINES = 80;
+
+const SYMBOL_PARAMETERS = {
+    type: 'object',
+    properties: {
+        symbol: { type: 'string', minLength: 1, description: 'Symbol name, optionally qualified like ClassName.method' },
+        filePath: { type: 'string', description: 'File the symbol appears in, relative to the workspace root; narrows the lookup' },
+        line: { type: 'integer', minimum: 1, description: 'Line in filePath where the symbol appears (1-based)' }
+    },
+    required: ['symbol']
+};
+
+const DESCRIPTOR = {
+    name: 'CodeNavigator',
+    description: 'Find symbols, definitions and references using the language servers, returning file:line locations. Positions reflect files on disk, not pending changes',
+    sideEffect: 'read',
+    commands: {
+        findSymbols: {
+            description: 'Search the workspace for classes, functions, methods and other symbols by name',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', minLength: 1, description: 'Symbol name or part of it' }
+                },
+                required: ['query']
+            }
+        },
+        listSymbols: {
+            description: 'Outline of the symbols declared in a file, with their line ranges',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path relative to the workspace root' }
+                },
+                required: ['filePath']
+            }
+        },
+        findDefinition: {
+            description: 'Find where a symbol is defined',
+            parameters: SYMBOL_PARAMETERS
+        },
+        findReferences: {
+            description: 'Find every place a symbol is used',
+            parameters: SYMBOL_PARAMETERS
+        },
+        hover: {
+            description: 'Show the type signature and documentation of a symbol',
+            parameters: SYMBOL_PARAMETERS
+        }
+    }
+};
+
+// Answers "where is X defined / used" from the language servers VS Code already runs,
+// instead of reading whole files. Also a context source: symbols named in the prompt
+// contribute their definitions.
+class CodeNavigator {
+    static get descriptor() {
+        return DESCRIPTOR;
+    }
+
+    constructor(sandbox) {
+        this.sandbox = sandbox;
+    }
+
+    async findSymbols(query) {
+        const symbols = await this.searchWorkspaceSymbols(query);
+        if (symbols.length === 0) {
+            return `No symbols matching ${query}`;
+        }
+        return symbols.slice(0, MAX_RESULTS)
+            .map(symbol => `${this.describeSymbol(symbol)} - ${this.formatLocation(symbol.location.uri, symbol.location.range)}`)
+            .join('\n');
+    }
+
+    async listSymbols(filePath) {
+        const uri = vscode.Uri.file(await this.sandbox.resolve(filePath));
+        const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', uri) || [];
+        if (symbols.length === 0) {
+            return `No symbols found in ${filePath} (is a language extension installed for it?)`;
+        }
+
+        const lines = [];
+        const visit = (symbol, depth) => {
+            const range = symbol.range || symbol.location.range;
+            lines.push(`${'  '.repeat(depth)}${this.describeSymbol(symbol)} (lines ${range.start.line + 1}-${range.end.line + 1})`);
+            (symbol.children || []).forEach(child => visit(child, depth + 1));
+        };
+        symbols.forEach(symbol => visit(symbol, 0));
+        return lines.join('\n');
+    }
+
+    async findDefinition(symbol, filePath, line, context = {}) {
+        const { uri, position } = await this.locate(symbol, filePath, line);
+        throwIfCancelled(context.cancellationToken);
+        const results = await vscode.commands.executeCommand('vscode.executeDefinitionProvider', uri, position) || [];
+        const locations = results.map(result => this.toLocation(result));
+        if (locations.length === 0) {
+            return `No definition found for ${symbol}`;
+        }
+        return this.formatLocations(locations);
+    }
+
+    async findReferences(symbol, filePath, line, context = {}) {
+        const { uri, position } = await this.locate(symbol, filePath, line);
+        throwIfCancelled(context.cancellationToken);
+        const locations = await vscode.commands.executeCommand('vscode.executeReferenceProvider', uri, position) || [];
+        if (locations.length === 0) {
+            return `No references found for ${symbol}`;
+        }
+        const header = locations.length > MAX_RESULTS
+            ? `${locations.length} references (showing the first ${MAX_RESULTS}):`
+            : `${locations.length} references:`;
+        return `${header}\n${await this.formatLocations(locations.slice(0, MAX_RESULTS))}`;
+    }
+
+    async hover(symbol, filePath, line) {
+        const { uri, position } = await this.locate(symbol, filePath, line);
+        const hovers = await vscode.commands.executeCommand('vscode.executeHoverProvider', uri, position) || [];
+        const text = hovers
+            .flatMap(hover => hover.contents)
+            .map(content => (typeof content === 'string' ? content : content.value))
+            .filter(Boolean)
+            .join('\n\n');
+        return text || `No hover information for ${symbol}`;
+    }
+
+    // Context source for ContextManager: definitions of the symbols the query names
+    async getContext(query) {
+        // Only the request itself; the attached selection and file would add noise
+        const request = query.split('\n\nSelected Text:')[0];
+        const names = this.extractSymbolNames(request).slice(0, MAX_CONTEXT_SYMBOLS);
+        const context = [];
+
+        for (const name of names) {
+            const [symbol] = await this.searchWorkspaceSymbols(name);
+            if (!symbol) continue;
+
+            const document = await vscode.workspace.openTextDocument(symbol.location.uri);
+            const { start, end } = symbol.location.range;
+            const last = Math.min(end.line, start.line + MAX_DEFINITION_LINES - 1);
+            const code = document.getText(new vscode.Range(start.line, 0, last, Number.MAX_SAFE_INTEGER));
+            const truncated = last < end.line ? '\n// ... definition continues' : '';
+
+            context.push(`Definition: ${this.describeSymbol(symbol)} (${this.formatLocation(symbol.location.uri, symbol.location.range)})
+\`\`\`${document.languageId}
+${code}${truncated}
+\`\`\``);
+        }
+        return context;
+    }
+
+    // Identifiers that look like code: `backticked`, Dotted.names, camelCase or PascalCase
+    extractSymbolNames(query) {
+        const names = new Set();
+        for (const match of query.matchAll(/`([A-Za-z_$][\w$.]*)`/g)) {
+            names.add(match[1]);
+        }
+        for (const match of query.matchAll(/\b[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+\b|\b[a-z]+[A-Z][\w$]*\b|\b[A-Z][a-z0-9]+[A-Z][\w$]*\b/g)) {
+            // Skip file names like PromptHandler.js
+            if (!/\.(js|ts|jsx|tsx|json|md|py|java|go|rs|css|html)$/i.test(match[0])) {
+                names.add(match[0]);
+            }
+        }
+        return [...names];
+    }
+
+    // Finds a position for the symbol: on the given line, in the given file's symbols,
+    // or anywhere in the workspace
+    async locate(symbol, filePath, line) {
+        const memberName = symbol.split('.').pop();
+
+        if (filePath) {
+            const uri = vscode.Uri.file(await this.sandbox.resolve(filePath));
+            const document = await vscode.workspace.openTextDocument(uri);
+
+            if (line) {
+                if (line > document.lineCount) {
+                    throw new ToshimoError(ErrorType.Validation, `${filePath} has only ${document.lineCount} lines`);
+                }
+                const column = this.findIdentifier(document.lineAt(line - 1).text, memberName);
+                if (column === -1) {
+                    throw new ToshimoError(ErrorType.Validation, `${memberName} does not appear on line ${line} of ${filePath}`);
+                }
+                return { uri, position: new vscode.Position(line - 1, column) };
+            }
+
+            const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', uri) || [];
+            const match = this.findInOutline(symbols, symbol.split('.'));
+            if (match) {
+                return { uri, position: match.selectionRange?.start || match.location.range.start };
+            }
+        }
+
+        const [match] = await this.searchWorkspaceSymbols(symbol);
+        if (!match) {
+            throw new ToshimoError(ErrorType.Validation, `Could not find a symbol named ${symbol}${filePath ? ` in ${filePath} or the workspace` : ''}`);
+        }
+
+        // Workspace symbol ranges can start at a keyword or decorator; point at the name itself
+        const document = await vscode.workspace.openTextDocument(match.location.uri);
+        const start = match.location.range.start;
+        const column = this.findIdentifier(document.lineAt(start.line).text, memberName);
+        return {
+            uri: match.location.uri,
+            position: column === -1 ? start : new vscode.Position(start.line, column)
+        };
+    }
+
+    // Matches a qualified name like ["LLMService", "parseResponse"] against nested symbols
+    findInOutline(symbols, parts) {
+        for (const symbol of symbols) {
+            if (symbol.name === parts[0]) {
+                if (parts.length === 1) return symbol;
+                const child = this.findInOutline(symbol.children || [], parts.slice(1));
+                if (child) return child;
+            }
+            if (parts.length === 1) {
+                const nested = this.findInOutline(symbol.children || [], parts);
+                if (nested) return nested;
+            }
+        }
+        return undefined;
+    }
+
+    // Exact matches first; for Container.member, the member's container must match too
+    async searchWorkspaceSymbols(query) {
+        const parts = query.split('.');
+        const name = parts.pop();
+        const container = parts.pop();
+        const symbols = await vscode.commands.executeCommand('vscode.executeWorkspaceSymbolProvider', name) || [];
+
+        const inWorkspace = symbols.filter(symbol => vscode.workspace.getWorkspaceFolder(symbol.location.uri) !== undefined);
+        const candidates = container
+            ? inWorkspace.filter(symbol => symbol.name === name && symbol.containerName?.split('.').pop() === container)
+            : inWorkspace;
+        return candidates.sort((a, b) => (b.name === name) - (a.name === name));
+    }
+
+    findIdentifier(text, name) {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`).exec(text);
+        return match ? match.index : -1;
+    }
+
+    // Definition providers return Locations or LocationLinks
+    toLocation(result) {
+        return result.targetUri
+            ? { uri: result.targetUri, range: result.targetSelectionRange || result.targetRange }
+            : result;
+    }
+
+    async formatLocations(locations) {
+        const lines = [];
+        for (const [index, location] of locations.entries()) {
+            let preview = '';
+            if (index < MAX_PREVIEWS) {
+                try {
+                    const document = await vscode.workspace.openTextDocument(location.uri);
+                    preview = `: ${document.lineAt(location.range.start.line).text.trim()}`;
+                } catch {
+                    // Leave the location without a preview
+                }
+            }
+            lines.push(`${this.formatLocation(location.uri, location.range)}${preview}`);
+        }
+        return lines.join('\n');
+    }
+
+    formatLocation(uri, range) {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        const file = folder ? path.relative(folder.uri.fsPath, uri.fsPath) : uri.fsPath;
+        return `${file.split(path.sep).join('/')}:${range.start.line + 1}`;
+    }
+
+    describeSymbol(symbol) {
+        const kind = vscode.SymbolKind[symbol.kind] || 'Symbol';
+        const container = symbol.containerName ? `${symbol.containerName}.` : '';
+        return `${kind} ${container}${symbol.name}`;
+    }
+}
+
+module.exports = { CodeNavigator };
@@ -0,0 +1,49 @@
+const DESCRIPTOR = {
+    name: 'CodebaseSearch',
+    description: 'Search the indexed codebase by meaning and by exact words (identifiers, error codes), returning matching code chunks with their file:line ranges. Reflects the last indexed state of files on disk',
+    sideEffect: 'read',
+    commands: {
+        searchCodebase: {
+            description: 'Find the code chunks most relevant to a query, optionally only in one language or under a path',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', minLength: 1, description: 'What to look for: a description, identifier or error message' },
+                    language: { type: 'string', description: 'Only chunks in this language, e.g. typescript or python' },
+                    path: { type: 'string', description: 'Only files matching this glob relative to the workspace root, e.g. src/**/*.js' },
+                    maxResults: { type: 'integer', minimum: 1, maximum: 20, description: 'Number of chunks to return (default: toshimo.context.maxFiles)' }
+                },
+                required: ['query']
+            }
+        }
+    }
+};
+
+// Lets the agent run its own searches against the codebase index, e.g. for an identifier
+// it saw in an error, instead of only the context retrieved for the user's prompt
+class CodebaseSearch {
+    static get descriptor() {
+        return DESCRIPTOR;
+    }
+
+    constructor(contextManager) {
+        this.contextManager = contextManager;
+    }
+
+    async searchCodebase(query, language, path, maxResults, context = {}) {
+        const results = await this.contextManager.searchCodebase(query, {
+            language,
+            path,
+            limit: maxResults,
+            cancellationToken: context.cancellationToken
+        });
+        if (results.length === 0) {
+            return this.contextManager.getIndexStatus().indexed
+                ? `No indexed code matches ${query}`
+                : 'The codebase has not been indexed yet. Run "Toshimo: Initialize Codebase" first';
+        }
+        return results.map(result => this.contextManager.formatSearchResult(result)).join('\n\n');
+    }
+}
+
+module.exports = { CodebaseSearch };
@@ -0,0 +1,342 @@
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { validate, formatErrors } = require('../utils/SchemaValidator');
+const { quote } = require('../utils/Shell');
+
+const TOOLS_DIRECTORY = path.join('.toshimo', 'tools');
+const RELOAD_DELAY_MS = 300;
+const LOAD = 'Load';
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+// Command names that would shadow TemplateTool's own members
+const RESERVED_COMMANDS = ['constructor', 'definition', 'terminalClient', 'root', 'describeApproval', 'run', 'render', 'getWorkingDirectory'];
+
+// Shape of a .toshimo/tools/*.json file; each command is checked against COMMAND_SCHEMA
+const DEFINITION_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        commands: { type: 'object' }
+    },
+    required: ['name', 'description', 'commands']
+};
+
+const COMMAND_SCHEMA = {
+    type: 'object',
+    properties: {
+        description: { type: 'string', minLength: 1 },
+        command: { type: 'string', minLength: 1 },
+        parameters: { type: 'object' },
+        cwd: { type: 'string' },
+        timeoutSeconds: { type: 'number', minimum: 1 }
+    },
+    required: ['description', 'command'],
+    additionalProperties: false
+};
+
+// Splits a command template into words, each with the whitespace before it; whitespace
+// inside quotes or after a backslash belongs to the word
+function splitWords(template) {
+    const words = [];
+    let gap = '';
+    let word = '';
+    let quoteChar = null;
+    for (let i = 0; i < template.length; i++) {
+        const char = template[i];
+        if (!quoteChar && /\s/.test(char)) {
+            if (word) {
+                words.push({ gap, word });
+                gap = '';
+                word = '';
+            }
+            gap += char;
+            continue;
+        }
+        word += char;
+        if (char === '\\' && quoteChar !== "'" && i + 1 < template.length) {
+            word += template[++i];
+        } else if (quoteChar ? char === quoteChar : char === '"' || char === "'") {
+            quoteChar = quoteChar ? null : char;
+        }
+    }
+    if (word) words.push({ gap, word });
+    return words;
+}
+
+// A JSON-defined tool: each command renders its template with the (shell-quoted)
+// arguments and runs it like TerminalClient.executeCommand, including the approval
+class TemplateTool {
+    constructor(definition, terminalClient, root) {
+        this.definition = definition;
+        this.terminalClient = terminalClient;
+        this.root = root;
+
+        for (const name of Object.keys(definition.commands)) {
+            this[name] = (...args) => this.run(name, args);
+        }
+    }
+
+    describeApproval(command, args) {
+        return {
+            command: this.render(command, args),
+            cwd: this.getWorkingDirectory(command)
+        };
+    }
+
+    async run(command, args) {
+        const context = args.pop() || {};
+        const commandLine = this.render(command, args);
+        const result = await this.terminalClient.runner.run(commandLine, {
+            cwd: this.getWorkingDirectory(command),
+            timeoutSeconds: this.definition.commands[command].timeoutSeconds,
+            cancellationToken: context.cancellationToken
+        });
+        if (result.cancelled) {
+            throw new ToshimoError(ErrorType.Cancelled, `Command cancelled: ${commandLine}`);
+        }
+        return this.terminalClient.formatResult(result);
+    }
+
+    // Words left empty by missing arguments are dropped together with their gap; the rest
+    // of the template and the quoted values are kept exactly as written
+    render(command, args) {
+        const spec = this.definition.commands[command];
+        const names = Object.keys(spec.parameters?.properties || {});
+        const parts = [];
+        let gaps = [];
+        for (const { gap, word } of splitWords(spec.command)) {
+            gaps.push(gap);
+            const rendered = word.replace(PLACEHOLDER, (_, name) => {
+                const value = args[names.indexOf(name)];
+                if (value === undefined || value === null) return '';
+                return [].concat(value).map(item => quote(String(item))).join(' ');
+            });
+            if (rendered === '') continue;
+            if (parts.length > 0) {
+                parts.push(gaps.find(skipped => skipped.includes('\n')) || gaps[0]);
+            }
+            parts.push(rendered);
+            gaps = [];
+        }
+        return parts.join('');
+    }
+
+    getWorkingDirectory(command) {
+        const cwd = this.definition.commands[command].cwd;
+        return cwd ? path.resolve(this.root, cwd) : this.root;
+    }
+}
+
+// Registers the workspace's own tools from .toshimo/tools and keeps them in sync with
+// the folder. JSON files describe command templates; JS modules run arbitrary code, so
+// they only load in a trusted workspace after the user agrees.
+class CustomToolLoader {
+    constructor(registry, terminalClient) {
+        this.registry = registry;
+        this.terminalClient = terminalClient;
+        this.loaded = [];
+        // Module path -> content hash the user agreed (or refused) to load
+        this.moduleDecisions = new Map();
+        this.watcher = undefined;
+        this.reloadTimer = undefined;
+    }
+
+    async load() {
+        const root = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        if (!root) return [];
+
+        const directory = path.join(root, TOOLS_DIRECTORY);
+        let files;
+        try {
+            files = (await fs.readdir(directory)).sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const problems = [];
+        const jsonFiles = files.filter(file => file.endsWith('.json'));
+        const moduleFiles = await this.approvedModules(directory, files.filter(file => file.endsWith('.js')));
+
+        for (const file of [...jsonFiles, ...moduleFiles]) {
+            try {
+                const filePath = path.join(directory, file);
+                const { instance, descriptor } = file.endsWith('.json')
+                    ? await this.loadTemplateTool(filePath, root)
+                    : this.loadModuleTool(filePath);
+                this.registry.register(instance, descriptor);
+                this.loaded.push(descriptor.name);
+            } catch (error) {
+                console.error(`Failed to load custom tool ${file}:`, error);
+                problems.push(`${file}: ${error.message}`);
+            }
+        }
+
+        if (problems.length > 0) {
+            vscode.window.showWarningMessage(`Toshimo: Skipped custom tools. ${problems.join(' | ')}`);
+        }
+        return [...this.loaded];
+    }
+
+    async reload() {
+        this.unloadAll();
+        return this.load();
+    }
+
+    unloadAll() {
+        this.loaded.forEach(name => this.registry.unregister(name));
+        this.loaded = [];
+    }
+
+    // Reloads shortly after the last change, so saving several files reloads once
+    watch() {
+        const root = vscode.workspace.workspaceFolders?.[0];
+        if (!root || this.watcher) return;
+
+        this.watcher = vscode.workspace.createFileSystemWatcher(
+            new vscode.RelativePattern(root, '.toshimo/tools/*.{json,js}')
+        );
+        const scheduleReload = () => {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => {
+                this.reload().catch(error => console.error('Failed to reload custom tools:', error));
+            }, RELOAD_DELAY_MS);
+        };
+        this.watcher.onDidCreate(scheduleReload);
+        this.watcher.onDidChange(scheduleReload);
+        this.watcher.onDidDelete(scheduleReload);
+    }
+
+    async loadTemplateTool(filePath, root) {
+        let definition;
+        try {
+            definition = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            throw new ToshimoError(ErrorType.Validation, `not valid JSON (${error.message})`, error);
+        }
+
+        const errors = validate(DEFINITION_SCHEMA, definition).errors;
+        for (const [name, spec] of Object.entries(definition.commands || {})) {
+            errors.push(...validate(COMMAND_SCHEMA, spec, `commands.${name}`).errors);
+            errors.push(...this.checkTemplate(name, spec));
+        }
+        if (errors.length > 0) {
+            throw new ToshimoError(ErrorType.Validation, formatErrors(errors).join('; '));
+        }
+
+        this.checkNames(definition);
+        const descriptor = {
+            name: definition.name,
+            description: definition.description,
+            // Rendered commands go through the command policy and approval like TerminalClient
+            requiresApproval: true,
+            sideEffect: 'exec',
+            commands: Object.fromEntries(Object.entries(definition.commands).map(([name, spec]) => [name, {
+                description: spec.description,
+                parameters: spec.parameters
+            }]))
+        };
+        return { instance: new TemplateTool(definition, this.terminalClient, root), descriptor };
+    }
+
+    // Every {{placeholder}} needs a declared parameter
+    checkTemplate(name, spec) {
+        const declared = Object.keys(spec.parameters?.properties || {});
+        return [...(spec.command || '').matchAll(PLACEHOLDER)]
+            .map(match => match[1])
+            .filter(placeholder => !declared.includes(placeholder))
+            .map(placeholder => ({
+                path: `commands.${name}.command`,
+                message: `uses {{${placeholder}}} but parameters declare no ${placeholder}`
+            }));
+    }
+
+    // Modules export { name, description, commands: { <name>: { description, parameters,
+    // sideEffect, requiresApproval, run(args, context) } } } where args are named
+    loadModuleTool(filePath) {
+        delete require.cache[require.resolve(filePath)];
+        const definition = require(filePath);
+        if (!definition || typeof definition.name !== 'string' || typeof definition.commands !== 'object') {
+            throw new ToshimoError(ErrorType.Validation, 'must export { name, description, commands }');
+        }
+        this.checkNames(definition);
+
+        const instance = Object.create(null);
+        const commands = {};
+        for (const [name, spec] of Object.entries(definition.commands)) {
+            if (typeof spec.run !== 'function') {
+                throw new ToshimoError(ErrorType.Validation, `commands.${name}.run must be a function`);
+            }
+            const order = Object.keys(spec.parameters?.properties || {});
+            instance[name] = (...args) => {
+                const context = args.pop() || {};
+                return spec.run(Object.fromEntries(order.map((key, i) => [key, args[i]])), context);
+            };
+            const { run, ...rest } = spec;
+            commands[name] = { requiresApproval: true, ...rest };
+        }
+
+        return {
+            instance,
+            descriptor: {
+                name: definition.name,
+                description: definition.description || `Custom tool ${definition.name}`,
+                sideEffect: 'exec',
+                commands
+            }
+        };
+    }
+
+    // Names end up in native tool names, where __ separates tool from command
+    checkNames(definition) {
+        if (!/^[A-Za-z][A-Za-z0-9_-]*$/.test(definition.name) || definition.name.includes('__')) {
+            throw new ToshimoError(ErrorType.Validation, `name ${definition.name} must be letters, digits, _ or - without __`);
+        }
+        for (const name of Object.keys(definition.commands)) {
+            if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name) || RESERVED_COMMANDS.includes(name)) {
+                throw new ToshimoError(ErrorType.Validation, `command name ${name} is not allowed`);
+            }
+        }
+    }
+
+    // Asks once per module version; edited modules are asked about again
+    async approvedModules(directory, files) {
+        if (files.length === 0) return [];
+        if (!vscode.workspace.isTrusted) {
+            console.warn('Workspace is not trusted; skipping custom tool modules:', files);
+            return [];
+        }
+
+        const hashes = new Map();
+        for (const file of files) {
+            const content = await fs.readFile(path.join(directory, file));
+            hashes.set(file, crypto.createHash('sha256').update(content).digest('hex'));
+        }
+
+        const undecided = files.filter(file => this.moduleDecisions.get(file)?.hash !== hashes.get(file));
+        if (undecided.length > 0) {
+            const choice = await vscode.window.showWarningMessage(
+                'Toshimo found custom tool modules in .toshimo/tools',
+                {
+                    modal: true,
+                    detail: `${undecided.join('\n')}\n\nThese modules run inside VS Code with full access to your files and network. Only load them if you trust this workspace's code.`
+                },
+                LOAD
+            );
+            undecided.forEach(file => this.moduleDecisions.set(file, { hash: hashes.get(file), load: choice === LOAD }));
+        }
+
+        return files.filter(file => this.moduleDecisions.get(file).load);
+    }
+
+    dispose() {
+        clearTimeout(this.reloadTimer);
+        this.watcher?.dispose();
+        this.watcher = undefined;
+    }
+}
+
+module.exports = { CustomToolLoader };
@@ -0,0 +1,133 @@
+const vscode = require('vscode');
+
+const SEVERITIES = ['error', 'warning', 'information', 'hint'];
+const MAX_DIAGNOSTICS = 200;
+// Language servers report in bursts; wait until they have been quiet this long
+const SETTLE_MS = 1500;
+const MAX_WAIT_MS = 10000;
+
+const DESCRIPTOR = {
+    name: 'DiagnosticsTool',
+    description: 'Read compiler and linter problems reported in VS Code',
+    sideEffect: 'read',
+    commands: {
+        getDiagnostics: {
+            description: 'List the errors and warnings VS Code reports for files. Defaults to the files with pending changes. Diagnostics describe the files on disk, so pending changes are not checked until they are accepted',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePaths: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Files relative to the workspace root'
+                    },
+                    severity: {
+                        type: 'string',
+                        enum: SEVERITIES,
+                        description: 'Least severe level to include (default warning)'
+                    }
+                },
+                required: []
+            }
+        }
+    }
+};
+
+// Collects diagnostics from the language servers and linters VS Code runs. Files are
+// opened first, since many servers only check open documents.
+class DiagnosticsTool {
+    static get descriptor() {
+        return DESCRIPTOR;
+    }
+
+    constructor(pendingChanges, sandbox) {
+        this.pendingChanges = pendingChanges;
+        this.sandbox = sandbox;
+    }
+
+    async getDiagnostics(filePaths, severity = 'warning') {
+        const files = filePaths?.length
+            ? await Promise.all(filePaths.map(filePath => this.sandbox.resolve(filePath)))
+            : this.pendingChanges.list().filter(change => change.proposedContent !== null).map(change => change.filePath);
+        if (files.length === 0) {
+            return 'No files to check; pass filePaths or stage some changes first';
+        }
+
+        const diagnostics = await this.collect(files, severity);
+        const lines = files.map(file => {
+            const pending = this.pendingChanges.get(file)
+                ? ' (has pending changes; showing the version on disk)'
+                : '';
+            const problems = diagnostics.filter(d => d.file === file);
+            return problems.length === 0
+                ? `${this.getRelativePath(file)}${pending}: no problems`
+                : [`${this.getRelativePath(file)}${pending}:`, ...problems.map(d => `  ${this.formatDiagnostic(d, false)}`)].join('\n');
+        });
+        return lines.join('\n');
+    }
+
+    // Returns [{ file, line, column, severity, message, source, code }]
+    async collect(files, minimumSeverity = 'warning') {
+        const uris = files.map(file => vscode.Uri.file(file));
+        await this.waitForDiagnostics(uris);
+
+        const limit = SEVERITIES.indexOf(minimumSeverity);
+        const results = [];
+        for (const uri of uris) {
+            for (const diagnostic of vscode.languages.getDiagnostics(uri)) {
+                if (diagnostic.severity > limit) continue;
+                results.push({
+                    file: uri.fsPath,
+                    line: diagnostic.range.start.line + 1,
+                    column: diagnostic.range.start.character + 1,
+                    severity: SEVERITIES[diagnostic.severity],
+                    message: diagnostic.message,
+                    source: diagnostic.source,
+                    code: typeof diagnostic.code === 'object' ? diagnostic.code?.value : diagnostic.code
+                });
+            }
+        }
+        return results.slice(0, MAX_DIAGNOSTICS);
+    }
+
+    // Opens the files and resolves once their diagnostics stop changing
+    async waitForDiagnostics(uris) {
+        const pending = new Set(uris.map(uri => uri.toString()));
+
+        await new Promise(resolve => {
+            let settleTimer;
+            const finish = () => {
+                clearTimeout(settleTimer);
+                clearTimeout(maxTimer);
+                subscription.dispose();
+                resolve();
+            };
+            const maxTimer = setTimeout(finish, MAX_WAIT_MS);
+            const subscription = vscode.languages.onDidChangeDiagnostics(event => {
+                if (event.uris.some(uri => pending.has(uri.toString()))) {
+                    clearTimeout(settleTimer);
+                    settleTimer = setTimeout(finish, SETTLE_MS);
+                }
+            });
+            settleTimer = setTimeout(finish, SETTLE_MS);
+
+            Promise.all(uris.map(uri => vscode.workspace.openTextDocument(uri).then(undefined, error => {
+                console.warn('Could not open document for diagnostics:', uri.fsPath, error);
+            })));
+        });
+    }
+
+    formatDiagnostic(diagnostic, includeFile = true) {
+        const source = diagnostic.source ? ` [${diagnostic.source}${diagnostic.code !== undefined ? ` ${diagnostic.code}` : ''}]` : '';
+        const location = includeFile
+            ? `${this.getRelativePath(diagnostic.file)}:${diagnostic.line}:${diagnostic.column}`
+            : `${diagnostic.line}:${diagnostic.column}`;
+        return `${location} ${diagnostic.severity}${source}: ${diagnostic.message}`;
+    }
+
+    getRelativePath(filePath) {
+        return this.pendingChanges.getRelativePath(filePath);
+    }
+}
+
+module.exports = { DiagnosticsTool, SEVERITIES };
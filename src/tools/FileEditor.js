@@ -1,38 +1,153 @@
-const vscode = require('vscode');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { applySearchReplace, replaceLineRange, applyUnifiedDiff } = require('../utils/TextEdits');
 
+const DESCRIPTOR = {
+    name: 'FileEditor',
+    description: 'Propose edits to existing files; edits are staged for the user to review',
+    commands: {
+        editFile: {
+            description: 'Replace the whole content of an existing file. Prefer searchReplace or applyPatch for changes to part of a file',
+            sideEffect: 'write',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path of the file, relative to the workspace root' },
+                    changes: { type: 'string', description: 'New content for the whole file' }
+                },
+                required: ['filePath', 'changes']
+            }
+        },
+        searchReplace: {
+            description: 'Replace an exact block of text in a file. The search block must match exactly once unless replaceAll is true',
+            sideEffect: 'write',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path of the file, relative to the workspace root' },
+                    search: { type: 'string', description: 'Exact text to find, copied from the current file including whitespace' },
+                    replace: { type: 'string', description: 'Text to put in its place' },
+                    replaceAll: { type: 'boolean', description: 'Replace every occurrence instead of requiring a unique match' }
+                },
+                required: ['filePath', 'search', 'replace']
+            }
+        },
+        replaceLines: {
+            description: 'Replace a 1-based, inclusive range of lines in a file',
+            sideEffect: 'write',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path of the file, relative to the workspace root' },
+                    startLine: { type: 'integer', description: 'First line to replace (1-based)' },
+                    endLine: { type: 'integer', description: 'Last line to replace (inclusive)' },
+                    content: { type: 'string', description: 'Replacement lines' }
+                },
+                required: ['filePath', 'startLine', 'endLine', 'content']
+            }
+        },
+        applyPatch: {
+            description: 'Apply a unified diff (@@ hunks with context lines) to a file',
+            sideEffect: 'write',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path of the file, relative to the workspace root' },
+                    patch: { type: 'string', description: 'Unified diff for this file' }
+                },
+                required: ['filePath', 'patch']
+            }
+        },
+        showDiff: {
+            description: 'Open the diff editor for changes proposed to a file',
+            sideEffect: 'read',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path of the file, relative to the workspace root' }
+                },
+                required: ['filePath']
+            }
+        }
+    }
+};
+
+// Edits are staged in PendingChanges and only reach the disk when the user accepts them
 class FileEditor {
+    static get descriptor() {
+        return DESCRIPTOR;
+    }
+
+    constructor(pendingChanges, sandbox) {
+        this.pendingChanges = pendingChanges;
+        this.sandbox = sandbox;
+    }
+
     async editFile(filePath, changes) {
         try {
-            const uri = vscode.Uri.file(filePath);
-            const edit = new vscode.WorkspaceEdit();
-            
-            const document = await vscode.workspace.openTextDocument(uri);
-            edit.replace(
-                uri,
-                new vscode.Range(
-                    document.positionAt(0),
-                    document.positionAt(document.getText().length)
-                ),
-                changes
-            );
-            
-            await vscode.workspace.applyEdit(edit);
-            return true;
+            const fullPath = await this.sandbox.resolve(filePath, { write: true });
+            const current = await this.readExisting(fullPath, filePath);
+            this.pendingChanges.stage(fullPath, changes, current);
+            return `Proposed new content for ${filePath}`;
         } catch (error) {
             console.error('FileEditor editFile error:', error);
             throw error;
         }
     }
 
-    async showDiff(filePath, originalContent, newContent) {
-        // Create a diff view
-        const uri = vscode.Uri.file(filePath);
-        await vscode.commands.executeCommand('vscode.diff',
-            uri.with({ scheme: 'original' }),
-            uri.with({ scheme: 'modified' }),
-            `${filePath} (Changes)`
-        );
+    async searchReplace(filePath, search, replace, replaceAll = false) {
+        try {
+            const fullPath = await this.sandbox.resolve(filePath, { write: true });
+            const current = await this.readExisting(fullPath, filePath);
+            const result = applySearchReplace(current, search, replace, replaceAll);
+            this.pendingChanges.stage(fullPath, result.text, current);
+            return `Replaced ${result.replacements} occurrence${result.replacements === 1 ? '' : 's'} in ${filePath}`;
+        } catch (error) {
+            console.error('FileEditor searchReplace error:', error);
+            throw error;
+        }
+    }
+
+    async replaceLines(filePath, startLine, endLine, content) {
+        try {
+            const fullPath = await this.sandbox.resolve(filePath, { write: true });
+            const current = await this.readExisting(fullPath, filePath);
+            const newText = replaceLineRange(current, startLine, endLine, content);
+            this.pendingChanges.stage(fullPath, newText, current);
+            return `Replaced lines ${startLine}-${endLine} in ${filePath}`;
+        } catch (error) {
+            console.error('FileEditor replaceLines error:', error);
+            throw error;
+        }
+    }
+
+    async applyPatch(filePath, patch) {
+        try {
+            const fullPath = await this.sandbox.resolve(filePath, { write: true });
+            const current = await this.readExisting(fullPath, filePath);
+            const result = applyUnifiedDiff(current, patch);
+            this.pendingChanges.stage(fullPath, result.text, current);
+            return `Applied ${result.hunks} hunk${result.hunks === 1 ? '' : 's'} to ${filePath}`;
+        } catch (error) {
+            console.error('FileEditor applyPatch error:', error);
+            throw error;
+        }
+    }
+
+    async showDiff(filePath) {
+        await this.pendingChanges.showDiff(await this.sandbox.resolve(filePath));
+        return `Opened diff for ${filePath}`;
+    }
+
+    async readExisting(fullPath, filePath) {
+        const content = await this.pendingChanges.readCurrent(fullPath);
+        if (content === null) {
+            throw new ToshimoError(
+                ErrorType.FileSystem,
+                `File ${filePath} does not exist. Use FileManager.createFile to create it.`
+            );
+        }
+        return content;
     }
 }
 
-module.exports = { FileEditor }; 
\ No newline at end of file
+module.exports = { FileEditor };
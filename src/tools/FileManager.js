@@ -1,18 +1,144 @@
-const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs/promises');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { IgnoreRules } = require('../context/IgnoreRules');
+const { matchesGlob, toPosix } = require('../utils/Glob');
 
+const MAX_LIST_ENTRIES = 500;
+const MAX_FIND_RESULTS = 200;
+const MAX_GREP_RESULTS = 100;
+const MAX_GREP_FILE_SIZE = 1024 * 1024;
+const MAX_LINE_LENGTH = 300;
+
+const DESCRIPTOR = {
+    name: 'FileManager',
+    description: 'Read, list and search workspace files, and propose new, moved or deleted files',
+    commands: {
+        createFile: {
+            description: 'Create a file (and any missing folders) relative to the workspace root',
+            sideEffect: 'write',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path relative to the workspace root' },
+                    content: { type: 'string', description: 'Full content of the new file' }
+                },
+                required: ['filePath', 'content']
+            }
+        },
+        readFile: {
+            description: 'Read a file relative to the workspace root',
+            sideEffect: 'read',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path relative to the workspace root' }
+                },
+                required: ['filePath']
+            }
+        },
+        fileExists: {
+            description: 'Check whether a file exists relative to the workspace root',
+            sideEffect: 'read',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path relative to the workspace root' }
+                },
+                required: ['filePath']
+            }
+        },
+        readFileRange: {
+            description: 'Read a 1-based, inclusive range of lines from a file, each prefixed with its line number',
+            sideEffect: 'read',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path relative to the workspace root' },
+                    startLine: { type: 'integer', description: 'First line to read (1-based)' },
+                    endLine: { type: 'integer', description: 'Last line to read (inclusive)' }
+                },
+                required: ['filePath', 'startLine', 'endLine']
+            }
+        },
+        listDirectory: {
+            description: 'List the files and folders in a directory; folders end with /',
+            sideEffect: 'read',
+            parameters: {
+                type: 'object',
+                properties: {
+                    dirPath: { type: 'string', description: 'Directory relative to the workspace root; defaults to the root' }
+                },
+                required: []
+            }
+        },
+        findFiles: {
+            description: 'Find files whose workspace-relative path matches a glob such as src/**/*.js',
+            sideEffect: 'read',
+            parameters: {
+                type: 'object',
+                properties: {
+                    pattern: { type: 'string', description: 'Glob pattern; a pattern without / matches file names anywhere' }
+                },
+                required: ['pattern']
+            }
+        },
+        grep: {
+            description: 'Search file contents with a regular expression and return path:line: text matches',
+            sideEffect: 'read',
+            parameters: {
+                type: 'object',
+                properties: {
+                    pattern: { type: 'string', description: 'JavaScript regular expression' },
+                    glob: { type: 'string', description: 'Only search files matching this glob' }
+                },
+                required: ['pattern']
+            }
+        },
+        moveFile: {
+            description: 'Move or rename a file',
+            sideEffect: 'write',
+            parameters: {
+                type: 'object',
+                properties: {
+                    sourcePath: { type: 'string', description: 'Current path relative to the workspace root' },
+                    destinationPath: { type: 'string', description: 'New path relative to the workspace root' }
+                },
+                required: ['sourcePath', 'destinationPath']
+            }
+        },
+        deleteFile: {
+            description: 'Delete a file',
+            sideEffect: 'write',
+            parameters: {
+                type: 'object',
+                properties: {
+                    filePath: { type: 'string', description: 'Path relative to the workspace root' }
+                },
+                required: ['filePath']
+            }
+        }
+    }
+};
+
+// New files, moves and deletions are staged in PendingChanges like edits; reads see staged
+// content first. Every path goes through the WorkspaceSandbox before it is touched, and
+// listing and searching skip the same files as codebase indexing (IgnoreRules).
 class FileManager {
-    constructor() {
-        this.workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    static get descriptor() {
+        return DESCRIPTOR;
+    }
+
+    constructor(pendingChanges, sandbox) {
+        this.pendingChanges = pendingChanges;
+        this.sandbox = sandbox;
     }
 
     async createFile(filePath, content) {
         try {
-            const fullPath = path.join(this.workspaceRoot, filePath);
-            const dir = path.dirname(fullPath);
-            await fs.mkdir(dir, { recursive: true });
-            await fs.writeFile(fullPath, content);
+            const fullPath = await this.sandbox.resolve(filePath, { write: true });
+            const current = await this.pendingChanges.readCurrent(fullPath);
+            this.pendingChanges.stage(fullPath, content, current);
             return true;
         } catch (error) {
             console.error('FileManager createFile error:', error);
@@ -22,23 +148,251 @@ class FileManager {
 
     async readFile(filePath) {
         try {
-            const fullPath = path.join(this.workspaceRoot, filePath);
-            return await fs.readFile(fullPath, 'utf8');
+            const fullPath = await this.sandbox.resolve(filePath);
+            const content = await this.pendingChanges.readCurrent(fullPath);
+            if (content === null) {
+                throw new ToshimoError(ErrorType.FileSystem, `File ${filePath} does not exist`);
+            }
+            return content;
         } catch (error) {
             console.error('FileManager readFile error:', error);
             throw error;
         }
     }
 
+    // Lines are 1-based and inclusive; each line is prefixed with its number
+    async readFileRange(filePath, startLine, endLine) {
+        const content = await this.readFile(filePath);
+        const lines = content.replace(/\r?\n$/, '').split(/\r?\n/);
+        const start = Math.max(1, startLine || 1);
+        const end = Math.min(lines.length, endLine || lines.length);
+        if (start > end) {
+            throw new ToshimoError(
+                ErrorType.FileSystem,
+                `Line range ${startLine}-${endLine} is outside ${filePath}, which has ${lines.length} lines`
+            );
+        }
+
+        const width = String(end).length;
+        return lines
+            .slice(start - 1, end)
+            .map((line, i) => `${String(start + i).padStart(width)}: ${line}`)
+            .join('\n');
+    }
+
     async fileExists(filePath) {
+        // Paths outside the workspace are an error, not a missing file
+        const fullPath = await this.sandbox.resolve(filePath);
         try {
-            const fullPath = path.join(this.workspaceRoot, filePath);
-            await fs.access(fullPath);
-            return true;
+            return (await this.pendingChanges.readCurrent(fullPath)) !== null;
         } catch {
             return false;
         }
     }
+
+    async listDirectory(dirPath = '.') {
+        try {
+            const fullPath = await this.sandbox.resolve(dirPath || '.');
+            const root = await this.getRoot(fullPath);
+            const ignoreRules = await IgnoreRules.forWorkspace(root);
+            const entries = await fs.readdir(fullPath, { withFileTypes: true });
+
+            const lines = [];
+            for (const entry of entries) {
+                const entryPath = path.join(fullPath, entry.name);
+                if (ignoreRules.shouldIgnore(path.relative(root, entryPath))) continue;
+                const staged = this.pendingChanges.get(entryPath);
+                if (entry.isDirectory()) {
+                    lines.push(`${entry.name}/`);
+                } else if (staged?.proposedContent === null) {
+                    lines.push(`${entry.name} (pending delete)`);
+                } else {
+                    lines.push(entry.name);
+                }
+            }
+
+            // Proposed files that don't exist on disk yet
+            for (const change of this.pendingChanges.list()) {
+                if (path.dirname(change.filePath) === fullPath && change.originalContent === null) {
+                    lines.push(`${path.basename(change.filePath)} (pending)`);
+                }
+            }
+
+            lines.sort((a, b) => a.localeCompare(b));
+            if (lines.length > MAX_LIST_ENTRIES) {
+                return `${lines.slice(0, MAX_LIST_ENTRIES).join('\n')}\n[... ${lines.length - MAX_LIST_ENTRIES} more entries]`;
+            }
+            return lines.length > 0 ? lines.join('\n') : '(empty directory)';
+        } catch (error) {
+            console.error('FileManager listDirectory error:', error);
+            throw error;
+        }
+    }
+
+    // Returns workspace-relative paths matching the glob, e.g. `src/**/*.js`
+    async findFiles(pattern) {
+        try {
+            const matches = [];
+            await this.walkWorkspace(relativePath => {
+                if (matchesGlob(relativePath, pattern)) {
+                    matches.push(relativePath);
+                }
+                return matches.length < MAX_FIND_RESULTS;
+            });
+
+            if (matches.length === 0) {
+                return `No files match ${pattern}`;
+            }
+            const suffix = matches.length >= MAX_FIND_RESULTS ? `\n[Stopped after ${MAX_FIND_RESULTS} matches]` : '';
+            return matches.join('\n') + suffix;
+        } catch (error) {
+            console.error('FileManager findFiles error:', error);
+            throw error;
+        }
+    }
+
+    // Searches file contents with a JavaScript regular expression, optionally limited to a glob
+    async grep(pattern, glob) {
+        let regex;
+        try {
+            regex = new RegExp(pattern);
+        } catch (error) {
+            throw new ToshimoError(ErrorType.FileSystem, `Invalid regular expression ${pattern}: ${error.message}`, error);
+        }
+
+        try {
+            const results = [];
+            await this.walkWorkspace(async (relativePath, fullPath) => {
+                if (glob && !matchesGlob(relativePath, glob)) return true;
+
+                const content = await this.readSearchable(fullPath);
+                if (content === null) return true;
+
+                const lines = content.split(/\r?\n/);
+                for (let i = 0; i < lines.length && results.length < MAX_GREP_RESULTS; i++) {
+                    if (regex.test(lines[i])) {
+                        const line = lines[i].length > MAX_LINE_LENGTH
+                            ? `${lines[i].substring(0, MAX_LINE_LENGTH)}...`
+                            : lines[i];
+                        results.push(`${relativePath}:${i + 1}: ${line}`);
+                    }
+                }
+                return results.length < MAX_GREP_RESULTS;
+            });
+
+            if (results.length === 0) {
+                return `No matches for ${pattern}${glob ? ` in ${glob}` : ''}`;
+            }
+            const suffix = results.length >= MAX_GREP_RESULTS ? `\n[Stopped after ${MAX_GREP_RESULTS} matches]` : '';
+            return results.join('\n') + suffix;
+        } catch (error) {
+            console.error('FileManager grep error:', error);
+            throw error;
+        }
+    }
+
+    async moveFile(sourcePath, destinationPath) {
+        try {
+            const sourceFull = await this.sandbox.resolve(sourcePath, { write: true });
+            const destinationFull = await this.sandbox.resolve(destinationPath, { write: true });
+            const content = await this.pendingChanges.readCurrent(sourceFull);
+            if (content === null) {
+                throw new ToshimoError(ErrorType.FileSystem, `File ${sourcePath} does not exist`);
+            }
+            if (await this.pendingChanges.readCurrent(destinationFull) !== null) {
+                throw new ToshimoError(ErrorType.FileSystem, `File ${destinationPath} already exists`);
+            }
+
+            this.pendingChanges.stage(destinationFull, content, null);
+            this.pendingChanges.stage(sourceFull, null, content);
+            return `Proposed moving ${sourcePath} to ${destinationPath}`;
+        } catch (error) {
+            console.error('FileManager moveFile error:', error);
+            throw error;
+        }
+    }
+
+    async deleteFile(filePath) {
+        try {
+            const fullPath = await this.sandbox.resolve(filePath, { write: true });
+            const content = await this.pendingChanges.readCurrent(fullPath);
+            if (content === null) {
+                throw new ToshimoError(ErrorType.FileSystem, `File ${filePath} does not exist`);
+            }
+
+            this.pendingChanges.stage(fullPath, null, content);
+            return `Proposed deleting ${filePath}`;
+        } catch (error) {
+            console.error('FileManager deleteFile error:', error);
+            throw error;
+        }
+    }
+
+    // Visits every non-ignored file in the workspace folders, as the agent would see them
+    // with pending changes applied. `visit(relativePath, fullPath)` returns false to stop
+    // the walk. Paths are prefixed with the folder name in multi-root workspaces.
+    async walkWorkspace(visit) {
+        const roots = await this.sandbox.getRoots();
+        for (const root of roots) {
+            const ignoreRules = await IgnoreRules.forWorkspace(root.path);
+            const prefix = roots.length > 1 ? `${root.name}/` : '';
+            const visitExisting = async (relativePath, fullPath) => {
+                if (this.pendingChanges.get(fullPath)?.proposedContent === null) return true;
+                return visit(prefix + relativePath, fullPath);
+            };
+            if (!await this.walkDirectory(root.path, root.path, ignoreRules, visitExisting)) return;
+
+            for (const change of this.pendingChanges.list()) {
+                if (change.originalContent !== null || !change.filePath.startsWith(root.path + path.sep)) continue;
+                const relativePath = toPosix(path.relative(root.path, change.filePath));
+                if (ignoreRules.shouldIgnore(relativePath)) continue;
+                if (await visit(prefix + relativePath, change.filePath) === false) return;
+            }
+        }
+    }
+
+    async walkDirectory(dir, root, ignoreRules, visit) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            console.warn(`Error reading directory ${dir}:`, error.message);
+            return true;
+        }
+
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            const relativePath = toPosix(path.relative(root, fullPath));
+            if (ignoreRules.shouldIgnore(relativePath)) continue;
+
+            if (entry.isDirectory()) {
+                if (!await this.walkDirectory(fullPath, root, ignoreRules, visit)) return false;
+            } else if (entry.isFile()) {
+                if (await visit(relativePath, fullPath) === false) return false;
+            }
+        }
+        return true;
+    }
+
+    // Staged content when there is some; skips large and binary files
+    async readSearchable(fullPath) {
+        const staged = this.pendingChanges.get(fullPath);
+        if (staged) {
+            return staged.proposedContent;
+        }
+
+        const stats = await fs.stat(fullPath);
+        if (stats.size > MAX_GREP_FILE_SIZE) return null;
+        const content = await fs.readFile(fullPath, 'utf8');
+        return content.includes('\u0000') ? null : content;
+    }
+
+    async getRoot(fullPath) {
+        const roots = await this.sandbox.getRoots();
+        const root = roots.find(r => fullPath === r.path || fullPath.startsWith(r.path + path.sep));
+        return root ? root.path : roots[0].path;
+    }
 }
 
-module.exports = { FileManager }; 
\ No newline at end of file
+module.exports = { FileManager };
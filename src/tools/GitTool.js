@@ -0,0 +1,211 @@
+const vscode = require('vscode');
+const { execFile } = require('child_process');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { toAbortSignal } = require('../utils/Cancellation');
+
+const MAX_OUTPUT_LENGTH = 20000;
+const DEFAULT_LOG_COUNT = 10;
+const MAX_LOG_COUNT = 100;
+
+// Read commands run without asking; createBranch and commit are approved like shell commands
+const DESCRIPTOR = {
+    name: 'GitTool',
+    description: 'Inspect the git history and working tree, create branches and commit',
+    sideEffect: 'read',
+    commands: {
+        status: {
+            description: 'Show the current branch and the changed, staged and untracked files',
+            parameters: { type: 'object', properties: {}, required: [] }
+        },
+        diff: {
+            description: 'Show uncommitted changes as a unified diff, optionally only staged changes or only one path. Pending Toshimo changes are not on disk yet and do not appear here',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string', description: 'File or folder relative to the workspace root' },
+                    staged: { type: 'boolean', description: 'Show changes staged for commit instead of unstaged ones' }
+                },
+                required: []
+            }
+        },
+        log: {
+            description: 'List recent commits, optionally only those touching a path',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string', description: 'File or folder relative to the workspace root' },
+                    count: { type: 'integer', minimum: 1, maximum: MAX_LOG_COUNT, description: `Number of commits (default ${DEFAULT_LOG_COUNT})` }
+                },
+                required: []
+            }
+        },
+        blame: {
+            description: 'Show the commit, author and date that last changed each line of a file',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string', description: 'File relative to the workspace root' },
+                    startLine: { type: 'integer', minimum: 1, description: 'First line (1-based)' },
+                    endLine: { type: 'integer', minimum: 1, description: 'Last line (inclusive)' }
+                },
+                required: ['path']
+            }
+        },
+        createBranch: {
+            description: 'Create a branch from the current commit and switch to it',
+            sideEffect: 'write',
+            requiresApproval: true,
+            parameters: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1, description: 'Branch name' }
+                },
+                required: ['name']
+            }
+        },
+        commit: {
+            description: 'Commit the changes staged in git. Set all to also commit changes to tracked files. Pending Toshimo changes must be accepted before they can be committed',
+            sideEffect: 'write',
+            requiresApproval: true,
+            parameters: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string', minLength: 1, description: 'Commit message' },
+                    all: { type: 'boolean', description: 'Stage modified and deleted tracked files first (git commit --all)' }
+                },
+                required: ['message']
+            }
+        }
+    }
+};
+
+// Runs the git CLI in the workspace folder. Arguments are passed without a shell, and
+// paths go through the workspace sandbox like the file tools.
+class GitTool {
+    static get descriptor() {
+        return DESCRIPTOR;
+    }
+
+    constructor(sandbox) {
+        this.sandbox = sandbox;
+    }
+
+    // What the user approves before a mutating command: the git command line itself
+    describeApproval(command, args) {
+        return {
+            command: this.formatCommand(this.buildMutation(command, args)),
+            cwd: this.getRoot()
+        };
+    }
+
+    async status(context = {}) {
+        const output = await this.git(['status', '--short', '--branch'], context);
+        return output.trim() || 'Nothing to report';
+    }
+
+    async diff(filePath, staged, context = {}) {
+        const args = ['diff', '--no-color', '--no-ext-diff'];
+        if (staged) args.push('--staged');
+        if (filePath) args.push('--', await this.sandbox.resolve(filePath));
+
+        const output = await this.git(args, context);
+        return output || `No ${staged ? 'staged' : 'unstaged'} changes${filePath ? ` in ${filePath}` : ''}`;
+    }
+
+    async log(filePath, count, context = {}) {
+        const args = [
+            'log',
+            `--max-count=${count || DEFAULT_LOG_COUNT}`,
+            '--date=short',
+            '--pretty=format:%h %ad %an%d%n    %s'
+        ];
+        if (filePath) args.push('--', await this.sandbox.resolve(filePath));
+
+        const output = await this.git(args, context);
+        return output || 'No commits found';
+    }
+
+    async blame(filePath, startLine, endLine, context = {}) {
+        const args = ['blame', '--date=short'];
+        if (startLine || endLine) {
+            args.push('-L', `${startLine || 1},${endLine || ''}`);
+        }
+        args.push('--', await this.sandbox.resolve(filePath));
+        return this.git(args, context);
+    }
+
+    async createBranch(name, context = {}) {
+        // Rejects names git would refuse, before anything changes
+        await this.git(['check-ref-format', '--branch', name], context);
+        await this.git(this.buildMutation('createBranch', [name]), context);
+        return `Created and switched to branch ${name}`;
+    }
+
+    async commit(message, all, context = {}) {
+        const output = await this.git(this.buildMutation('commit', [message, all]), context);
+        return output.trim();
+    }
+
+    buildMutation(command, [first, second]) {
+        switch (command) {
+            case 'createBranch':
+                return ['switch', '--create', first];
+            case 'commit':
+                return ['commit', ...(second ? ['--all'] : []), '--message', first];
+            default:
+                throw new ToshimoError(ErrorType.Git, `${command} does not change the repository`);
+        }
+    }
+
+    async git(args, context = {}) {
+        const cwd = this.getRoot();
+        if (!cwd) {
+            throw new ToshimoError(ErrorType.Git, 'Git commands need an open workspace folder');
+        }
+
+        const abort = toAbortSignal(context.cancellationToken);
+        try {
+            return await new Promise((resolve, reject) => {
+                execFile('git', args, {
+                    cwd,
+                    signal: abort.signal,
+                    maxBuffer: 16 * 1024 * 1024,
+                    // No pager, prompts or localized messages
+                    env: { ...process.env, GIT_PAGER: 'cat', GIT_TERMINAL_PROMPT: '0', LC_ALL: 'C' }
+                }, (error, stdout, stderr) => {
+                    if (error) {
+                        error.stderr = stderr;
+                        error.stdout = stdout;
+                        reject(error);
+                        return;
+                    }
+                    resolve(this.truncate(stdout));
+                });
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new ToshimoError(ErrorType.Cancelled, `Cancelled ${this.formatCommand(args)}`, error);
+            }
+            // Some failures, like "nothing to commit", are only reported on stdout
+            const detail = (error.stderr || error.stdout || error.message || '').trim();
+            throw new ToshimoError(ErrorType.Git, `${this.formatCommand(args)} failed: ${detail}`, error);
+        } finally {
+            abort.dispose();
+        }
+    }
+
+    truncate(output) {
+        if (output.length <= MAX_OUTPUT_LENGTH) return output;
+        return `${output.substring(0, MAX_OUTPUT_LENGTH)}\n... [truncated ${output.length - MAX_OUTPUT_LENGTH} characters; narrow it down with a path]`;
+    }
+
+    formatCommand(args) {
+        return ['git', ...args.map(arg => (/^[\w./:=,@%+-]+$/.test(arg) ? arg : JSON.stringify(arg)))].join(' ');
+    }
+
+    getRoot() {
+        return vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    }
+}
+
+module.exports = { GitTool };
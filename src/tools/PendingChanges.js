@@ -0,0 +1,238 @@
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs/promises');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { createUnifiedDiff } = require('../utils/DiffEngine');
+
+const ORIGINAL_SCHEME = 'toshimo-original';
+const PROPOSED_SCHEME = 'toshimo-proposed';
+
+// Holds file changes proposed by the agent until the user accepts or rejects them.
+// Nothing is written to disk before accept(); the staged versions are served to the
+// diff editor as virtual documents through provideTextDocumentContent.
+class PendingChanges {
+    constructor() {
+        this.changes = new Map();
+        this.revision = 0;
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    // originalContent is null for files that don't exist yet and proposedContent is null for
+    // deletions. The original is kept from the first time a file is staged so later edits
+    // stack on top of the same baseline.
+    stage(filePath, proposedContent, originalContent) {
+        const existing = this.changes.get(filePath);
+        const baseline = existing ? existing.originalContent : originalContent;
+
+        // Deleting a file that was only ever proposed just drops the proposal
+        if (baseline === null && proposedContent === null) {
+            this.changes.delete(filePath);
+            this.notify(filePath);
+            return null;
+        }
+
+        const change = {
+            filePath,
+            relativePath: this.getRelativePath(filePath),
+            originalContent: baseline,
+            proposedContent,
+            revision: ++this.revision
+        };
+        this.changes.set(filePath, change);
+        this.notify(filePath);
+        return change;
+    }
+
+    get(filePath) {
+        return this.changes.get(filePath);
+    }
+
+    list() {
+        return [...this.changes.values()];
+    }
+
+    listSince(revision) {
+        return this.list().filter(change => change.revision > revision);
+    }
+
+    // Latest content the agent should see: staged, then open editor buffer, then disk
+    async readCurrent(filePath) {
+        const change = this.changes.get(filePath);
+        if (change) {
+            return change.proposedContent;
+        }
+
+        const openDocument = vscode.workspace.textDocuments.find(doc => doc.uri.fsPath === filePath);
+        if (openDocument) {
+            return openDocument.getText();
+        }
+
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async accept(filePath) {
+        const change = this.changes.get(filePath);
+        if (!change) {
+            throw new ToshimoError(ErrorType.FileSystem, `No pending change for ${filePath}`);
+        }
+
+        const conflict = await this.findConflict(change);
+        if (conflict) {
+            throw new ToshimoError(ErrorType.Edit, conflict);
+        }
+
+        if (change.proposedContent === null) {
+            await fs.rm(filePath, { force: true });
+        } else {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, change.proposedContent);
+        }
+        this.changes.delete(filePath);
+        this.notify(filePath);
+        console.log('Accepted change:', change.relativePath);
+        return change;
+    }
+
+    // Returns why a change can't be written without losing the user's work, or null.
+    // Unsaved edits in an editor block it until they are saved or reverted. A file that
+    // changed on disk since the change was staged is staged again against its current
+    // content, so the diff shows what accepting would overwrite and a second accept
+    // writes it deliberately.
+    async findConflict(change) {
+        const openDocument = vscode.workspace.textDocuments.find(doc => doc.uri.fsPath === change.filePath);
+        if (openDocument?.isDirty) {
+            return `${change.relativePath} has unsaved changes in the editor. Save or revert them, then accept again.`;
+        }
+
+        let current;
+        try {
+            current = await fs.readFile(change.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            current = null;
+        }
+        if (current === change.originalContent) {
+            return null;
+        }
+
+        this.changes.set(change.filePath, { ...change, originalContent: current, revision: ++this.revision });
+        this.notify(change.filePath);
+        return `${change.relativePath} changed since Toshimo proposed this edit. View Diff now shows what accepting would overwrite; accept again to apply it anyway.`;
+    }
+
+    reject(filePath) {
+        const change = this.changes.get(filePath);
+        if (!change) {
+            throw new ToshimoError(ErrorType.FileSystem, `No pending change for ${filePath}`);
+        }
+
+        this.changes.delete(filePath);
+        this.notify(filePath);
+        console.log('Rejected change:', change.relativePath);
+        return change;
+    }
+
+    // Writes nothing unless every change can be written
+    async acceptAll() {
+        const conflicts = [];
+        for (const change of this.list()) {
+            const conflict = await this.findConflict(change);
+            if (conflict) conflicts.push(conflict);
+        }
+        if (conflicts.length > 0) {
+            throw new ToshimoError(ErrorType.Edit, conflicts.join('\n'));
+        }
+
+        const accepted = [];
+        for (const filePath of [...this.changes.keys()]) {
+            accepted.push(await this.accept(filePath));
+        }
+        return accepted;
+    }
+
+    rejectAll() {
+        return [...this.changes.keys()].map(filePath => this.reject(filePath));
+    }
+
+    async showDiff(filePath) {
+        const change = this.changes.get(filePath);
+        if (!change) {
+            throw new ToshimoError(ErrorType.FileSystem, `No pending change for ${filePath}`);
+        }
+
+        await vscode.commands.executeCommand('vscode.diff',
+            this.getOriginalUri(filePath),
+            this.getProposedUri(filePath),
+            `${change.relativePath} (Proposed by Toshimo)`
+        );
+    }
+
+    // Unified diff of one staged change, with the counts shown in the chat
+    getDiff(filePath, options = {}) {
+        const change = this.changes.get(filePath);
+        if (!change) {
+            throw new ToshimoError(ErrorType.FileSystem, `No pending change for ${filePath}`);
+        }
+        const relativePath = change.relativePath.split(path.sep).join('/');
+        return createUnifiedDiff(change.originalContent, change.proposedContent, {
+            fromFile: `a/${relativePath}`,
+            toFile: change.proposedContent === null ? '/dev/null' : `b/${relativePath}`,
+            ...options
+        });
+    }
+
+    // One patch covering every pending change, in the format `git apply` accepts
+    toPatch() {
+        return this.list()
+            .map(change => this.getDiff(change.filePath).patch)
+            .filter(patch => patch)
+            .join('');
+    }
+
+    notify(filePath) {
+        this._onDidChange.fire(this.getOriginalUri(filePath));
+        this._onDidChange.fire(this.getProposedUri(filePath));
+    }
+
+    getOriginalUri(filePath) {
+        return vscode.Uri.file(filePath).with({ scheme: ORIGINAL_SCHEME });
+    }
+
+    getProposedUri(filePath) {
+        return vscode.Uri.file(filePath).with({ scheme: PROPOSED_SCHEME });
+    }
+
+    // TextDocumentContentProvider for both virtual schemes
+    provideTextDocumentContent(uri) {
+        const change = this.changes.get(uri.fsPath);
+        if (!change) {
+            return '';
+        }
+        return uri.scheme === ORIGINAL_SCHEME
+            ? change.originalContent || ''
+            : change.proposedContent || '';
+    }
+
+    getRelativePath(filePath) {
+        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        return workspaceRoot ? path.relative(workspaceRoot, filePath) : filePath;
+    }
+
+    dispose() {
+        this._onDidChange.dispose();
+    }
+}
+
+module.exports = {
+    PendingChanges,
+    ORIGINAL_SCHEME,
+    PROPOSED_SCHEME
+};
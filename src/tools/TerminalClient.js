@@ -1,31 +1,82 @@
 const vscode = require('vscode');
 const os = require('os');
+const { CommandRunner } = require('../terminal/CommandRunner');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+
+// Every command needs approval; ToolManager asks through the ApprovalGate before running it
+const DESCRIPTOR = {
+    name: 'TerminalClient',
+    description: 'Run shell commands in the workspace and observe their output',
+    requiresApproval: true,
+    commands: {
+        executeCommand: {
+            description: 'Run a shell command in the workspace root and return its exit code, stdout and stderr',
+            sideEffect: 'exec',
+            parameters: {
+                type: 'object',
+                properties: {
+                    command: { type: 'string', description: 'Command line to run' }
+                },
+                required: ['command']
+            }
+        }
+    }
+};
 
 class TerminalClient {
-    constructor() {
-        this.terminal = null;
+    static get descriptor() {
+        return DESCRIPTOR;
+    }
+
+    constructor(configManager) {
         this.platform = os.platform(); // 'win32', 'darwin', or 'linux'
+        this.runner = new CommandRunner(configManager?.getTerminalConfig());
     }
 
-    async executeCommand(command) {
-        try {
-            if (!this.terminal) {
-                this.terminal = vscode.window.createTerminal('Toshimo Terminal');
-            }
+    // What the user approves before executeCommand runs: the exact command and directory
+    describeApproval(command, [commandLine]) {
+        return {
+            command: this.formatCommand(commandLine),
+            cwd: this.getWorkingDirectory()
+        };
+    }
 
+    // Runs the command to completion and reports its output back to the agent
+    async executeCommand(command, context = {}) {
+        try {
             // Format command based on platform
             const formattedCommand = this.formatCommand(command);
+            const cwd = this.getWorkingDirectory();
             console.log(`Executing command on ${this.platform}:`, formattedCommand);
 
-            this.terminal.show();
-            this.terminal.sendText(formattedCommand);
-            return true;
+            const result = await this.runner.run(formattedCommand, {
+                cwd,
+                cancellationToken: context.cancellationToken
+            });
+            if (result.cancelled) {
+                throw new ToshimoError(ErrorType.Cancelled, `Command cancelled: ${formattedCommand}`);
+            }
+            return this.formatResult(result);
         } catch (error) {
             console.error('TerminalClient executeCommand error:', error);
             throw error;
         }
     }
 
+    getWorkingDirectory() {
+        return vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || os.homedir();
+    }
+
+    formatResult(result) {
+        const status = result.timedOut
+            ? `timed out after ${(result.durationMs / 1000).toFixed(1)}s`
+            : `exit code ${result.exitCode ?? result.signal} in ${(result.durationMs / 1000).toFixed(1)}s`;
+        const sections = [`$ ${result.command}`, `(${status})`];
+        sections.push(`stdout:\n${result.stdout || '(empty)'}`);
+        sections.push(`stderr:\n${result.stderr || '(empty)'}`);
+        return sections.join('\n');
+    }
+
     formatCommand(command) {
         if (this.platform === 'win32') {
             // Handle Windows-specific formatting
@@ -46,6 +97,10 @@ class TerminalClient {
             shell: process.env.SHELL || (this.platform === 'win32' ? 'cmd.exe' : '/bin/bash')
         };
     }
+
+    dispose() {
+        this.runner.dispose();
+    }
 }
 
-module.exports = { TerminalClient }; 
\ No newline at end of file
+module.exports = { TerminalClient };
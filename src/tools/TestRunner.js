@@ -0,0 +1,217 @@
+const vscode = require('vscode');
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { detectTestCommand, buildTestCommand } = require('../testing/TestDetector');
+const { parseTestReport } = require('../testing/TestReportParser');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+
+const DEFAULT_TIMEOUT_SECONDS = 600;
+// go test -json and TAP are parsed from stdout, so keep far more of it than for plain commands
+const MAX_REPORT_OUTPUT_LENGTH = 2 * 1024 * 1024;
+const MAX_LISTED_FAILURES = 20;
+const MAX_RAW_OUTPUT_LENGTH = 8000;
+// No watch mode, colors or interactive prompts
+const TEST_ENV = { CI: 'true', FORCE_COLOR: '0', NO_COLOR: '1' };
+
+const DESCRIPTOR = {
+    name: 'TestRunner',
+    description: 'Detect and run the project\'s tests, returning each failure with its message and file:line. Tests run against the files on disk, so pending changes are not tested until they are accepted',
+    sideEffect: 'exec',
+    commands: {
+        detectTests: {
+            description: 'Show which test framework and command the project uses',
+            sideEffect: 'read',
+            parameters: { type: 'object', properties: {}, required: [] }
+        },
+        runTests: {
+            description: 'Run the whole test suite, or only some test files and/or the tests whose names match a pattern',
+            requiresApproval: true,
+            parameters: {
+                type: 'object',
+                properties: {
+                    files: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Test files relative to the workspace root (default: all)'
+                    },
+                    testNamePattern: {
+                        type: 'string',
+                        description: 'Only run tests whose names match this pattern (jest -t, mocha --grep, pytest -k, go -run)'
+                    }
+                },
+                required: []
+            }
+        }
+    }
+};
+
+// Runs the workspace's test command through the shared CommandRunner and reads the
+// framework's report into per-test records. See TestDetector for how the command is found.
+class TestRunner {
+    static get descriptor() {
+        return DESCRIPTOR;
+    }
+
+    constructor(configManager, terminalClient, sandbox) {
+        this.config = configManager?.getTestsConfig() || {};
+        this.terminalClient = terminalClient;
+        this.sandbox = sandbox;
+    }
+
+    // The user approves the full command line, including the report options
+    async describeApproval(command, [files, testNamePattern]) {
+        const { commandLine } = await this.prepare(files, testNamePattern);
+        return { command: commandLine, cwd: this.getRoot() };
+    }
+
+    async detectTests() {
+        const detection = await this.detect();
+        if (!detection) {
+            return 'No test command found. Add a test script to package.json, or set toshimo.tests.command';
+        }
+        return `Framework: ${detection.framework}\nCommand: ${detection.command}\nFound in: ${detection.source}`;
+    }
+
+    async runTests(files, testNamePattern, context = {}) {
+        return this.formatRun(await this.run({ files, testNamePattern }, context));
+    }
+
+    async detect() {
+        const root = this.getRoot();
+        if (!root) return null;
+        return detectTestCommand(root, this.config.command?.trim());
+    }
+
+    // Returns { framework, source, command, exitCode, durationMs, timedOut, results,
+    // stdout, stderr, selectionIgnored }; results is null when no report could be read
+    async run({ files, testNamePattern } = {}, context = {}) {
+        const { detection, reportFile, commandLine, selectionIgnored } = await this.prepare(files, testNamePattern);
+        await fs.rm(reportFile, { force: true });
+
+        const result = await this.terminalClient.runner.run(commandLine, {
+            cwd: this.getRoot(),
+            timeoutSeconds: this.config.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS,
+            maxOutputLength: MAX_REPORT_OUTPUT_LENGTH,
+            env: TEST_ENV,
+            cancellationToken: context.cancellationToken
+        });
+        if (result.cancelled) {
+            throw new ToshimoError(ErrorType.Cancelled, `Tests cancelled: ${commandLine}`);
+        }
+
+        const report = await fs.readFile(reportFile, 'utf8').catch(() => null);
+        const results = parseTestReport(detection.framework, {
+            report,
+            stdout: result.stdout,
+            stderr: result.stderr,
+            root: this.getRoot(),
+            module: detection.module
+        });
+        console.log('Tests finished:', { command: commandLine, exitCode: result.exitCode, results: results?.length });
+
+        return {
+            framework: detection.framework,
+            source: detection.source,
+            command: commandLine,
+            exitCode: result.exitCode,
+            durationMs: result.durationMs,
+            timedOut: result.timedOut,
+            results,
+            stdout: result.stdout,
+            stderr: result.stderr,
+            selectionIgnored
+        };
+    }
+
+    async prepare(files = [], testNamePattern) {
+        const root = this.getRoot();
+        if (!root) {
+            throw new ToshimoError(ErrorType.Test, 'Running tests needs an open workspace folder');
+        }
+        const detection = await this.detect();
+        if (!detection) {
+            throw new ToshimoError(ErrorType.Test, 'No test command found. Add a test script to package.json, or set toshimo.tests.command');
+        }
+
+        const relativeFiles = [];
+        for (const file of files || []) {
+            const resolved = await this.sandbox.resolve(file);
+            relativeFiles.push(path.relative(root, resolved).split(path.sep).join('/'));
+        }
+        const reportFile = this.getReportFile(root, detection.framework);
+        const { command, selectionIgnored } = buildTestCommand(detection, {
+            files: relativeFiles,
+            testNamePattern,
+            reportFile
+        });
+        return { detection, reportFile, commandLine: command, selectionIgnored };
+    }
+
+    isPassing(run) {
+        return run.exitCode === 0 && !run.timedOut && !(run.results || []).some(result => result.status === 'failed');
+    }
+
+    getFailures(run) {
+        return (run.results || []).filter(result => result.status === 'failed');
+    }
+
+    formatRun(run) {
+        const lines = [`$ ${run.command}`, `Framework: ${run.framework} (${run.source})`];
+        if (run.selectionIgnored.length > 0) {
+            lines.push(`Note: ${run.framework} runs can't be narrowed by ${run.selectionIgnored.join(' or ')}, so it was ignored`);
+        }
+        const duration = `${(run.durationMs / 1000).toFixed(1)}s`;
+        const status = run.timedOut ? `timed out after ${duration}` : `exit code ${run.exitCode} in ${duration}`;
+
+        if (!run.results || run.results.length === 0) {
+            lines.push(`${run.results ? 'No tests ran' : 'Could not read per-test results'} (${status}). Output:`);
+            lines.push(this.tail(`${run.stdout}\n${run.stderr}`.trim()) || '(empty)');
+            return lines.join('\n');
+        }
+
+        lines.push(`${this.formatCounts(run)} (${status})`);
+        const failures = this.getFailures(run);
+        if (failures.length > 0) {
+            lines.push('', 'Failures:');
+            failures.slice(0, MAX_LISTED_FAILURES).forEach(failure => lines.push(this.formatFailure(failure)));
+            if (failures.length > MAX_LISTED_FAILURES) {
+                lines.push(`... and ${failures.length - MAX_LISTED_FAILURES} more`);
+            }
+        } else if (!this.isPassing(run)) {
+            // Every test passed but the command still failed, e.g. a coverage threshold
+            lines.push('', 'No test failed, but the command did not succeed. Output:');
+            lines.push(this.tail(`${run.stdout}\n${run.stderr}`.trim()));
+        }
+        return lines.join('\n');
+    }
+
+    formatCounts(run) {
+        const count = status => run.results.filter(result => result.status === status).length;
+        return `${count('passed')} passed, ${count('failed')} failed, ${count('skipped')} skipped`;
+    }
+
+    formatFailure(failure) {
+        const location = failure.file ? ` (${failure.file}${failure.line ? `:${failure.line}` : ''})` : '';
+        const message = failure.message ? `\n${failure.message.replace(/^/gm, '    ')}` : '';
+        return `✗ ${failure.name}${location}${message}`;
+    }
+
+    tail(output) {
+        if (output.length <= MAX_RAW_OUTPUT_LENGTH) return output;
+        return `[... ${output.length - MAX_RAW_OUTPUT_LENGTH} characters truncated ...]\n${output.slice(-MAX_RAW_OUTPUT_LENGTH)}`;
+    }
+
+    // One report file per workspace, so the approved command line stays the same between runs
+    getReportFile(root, framework) {
+        const hash = crypto.createHash('sha256').update(root).digest('hex').slice(0, 12);
+        return path.join(os.tmpdir(), `toshimo-tests-${hash}.${framework === 'pytest' ? 'xml' : 'json'}`);
+    }
+
+    getRoot() {
+        return vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    }
+}
+
+module.exports = { TestRunner };
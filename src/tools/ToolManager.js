@@ -1,32 +1,125 @@
 const { FileManager } = require('./FileManager');
 const { FileEditor } = require('./FileEditor');
 const { TerminalClient } = require('./TerminalClient');
+const { CustomToolLoader } = require('./CustomToolLoader');
 const { WebScraper } = require('./WebScraper');
+const { GitTool } = require('./GitTool');
+const { CodeNavigator } = require('./CodeNavigator');
+const { DiagnosticsTool } = require('./DiagnosticsTool');
+const { TestRunner } = require('./TestRunner');
+const { CodebaseSearch } = require('./CodebaseSearch');
+const { ToolRegistry } = require('./ToolRegistry');
+const { throwIfCancelled } = require('../utils/Cancellation');
+const { ToshimoError, ErrorType } = require('../utils/ErrorHandler');
+const { formatErrors } = require('../utils/SchemaValidator');
+const { WorkspaceSandbox } = require('../security/WorkspaceSandbox');
+const { CommandPolicy } = require('../security/CommandPolicy');
+const { ApprovalGate } = require('../security/ApprovalGate');
+const { McpManager } = require('../mcp/McpManager');
 
 class ToolManager {
-    constructor() {
-        this.tools = {
-            'FileManager': new FileManager(),
-            'FileEditor': new FileEditor(),
-            'TerminalClient': new TerminalClient(),
-            'WebScraper': new WebScraper()
-        };
+    constructor(pendingChanges, configManager, contextManager) {
+        this.pendingChanges = pendingChanges;
+        this.configManager = configManager;
+        this.sandbox = new WorkspaceSandbox(configManager?.getFilesConfig());
+        this.approvalGate = new ApprovalGate(new CommandPolicy(configManager?.getCommandPolicyConfig()));
+
+        this.registry = new ToolRegistry();
+        this.registry.register(new FileManager(pendingChanges, this.sandbox));
+        this.registry.register(new FileEditor(pendingChanges, this.sandbox));
+        const terminalClient = new TerminalClient(configManager);
+        this.registry.register(terminalClient);
+        this.registry.register(new WebScraper());
+        this.registry.register(new GitTool(this.sandbox));
+        this.registry.register(new CodeNavigator(this.sandbox));
+        this.registry.register(new DiagnosticsTool(pendingChanges, this.sandbox));
+        this.registry.register(new TestRunner(configManager, terminalClient, this.sandbox));
+        if (contextManager) {
+            this.registry.register(new CodebaseSearch(contextManager));
+        }
+
+        this.mcpManager = new McpManager(configManager, this.registry);
+        this.customTools = new CustomToolLoader(this.registry, terminalClient);
+        this.initializing = undefined;
+    }
+
+    // Connects MCP servers and loads workspace tools on first use rather than at activation
+    initialize() {
+        if (!this.initializing) {
+            this.initializing = Promise.all([
+                this.mcpManager.connectAll(),
+                this.customTools.load().catch(error => console.error('Failed to load custom tools:', error))
+            ]);
+            this.customTools.watch();
+        }
+        return this.initializing;
+    }
+
+    // Applies edited toshimo.terminal and toshimo.files settings; the sandbox is shared by
+    // the file tools, so it is updated in place
+    reloadSecurityConfig() {
+        this.configManager?.reload();
+        this.sandbox.configure(this.configManager?.getFilesConfig());
+        this.approvalGate.policy = new CommandPolicy(this.configManager?.getCommandPolicyConfig());
+        console.log('Reloaded command policy and protected paths');
     }
 
-    async executeAction(action) {
-        const { tool, command, params } = action;
+    // Tools that also contribute to the prompt context; see ContextManager.addContextSource
+    getContextSources() {
+        return [this.mcpManager, this.registry.getTool('CodeNavigator')];
+    }
+
+    getTool(name) {
+        return this.registry.getTool(name);
+    }
+
+    getToolDefinitions() {
+        return this.registry.getDefinitions();
+    }
+
+    async executeAction(action, cancellationToken) {
+        const { tool, command, params = {} } = action;
         console.log('Executing action:', { tool, command, params });
+        throwIfCancelled(cancellationToken, `Cancelled before running ${tool}.${command}`);
         
-        if (!this.tools[tool]) {
-            throw new Error(`Tool ${tool} not found. Available tools: ${Object.keys(this.tools).join(', ')}`);
+        const instance = this.registry.getTool(tool);
+        if (!instance) {
+            throw new Error(`Tool ${tool} not found. Available tools: ${this.registry.getToolNames().join(', ')}`);
         }
 
-        if (!this.tools[tool][command]) {
+        const definition = this.registry.getDefinition(tool, command);
+        if (!definition) {
             throw new Error(`Command ${command} not found for tool ${tool}`);
         }
 
+        if (action.argumentsError) {
+            throw new ToshimoError(ErrorType.Validation, action.argumentsError, undefined, {
+                tool,
+                command,
+                problems: [{ argument: '(arguments)', message: action.argumentsError }],
+                expected: this.describeParameters(definition)
+            });
+        }
+
+        // Tools receive their declared parameters, then a context with the cancellation token
+        const { args, errors } = this.registry.validateArguments(definition, params);
+        if (errors.length > 0) {
+            throw new ToshimoError(
+                ErrorType.Validation,
+                `Invalid arguments for ${tool}.${command}: ${formatErrors(errors).join('; ')}`,
+                undefined,
+                {
+                    tool,
+                    command,
+                    problems: errors.map(({ path, ...problem }) => ({ argument: path, ...problem })),
+                    expected: this.describeParameters(definition)
+                }
+            );
+        }
+        await this.checkPermission(definition, instance, args);
+
         try {
-            const result = await this.tools[tool][command](...params);
+            const result = await instance[command](...args, { cancellationToken });
             console.log('Action result:', result);
             return result;
         } catch (error) {
@@ -34,6 +127,48 @@ class ToolManager {
             throw error;
         }
     }
+
+    // Asks for the same approval executeAction would, for agent modes that call a tool
+    // directly (e.g. running the tests between fix rounds)
+    async authorize(tool, command, args = []) {
+        const definition = this.registry.getDefinition(tool, command);
+        if (!definition) {
+            throw new Error(`Command ${command} not found for tool ${tool}`);
+        }
+        await this.checkPermission(definition, this.registry.getTool(tool), args);
+    }
+
+    // { filePath: 'string (required)', startLine: 'integer' } for error feedback
+    describeParameters(definition) {
+        const properties = definition.parameters.properties || {};
+        const required = definition.parameters.required || [];
+        return Object.fromEntries(Object.entries(properties).map(([name, schema]) => {
+            const type = [].concat(schema.type || 'any').join(' | ');
+            return [name, required.includes(name) ? `${type} (required)` : type];
+        }));
+    }
+
+    // Tools can describe what is being approved (e.g. the exact shell command); otherwise
+    // the user is shown the tool, command and arguments
+    async checkPermission(definition, instance, args) {
+        if (!definition.requiresApproval) {
+            return;
+        }
+
+        const request = await instance.describeApproval?.(definition.command, args);
+        if (request?.command) {
+            await this.approvalGate.approveCommand(request.command, request.cwd);
+        } else {
+            await this.approvalGate.approveAction(definition, args);
+        }
+    }
+
+    dispose() {
+        this.registry.getTool('TerminalClient')?.dispose();
+        this.approvalGate.dispose();
+        this.mcpManager.dispose();
+        this.customTools.dispose();
+    }
 }
 
-module.exports = { ToolManager }; 
\ No newline at end of file
+module.exports = { ToolManager };
@@ -0,0 +1,118 @@
+const { validate } = require('../utils/SchemaValidator');
+
+// Single source of truth for the tools the agent can use. Each tool class exposes a
+// static `descriptor`:
+//
+//   {
+//       name, description,
+//       sideEffect, requiresApproval,      // defaults for all commands
+//       commands: {
+//           <method>: { description, sideEffect, requiresApproval, parameters }
+//       }
+//   }
+//
+// `parameters` is a JSON schema whose property order matches the method's positional
+// arguments; the agent may pass arguments by name or by position. sideEffect is one of
+// read, write, exec or network. Prompts, native tool schemas, argument validation and
+// approval checks are all generated from these.
+
+const SIDE_EFFECTS = ['read', 'write', 'exec', 'network'];
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+        this.definitions = [];
+    }
+
+    register(instance, descriptor = instance.constructor.descriptor) {
+        if (!descriptor || !descriptor.name) {
+            throw new Error(`${instance.constructor.name} has no tool descriptor`);
+        }
+        if (this.tools.has(descriptor.name)) {
+            throw new Error(`Tool ${descriptor.name} is already registered`);
+        }
+
+        const definitions = Object.entries(descriptor.commands || {}).map(([command, spec]) => {
+            if (typeof instance[command] !== 'function') {
+                throw new Error(`Tool ${descriptor.name} declares ${command} but does not implement it`);
+            }
+
+            const sideEffect = spec.sideEffect || descriptor.sideEffect || 'read';
+            if (!SIDE_EFFECTS.includes(sideEffect)) {
+                throw new Error(`Tool ${descriptor.name}.${command} has unknown side effect ${sideEffect}`);
+            }
+
+            return {
+                tool: descriptor.name,
+                toolDescription: descriptor.description,
+                command,
+                description: spec.description,
+                parameters: spec.parameters || { type: 'object', properties: {}, required: [] },
+                sideEffect,
+                requiresApproval: spec.requiresApproval ?? descriptor.requiresApproval ?? false
+            };
+        });
+
+        this.tools.set(descriptor.name, { instance, descriptor });
+        this.definitions.push(...definitions);
+        console.log(`Registered tool ${descriptor.name} with ${definitions.length} commands`);
+    }
+
+    unregister(name) {
+        if (!this.tools.delete(name)) return false;
+        this.definitions = this.definitions.filter(d => d.tool !== name);
+        console.log(`Unregistered tool ${name}`);
+        return true;
+    }
+
+    getTool(name) {
+        return this.tools.get(name)?.instance;
+    }
+
+    getToolNames() {
+        return [...this.tools.keys()];
+    }
+
+    getDefinitions() {
+        return this.definitions;
+    }
+
+    getDefinition(tool, command) {
+        return this.definitions.find(d => d.tool === tool && d.command === command);
+    }
+
+    // Accepts named arguments ({ filePath: 'a.js' }) or positional ones in schema order,
+    // validates them and returns the positional args for the method plus any problems
+    validateArguments(definition, params) {
+        const order = Object.keys(definition.parameters.properties || {});
+        let named = params;
+
+        if (Array.isArray(params)) {
+            if (params.length > order.length) {
+                return {
+                    args: [],
+                    errors: [{
+                        path: '(arguments)',
+                        message: `expected at most ${order.length} positional arguments (${order.join(', ') || 'none'}) but got ${params.length}`
+                    }]
+                };
+            }
+            named = Object.fromEntries(order.map((name, i) => [name, params[i]]));
+        } else if (params === undefined || params === null) {
+            named = {};
+        }
+
+        // Unknown names are reported rather than dropped, so a misspelled argument isn't silently ignored
+        const schema = { additionalProperties: false, ...definition.parameters, type: 'object' };
+        const { value, errors } = validate(schema, named);
+        return {
+            args: errors.length === 0 ? order.map(name => value[name]) : [],
+            errors
+        };
+    }
+}
+
+module.exports = {
+    ToolRegistry,
+    SIDE_EFFECTS
+};
@@ -1,7 +1,29 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 
+const DESCRIPTOR = {
+    name: 'WebScraper',
+    description: 'Fetch web pages',
+    commands: {
+        scrape: {
+            description: 'Fetch a web page and return its main text content',
+            sideEffect: 'network',
+            parameters: {
+                type: 'object',
+                properties: {
+                    url: { type: 'string', description: 'URL of the page' }
+                },
+                required: ['url']
+            }
+        }
+    }
+};
+
 class WebScraper {
+    static get descriptor() {
+        return DESCRIPTOR;
+    }
+
     async scrape(url) {
         try {
             const response = await axios.get(url);
@@ -0,0 +1,30 @@
+const { ToshimoError, ErrorType } = require('./ErrorHandler');
+
+// Helpers for threading a vscode.CancellationToken through async work
+
+function throwIfCancelled(token, message = 'Operation cancelled') {
+    if (token?.isCancellationRequested) {
+        throw new ToshimoError(ErrorType.Cancelled, message);
+    }
+}
+
+// Returns an AbortSignal that fires when the token is cancelled, for APIs like axios
+function toAbortSignal(token) {
+    const controller = new AbortController();
+    if (!token) {
+        return { signal: controller.signal, dispose: () => {} };
+    }
+    if (token.isCancellationRequested) {
+        controller.abort();
+    }
+    const subscription = token.onCancellationRequested(() => controller.abort());
+    return {
+        signal: controller.signal,
+        dispose: () => subscription.dispose()
+    };
+}
+
+module.exports = {
+    throwIfCancelled,
+    toAbortSignal
+};
@@ -0,0 +1,250 @@
+// Line diff based on Myers' O(ND) algorithm, formatted as unified diff hunks.
+// Used for the chat previews of proposed changes and for exported patch files.
+
+const DEFAULT_CONTEXT = 3;
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+function splitLines(text) {
+    if (!text) {
+        return { lines: [], trailingNewline: true };
+    }
+    const normalized = text.replace(/\r\n/g, '\n');
+    const trailingNewline = normalized.endsWith('\n');
+    const lines = normalized.split('\n');
+    if (trailingNewline) {
+        lines.pop();
+    }
+    return { lines, trailingNewline };
+}
+
+// Returns the edit script as [{ type: ' ' | '-' | '+', text, oldIndex, newIndex }]
+function diffLines(oldLines, newLines, equals = (a, b) => a === b) {
+    // Common prefix and suffix don't need the full search
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && equals(oldLines[prefix], newLines[prefix])) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        equals(oldLines[oldLines.length - 1 - suffix], newLines[newLines.length - 1 - suffix])) {
+        suffix++;
+    }
+
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
+    const ops = [];
+
+    for (let i = 0; i < prefix; i++) {
+        ops.push({ type: ' ', text: oldLines[i], oldIndex: i, newIndex: i });
+    }
+    for (const op of myers(a, b, equals)) {
+        ops.push({
+            ...op,
+            oldIndex: op.oldIndex === undefined ? undefined : op.oldIndex + prefix,
+            newIndex: op.newIndex === undefined ? undefined : op.newIndex + prefix
+        });
+    }
+    for (let i = suffix; i > 0; i--) {
+        ops.push({
+            type: ' ',
+            text: oldLines[oldLines.length - i],
+            oldIndex: oldLines.length - i,
+            newIndex: newLines.length - i
+        });
+    }
+    return ops;
+}
+
+function myers(a, b, equals) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0 && m === 0) return [];
+
+    const max = n + m;
+    const v = new Int32Array(2 * max + 2);
+    // Snapshot of v after each round d, covering diagonals -d..d, for the backtrack
+    const trace = [];
+    let found = -1;
+
+    for (let d = 0; d <= max && found === -1; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[max + k - 1] < v[max + k + 1]))
+                ? v[max + k + 1]
+                : v[max + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && equals(a[x], b[y])) {
+                x++;
+                y++;
+            }
+            v[max + k] = x;
+            if (x >= n && y >= m) {
+                found = d;
+                break;
+            }
+        }
+        trace.push(v.slice(max - d, max + d + 1));
+    }
+
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = found; d > 0; d--) {
+        const previous = trace[d - 1];
+        const at = k => previous[k + d - 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push({ type: ' ', text: a[x], oldIndex: x, newIndex: y });
+        }
+        if (x === prevX) {
+            y--;
+            ops.push({ type: '+', text: b[y], newIndex: y });
+        } else {
+            x--;
+            ops.push({ type: '-', text: a[x], oldIndex: x });
+        }
+    }
+    while (x > 0 && y > 0) {
+        x--;
+        y--;
+        ops.push({ type: ' ', text: a[x], oldIndex: x, newIndex: y });
+    }
+
+    return ops.reverse();
+}
+
+// Groups the edit script into hunks with `context` unchanged lines around each change
+function buildHunks(ops, context) {
+    const hunks = [];
+    let index = 0;
+
+    while (index < ops.length) {
+        while (index < ops.length && ops[index].type === ' ') index++;
+        if (index >= ops.length) break;
+
+        const start = Math.max(0, index - context);
+        let end = index;
+        // Extend while the next change is close enough to share context
+        while (end < ops.length) {
+            while (end < ops.length && ops[end].type !== ' ') end++;
+            let gap = end;
+            while (gap < ops.length && ops[gap].type === ' ') gap++;
+            if (gap < ops.length && gap - end <= context * 2) {
+                end = gap;
+            } else {
+                end = Math.min(ops.length, end + context);
+                break;
+            }
+        }
+
+        hunks.push(toHunk(ops.slice(start, end)));
+        index = end;
+    }
+    return hunks;
+}
+
+function toHunk(lines) {
+    const oldLines = lines.filter(line => line.type !== '+').length;
+    const newLines = lines.filter(line => line.type !== '-').length;
+    const { oldBefore, newBefore } = lines[0];
+
+    // By convention an empty side is positioned at the line before the hunk
+    return {
+        oldStart: oldLines === 0 ? oldBefore : oldBefore + 1,
+        oldLines,
+        newStart: newLines === 0 ? newBefore : newBefore + 1,
+        newLines,
+        lines
+    };
+}
+
+function formatHunk(hunk) {
+    const header = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+    const body = [];
+    for (const line of hunk.lines) {
+        body.push(`${line.type}${line.text}`);
+        if (line.noNewline) {
+            body.push(NO_NEWLINE_MARKER);
+        }
+    }
+    return [header, ...body].join('\n');
+}
+
+// originalText may be null for a new file. Returns an empty patch when nothing changed.
+function createUnifiedDiff(originalText, modifiedText, options = {}) {
+    const context = options.context ?? DEFAULT_CONTEXT;
+    const original = splitLines(originalText);
+    const modified = splitLines(modifiedText);
+
+    // A missing final newline makes the last line differ even if its text is the same
+    const oldKeys = withEofKeys(original);
+    const newKeys = withEofKeys(modified);
+    const ops = diffLines(oldKeys, newKeys);
+    const oldLast = original.trailingNewline ? -1 : original.lines.length - 1;
+    const newLast = modified.trailingNewline ? -1 : modified.lines.length - 1;
+    for (const op of ops) {
+        op.text = op.type === '+' ? modified.lines[op.newIndex] : original.lines[op.oldIndex];
+        op.noNewline = op.type === '+' ? op.newIndex === newLast : op.oldIndex === oldLast;
+    }
+    annotatePositions(ops);
+
+    const hunks = buildHunks(ops, context);
+    const added = ops.filter(op => op.type === '+').length;
+    const removed = ops.filter(op => op.type === '-').length;
+
+    if (hunks.length === 0) {
+        return { patch: '', hunks, added, removed };
+    }
+
+    const fromFile = originalText === null || originalText === undefined
+        ? '/dev/null'
+        : (options.fromFile || 'original');
+    const toFile = options.toFile || 'modified';
+    const lines = [];
+    if (options.headers !== false) {
+        lines.push(`--- ${fromFile}`, `+++ ${toFile}`);
+    }
+    lines.push(...hunks.map(formatHunk));
+
+    return {
+        patch: `${lines.join('\n')}\n`,
+        hunks,
+        added,
+        removed
+    };
+}
+
+function withEofKeys({ lines, trailingNewline }) {
+    if (trailingNewline || lines.length === 0) return lines;
+    return [...lines.slice(0, -1), `${lines[lines.length - 1]}\u0000`];
+}
+
+// Records how many old and new lines precede each op, so hunks made only of
+// insertions or deletions still get the right start line on the empty side
+function annotatePositions(ops) {
+    let oldBefore = 0;
+    let newBefore = 0;
+    for (const op of ops) {
+        op.oldBefore = oldBefore;
+        op.newBefore = newBefore;
+        if (op.type !== '+') oldBefore++;
+        if (op.type !== '-') newBefore++;
+    }
+}
+
+function diffStats(originalText, modifiedText) {
+    const { added, removed } = createUnifiedDiff(originalText, modifiedText, { headers: false });
+    return { added, removed };
+}
+
+module.exports = {
+    diffLines,
+    createUnifiedDiff,
+    diffStats,
+    splitLines
+};
@@ -7,15 +7,25 @@ const ErrorType = {
     Terminal: 'Terminal',
     VectorDB: 'VectorDB',
     Embedding: 'Embedding',
+    Edit: 'Edit',
+    Permission: 'Permission',
+    Sandbox: 'Sandbox',
+    Validation: 'Validation',
+    MCP: 'MCP',
+    Git: 'Git',
+    Test: 'Test',
+    Cancelled: 'Cancelled',
     Unknown: 'Unknown'
 };
 
 class ToshimoError extends Error {
-    constructor(type, message, originalError) {
+    // details carries machine-readable context, e.g. the argument problems for a tool call
+    constructor(type, message, originalError, details) {
         super(message);
         this.name = 'ToshimoError';
         this.type = type;
         this.originalError = originalError;
+        this.details = details;
     }
 }
 
@@ -35,6 +45,12 @@ class ErrorHandler {
             message = error.message || 'An unknown error occurred';
         }
 
+        // Cancellation is user-initiated, so it is logged but never shown as an error
+        if (this.isCancellation(error)) {
+            console.log(`[Cancelled] ${context ? `(${context}) ` : ''}${message}`);
+            return;
+        }
+
         // Log error with context
         console.error(`[${type}] ${context ? `(${context}) ` : ''}${message}`, error);
 
@@ -80,12 +96,20 @@ class ErrorHandler {
         }
     }
 
+    static isCancellation(error) {
+        if (error instanceof ToshimoError) {
+            return error.type === ErrorType.Cancelled || this.isCancellation(error.originalError);
+        }
+        return error?.code === 'ERR_CANCELED' || error?.name === 'AbortError';
+    }
+
     static async withErrorHandling(operation, context, fallback) {
         try {
             return await operation();
         } catch (error) {
             this.handle(error, context);
-            if (fallback !== undefined) {
+            // Callers need to see cancellations to keep partial results
+            if (fallback !== undefined && !this.isCancellation(error)) {
                 return fallback;
             }
             throw error;
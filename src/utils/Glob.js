@@ -0,0 +1,89 @@
+// Minimal glob matching for workspace-relative paths using forward slashes.
+// Supports *, ?, ** (any number of directories), {a,b} alternatives and [...] classes.
+// Like .gitignore, a pattern without a slash matches any single path segment, so
+// `.git` matches `.git/config` and `*.pem` matches `certs/server.pem`, while a leading
+// slash anchors it to the root: `/build` matches `build/out.js` but not `src/build`.
+// options.ignoreCase matches the way case-insensitive file systems (macOS, Windows) do.
+
+const cache = new Map();
+
+function globToRegExp(pattern, { ignoreCase = false } = {}) {
+    let regex = '';
+    let inGroup = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                // `**/` matches zero or more directories, a trailing `**` matches everything
+                if (pattern[i + 2] === '/') {
+                    regex += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    regex += '.*';
+                    i += 1;
+                }
+            } else {
+                regex += '[^/]*';
+            }
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '{') {
+            inGroup = true;
+            regex += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            regex += ')';
+        } else if (char === ',' && inGroup) {
+            regex += '|';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                regex += '\\[';
+            } else {
+                regex += `[${pattern.substring(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else {
+            regex += char.replace(/[.+^$()|\\/]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${regex}$`, ignoreCase ? 'i' : '');
+}
+
+function toPosix(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+function matchesGlob(filePath, pattern, options = {}) {
+    const normalizedPath = toPosix(filePath);
+    const normalizedPattern = toPosix(pattern).replace(/\/$/, '');
+    const anchored = normalizedPattern.includes('/');
+    const body = normalizedPattern.replace(/^\//, '');
+
+    const key = `${options.ignoreCase ? 'i' : ''}:${body}`;
+    let regex = cache.get(key);
+    if (!regex) {
+        regex = globToRegExp(body, options);
+        cache.set(key, regex);
+    }
+
+    if (anchored) {
+        // Anchored pattern; also matches anything inside a matching directory
+        const segments = normalizedPath.split('/');
+        return segments.some((_, i) => regex.test(segments.slice(0, i + 1).join('/')));
+    }
+    return normalizedPath.split('/').some(segment => regex.test(segment));
+}
+
+function matchesAnyGlob(filePath, patterns, options = {}) {
+    return patterns.some(pattern => matchesGlob(filePath, pattern, options));
+}
+
+module.exports = {
+    globToRegExp,
+    matchesGlob,
+    matchesAnyGlob,
+    toPosix
+};
@@ -0,0 +1,163 @@
+// Validates tool arguments against the JSON schema subset used in tool descriptors:
+// type (or a list of types), enum, properties, required, additionalProperties, items,
+// minimum/maximum and minLength/maxLength. Errors are returned as data rather than
+// thrown so they can be sent back to the model.
+//
+// Scalars the model quoted by mistake ("12", "true") are converted when the conversion
+// is exact, since that is by far the most common slip and the intent is unambiguous.
+
+function validate(schema, value, path = '') {
+    const errors = [];
+    const result = check(schema || {}, value, path, errors);
+    return { value: result, errors };
+}
+
+function check(schema, value, path, errors) {
+    const types = schema.type ? [].concat(schema.type) : null;
+    let current = value;
+
+    if (types && !types.some(type => matchesType(current, type))) {
+        const coerced = coerce(current, types);
+        if (coerced === undefined) {
+            errors.push({
+                path: path || '(arguments)',
+                message: `must be ${types.join(' or ')}`,
+                expected: types.join(' | '),
+                received: describeType(current)
+            });
+            return current;
+        }
+        current = coerced;
+    }
+
+    if (schema.enum && !schema.enum.includes(current)) {
+        errors.push({
+            path: path || '(arguments)',
+            message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`,
+            expected: schema.enum.join(' | '),
+            received: JSON.stringify(current)
+        });
+    }
+
+    if (typeof current === 'number') {
+        if (schema.minimum !== undefined && current < schema.minimum) {
+            errors.push({ path, message: `must be at least ${schema.minimum}`, received: String(current) });
+        }
+        if (schema.maximum !== undefined && current > schema.maximum) {
+            errors.push({ path, message: `must be at most ${schema.maximum}`, received: String(current) });
+        }
+    }
+
+    if (typeof current === 'string') {
+        if (schema.minLength !== undefined && current.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters`, received: `${current.length} characters` });
+        }
+        if (schema.maxLength !== undefined && current.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters`, received: `${current.length} characters` });
+        }
+    }
+
+    if (Array.isArray(current) && schema.items) {
+        current = current.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+    }
+
+    if (isPlainObject(current) && (schema.properties || schema.required)) {
+        current = checkObject(schema, current, path, errors);
+    }
+
+    return current;
+}
+
+function checkObject(schema, value, path, errors) {
+    const properties = schema.properties || {};
+    const result = {};
+
+    for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null) {
+            errors.push({
+                path: join(path, name),
+                message: 'is required',
+                expected: properties[name]?.type ? [].concat(properties[name].type).join(' | ') : undefined,
+                received: 'nothing'
+            });
+        }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+        if (!properties[name]) {
+            if (schema.additionalProperties === false) {
+                errors.push({
+                    path: join(path, name),
+                    message: `is not a known name; expected one of ${Object.keys(properties).join(', ') || '(none)'}`
+                });
+            } else {
+                result[name] = propertyValue;
+            }
+            continue;
+        }
+        if (propertyValue === undefined || propertyValue === null) {
+            continue;
+        }
+        result[name] = check(properties[name], propertyValue, join(path, name), errors);
+    }
+
+    return result;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return isPlainObject(value);
+        case 'null': return value === null;
+        default: return true;
+    }
+}
+
+function coerce(value, types) {
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(trimmed)) {
+            const number = Number(trimmed);
+            if (types.includes('number') || Number.isInteger(number)) return number;
+        }
+        if (types.includes('boolean') && (trimmed === 'true' || trimmed === 'false')) {
+            return trimmed === 'true';
+        }
+    }
+    if (typeof value === 'number' && Number.isFinite(value) && types.includes('string')) {
+        return String(value);
+    }
+    return undefined;
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function join(path, name) {
+    return path ? `${path}.${name}` : name;
+}
+
+// One line per problem, e.g. "filePath: is required (expected string)"
+function formatErrors(errors) {
+    return errors.map(error => {
+        const expected = error.expected ? ` (expected ${error.expected}${error.received ? `, got ${error.received}` : ''})` : '';
+        return `${error.path}: ${error.message}${expected}`;
+    });
+}
+
+module.exports = {
+    validate,
+    formatErrors
+};
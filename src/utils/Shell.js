@@ -0,0 +1,16 @@
+// Quoting for command lines run through a shell (CommandRunner spawns with shell: true)
+
+const SAFE_ARGUMENT = /^[\w./:=,@+-]+$/;
+
+// Leaves plain arguments alone so approval prompts stay readable
+function quote(value, platform = process.platform) {
+    if (SAFE_ARGUMENT.test(value)) {
+        return value;
+    }
+    if (platform === 'win32') {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = { quote };
@@ -0,0 +1,260 @@
+const { ToshimoError, ErrorType } = require('./ErrorHandler');
+
+// Pure text transformations behind FileEditor's targeted edit commands. Each one
+// returns the new text or throws a ToshimoError explaining why the anchor didn't match.
+
+const MAX_FUZZ = 2;
+
+function detectEol(text) {
+    return text.includes('\r\n') ? '\r\n' : '\n';
+}
+
+function toEol(text, eol) {
+    return text.replace(/\r\n/g, '\n').replace(/\n/g, eol);
+}
+
+function countOccurrences(text, search) {
+    let count = 0;
+    let index = text.indexOf(search);
+    while (index !== -1) {
+        count++;
+        index = text.indexOf(search, index + search.length);
+    }
+    return count;
+}
+
+function applySearchReplace(text, search, replace, replaceAll = false) {
+    if (!search) {
+        throw new ToshimoError(ErrorType.Edit, 'Search text must not be empty');
+    }
+
+    // Match the file's line endings so CRLF files can be edited with LF blocks
+    const eol = detectEol(text);
+    const normalizedSearch = toEol(search, eol);
+    const normalizedReplace = toEol(replace ?? '', eol);
+
+    const count = countOccurrences(text, normalizedSearch);
+    if (count === 0) {
+        const hint = findClosestLine(text, normalizedSearch);
+        throw new ToshimoError(
+            ErrorType.Edit,
+            `Search text was not found. Copy the block exactly from the current file, including whitespace.${hint}`
+        );
+    }
+    if (count > 1 && !replaceAll) {
+        throw new ToshimoError(
+            ErrorType.Edit,
+            `Search text matches ${count} times. Include more surrounding lines so it matches exactly once, or set replaceAll.`
+        );
+    }
+
+    return {
+        text: replaceAll
+            ? text.split(normalizedSearch).join(normalizedReplace)
+            : text.replace(normalizedSearch, () => normalizedReplace),
+        replacements: replaceAll ? count : 1
+    };
+}
+
+// Lines are 1-based and inclusive
+function replaceLineRange(text, startLine, endLine, content) {
+    const eol = detectEol(text);
+    const lines = text.split(eol);
+    // The empty string after a final newline is not a line, and stays at the end
+    const lineCount = text === '' ? 0 : lines.length - (text.endsWith(eol) ? 1 : 0);
+
+    if (!Number.isInteger(startLine) || !Number.isInteger(endLine)) {
+        throw new ToshimoError(ErrorType.Edit, 'startLine and endLine must be whole numbers');
+    }
+    if (startLine < 1 || endLine < startLine - 1 || endLine > lineCount) {
+        throw new ToshimoError(
+            ErrorType.Edit,
+            `Line range ${startLine}-${endLine} is outside the file, which has ${lineCount} lines`
+        );
+    }
+
+    const replacement = content === '' ? [] : toEol(content, eol).replace(new RegExp(`${eol}$`), '').split(eol);
+    lines.splice(startLine - 1, endLine - startLine + 1, ...replacement);
+    return lines.join(eol);
+}
+
+function parseUnifiedDiff(diff) {
+    const hunks = [];
+    let current = null;
+
+    for (const line of diff.replace(/\r\n/g, '\n').split('\n')) {
+        const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (header) {
+            current = {
+                header: line,
+                oldStart: parseInt(header[1], 10),
+                oldCount: header[2] === undefined ? 1 : parseInt(header[2], 10),
+                newCount: header[4] === undefined ? 1 : parseInt(header[4], 10),
+                lines: []
+            };
+            hunks.push(current);
+            continue;
+        }
+        if (!current || line.startsWith('\\')) {
+            continue;
+        }
+        // File headers only come before a hunk or after one has all its declared lines;
+        // inside a hunk, "--- x" is the removed line "-- x"
+        if ((line.startsWith('---') || line.startsWith('+++')) && isComplete(current)) {
+            continue;
+        }
+        const marker = line[0];
+        if (marker === ' ' || marker === '-' || marker === '+') {
+            current.lines.push({ type: marker, text: line.substring(1) });
+        } else if (line === '') {
+            // Some models drop the leading space on empty context lines
+            current.lines.push({ type: ' ', text: '' });
+        }
+    }
+
+    // Trailing blank lines at the end of the diff are not part of the last hunk
+    const lastHunk = hunks[hunks.length - 1];
+    while (lastHunk && lastHunk.lines.length > 0 &&
+        lastHunk.lines[lastHunk.lines.length - 1].type === ' ' &&
+        lastHunk.lines[lastHunk.lines.length - 1].text === '') {
+        lastHunk.lines.pop();
+    }
+
+    if (hunks.length === 0) {
+        throw new ToshimoError(ErrorType.Edit, 'Patch contains no hunks. Each hunk must start with an "@@ -a,b +c,d @@" header.');
+    }
+    return hunks;
+}
+
+function isComplete(hunk) {
+    const oldLines = hunk.lines.filter(l => l.type !== '+').length;
+    const newLines = hunk.lines.filter(l => l.type !== '-').length;
+    return oldLines >= hunk.oldCount && newLines >= hunk.newCount;
+}
+
+function applyUnifiedDiff(text, diff) {
+    const eol = detectEol(text);
+    const lines = text.split(eol);
+    const hunks = parseUnifiedDiff(diff);
+    // Difference between where hunks apply now and their original line numbers
+    let offset = 0;
+
+    hunks.forEach((hunk, index) => {
+        // An empty old range (-2,0) names the line the insertion goes after
+        const expectedStart = hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1;
+        const location = locateHunk(lines, hunk, expectedStart + offset);
+        if (!location) {
+            throw new ToshimoError(
+                ErrorType.Edit,
+                `Hunk ${index + 1} (${hunk.header}) does not match the file near line ${hunk.oldStart}. ` +
+                'Read the current file content and regenerate the patch.'
+            );
+        }
+
+        const { start, leading, hunkLines } = location;
+        const oldLines = hunkLines.filter(l => l.type !== '+');
+        // Context lines keep the file's text, which may differ in whitespace from the patch's
+        const newLines = [];
+        let fileIndex = start;
+        for (const line of hunkLines) {
+            if (line.type === ' ') {
+                newLines.push(lines[fileIndex++]);
+            } else if (line.type === '-') {
+                fileIndex++;
+            } else {
+                newLines.push(line.text);
+            }
+        }
+        lines.splice(start, oldLines.length, ...newLines);
+
+        // Later hunks shift by however far this one moved plus the lines it added or removed
+        const originalEnd = expectedStart + leading + oldLines.length;
+        offset = start + newLines.length - originalEnd;
+    });
+
+    return { text: lines.join(eol), hunks: hunks.length };
+}
+
+// Finds where a hunk applies: exact match near the expected line first, then anywhere,
+// then ignoring whitespace, then with up to MAX_FUZZ context lines trimmed from each end.
+// A hunk with context or removed lines must still match at least one of them.
+function locateHunk(lines, hunk, expectedStart) {
+    const anchored = hunk.lines.some(l => l.type !== '+');
+    for (let fuzz = 0; fuzz <= MAX_FUZZ; fuzz++) {
+        const hunkLines = trimContext(hunk.lines, fuzz);
+        if (!hunkLines) break;
+        const oldLines = hunkLines.filter(l => l.type !== '+').map(l => l.text);
+        if (anchored && oldLines.length === 0) continue;
+        const leading = countLeadingContext(hunk.lines, fuzz);
+
+        for (const compare of [exactMatch, whitespaceInsensitiveMatch]) {
+            const start = findBlock(lines, oldLines, expectedStart + leading, compare);
+            if (start !== -1) {
+                return { start, leading, hunkLines };
+            }
+        }
+    }
+    return null;
+}
+
+function trimContext(hunkLines, fuzz) {
+    if (fuzz === 0) return hunkLines;
+
+    let start = 0;
+    let end = hunkLines.length;
+    for (let i = 0; i < fuzz && start < end && hunkLines[start].type === ' '; i++) start++;
+    for (let i = 0; i < fuzz && end > start && hunkLines[end - 1].type === ' '; i++) end--;
+    if (start === 0 && end === hunkLines.length) return null;
+    return hunkLines.slice(start, end);
+}
+
+function countLeadingContext(hunkLines, fuzz) {
+    let count = 0;
+    while (count < fuzz && hunkLines[count]?.type === ' ') count++;
+    return count;
+}
+
+// Searches outward from the expected position so the nearest match wins
+function findBlock(lines, block, expectedStart, compare) {
+    if (block.length === 0) {
+        return Math.min(Math.max(expectedStart, 0), lines.length);
+    }
+
+    const lastStart = lines.length - block.length;
+    const origin = Math.min(Math.max(expectedStart, 0), Math.max(lastStart, 0));
+    for (let distance = 0; distance <= lines.length; distance++) {
+        for (const start of distance === 0 ? [origin] : [origin - distance, origin + distance]) {
+            if (start < 0 || start > lastStart) continue;
+            if (block.every((line, i) => compare(lines[start + i], line))) {
+                return start;
+            }
+        }
+    }
+    return -1;
+}
+
+function exactMatch(a, b) {
+    return a === b;
+}
+
+function whitespaceInsensitiveMatch(a, b) {
+    return a.replace(/\s+/g, ' ').trim() === b.replace(/\s+/g, ' ').trim();
+}
+
+function findClosestLine(text, search) {
+    const firstLine = search.split(/\r?\n/).find(line => line.trim().length > 0);
+    if (!firstLine) return '';
+
+    const lines = text.split(/\r?\n/);
+    const index = lines.findIndex(line => line.trim() === firstLine.trim());
+    return index === -1
+        ? ''
+        : ` The first search line appears at line ${index + 1}, but the following lines differ.`;
+}
+
+module.exports = {
+    applySearchReplace,
+    replaceLineRange,
+    applyUnifiedDiff,
+    parseUnifiedDiff
+};
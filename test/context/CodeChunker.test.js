@@ -0,0 +1,182 @@
+const vscode = require('vscode');
+const { CodeChunker } = require('../../src/context/CodeChunker');
+
+const chunkFile = (chunker, content, language, symbols) =>
+    chunker.chunk({ path: `src/file.${language}`, language, type: 'code', content }, symbols);
+
+// A function whose body is roughly `size` characters
+const bigFunction = (name, size) => [
+    `function ${name}() {`,
+    ...Array.from({ length: Math.ceil(size / 40) }, (_, i) => `    const value${i} = compute(${i}, 'padding');`),
+    '}'
+].join('\n');
+
+describe('CodeChunker', () => {
+    let chunker;
+
+    beforeEach(() => {
+        chunker = new CodeChunker(600);
+    });
+
+    test('keeps a small file in one chunk with its metadata', () => {
+        const [chunk, ...rest] = chunkFile(chunker, 'function add(a, b) {\n    return a + b;\n}\n', 'javascript');
+        expect(rest).toEqual([]);
+        expect(chunk).toEqual({
+            type: 'chunk',
+            path: 'src/file.javascript',
+            language: 'javascript',
+            content: 'function add(a, b) {\n    return a + b;\n}\n',
+            startLine: 1,
+            endLine: 3,
+            symbol: 'add',
+            metadata: 'File: src/file.javascript\nLanguage: javascript\nType: code\nSymbol: add\nLines: 1-3'
+        });
+    });
+
+    test('still returns one chunk for a blank file', () => {
+        expect(chunkFile(chunker, '', 'javascript').map(chunk => [chunk.startLine, chunk.endLine, chunk.symbol])).toEqual([[1, 1, null]]);
+    });
+
+    test('gives each function that is large enough its own chunk', () => {
+        const content = [bigFunction('first', 400), '', bigFunction('second', 400)].join('\n');
+        const chunks = chunkFile(chunker, content, 'javascript');
+        expect(chunks.map(chunk => chunk.symbol)).toEqual(['first', 'second']);
+        expect(chunks[0].content.startsWith('function first()')).toBe(true);
+        expect(chunks[1].content.startsWith('function second()')).toBe(true);
+    });
+
+    test('merges small neighbours', () => {
+        const content = 'const a = 1;\nfunction one() {\n    return 1;\n}\nfunction two() {\n    return 2;\n}\n';
+        const chunks = chunkFile(chunker, content, 'javascript');
+        expect(chunks).toHaveLength(1);
+        expect(chunks[0].symbol).toBe('one, two');
+    });
+
+    test('splits a class that does not fit into its members', () => {
+        const method = name => [`    ${name}(input) {`, ...Array.from({ length: 9 }, (_, i) => `        this.step${i}(input, 'some padding text');`), '    }'];
+        const content = ['class Service {', ...method('start'), ...method('stop'), '}'].join('\n');
+        const symbols = chunkFile(chunker, content, 'javascript').map(chunk => chunk.symbol);
+        // The class line and closing brace join the neighbouring member
+        expect(symbols).toEqual(['Service, Service.start', 'Service.stop, Service']);
+    });
+
+    test('cuts an oversized body into overlapping pieces', () => {
+        const content = bigFunction('huge', 2000);
+        const chunks = chunkFile(chunker, content, 'javascript');
+        expect(chunks.length).toBeGreaterThan(3);
+        for (const chunk of chunks) {
+            expect(chunk.symbol).toBe('huge');
+            expect(chunk.content.length).toBeLessThanOrEqual(601);
+        }
+        for (let i = 1; i < chunks.length; i++) {
+            expect(chunks[i].startLine).toBeLessThanOrEqual(chunks[i - 1].endLine);
+        }
+        expect(chunks[chunks.length - 1].endLine).toBe(content.split('\n').length);
+    });
+
+    test('includes doc comments above a declaration', () => {
+        const content = ['// Adds two numbers', '/**', ' * @param a', ' */', 'function add(a, b) {', '    return a + b;', '}'].join('\n');
+        expect(chunker.parseSymbols(content.split('\n'), 'javascript')).toEqual([{ name: 'add', startLine: 1, endLine: 7, children: [] }]);
+    });
+
+    test('ignores braces in strings, comments and parameter lists', () => {
+        const lines = [
+            'function run({ files } = {}) {',
+            '    const text = "}";',
+            "    const other = '{';",
+            '    // }',
+            '    /* } */',
+            '    return `${files}`;',
+            '}',
+            'const done = true;'
+        ];
+        expect(chunker.parseSymbols(lines, 'javascript')).toEqual([{ name: 'run', startLine: 1, endLine: 7, children: [] }]);
+    });
+
+    test('ends one-line arrow functions at the statement', () => {
+        expect(chunker.parseSymbols(['const double = x => x * 2;', 'if (ready) {', '}'], 'javascript')).toEqual([
+            { name: 'double', startLine: 1, endLine: 1, children: [] }
+        ]);
+    });
+
+    test('parses members of native classes and skips control keywords', () => {
+        const lines = [
+            'public class Parser {',
+            '    public int parse(String text) {',
+            '        if (text.isEmpty()) {',
+            '            return 0;',
+            '        }',
+            '        return 1;',
+            '    }',
+            '}'
+        ];
+        expect(chunker.parseSymbols(lines, 'java')).toEqual([{
+            name: 'Parser',
+            startLine: 1,
+            endLine: 8,
+            children: [{ name: 'parse', startLine: 2, endLine: 7, children: [] }]
+        }]);
+    });
+
+    test('does not read Rust lifetimes as character literals', () => {
+        const lines = ["fn first<'a>(items: &'a [u8]) -> &'a u8 {", '    &items[0]', '}'];
+        expect(chunker.parseSymbols(lines, 'rust')).toEqual([{ name: 'first', startLine: 1, endLine: 3, children: [] }]);
+    });
+
+    test('parses Python blocks by indentation', () => {
+        const lines = ['@dataclass', 'class Point:', '    def norm(self):', '', '        return 1', 'x = 1'];
+        expect(chunker.parseSymbols(lines, 'python')).toEqual([{
+            name: 'Point',
+            startLine: 1,
+            endLine: 5,
+            children: [{ name: 'norm', startLine: 3, endLine: 5, children: [] }]
+        }]);
+    });
+
+    test('parses Ruby blocks up to the matching end', () => {
+        const lines = ['module Shapes', '  def area', '    1', '  end', 'end'];
+        expect(chunker.parseSymbols(lines, 'ruby')).toEqual([{
+            name: 'Shapes',
+            startLine: 1,
+            endLine: 5,
+            children: [{ name: 'area', startLine: 2, endLine: 4, children: [] }]
+        }]);
+    });
+
+    test('names Markdown sections by their headings', () => {
+        const lines = ['# Setup', 'intro', '## Install', 'npm i', 'Usage', '-----', 'run it'];
+        expect(chunker.parseSymbols(lines, 'markdown')).toEqual([{
+            name: 'Setup',
+            startLine: 1,
+            endLine: 7,
+            children: [
+                { name: 'Install', startLine: 3, endLine: 4, children: [] },
+                { name: 'Usage', startLine: 5, endLine: 7, children: [] }
+            ]
+        }]);
+
+        const markdown = new CodeChunker(60);
+        const content = ['# Setup', 'Some introduction text here.', '## Install', 'Run npm install to get the dependencies.'].join('\n');
+        expect(chunkFile(markdown, content, 'markdown').map(chunk => chunk.symbol)).toContain('Setup > Install');
+    });
+
+    test('uses a language server outline when one is given', () => {
+        const outline = CodeChunker.fromDocumentSymbols([
+            {
+                name: 'Widget',
+                kind: vscode.SymbolKind.Class,
+                range: { start: { line: 0 }, end: { line: 2 } },
+                children: [{ name: 'size', kind: vscode.SymbolKind.Property, range: { start: { line: 1 }, end: { line: 1 } } }]
+            },
+            { name: 'VERSION', kind: vscode.SymbolKind.Variable, range: { start: { line: 3 }, end: { line: 3 } } }
+        ]);
+        expect(outline).toEqual([{ name: 'Widget', startLine: 1, endLine: 3, children: [] }]);
+
+        const chunks = chunkFile(chunker, 'widget {\n  size\n}\nversion\n', 'plaintext', outline);
+        expect(chunks.map(chunk => chunk.symbol)).toEqual(['Widget']);
+    });
+
+    test('lists at most four symbols', () => {
+        expect(chunker.formatSymbols(['a', 'b', 'c', 'd', 'e', 'f'])).toBe('a, b, c, d and 2 more');
+    });
+});
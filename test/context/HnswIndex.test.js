@@ -0,0 +1,151 @@
+const { HnswIndex } = require('../../src/context/HnswIndex');
+
+// Small deterministic generator, so the vectors are the same on every run
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+function createVectors(count, dimensions, seed = 1) {
+    const next = random(seed);
+    return Array.from({ length: count }, () => Float32Array.from({ length: dimensions }, () => next() * 2 - 1));
+}
+
+function exactNearest(index, query, k) {
+    const norm = index.norm(query);
+    return [...index.nodes.keys()]
+        .map(id => ({ id, score: index.similarity(query, norm, id) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k)
+        .map(result => result.id);
+}
+
+function recall(index, queries, k) {
+    let found = 0;
+    for (const query of queries) {
+        const expected = exactNearest(index, query, k);
+        const actual = new Set(index.search(query, k).map(result => result.id));
+        found += expected.filter(id => actual.has(id)).length;
+    }
+    return found / (queries.length * k);
+}
+
+// Links without a matching reverse link (or the other way round), and an entry point
+// that is not on the highest level
+function findInconsistencies(index) {
+    const problems = [];
+    for (const [id, node] of index.nodes) {
+        node.neighbors.forEach((neighbors, layer) => {
+            for (const neighborId of neighbors) {
+                if (!index.nodes.get(neighborId)?.linkedFrom[layer]?.has(id)) problems.push(`${id} -> ${neighborId} on ${layer}`);
+            }
+        });
+        node.linkedFrom.forEach((sources, layer) => {
+            for (const sourceId of sources) {
+                if (!index.nodes.get(sourceId)?.neighbors[layer]?.includes(id)) problems.push(`${sourceId} <- ${id} on ${layer}`);
+            }
+        });
+    }
+    if (index.size > 0) {
+        const highest = Math.max(...[...index.nodes.values()].map(node => node.level));
+        if (index.maxLevel !== highest || index.nodes.get(index.entryPoint)?.level !== highest) problems.push('entry point');
+    }
+    return problems;
+}
+
+describe('HnswIndex', () => {
+    const vectors = createVectors(600, 16);
+    const queries = createVectors(20, 16, 99);
+    let index;
+
+    beforeEach(() => {
+        index = new HnswIndex({ dimensions: 16, M: 8, efConstruction: 48 });
+        vectors.forEach((vector, id) => index.add(id, vector));
+    });
+
+    test('finds nearly all true nearest neighbours', () => {
+        expect(index.size).toBe(600);
+        expect(recall(index, queries, 10)).toBeGreaterThan(0.9);
+        expect(findInconsistencies(index)).toEqual([]);
+    });
+
+    test('returns results best first with cosine scores', () => {
+        const results = index.search(vectors[42], 5);
+        expect(results[0]).toEqual({ id: 42, score: expect.closeTo(1, 5) });
+        expect(results.every((result, i) => i === 0 || results[i - 1].score >= result.score)).toBe(true);
+        expect(index.search(new Float32Array(16), 5)).toEqual([]);
+        expect(new HnswIndex({ dimensions: 16 }).search(vectors[0], 5)).toEqual([]);
+    });
+
+    test('stays searchable and consistent while nodes are removed', () => {
+        for (let id = 0; id < 600; id += 2) {
+            index.remove(id);
+        }
+        index.remove(1000);
+
+        expect(index.size).toBe(300);
+        expect(findInconsistencies(index)).toEqual([]);
+        for (const result of index.search(queries[0], 20)) {
+            expect(result.id % 2).toBe(1);
+        }
+        expect(recall(index, queries, 10)).toBeGreaterThan(0.85);
+    });
+
+    test('picks a new entry point from the highest level left', () => {
+        const small = new HnswIndex({ dimensions: 16, M: 4 });
+        vectors.slice(0, 60).forEach((vector, id) => small.add(id, vector));
+        while (small.size > 0) {
+            small.remove(small.entryPoint);
+            expect(findInconsistencies(small)).toEqual([]);
+        }
+        expect(small.entryPoint).toBeNull();
+        expect(small.maxLevel).toBe(-1);
+
+        small.add(7, vectors[7]);
+        expect(small.search(vectors[7], 1)).toEqual([{ id: 7, score: expect.closeTo(1, 5) }]);
+    });
+
+    test('removes a node without visiting nodes that do not link to it', () => {
+        const target = index.search(queries[0], 1)[0].id;
+        const spy = jest.spyOn(index, 'setNeighbors');
+        const linkedFrom = index.nodes.get(target).linkedFrom.reduce((count, sources) => count + sources.size, 0);
+
+        index.remove(target);
+
+        expect(spy).toHaveBeenCalledTimes(linkedFrom);
+        spy.mockRestore();
+    });
+
+    test('round-trips through serialize and deserialize', () => {
+        index.remove(3);
+        const { meta, buffer } = index.serialize();
+        const restored = HnswIndex.deserialize(meta, buffer, id => vectors[id]);
+
+        expect(restored.size).toBe(index.size);
+        expect(restored.entryPoint).toBe(index.entryPoint);
+        expect(findInconsistencies(restored)).toEqual([]);
+        for (const query of queries.slice(0, 5)) {
+            expect(restored.search(query, 10)).toEqual(index.search(query, 10));
+        }
+
+        restored.remove(restored.entryPoint);
+        expect(findInconsistencies(restored)).toEqual([]);
+    });
+
+    test('refuses graphs that do not match the stored vectors', () => {
+        const { meta, buffer } = index.serialize();
+        expect(() => HnswIndex.deserialize(meta, buffer, id => (id === 5 ? undefined : vectors[id]))).toThrow('Graph node 5 has no stored vector');
+
+        const small = new HnswIndex({ dimensions: 16, M: 4 });
+        [0, 1, 2].forEach(id => small.add(id, vectors[id]));
+        const serialized = small.serialize();
+        // Keep node 0 only, whose links now point at nodes that are not in the file
+        const values = new Int32Array(serialized.buffer.buffer.slice(0));
+        const firstLength = 2 + small.nodes.get(0).neighbors.reduce((length, layer) => length + 1 + layer.length, 0);
+        const truncated = Buffer.from(values.slice(0, firstLength).buffer);
+        expect(() => HnswIndex.deserialize({ ...serialized.meta, entryPoint: 0 }, truncated, id => vectors[id])).toThrow('links to missing node');
+    });
+});
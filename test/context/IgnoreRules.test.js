@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IgnoreRules } = require('../../src/context/IgnoreRules');
+
+describe('IgnoreRules', () => {
+    test('ignores the standard folders at any depth', () => {
+        const rules = new IgnoreRules();
+        expect(rules.shouldIgnore('node_modules/axios/index.js')).toBe(true);
+        expect(rules.shouldIgnore('packages/app/node_modules/x.js')).toBe(true);
+        expect(rules.shouldIgnore('src/__pycache__/a.pyc')).toBe(true);
+        expect(rules.shouldIgnore('src/index.js')).toBe(false);
+    });
+
+    test('keeps root-anchored .gitignore patterns anchored to the root', () => {
+        const rules = new IgnoreRules(['/generated', '/cache/', '/docs/*.html'], {});
+        expect(rules.shouldIgnore('generated/types.js')).toBe(true);
+        expect(rules.shouldIgnore('src/generated/types.js')).toBe(false);
+        expect(rules.shouldIgnore('cache/a.bin')).toBe(true);
+        expect(rules.shouldIgnore('tools/cache/a.js')).toBe(false);
+        expect(rules.shouldIgnore('docs/index.html')).toBe(true);
+        expect(rules.shouldIgnore('site/docs/index.html')).toBe(false);
+    });
+
+    test('matches unanchored .gitignore patterns at any depth', () => {
+        const rules = new IgnoreRules(['*.log', 'generated/', 'docs/*.html'], {});
+        expect(rules.shouldIgnore('logs/app/server.log')).toBe(true);
+        expect(rules.shouldIgnore('src/generated/types.js')).toBe(true);
+        // A slash in the middle anchors the pattern too
+        expect(rules.shouldIgnore('site/docs/index.html')).toBe(false);
+    });
+
+    test('skips negations', () => {
+        const rules = new IgnoreRules(['*.log', '!keep.log'], {});
+        expect(rules.patterns).toEqual(['*.log']);
+    });
+
+    test('reads patterns from the workspace .gitignore', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'toshimo-ignore-'));
+        try {
+            fs.writeFileSync(path.join(root, '.gitignore'), '# generated code\n/gen\n\n*.tmp  \n');
+            expect(await IgnoreRules.readGitIgnore(root)).toEqual(['/gen', '*.tmp']);
+
+            const rules = await IgnoreRules.forWorkspace(root);
+            expect(rules.shouldIgnore('gen/main.js')).toBe(true);
+            expect(rules.shouldIgnore('src/gen/main.js')).toBe(false);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    test('has no patterns from a missing .gitignore', async () => {
+        expect(await IgnoreRules.readGitIgnore(path.join(os.tmpdir(), 'toshimo-missing-workspace'))).toEqual([]);
+    });
+});
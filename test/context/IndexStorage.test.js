@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { saveIndex, loadIndex, FORMAT_VERSION } = require('../../src/context/IndexStorage');
+
+function createIndex(overrides = {}) {
+    return {
+        documents: [
+            { id: 0, path: 'src/a.js', content: 'const a = "ä";\n', hash: 'h1', startLine: 1, endLine: 1 },
+            { id: 3, path: 'src/b.js', content: 'function b() {}\n', hash: 'h2', startLine: 1, endLine: 1 }
+        ],
+        vectors: [Float32Array.from([0.5, 1, -2]), Float32Array.from([3, 0, 0.25])],
+        partial: false,
+        updatedAt: 1700000000000,
+        nextId: 4,
+        embedding: 'ollama:nomic-embed-text',
+        graph: { meta: { dimensions: 3, M: 16, efConstruction: 64, entryPoint: 0, maxLevel: 0 }, buffer: Buffer.from(Int32Array.from([0, 0, 1, 3, 3, 0, 1, 0]).buffer) },
+        ...overrides
+    };
+}
+
+describe('IndexStorage', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'toshimo-index-'));
+        filePath = path.join(directory, '.toshimo', 'toshimo.vector.db');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('round-trips documents, vectors, settings and the graph', async () => {
+        const index = createIndex();
+        await saveIndex(filePath, index);
+        const loaded = await loadIndex(filePath);
+
+        expect(loaded.version).toBe(FORMAT_VERSION);
+        expect(loaded.documents).toEqual(index.documents);
+        expect(loaded.vectors.map(vector => Array.from(vector))).toEqual(index.vectors.map(vector => Array.from(vector)));
+        expect(loaded).toMatchObject({ partial: false, updatedAt: 1700000000000, nextId: 4, embedding: 'ollama:nomic-embed-text' });
+        expect(loaded.graph.meta).toMatchObject(index.graph.meta);
+        expect(loaded.graph.buffer.equals(index.graph.buffer)).toBe(true);
+        expect(fs.readdirSync(path.dirname(filePath)).some(file => file.endsWith('.tmp'))).toBe(false);
+    });
+
+    test('keeps the text out of the manifest', async () => {
+        await saveIndex(filePath, createIndex());
+        const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        expect(manifest.documents[0]).not.toHaveProperty('content');
+        expect(manifest.documents[1]).toMatchObject({ vectorOffset: 3, dimensions: 3 });
+        expect(manifest.generation).toMatch(/^[0-9a-f]{32}$/);
+    });
+
+    test('rejects data files from another save even when their sizes match', async () => {
+        await saveIndex(filePath, createIndex());
+        const earlierText = fs.readFileSync(`${filePath}.text`);
+        await saveIndex(filePath, createIndex());
+        expect(await loadIndex(filePath)).not.toBeNull();
+
+        // Same chunks, so the same size, but written by the earlier save
+        fs.writeFileSync(`${filePath}.text`, earlierText);
+        expect(await loadIndex(filePath)).toBeNull();
+    });
+
+    test('rejects truncated data files', async () => {
+        await saveIndex(filePath, createIndex());
+        const vectors = fs.readFileSync(`${filePath}.vectors`);
+        fs.writeFileSync(`${filePath}.vectors`, vectors.subarray(0, vectors.length - 4));
+        expect(await loadIndex(filePath)).toBeNull();
+    });
+
+    test('drops only the graph when it comes from another save or is missing', async () => {
+        await saveIndex(filePath, createIndex());
+        const earlierGraph = fs.readFileSync(`${filePath}.graph`);
+        await saveIndex(filePath, createIndex());
+        fs.writeFileSync(`${filePath}.graph`, earlierGraph);
+
+        const loaded = await loadIndex(filePath);
+        expect(loaded.graph).toBeNull();
+        expect(loaded.documents).toHaveLength(2);
+
+        fs.rmSync(`${filePath}.graph`);
+        expect((await loadIndex(filePath)).graph).toBeNull();
+    });
+
+    test('removes the graph file when the index has no graph', async () => {
+        await saveIndex(filePath, createIndex());
+        await saveIndex(filePath, createIndex({ graph: null }));
+        expect(fs.existsSync(`${filePath}.graph`)).toBe(false);
+        expect((await loadIndex(filePath)).graph).toBeNull();
+    });
+
+    test('reads version 2.0 files, which have no generation header', async () => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const vectors = Buffer.from(Float32Array.from([1, 2]).buffer);
+        fs.writeFileSync(`${filePath}.vectors`, vectors);
+        fs.writeFileSync(`${filePath}.text`, 'hello');
+        fs.writeFileSync(filePath, JSON.stringify({
+            version: '2.0',
+            nextId: 1,
+            vectorBytes: vectors.length,
+            textBytes: 5,
+            graph: null,
+            documents: [{ id: 0, path: 'a.md', textOffset: 0, textLength: 5, vectorOffset: 0, dimensions: 2 }]
+        }));
+
+        const loaded = await loadIndex(filePath);
+        expect(loaded.version).toBe('2.0');
+        expect(loaded.documents).toEqual([{ id: 0, path: 'a.md', content: 'hello' }]);
+        expect(Array.from(loaded.vectors[0])).toEqual([1, 2]);
+    });
+
+    test('rejects unknown versions', async () => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify({ version: '3.0', documents: [] }));
+        expect(await loadIndex(filePath)).toBeNull();
+    });
+
+    describe('1.x JSON migration', () => {
+        const writeJson = content => {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(content, null, 2));
+        };
+
+        test('assigns ids and keeps hashes from version 1.2 on', async () => {
+            writeJson({
+                version: '1.2',
+                partial: true,
+                updatedAt: 5,
+                documents: [{ path: 'a.js', content: 'a', hash: 'h1' }, { path: 'b.js', content: 'b', hash: 'h2' }],
+                vectors: [[1, 0], [0, 1]]
+            });
+
+            const loaded = await loadIndex(filePath);
+            expect(loaded).toMatchObject({ version: '1.2', partial: true, updatedAt: 5, nextId: 2, embedding: null, graph: null });
+            expect(loaded.documents).toEqual([
+                { path: 'a.js', content: 'a', hash: 'h1', id: 0 },
+                { path: 'b.js', content: 'b', hash: 'h2', id: 1 }
+            ]);
+            expect(loaded.vectors[1]).toBeInstanceOf(Float32Array);
+        });
+
+        test('drops hashes of fixed-size chunks so their files are embedded again', async () => {
+            writeJson({ documents: [{ path: 'a.js', content: 'a', hash: 'h1' }], vectors: [[1]] });
+            const loaded = await loadIndex(filePath);
+            expect(loaded.version).toBe('1.0');
+            expect(loaded.documents[0]).not.toHaveProperty('hash');
+        });
+
+        test('rejects files whose vectors and documents do not line up', async () => {
+            writeJson({ version: '1.2', documents: [{ path: 'a.js' }], vectors: [] });
+            expect(await loadIndex(filePath)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,71 @@
+const { LexicalIndex } = require('../../src/context/LexicalIndex');
+
+describe('LexicalIndex', () => {
+    let index;
+    const parser = { id: 'parser' };
+    const client = { id: 'client' };
+    const readme = { id: 'readme' };
+
+    beforeEach(() => {
+        index = new LexicalIndex();
+        index.add(parser, 'function parseResponse(text) { return JSON.parse(text); }');
+        index.add(client, 'class HTTPClient { async sendRequest() { throw new Error("E_TIMEOUT 504"); } }');
+        index.add(readme, 'Install the extension and open a workspace. Install it again after updates.');
+    });
+
+    test('splits identifiers into their words and keeps them whole', () => {
+        expect(LexicalIndex.tokenize('parseResponse HTTPClient snake_case a 42')).toEqual([
+            'parseresponse', 'parse', 'response',
+            'httpclient', 'http', 'client',
+            'snake_case', 'snake', 'case',
+            '42'
+        ]);
+        expect(LexicalIndex.tokenize(null)).toEqual([]);
+    });
+
+    test('finds chunks by identifier, by its words and by error codes', () => {
+        expect(index.search('parseResponse', 5).map(result => result.entry)).toEqual([parser]);
+        expect(index.search('parse the response', 5)[0].entry).toBe(parser);
+        expect(index.search('E_TIMEOUT', 5).map(result => result.entry)).toEqual([client]);
+        expect(index.search('504', 5).map(result => result.entry)).toEqual([client]);
+        expect(index.search('nothing matches', 5)).toEqual([]);
+    });
+
+    test('ranks by term frequency and rarity', () => {
+        const twice = { id: 'twice' };
+        const once = { id: 'once' };
+        index.add(twice, 'deploy deploy staging');
+        index.add(once, 'deploy staging staging');
+        expect(index.search('deploy', 5).map(result => result.entry)).toEqual([twice, once]);
+
+        // Both match one query word, but "rollback" appears in fewer chunks than "staging"
+        const rare = { id: 'rare' };
+        index.add(rare, 'rollback plan');
+        expect(index.search('staging rollback', 1)[0].entry).toBe(rare);
+    });
+
+    test('limits and filters results', () => {
+        expect(index.search('parse client install', 2)).toHaveLength(2);
+        expect(index.search('parse client install', 5, entry => entry !== parser).map(result => result.entry)).not.toContain(parser);
+    });
+
+    test('re-adding an entry replaces its text', () => {
+        index.add(parser, 'function renderView() {}');
+        expect(index.search('parseResponse', 5)).toEqual([]);
+        expect(index.search('renderView', 5).map(result => result.entry)).toEqual([parser]);
+    });
+
+    test('removing entries drops their postings and length', () => {
+        index.remove(client);
+        index.remove(client);
+        expect(index.search('E_TIMEOUT', 5)).toEqual([]);
+        expect(index.postings.has('timeout')).toBe(false);
+        expect(index.entries.size).toBe(2);
+
+        index.remove(parser);
+        index.remove(readme);
+        expect(index.totalLength).toBe(0);
+        expect(index.postings.size).toBe(0);
+        expect(index.search('install', 5)).toEqual([]);
+    });
+});
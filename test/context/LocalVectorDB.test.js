@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalVectorDB } = require('../../src/context/LocalVectorDB');
+const { FORMAT_VERSION } = require('../../src/context/IndexStorage');
+
+// Embeds text by counting a few words, which is enough to tell the test chunks apart
+const WORDS = ['parse', 'render', 'fetch'];
+const embeddingProvider = {
+    getIdentity: () => 'test:words',
+    getEmbedding: async text => WORDS.map(word => (text.match(new RegExp(word, 'g')) || []).length + 0.01)
+};
+
+const chunk = (filePath, content, extra = {}) => ({ path: filePath, content, hash: `hash-${filePath}`, mtime: 1, language: 'javascript', ...extra });
+
+describe('LocalVectorDB', () => {
+    let db;
+    let directory;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'toshimo-vectordb-'));
+        db = new LocalVectorDB(embeddingProvider);
+        for (const [filePath, content] of [['a.js', 'parse parse'], ['b.js', 'render'], ['a.js', 'parse again'], ['c.js', 'fetch'], ['b.js', 'render twice']]) {
+            const document = chunk(filePath, content);
+            await db.add(document, await embeddingProvider.getEmbedding(content));
+        }
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Documents, vectors and the lookup maps all describe the same chunks
+    function expectConsistent() {
+        expect(db.vectors).toHaveLength(db.documents.length);
+        db.documents.forEach((document, i) => {
+            expect(db.positions.get(document.id)).toBe(i);
+            expect(db.documentsById.get(document.id)).toBe(document);
+            expect(db.idsByPath.get(document.path)).toContain(document.id);
+        });
+        expect(db.positions.size).toBe(db.documents.length);
+        expect([...db.idsByPath.values()].flat()).toHaveLength(db.documents.length);
+    }
+
+    test('removes every chunk of a file and keeps the rest in step', async () => {
+        expect(db.remove('a.js')).toBe(true);
+        expect(db.remove('a.js')).toBe(false);
+
+        expectConsistent();
+        expect(db.documents.map(document => document.content).sort()).toEqual(['fetch', 'render', 'render twice']);
+        expect(db.getIndexedPaths().sort()).toEqual(['b.js', 'c.js']);
+        expect((await db.search('parse', 5)).map(result => result.path)).not.toContain('a.js');
+
+        // Each remaining vector still belongs to its document
+        for (const [i, document] of db.documents.entries()) {
+            expect(Array.from(db.vectors[i])).toEqual((await embeddingProvider.getEmbedding(document.content)).map(Math.fround));
+        }
+    });
+
+    test('touch updates only the chunks of that file', () => {
+        db.touch('b.js', 42);
+        db.touch('missing.js', 43);
+        expect(db.documents.filter(document => document.mtime === 42).map(document => document.content).sort()).toEqual(['render', 'render twice']);
+        expect(db.getFileState('b.js').mtime).toBe(42);
+    });
+
+    test('keeps the maps after saving and loading', async () => {
+        const filePath = path.join(directory, 'toshimo.vector.db');
+        db.remove('b.js');
+        await db.save(filePath);
+
+        const loaded = new LocalVectorDB(embeddingProvider);
+        expect(await loaded.load(filePath)).toBe(true);
+        db = loaded;
+        expectConsistent();
+        expect(db.nextId).toBe(5);
+
+        db.remove('c.js');
+        expectConsistent();
+        expect(db.documents.map(document => document.content).sort()).toEqual(['parse again', 'parse parse']);
+    });
+
+    test('migrates a 1.x JSON index to the current format on load', async () => {
+        const filePath = path.join(directory, 'toshimo.vector.db');
+        fs.writeFileSync(filePath, JSON.stringify({
+            version: '1.2',
+            documents: [chunk('a.js', 'parse'), chunk('b.js', 'render')],
+            vectors: [[1, 0, 0], [0, 1, 0]]
+        }));
+
+        const loaded = new LocalVectorDB(embeddingProvider);
+        expect(await loaded.load(filePath)).toBe(true);
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).version).toBe(FORMAT_VERSION);
+        expect(fs.existsSync(`${filePath}.vectors`)).toBe(true);
+        expect(loaded.getFileState('a.js')).toEqual({ hash: 'hash-a.js', mtime: 1 });
+
+        loaded.remove('a.js');
+        expect(loaded.documents.map(document => document.path)).toEqual(['b.js']);
+        expect(loaded.positions.get(1)).toBe(0);
+    });
+});
@@ -0,0 +1,106 @@
+const vscode = require('vscode');
+const { Reranker } = require('../../src/context/Reranker');
+const { ToshimoError, ErrorType } = require('../../src/utils/ErrorHandler');
+const { startFakeServer } = require('../helpers/fakeServer');
+
+const RESULTS = [
+    { path: 'src/a.js', startLine: 1, endLine: 5, content: 'function a() {}' },
+    { path: 'src/b.js', startLine: 3, endLine: 9, content: 'function b() {}' },
+    { path: 'README.md', content: '# Readme' }
+];
+
+function createConfigManager(settings) {
+    return {
+        settings,
+        getRerankConfig: () => ({ mode: settings.mode, model: settings.model, endpoint: settings.endpoint }),
+        getLLMConfig: () => ({ endpoint: settings.llmEndpoint })
+    };
+}
+
+describe('Reranker', () => {
+    let server;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await server?.close();
+        server = undefined;
+    });
+
+    test('orders results by the LLM ranking and keeps unranked ones after', async () => {
+        const llmService = { complete: jest.fn(async () => 'Ranking: [2, 0, 7, 2]') };
+        const reranker = new Reranker(createConfigManager({ mode: 'llm' }), llmService);
+        const source = new vscode.CancellationTokenSource();
+
+        const reranked = await reranker.rerank('where is the readme', RESULTS, source.token);
+
+        expect(reranked.map(result => result.path)).toEqual(['README.md', 'src/a.js', 'src/b.js']);
+        const [prompt, options] = llmService.complete.mock.calls[0];
+        expect(prompt).toContain('[1] src/b.js:3-9\nfunction b() {}');
+        expect(prompt).toContain('[2] README.md\n# Readme');
+        expect(options.cancellationToken).toBe(source.token);
+    });
+
+    test('keeps the fused order when ranking fails', async () => {
+        const llmService = { complete: async () => 'I cannot rank these' };
+        const reranker = new Reranker(createConfigManager({ mode: 'llm' }), llmService);
+        await expect(reranker.rerank('query', RESULTS)).resolves.toBe(RESULTS);
+
+        llmService.complete = async () => {
+            throw new ToshimoError(ErrorType.API, 'Ollama API error: model not found');
+        };
+        await expect(reranker.rerank('query', RESULTS)).resolves.toBe(RESULTS);
+    });
+
+    test('passes cancellation on', async () => {
+        const llmService = {
+            complete: async () => {
+                throw new ToshimoError(ErrorType.Cancelled, 'Completion cancelled');
+            }
+        };
+        const reranker = new Reranker(createConfigManager({ mode: 'llm' }), llmService);
+        await expect(reranker.rerank('query', RESULTS)).rejects.toMatchObject({ type: ErrorType.Cancelled });
+    });
+
+    test('does nothing when disabled or with a single result', async () => {
+        const llmService = { complete: jest.fn() };
+        const reranker = new Reranker(createConfigManager({ mode: 'none' }), llmService);
+        await expect(reranker.rerank('query', RESULTS)).resolves.toBe(RESULTS);
+
+        reranker.configManager.settings.mode = 'llm';
+        reranker.reloadConfig();
+        await expect(reranker.rerank('query', RESULTS.slice(0, 1))).resolves.toEqual(RESULTS.slice(0, 1));
+        expect(llmService.complete).not.toHaveBeenCalled();
+    });
+
+    test('applies changed settings after reloadConfig', async () => {
+        const settings = { mode: 'none' };
+        const llmService = { complete: jest.fn(async () => '[1, 0]') };
+        const reranker = new Reranker(createConfigManager(settings), llmService);
+        expect(reranker.isEnabled()).toBe(false);
+
+        settings.mode = 'llm';
+        expect(reranker.isEnabled()).toBe(false);
+        reranker.reloadConfig();
+        expect(reranker.isEnabled()).toBe(true);
+        expect((await reranker.rerank('query', RESULTS.slice(0, 2))).map(result => result.path)).toEqual(['src/b.js', 'src/a.js']);
+    });
+
+    test('sends passages to a cross-encoder rerank endpoint', async () => {
+        server = await startFakeServer((request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ results: [{ index: 0, relevance_score: 0.1 }, { index: 1, relevance_score: 0.9 }, { index: 2, score: 0.5 }] }));
+        });
+        const reranker = new Reranker(createConfigManager({ mode: 'crossEncoder', model: 'bge-reranker', llmEndpoint: `${server.url}/` }), {});
+
+        const reranked = await reranker.rerank('query', RESULTS);
+
+        expect(reranked.map(result => result.path)).toEqual(['src/b.js', 'README.md', 'src/a.js']);
+        expect(server.requests[0].url).toBe('/v1/rerank');
+        expect(server.requests[0].body).toEqual({ model: 'bge-reranker', query: 'query', documents: RESULTS.map(result => result.content), top_n: 3 });
+    });
+});
@@ -0,0 +1,60 @@
+// Tiny MCP server over stdio for McpClient and McpManager tests.
+// Tools: echo (listed on the first page), fail.now and slow (second page, via nextCursor).
+const readline = require('readline');
+
+const send = message => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+
+const FIRST_PAGE = [
+    {
+        name: 'echo',
+        description: 'Repeat text',
+        inputSchema: {
+            type: 'object',
+            properties: { text: { type: 'string' }, times: { type: 'integer' } },
+            required: ['text']
+        }
+    }
+];
+const SECOND_PAGE = [
+    { name: 'fail.now', inputSchema: { type: 'object' } },
+    { name: 'slow', inputSchema: { type: 'object' } }
+];
+const RESOURCES = [
+    { uri: 'docs://deploy', name: 'Deployment guide', description: 'How to deploy services' },
+    { uri: 'docs://style', name: 'Style guide' }
+];
+
+process.stderr.write('fixture starting\n');
+// Lines that aren't JSON-RPC must be ignored by the client
+process.stdout.write('not json\n');
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+    const message = JSON.parse(line);
+    if (message.id === undefined) return;
+    const reply = result => send({ id: message.id, result });
+
+    switch (message.method) {
+        case 'initialize':
+            return reply({
+                protocolVersion: message.params.protocolVersion,
+                capabilities: { tools: {}, resources: {} },
+                serverInfo: { name: 'fixture', version: '1.0.0' }
+            });
+        case 'tools/list':
+            return message.params.cursor
+                ? reply({ tools: SECOND_PAGE })
+                : reply({ tools: FIRST_PAGE, nextCursor: 'page-2' });
+        case 'tools/call': {
+            const { name, arguments: args } = message.params;
+            if (name === 'fail.now') return reply({ content: [{ type: 'text', text: 'boom' }], isError: true });
+            if (name === 'slow') return undefined;
+            return reply({ content: [{ type: 'text', text: args.text.repeat(args.times || 1) }] });
+        }
+        case 'resources/list':
+            return reply({ resources: RESOURCES });
+        case 'resources/read':
+            return reply({ contents: [{ uri: message.params.uri, text: `Contents of ${message.params.uri}` }] });
+        default:
+            return send({ id: message.id, error: { code: -32601, message: `Unknown method ${message.method}` } });
+    }
+});
@@ -0,0 +1,43 @@
+const http = require('http');
+
+// Local HTTP server for provider tests. `respond(request, response)` writes the reply;
+// every request is recorded with its parsed JSON body.
+async function startFakeServer(respond) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            const record = { method: request.method, url: request.url, headers: request.headers, body: body ? JSON.parse(body) : undefined };
+            requests.push(record);
+            respond(record, response);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+// Writes `chunks` one at a time so parsers see records split across reads
+function writeChunks(response, chunks, contentType) {
+    response.writeHead(200, { 'Content-Type': contentType });
+    let i = 0;
+    const next = () => {
+        if (i === chunks.length) {
+            response.end();
+            return;
+        }
+        response.write(chunks[i++]);
+        setTimeout(next, 5);
+    };
+    next();
+}
+
+module.exports = { startFakeServer, writeChunks };
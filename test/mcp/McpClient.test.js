@@ -0,0 +1,91 @@
+const path = require('path');
+const vscode = require('vscode');
+const { McpClient, PROTOCOL_VERSION } = require('../../src/mcp/McpClient');
+const { ErrorType } = require('../../src/utils/ErrorHandler');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'mcp-server.js');
+
+function createClient(config = {}) {
+    const logs = [];
+    const client = new McpClient('fixture', { command: process.execPath, args: [FIXTURE], ...config }, message => logs.push(message));
+    return { client, logs };
+}
+
+describe('McpClient', () => {
+    let client;
+    let logs;
+
+    beforeEach(async () => {
+        ({ client, logs } = createClient());
+        await client.connect();
+    });
+
+    afterEach(() => {
+        client.dispose();
+    });
+
+    test('performs the initialize handshake', () => {
+        expect(client.serverInfo).toEqual({ name: 'fixture', version: '1.0.0' });
+        expect(client.capabilities.resources).toBeDefined();
+        expect(logs).toContain(`Connected to fixture (protocol ${PROTOCOL_VERSION})`);
+    });
+
+    test('lists tools across pages', async () => {
+        const tools = await client.listTools();
+        expect(tools.map(tool => tool.name)).toEqual(['echo', 'fail.now', 'slow']);
+    });
+
+    test('calls a tool with named arguments', async () => {
+        const result = await client.callTool('echo', { text: 'ab', times: 2 });
+        expect(result.content).toEqual([{ type: 'text', text: 'abab' }]);
+    });
+
+    test('lists and reads resources', async () => {
+        const resources = await client.listResources();
+        expect(resources.map(resource => resource.uri)).toEqual(['docs://deploy', 'docs://style']);
+
+        const result = await client.readResource('docs://style');
+        expect(result.contents[0].text).toBe('Contents of docs://style');
+    });
+
+    test('rejects JSON-RPC errors with the server message', async () => {
+        await expect(client.request('prompts/list', {})).rejects.toMatchObject({
+            type: ErrorType.MCP,
+            message: expect.stringContaining('Unknown method prompts/list')
+        });
+    });
+
+    test('cancels a request that has not been answered', async () => {
+        const source = new vscode.CancellationTokenSource();
+        const call = client.callTool('slow', {}, source.token);
+        source.cancel();
+
+        await expect(call).rejects.toMatchObject({ type: ErrorType.Cancelled });
+        expect(client.pending.size).toBe(0);
+    });
+
+    test('rejects pending requests when the server exits', async () => {
+        const call = client.callTool('slow', {});
+        client.process.kill();
+
+        await expect(call).rejects.toMatchObject({ type: ErrorType.MCP });
+        await expect(client.listTools()).rejects.toThrow('not running');
+    });
+});
+
+describe('McpClient timeouts', () => {
+    test('gives up on requests after timeoutSeconds', async () => {
+        const { client } = createClient({ timeoutSeconds: 0.2 });
+        try {
+            await client.connect();
+            await expect(client.callTool('slow', {})).rejects.toThrow('did not answer tools/call within 0.2s');
+        } finally {
+            client.dispose();
+        }
+    });
+
+    test('fails to connect when the command does not exist', async () => {
+        const { client } = createClient({ command: path.join(__dirname, 'missing-server') });
+        await expect(client.connect()).rejects.toMatchObject({ type: ErrorType.MCP });
+    });
+});
@@ -0,0 +1,80 @@
+const path = require('path');
+const vscode = require('vscode');
+const { McpManager } = require('../../src/mcp/McpManager');
+const { ToolRegistry } = require('../../src/tools/ToolRegistry');
+const { ErrorType } = require('../../src/utils/ErrorHandler');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'mcp-server.js');
+
+function createManager(servers) {
+    const registry = new ToolRegistry();
+    const manager = new McpManager({ getMcpConfig: () => ({ servers }) }, registry);
+    return { manager, registry };
+}
+
+describe('McpManager', () => {
+    let manager;
+    let registry;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        ({ manager, registry } = createManager({
+            'team.tools': { command: process.execPath, args: [FIXTURE] },
+            off: { command: process.execPath, args: [FIXTURE], disabled: true }
+        }));
+    });
+
+    afterEach(() => {
+        manager.dispose();
+        vscode.workspace.isTrusted = true;
+        jest.restoreAllMocks();
+    });
+
+    test('registers the remote tools alongside built-in ones', async () => {
+        await manager.connectAll();
+
+        expect(registry.getToolNames()).toEqual(['mcp_team_tools']);
+        const commands = registry.getDefinitions().map(definition => definition.command);
+        expect(commands).toEqual(['echo', 'fail_now', 'slow', 'readResource']);
+        expect(registry.getDefinition('mcp_team_tools', 'echo').requiresApproval).toBe(true);
+        expect(registry.getDefinition('mcp_team_tools', 'readResource').requiresApproval).toBe(false);
+    });
+
+    test('proxies positional arguments to named MCP arguments', async () => {
+        await manager.connectAll();
+        const tool = registry.getTool('mcp_team_tools');
+
+        await expect(tool.echo('hi', 3, {})).resolves.toBe('hihihi');
+        await expect(tool.fail_now({})).rejects.toMatchObject({ type: ErrorType.MCP, message: 'boom' });
+        await expect(tool.readResource('docs://deploy', {})).resolves.toBe('Contents of docs://deploy');
+    });
+
+    test('offers matching resources as context', async () => {
+        await manager.connectAll();
+
+        const context = await manager.getContext('how do we deploy the services?');
+        expect(context).toHaveLength(2);
+        expect(context[0]).toContain('MCP Resource: Deployment guide (docs://deploy, from team.tools)');
+        expect(context[0]).toContain('Contents of docs://deploy');
+        expect(context[1]).toContain('- docs://style (Style guide) [mcp_team_tools.readResource]');
+    });
+
+    test('does not start servers in an untrusted workspace', async () => {
+        vscode.workspace.isTrusted = false;
+        await manager.connectAll();
+        expect(registry.getToolNames()).toEqual([]);
+    });
+
+    test('warns about servers that fail to start and keeps the others', async () => {
+        const warning = jest.spyOn(vscode.window, 'showWarningMessage');
+        ({ manager, registry } = createManager({
+            good: { command: process.execPath, args: [FIXTURE] },
+            broken: { command: path.join(__dirname, 'missing-server') }
+        }));
+
+        await manager.connectAll();
+
+        expect(registry.getToolNames()).toEqual(['mcp_good']);
+        expect(warning).toHaveBeenCalledWith(expect.stringContaining('Could not start MCP server broken'));
+    });
+});
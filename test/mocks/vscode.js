@@ -0,0 +1,74 @@
+// Minimal stand-in for the vscode module, which only exists inside the extension host.
+// Tests set workspace.workspaceFolders and workspace.isTrusted as they need them.
+
+class EventEmitter {
+    constructor() {
+        this.listeners = [];
+        this.event = (listener) => {
+            this.listeners.push(listener);
+            return { dispose: () => { this.listeners = this.listeners.filter(l => l !== listener); } };
+        };
+    }
+
+    fire(value) {
+        this.listeners.forEach(listener => listener(value));
+    }
+
+    dispose() {
+        this.listeners = [];
+    }
+}
+
+class CancellationTokenSource {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.token = {
+            isCancellationRequested: false,
+            onCancellationRequested: this.emitter.event
+        };
+    }
+
+    cancel() {
+        if (this.token.isCancellationRequested) return;
+        this.token.isCancellationRequested = true;
+        this.emitter.fire();
+    }
+
+    dispose() {
+        this.emitter.dispose();
+    }
+}
+
+const Uri = {
+    file: (fsPath) => ({ fsPath, path: fsPath, scheme: 'file', toString: () => `file://${fsPath}` })
+};
+
+// Numeric enum with the reverse mapping TypeScript generates, e.g. SymbolKind[4] === 'Class'
+const SymbolKind = {};
+['File', 'Module', 'Namespace', 'Package', 'Class', 'Method', 'Property', 'Field', 'Constructor', 'Enum',
+    'Interface', 'Function', 'Variable', 'Constant', 'String', 'Number', 'Boolean', 'Array', 'Object', 'Key',
+    'Null', 'EnumMember', 'Struct', 'Event', 'Operator', 'TypeParameter'].forEach((name, value) => {
+    SymbolKind[name] = value;
+    SymbolKind[value] = name;
+});
+
+module.exports = {
+    EventEmitter,
+    CancellationTokenSource,
+    Uri,
+    SymbolKind,
+    ConfigurationTarget: { Global: 1, Workspace: 2, WorkspaceFolder: 3 },
+    workspace: {
+        workspaceFolders: undefined,
+        isTrusted: true,
+        textDocuments: [],
+        getConfiguration: () => ({ get: (key, defaultValue) => defaultValue, update: async () => {} })
+    },
+    window: {
+        activeTextEditor: undefined,
+        showInformationMessage: async () => undefined,
+        showWarningMessage: async () => undefined,
+        showErrorMessage: async () => undefined,
+        createOutputChannel: () => ({ appendLine: () => {}, show: () => {}, dispose: () => {} })
+    }
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+const { WorkspaceSandbox } = require('../../src/security/WorkspaceSandbox');
+const { ErrorType } = require('../../src/utils/ErrorHandler');
+
+describe('WorkspaceSandbox', () => {
+    let base;
+    let root;
+    let outside;
+    let sandbox;
+
+    beforeEach(() => {
+        base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'toshimo-sandbox-')));
+        root = path.join(base, 'workspace');
+        outside = path.join(base, 'outside');
+        fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+        fs.mkdirSync(outside);
+        fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+        vscode.workspace.workspaceFolders = [{ name: 'workspace', uri: vscode.Uri.file(root) }];
+        sandbox = new WorkspaceSandbox();
+    });
+
+    afterEach(() => {
+        vscode.workspace.workspaceFolders = undefined;
+        jest.restoreAllMocks();
+        fs.rmSync(base, { recursive: true, force: true });
+    });
+
+    test('resolves relative and absolute paths inside the workspace', async () => {
+        await expect(sandbox.resolve('src/a.js')).resolves.toBe(path.join(root, 'src', 'a.js'));
+        await expect(sandbox.resolve(path.join(root, 'src'))).resolves.toBe(path.join(root, 'src'));
+        await expect(sandbox.resolve('src/new/dir/file.js', { write: true })).resolves.toBe(path.join(root, 'src', 'new', 'dir', 'file.js'));
+    });
+
+    test('refuses .. traversal out of the workspace', async () => {
+        await expect(sandbox.resolve('../outside/secret.txt')).rejects.toMatchObject({ type: ErrorType.Sandbox });
+        await expect(sandbox.resolve('src/../../outside')).rejects.toThrow('outside the workspace');
+        await expect(sandbox.resolve(outside)).rejects.toThrow('outside the workspace');
+        await expect(sandbox.resolve('src/../a.js')).resolves.toBe(path.join(root, 'a.js'));
+    });
+
+    test('refuses symlinks that lead out of the workspace', async () => {
+        fs.symlinkSync(outside, path.join(root, 'link'), 'dir');
+        fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(root, 'secret-link.txt'));
+
+        await expect(sandbox.resolve('link/secret.txt')).rejects.toThrow('outside the workspace');
+        await expect(sandbox.resolve('link/new.txt', { write: true })).rejects.toThrow('outside the workspace');
+        await expect(sandbox.resolve('secret-link.txt')).rejects.toThrow('outside the workspace');
+    });
+
+    test('follows symlinks that stay inside the workspace', async () => {
+        fs.symlinkSync(path.join(root, 'src'), path.join(root, 'source'), 'dir');
+        await expect(sandbox.resolve('source/a.js')).resolves.toBe(path.join(root, 'src', 'a.js'));
+    });
+
+    test('refuses writes to protected paths but allows reads', async () => {
+        await expect(sandbox.resolve('.git/config')).resolves.toBe(path.join(root, '.git', 'config'));
+        for (const protectedPath of ['.git/config', '.env', 'config/.env.local', '.vscode/settings.json', '.toshimo/tools/x.json', 'certs/a.pem', 'id_rsa']) {
+            await expect(sandbox.resolve(protectedPath, { write: true })).rejects.toThrow('is protected');
+        }
+        await expect(sandbox.resolve('.vscode/launch.json', { write: true })).resolves.toBeDefined();
+    });
+
+    test('matches protected paths case-insensitively on macOS and Windows', async () => {
+        await expect(sandbox.resolve('.GIT/config', { write: true })).resolves.toBeDefined();
+
+        for (const platform of ['darwin', 'win32']) {
+            jest.spyOn(os, 'platform').mockReturnValue(platform);
+            for (const protectedPath of ['.GIT/config', '.ENV', '.VSCode/settings.json', 'certs/A.PEM']) {
+                await expect(sandbox.resolve(protectedPath, { write: true })).rejects.toThrow('is protected');
+            }
+        }
+    });
+
+    test('uses configured protected paths', async () => {
+        sandbox.configure({ protectedPaths: ['secrets/**'] });
+        await expect(sandbox.resolve('secrets/a/b.txt', { write: true })).rejects.toThrow('is protected');
+        await expect(sandbox.resolve('.env', { write: true })).resolves.toBeDefined();
+    });
+
+    test('needs a path and an open workspace', async () => {
+        await expect(sandbox.resolve('  ')).rejects.toThrow('A file path is required');
+        vscode.workspace.workspaceFolders = undefined;
+        await expect(sandbox.resolve('a.js')).rejects.toThrow('need an open workspace folder');
+    });
+});
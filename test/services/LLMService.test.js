@@ -0,0 +1,235 @@
+const axios = require('axios');
+const vscode = require('vscode');
+const { LLMService } = require('../../src/services/LLMService');
+const { StreamingClient } = require('../../src/services/StreamingClient');
+const { startFakeServer, writeChunks } = require('../helpers/fakeServer');
+
+const GIT_STATUS = {
+    tool: 'GitTool',
+    command: 'status',
+    description: 'Show the working tree status',
+    parameters: { type: 'object', properties: {}, required: [] }
+};
+
+const MARKED_REPLY = '<RESPONSE_START>{"chat": "Reading it", "actions": [{"tool": "FileManager", "command": "readFile", "params": {"filePath": "a.js"}}], "done": false}<RESPONSE_END>';
+
+// Splits text into small pieces so the reply arrives over many events
+function pieces(text, size = 7) {
+    const result = [];
+    for (let i = 0; i < text.length; i += size) {
+        result.push(text.substring(i, i + size));
+    }
+    return result;
+}
+
+function createService(config, server) {
+    const service = new LLMService({ getLLMConfig: () => config });
+    // OpenAI and Anthropic URLs are fixed; send them to the fake server instead
+    service.streamingClient = new StreamingClient({
+        post: (url, body, options) => axios.post(`${server.url}${new URL(url).pathname}`, body, options)
+    });
+    return service;
+}
+
+describe('LLMService streaming', () => {
+    let server;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await server?.close();
+        server = undefined;
+    });
+
+    test('streams Ollama tokens and parses the marked reply at the end', async () => {
+        server = await startFakeServer((request, response) => writeChunks(response, [
+            ...pieces(MARKED_REPLY).map(token => `${JSON.stringify({ response: token })}\n`),
+            `${JSON.stringify({ done: true, prompt_eval_count: 12, eval_count: 34 })}\n`
+        ], 'application/x-ndjson'));
+        const service = createService({ provider: 'ollama', model: 'llama3.2', endpoint: server.url }, server);
+
+        const tokens = [];
+        const result = await service.generateResponse('read a.js', [], [], { onToken: token => tokens.push(token) });
+
+        expect(server.requests[0].url).toBe('/api/generate');
+        expect(server.requests[0].body.stream).toBe(true);
+        expect(tokens.length).toBeGreaterThan(1);
+        expect(tokens.join('')).toBe(MARKED_REPLY);
+        expect(result.content).toBe('Reading it');
+        expect(result.actions).toEqual([{ tool: 'FileManager', command: 'readFile', params: { filePath: 'a.js' } }]);
+        expect(result.usage).toEqual({ inputTokens: 12, outputTokens: 34 });
+    });
+
+    test('streams OpenAI server-sent events', async () => {
+        server = await startFakeServer((request, response) => writeChunks(response, [
+            ...pieces(MARKED_REPLY).map(token => `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`),
+            `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 5, completion_tokens: 6 } })}\n\n`,
+            'data: [DONE]\n\n'
+        ], 'text/event-stream'));
+        const service = createService({ provider: 'openai', model: 'gpt-4o', apiKey: 'sk-test' }, server);
+
+        const tokens = [];
+        const result = await service.generateResponse('read a.js', [], [], { onToken: token => tokens.push(token) });
+
+        expect(server.requests[0].url).toBe('/v1/chat/completions');
+        expect(server.requests[0].headers.authorization).toBe('Bearer sk-test');
+        expect(server.requests[0].body.stream).toBe(true);
+        expect(tokens.join('')).toBe(MARKED_REPLY);
+        expect(result.actions).toHaveLength(1);
+        expect(result.usage).toEqual({ inputTokens: 5, outputTokens: 6 });
+    });
+
+    test('streams Anthropic server-sent events', async () => {
+        const event = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+        server = await startFakeServer((request, response) => writeChunks(response, [
+            event('message_start', { message: { usage: { input_tokens: 7 } } }),
+            event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+            ...pieces(MARKED_REPLY).map(text => event('content_block_delta', { index: 0, delta: { type: 'text_delta', text } })),
+            event('content_block_stop', { index: 0 }),
+            event('message_delta', { usage: { output_tokens: 8 } }),
+            event('message_stop', {})
+        ], 'text/event-stream'));
+        const service = createService({ provider: 'claude', model: 'claude-3-5-sonnet-latest', apiKey: 'key' }, server);
+
+        const tokens = [];
+        const result = await service.generateResponse('read a.js', [], [], { onToken: token => tokens.push(token) });
+
+        expect(server.requests[0].url).toBe('/v1/messages');
+        expect(server.requests[0].headers['x-api-key']).toBe('key');
+        expect(tokens.join('')).toBe(MARKED_REPLY);
+        expect(result.content).toBe('Reading it');
+        expect(result.usage).toEqual({ inputTokens: 7, outputTokens: 8 });
+    });
+
+    test('sends native tool calls and their results back as tool messages', async () => {
+        server = await startFakeServer((request, response) => writeChunks(response, [
+            `data: ${JSON.stringify({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_9', function: { name: 'GitTool__status', arguments: '' } }] } }] })}\n\n`,
+            `data: ${JSON.stringify({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{}' } }] } }] })}\n\n`,
+            'data: [DONE]\n\n'
+        ], 'text/event-stream'));
+        const service = createService({ provider: 'openai', model: 'gpt-4o', apiKey: 'sk-test', toolCalling: 'native' }, server);
+        const history = [
+            { role: 'user', content: 'What changed?' },
+            { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'GitTool__diff', arguments: '{}' }] },
+            { role: 'tool', toolCallId: 'call_1', name: 'GitTool__diff', content: 'No unstaged changes' }
+        ];
+
+        const result = await service.generateResponse('Continue', [], history, { tools: [GIT_STATUS] });
+
+        const messages = server.requests[0].body.messages;
+        expect(messages[2].tool_calls[0].id).toBe('call_1');
+        expect(messages[3]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: 'No unstaged changes' });
+        expect(result.toolCalls).toEqual([{ id: 'call_9', name: 'GitTool__status', arguments: '{}' }]);
+        expect(result.actions).toEqual([{ tool: 'GitTool', command: 'status', params: {}, callId: 'call_9' }]);
+    });
+
+    test('ignores Anthropic tool input for a block that never started', async () => {
+        const event = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+        server = await startFakeServer((request, response) => writeChunks(response, [
+            event('content_block_delta', { index: 1, delta: { type: 'input_json_delta', partial_json: '{"a"' } }),
+            event('content_block_start', { index: 2, content_block: { type: 'tool_use', id: 'toolu_1', name: 'GitTool__status' } }),
+            event('content_block_delta', { index: 2, delta: { type: 'input_json_delta', partial_json: '{}' } }),
+            event('message_stop', {})
+        ], 'text/event-stream'));
+        const service = createService({ provider: 'claude', model: 'claude-3-5-sonnet-latest', apiKey: 'key', toolCalling: 'native' }, server);
+
+        const result = await service.generateResponse('status?', [], [], { tools: [GIT_STATUS] });
+
+        expect(result.failed).toBeUndefined();
+        expect(result.actions).toEqual([{ tool: 'GitTool', command: 'status', params: {}, callId: 'toolu_1' }]);
+    });
+
+    test('returns the text received so far when cancelled mid-stream', async () => {
+        server = await startFakeServer((request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+            response.write(`${JSON.stringify({ response: 'partial' })}\n`);
+        });
+        const service = createService({ provider: 'ollama', model: 'llama3.2', endpoint: server.url }, server);
+        const source = new vscode.CancellationTokenSource();
+
+        const result = await service.generateResponse('hi', [], [], {
+            cancellationToken: source.token,
+            onToken: () => source.cancel()
+        });
+
+        expect(result.cancelled).toBe(true);
+        expect(result.content).toBe('partial');
+    });
+});
+
+describe('LLMService.complete', () => {
+    let server;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await server?.close();
+        server = undefined;
+    });
+
+    test('sends only the prompt, without the agent prompt or tools', async () => {
+        server = await startFakeServer((request, response) => writeChunks(response, [
+            `${JSON.stringify({ message: { content: '[1, ' } })}\n`,
+            `${JSON.stringify({ message: { content: '0]' }, done: true })}\n`
+        ], 'application/x-ndjson'));
+        const service = createService({ provider: 'ollama', model: 'llama3.2', endpoint: server.url }, server);
+
+        await expect(service.complete('rank these', { maxTokens: 50 })).resolves.toBe('[1, 0]');
+
+        expect(server.requests[0].url).toBe('/api/chat');
+        expect(server.requests[0].body.messages).toEqual([{ role: 'user', content: 'rank these' }]);
+        expect(server.requests[0].body.tools).toBeUndefined();
+        expect(server.requests[0].body.options.num_predict).toBe(50);
+    });
+
+    test('reads Anthropic text deltas and passes the system prompt separately', async () => {
+        const event = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+        server = await startFakeServer((request, response) => writeChunks(response, [
+            event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: '[0]' } }),
+            event('message_stop', {})
+        ], 'text/event-stream'));
+        const service = createService({ provider: 'claude', model: 'claude-3-5-haiku-latest', apiKey: 'key' }, server);
+
+        await expect(service.complete('rank', { system: 'Reply with JSON' })).resolves.toBe('[0]');
+        expect(server.requests[0].body.system).toBe('Reply with JSON');
+        expect(server.requests[0].body.messages).toEqual([{ role: 'user', content: 'rank' }]);
+    });
+
+    test('throws failures instead of showing them', async () => {
+        server = await startFakeServer((request, response) => {
+            response.writeHead(404, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: 'model "missing" not found' }));
+        });
+        const service = createService({ provider: 'ollama', model: 'missing', endpoint: server.url }, server);
+        const showErrorMessage = jest.spyOn(vscode.window, 'showErrorMessage');
+
+        await expect(service.complete('rank')).rejects.toThrow('ollama API error: model "missing" not found');
+        expect(showErrorMessage).not.toHaveBeenCalled();
+        await expect(createService({ provider: 'openai' }, server).complete('rank')).rejects.toMatchObject({ type: 'Configuration' });
+    });
+
+    test('stops when cancelled', async () => {
+        server = await startFakeServer((request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+            response.write(`${JSON.stringify({ message: { content: '[' } })}\n`);
+        });
+        const service = createService({ provider: 'ollama', model: 'llama3.2', endpoint: server.url }, server);
+        const source = new vscode.CancellationTokenSource();
+
+        const completion = service.complete('rank', { cancellationToken: source.token });
+        setTimeout(() => source.cancel(), 50);
+
+        await expect(completion).rejects.toMatchObject({ type: 'Cancelled' });
+        source.cancel();
+        await expect(service.complete('rank', { cancellationToken: source.token })).rejects.toMatchObject({ type: 'Cancelled' });
+    });
+});
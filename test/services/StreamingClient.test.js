@@ -0,0 +1,145 @@
+const { StreamingClient, NdjsonParser, SseParser } = require('../../src/services/StreamingClient');
+const { ToshimoError, ErrorType } = require('../../src/utils/ErrorHandler');
+const { startFakeServer, writeChunks } = require('../helpers/fakeServer');
+
+describe('NdjsonParser', () => {
+    test('keeps a partial line until the rest arrives', () => {
+        const parser = new NdjsonParser();
+        expect(parser.push('{"a":1}\n{"b"')).toEqual([{ a: 1 }]);
+        expect(parser.push(':2}\n\n')).toEqual([{ b: 2 }]);
+        expect(parser.flush()).toEqual([]);
+    });
+
+    test('flushes a last line without a newline', () => {
+        const parser = new NdjsonParser();
+        parser.push('{"done":true}');
+        expect(parser.flush()).toEqual([{ done: true }]);
+    });
+});
+
+describe('SseParser', () => {
+    test('joins data lines and skips comments', () => {
+        const parser = new SseParser();
+        const events = parser.push(': keep-alive\r\nevent: delta\r\ndata: one\r\ndata: two\r\n\r\ndata: [DONE]\n\n');
+        expect(events).toEqual([
+            { event: 'delta', data: 'one\ntwo' },
+            { event: 'message', data: '[DONE]' }
+        ]);
+    });
+
+    test('holds an event split across chunks', () => {
+        const parser = new SseParser();
+        expect(parser.push('data: {"x"')).toEqual([]);
+        expect(parser.push(':1}\n\n')).toEqual([{ event: 'message', data: '{"x":1}' }]);
+    });
+});
+
+describe('StreamingClient', () => {
+    let server;
+
+    afterEach(async () => {
+        await server?.close();
+        server = undefined;
+    });
+
+    test('delivers NDJSON objects in order as they arrive', async () => {
+        server = await startFakeServer((request, response) => writeChunks(response, [
+            '{"response":"Hel',
+            'lo"}\n{"response":" world"}\n',
+            '{"done":true}'
+        ], 'application/x-ndjson'));
+
+        const events = [];
+        await new StreamingClient().stream({
+            url: `${server.url}/api/generate`,
+            body: { prompt: 'hi' },
+            format: 'ndjson',
+            onEvent: event => events.push(event)
+        });
+
+        expect(events).toEqual([{ response: 'Hello' }, { response: ' world' }, { done: true }]);
+        expect(server.requests[0].body).toEqual({ prompt: 'hi' });
+    });
+
+    test('delivers SSE records and sends the headers', async () => {
+        server = await startFakeServer((request, response) => writeChunks(response, [
+            'data: {"n":1}\n\nda',
+            'ta: {"n":2}\n\n',
+            'data: [DONE]\n\n'
+        ], 'text/event-stream'));
+
+        const events = [];
+        await new StreamingClient().stream({
+            url: server.url,
+            body: {},
+            headers: { Authorization: 'Bearer key' },
+            format: 'sse',
+            onEvent: event => events.push(event.data)
+        });
+
+        expect(events).toEqual(['{"n":1}', '{"n":2}', '[DONE]']);
+        expect(server.requests[0].headers.authorization).toBe('Bearer key');
+    });
+
+    test('reads the error body of a failed request', async () => {
+        server = await startFakeServer((request, response) => {
+            response.writeHead(404, { 'Content-Type': 'application/json' });
+            response.end('{"error":"model not found"}');
+        });
+
+        const error = await new StreamingClient().stream({
+            url: server.url, body: {}, format: 'ndjson', onEvent: () => {}
+        }).catch(e => e);
+
+        expect(error.response.status).toBe(404);
+        expect(error.response.data).toEqual({ error: 'model not found' });
+    });
+
+    test('reports malformed data as an API error', async () => {
+        server = await startFakeServer((request, response) => writeChunks(response, ['not json\n'], 'application/x-ndjson'));
+
+        const error = await new StreamingClient().stream({
+            url: server.url, body: {}, format: 'ndjson', onEvent: () => {}
+        }).catch(e => e);
+
+        expect(error).toBeInstanceOf(ToshimoError);
+        expect(error.type).toBe(ErrorType.API);
+    });
+
+    test('passes errors thrown by onEvent through and stops reading', async () => {
+        server = await startFakeServer((request, response) => writeChunks(response, ['{"n":1}\n', '{"n":2}\n'], 'application/x-ndjson'));
+
+        const seen = [];
+        const failure = new Error('stop');
+        const error = await new StreamingClient().stream({
+            url: server.url,
+            body: {},
+            format: 'ndjson',
+            onEvent: event => {
+                seen.push(event.n);
+                throw failure;
+            }
+        }).catch(e => e);
+
+        expect(error).toBe(failure);
+        expect(seen).toEqual([1]);
+    });
+
+    test('stops when the signal aborts', async () => {
+        const controller = new AbortController();
+        server = await startFakeServer((request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+            response.write('{"n":1}\n');
+        });
+
+        const error = await new StreamingClient().stream({
+            url: server.url,
+            body: {},
+            format: 'ndjson',
+            signal: controller.signal,
+            onEvent: () => controller.abort()
+        }).catch(e => e);
+
+        expect(error).toBeDefined();
+    });
+});
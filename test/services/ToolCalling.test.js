@@ -0,0 +1,75 @@
+const {
+    toolCallToAction,
+    toOpenAIMessages,
+    toOllamaMessages,
+    toClaudeMessages,
+    toTextMessages
+} = require('../../src/services/ToolCalling');
+
+// One native tool step: the request, the model's call and its result
+const HISTORY = [
+    { role: 'user', content: 'Read a.js' },
+    { role: 'assistant', content: 'Reading it', toolCalls: [{ id: 'call_1', name: 'FileManager__readFile', arguments: '{"filePath":"a.js"}' }] },
+    { role: 'tool', toolCallId: 'call_1', name: 'FileManager__readFile', content: 'const a = 1;', isError: false }
+];
+
+describe('toolCallToAction', () => {
+    test('splits the function name and parses JSON arguments', () => {
+        expect(toolCallToAction('FileManager__readFile', '{"filePath":"a.js"}')).toEqual({
+            tool: 'FileManager',
+            command: 'readFile',
+            params: { filePath: 'a.js' }
+        });
+    });
+
+    test('reports arguments that are not JSON', () => {
+        expect(toolCallToAction('FileManager__readFile', '{bad').argumentsError).toMatch(/not valid JSON/);
+    });
+});
+
+describe('provider messages', () => {
+    test('OpenAI gets tool_calls and tool messages keyed by call id', () => {
+        expect(toOpenAIMessages(HISTORY)).toEqual([
+            { role: 'user', content: 'Read a.js' },
+            {
+                role: 'assistant',
+                content: 'Reading it',
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'FileManager__readFile', arguments: '{"filePath":"a.js"}' } }]
+            },
+            { role: 'tool', tool_call_id: 'call_1', content: 'const a = 1;' }
+        ]);
+    });
+
+    test('Ollama gets tool calls with object arguments and results by tool name', () => {
+        const messages = toOllamaMessages(HISTORY);
+        expect(messages[1].tool_calls).toEqual([{ function: { name: 'FileManager__readFile', arguments: { filePath: 'a.js' } } }]);
+        expect(messages[2]).toEqual({ role: 'tool', tool_name: 'FileManager__readFile', content: 'const a = 1;' });
+    });
+
+    test('Claude gets tool_use and tool_result blocks, merged into alternating turns', () => {
+        const messages = toClaudeMessages([
+            ...HISTORY,
+            { role: 'tool', toolCallId: 'call_2', name: 'GitTool__status', content: 'failed', isError: true },
+            { role: 'user', content: 'Continue' }
+        ]);
+
+        expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+        expect(messages[1].content).toEqual([
+            { type: 'text', text: 'Reading it' },
+            { type: 'tool_use', id: 'call_1', name: 'FileManager__readFile', input: { filePath: 'a.js' } }
+        ]);
+        expect(messages[2].content).toEqual([
+            { type: 'tool_result', tool_use_id: 'call_1', content: 'const a = 1;' },
+            { type: 'tool_result', tool_use_id: 'call_2', content: 'failed', is_error: true },
+            { type: 'text', text: 'Continue' }
+        ]);
+    });
+
+    test('the marker protocol gets the calls described in text', () => {
+        expect(toTextMessages(HISTORY)).toEqual([
+            { role: 'user', content: 'Read a.js' },
+            { role: 'assistant', content: 'Reading it\n[Actions: FileManager__readFile({"filePath":"a.js"})]' },
+            { role: 'user', content: 'const a = 1;' }
+        ]);
+    });
+});
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTestReport } = require('../../src/testing/TestReportParser');
+
+describe('parseTestReport', () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'toshimo-report-')));
+        for (const file of ['src/sum.js', 'test/sum.test.js', 'tests/test_sum.py', 'pkg/sum/sum_test.go', 'src/lib.rs']) {
+            fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+            fs.writeFileSync(path.join(root, file), '');
+        }
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    describe('jest', () => {
+        test('reads assertions and points failures at the test file', () => {
+            const report = {
+                testResults: [{
+                    name: path.join(root, 'test/sum.test.js'),
+                    status: 'failed',
+                    assertionResults: [
+                        { fullName: 'sum adds', status: 'passed', duration: 4, location: { line: 3 } },
+                        {
+                            fullName: 'sum subtracts',
+                            status: 'failed',
+                            duration: 2,
+                            failureMessages: [`\x1b[31mExpected 1\x1b[0m\n    at sum (${root}/src/sum.js:2:9)\n    at Object.<anonymous> (${root}/test/sum.test.js:7:5)\n    at node_modules/jest/x.js:1:1`]
+                        },
+                        { title: 'later', ancestorTitles: ['sum'], status: 'todo' }
+                    ]
+                }]
+            };
+
+            expect(parseTestReport('jest', { report: JSON.stringify(report), root })).toEqual([
+                { name: 'sum adds', file: 'test/sum.test.js', line: 3, status: 'passed', message: '', durationMs: 4 },
+                {
+                    name: 'sum subtracts',
+                    file: 'test/sum.test.js',
+                    line: 7,
+                    status: 'failed',
+                    message: expect.stringMatching(/^Expected 1\n/),
+                    durationMs: 2
+                },
+                { name: 'sum > later', file: 'test/sum.test.js', line: undefined, status: 'skipped', message: '', durationMs: undefined }
+            ]);
+        });
+
+        test('reports a suite that failed to load', () => {
+            const report = {
+                testResults: [{
+                    name: path.join(root, 'test/sum.test.js'),
+                    status: 'failed',
+                    assertionResults: [],
+                    message: `Cannot find module './missing' from 'test/sum.test.js'\n    at ${root}/src/sum.js:1:1`
+                }]
+            };
+            expect(parseTestReport('vitest', { report: JSON.stringify(report), root })).toEqual([
+                { name: 'test/sum.test.js', file: 'src/sum.js', line: 1, status: 'failed', message: expect.stringContaining('Cannot find module') }
+            ]);
+        });
+
+        test('returns null without a report or for unreadable JSON', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(parseTestReport('jest', { report: '', root })).toBeNull();
+            expect(parseTestReport('jest', { report: '{not json', root })).toBeNull();
+        });
+    });
+
+    test('reads mocha JSON, including pending tests and failing hooks', () => {
+        const file = path.join(root, 'test/sum.test.js');
+        const report = {
+            tests: [
+                { title: 'adds', fullTitle: 'sum adds', file, duration: 1, err: {} },
+                { title: 'subtracts', fullTitle: 'sum subtracts', file, duration: 3, err: { message: 'expected 1 to equal 2', stack: `AssertionError\n    at Context (${file}:9:12)` } },
+                { title: 'later', fullTitle: 'sum later', file, err: {} }
+            ],
+            pending: [{ fullTitle: 'sum later', file }],
+            failures: [{ title: '"before all" hook', fullTitle: 'sum "before all" hook', file, err: { message: 'boom' } }]
+        };
+
+        expect(parseTestReport('mocha', { report: JSON.stringify(report), root })).toEqual([
+            { name: 'sum adds', file: 'test/sum.test.js', status: 'passed', message: '', durationMs: 1 },
+            { name: 'sum subtracts', file: 'test/sum.test.js', line: 9, status: 'failed', message: expect.stringContaining('expected 1 to equal 2'), durationMs: 3 },
+            { name: 'sum later', file: 'test/sum.test.js', status: 'skipped', message: '', durationMs: undefined },
+            { name: 'sum "before all" hook', file: 'test/sum.test.js', line: undefined, status: 'failed', message: 'boom', durationMs: undefined }
+        ]);
+    });
+
+    test('reads pytest JUnit XML', () => {
+        const xml = `<?xml version="1.0"?>
+<testsuites><testsuite name="pytest">
+<testcase classname="tests.test_sum" name="test_adds" file="tests/test_sum.py" line="2" time="0.004" />
+<testcase classname="tests.test_sum" name="test_subtracts" file="tests/test_sum.py" line="6" time="0.01"><failure message="assert 1 == 2">def test_subtracts():
+&gt;       assert sum(1, 1) == 2
+tests/test_sum.py:9: AssertionError</failure></testcase>
+<testcase classname="tests.test_sum" name="test_later" file="tests/test_sum.py" line="12"><skipped message="later" /></testcase>
+</testsuite></testsuites>`;
+
+        expect(parseTestReport('pytest', { report: xml, root })).toEqual([
+            { name: 'tests.test_sum.test_adds', file: 'tests/test_sum.py', line: 3, status: 'passed', message: '', durationMs: 4 },
+            {
+                name: 'tests.test_sum.test_subtracts',
+                file: 'tests/test_sum.py',
+                line: 9,
+                status: 'failed',
+                message: 'assert 1 == 2\ndef test_subtracts():\n>       assert sum(1, 1) == 2\ntests/test_sum.py:9: AssertionError',
+                durationMs: 10
+            },
+            { name: 'tests.test_sum.test_later', file: 'tests/test_sum.py', line: 13, status: 'skipped', message: '', durationMs: undefined }
+        ]);
+    });
+
+    describe('go', () => {
+        const event = fields => JSON.stringify({ Package: 'example.com/app/pkg/sum', ...fields });
+
+        test('collects output per test and locates it in the package directory', () => {
+            const stdout = [
+                event({ Action: 'run', Test: 'TestAdd' }),
+                event({ Action: 'pass', Test: 'TestAdd', Elapsed: 0.001 }),
+                event({ Action: 'output', Test: 'TestSub', Output: '    sum_test.go:14: got 0, want 2\n' }),
+                event({ Action: 'fail', Test: 'TestSub', Elapsed: 0.002 }),
+                event({ Action: 'skip', Test: 'TestLater' }),
+                event({ Action: 'fail', Elapsed: 0.01 })
+            ].join('\n');
+
+            expect(parseTestReport('go', { stdout, stderr: '', root, module: 'example.com/app' })).toEqual([
+                { name: 'example.com/app/pkg/sum.TestAdd', status: 'passed', message: '', durationMs: 1 },
+                { name: 'example.com/app/pkg/sum.TestSub', file: 'pkg/sum/sum_test.go', line: 14, status: 'failed', message: 'sum_test.go:14: got 0, want 2', durationMs: 2 },
+                { name: 'example.com/app/pkg/sum.TestLater', status: 'skipped', message: '', durationMs: undefined }
+            ]);
+        });
+
+        test('reports a package that failed to build from stderr', () => {
+            const stdout = event({ Action: 'fail', Elapsed: 0 });
+            const stderr = 'pkg/sum/sum_test.go:3:2: undefined: missing\n';
+            expect(parseTestReport('go', { stdout, stderr, root, module: 'example.com/app' })).toEqual([
+                { name: 'example.com/app/pkg/sum', file: 'pkg/sum/sum_test.go', line: 3, status: 'failed', message: 'pkg/sum/sum_test.go:3:2: undefined: missing' }
+            ]);
+        });
+
+        test('returns null without any events', () => {
+            expect(parseTestReport('go', { stdout: 'no Go files', stderr: '', root })).toBeNull();
+        });
+    });
+
+    test('reads cargo output and its failure sections', () => {
+        const stdout = [
+            'running 3 tests',
+            'test tests::adds ... ok',
+            'test tests::subtracts ... FAILED',
+            'test tests::later ... ignored',
+            '',
+            'failures:',
+            '',
+            '---- tests::subtracts stdout ----',
+            "thread 'tests::subtracts' panicked at src/lib.rs:12:9:",
+            'assertion failed',
+            '',
+            'failures:',
+            '    tests::subtracts'
+        ].join('\n');
+
+        expect(parseTestReport('cargo', { stdout, root })).toEqual([
+            { name: 'tests::adds', status: 'passed', message: '' },
+            { name: 'tests::subtracts', file: 'src/lib.rs', line: 12, status: 'failed', message: "thread 'tests::subtracts' panicked at src/lib.rs:12:9:\nassertion failed" },
+            { name: 'tests::later', status: 'skipped', message: '' }
+        ]);
+        expect(parseTestReport('cargo', { stdout: 'error[E0425]: cannot find value', root })).toBeNull();
+    });
+
+    describe('TAP', () => {
+        test('nests subtests and leaves out passing groups', () => {
+            const stdout = [
+                'TAP version 13',
+                '# Subtest: sum',
+                '    # Subtest: adds',
+                '    ok 1 - adds',
+                '      ---',
+                '      duration_ms: 1.5',
+                `      location: '${root}/test/sum.test.js:4:3'`,
+                '      ...',
+                '    # Subtest: subtracts',
+                '    not ok 2 - subtracts',
+                '      ---',
+                '      duration_ms: 2',
+                `      location: '${root}/test/sum.test.js:8:3'`,
+                '      error: |-',
+                '        Expected values to be strictly equal:',
+                '        0 !== 2',
+                '      stack: |-',
+                `        TestContext.<anonymous> (${root}/test/sum.test.js:9:12)`,
+                '      ...',
+                '    ok 3 - later # SKIP not yet',
+                '    1..3',
+                'not ok 1 - sum',
+                '1..1'
+            ].join('\n');
+
+            expect(parseTestReport('node', { stdout, root })).toEqual([
+                { name: 'sum > adds', file: 'test/sum.test.js', line: 4, status: 'passed', message: '', durationMs: 1.5 },
+                { name: 'sum > subtracts', file: 'test/sum.test.js', line: 9, status: 'failed', message: 'Expected values to be strictly equal:\n0 !== 2', durationMs: 2 },
+                { name: 'sum > later', status: 'skipped', message: '', durationMs: undefined }
+            ]);
+        });
+
+        test('keeps a group that failed on its own', () => {
+            const stdout = [
+                '# Subtest: sum',
+                '    # Subtest: adds',
+                '    ok 1 - adds',
+                'not ok 1 - sum',
+                '  ---',
+                "  error: 'before hook failed'",
+                '  ...',
+                '1..1'
+            ].join('\n');
+
+            expect(parseTestReport('node', { stdout, root }).map(result => [result.name, result.status, result.message])).toEqual([
+                ['sum > adds', 'passed', ''],
+                ['sum', 'failed', 'before hook failed']
+            ]);
+        });
+
+        test('returns null for output that is not TAP', () => {
+            expect(parseTestReport('custom', { stdout: 'Error: cannot start', root })).toBeNull();
+        });
+    });
+
+    test('truncates long failure messages', () => {
+        const file = path.join(root, 'test/sum.test.js');
+        const long = Array.from({ length: 40 }, (_, i) => `line ${i}`).join('\n');
+        const report = { tests: [{ title: 'a', fullTitle: 'a', file, err: { message: long } }] };
+        const [result] = parseTestReport('mocha', { report: JSON.stringify(report), root });
+        expect(result.message.split('\n')).toHaveLength(31);
+        expect(result.message).toMatch(/\.\.\. \(\d+ more lines\)$/);
+    });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CustomToolLoader } = require('../../src/tools/CustomToolLoader');
+
+describe('CustomToolLoader templates', () => {
+    let root;
+    let loader;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'toshimo-tools-'));
+        loader = new CustomToolLoader({}, {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    async function loadCommand(command, properties) {
+        const filePath = path.join(root, 'tool.json');
+        fs.writeFileSync(filePath, JSON.stringify({
+            name: 'custom',
+            description: 'Custom tool',
+            commands: { check: { description: 'Runs it', command, parameters: { type: 'object', properties } } }
+        }));
+        const { instance } = await loader.loadTemplateTool(filePath, root);
+        return (...args) => instance.describeApproval('check', args).command;
+    }
+
+    test('quotes arguments that need it', async () => {
+        const render = await loadCommand('grep -rn {{pattern}} {{paths}}', { pattern: { type: 'string' }, paths: { type: 'array' } });
+        expect(render('a b', ['src', 'my dir'])).toBe("grep -rn 'a b' src 'my dir'");
+        expect(render("it's")).toBe("grep -rn 'it'\\''s'");
+    });
+
+    test('drops the gaps left by missing arguments', async () => {
+        const render = await loadCommand('npm test -- {{filter}} {{flags}} --ci', { filter: { type: 'string' }, flags: { type: 'string' } });
+        expect(render()).toBe('npm test -- --ci');
+        expect(render(undefined, '--verbose')).toBe('npm test -- --verbose --ci');
+        expect(render('unit', null)).toBe('npm test -- unit --ci');
+    });
+
+    test('keeps spaces inside quoted values and quoted template text', async () => {
+        const render = await loadCommand('echo "a  b"   {{value}}  {{missing}}', { value: { type: 'string' }, missing: { type: 'string' } });
+        expect(render('x  y')).toBe("echo \"a  b\"   'x  y'");
+        expect(render()).toBe('echo "a  b"');
+    });
+
+    test('keeps words that are only partly a placeholder', async () => {
+        const render = await loadCommand('jest --testNamePattern={{name}} {{file}}', { name: { type: 'string' }, file: { type: 'string' } });
+        expect(render()).toBe('jest --testNamePattern=');
+    });
+
+    test('keeps line breaks between commands', async () => {
+        const render = await loadCommand('cd app {{dir}}\nmake {{target}}', { dir: { type: 'string' }, target: { type: 'string' } });
+        expect(render()).toBe('cd app\nmake');
+        expect(render('x', 'all')).toBe('cd app x\nmake all');
+    });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const vscode = require('vscode');
+const { GitTool } = require('../../src/tools/GitTool');
+const { ToolRegistry } = require('../../src/tools/ToolRegistry');
+const { WorkspaceSandbox } = require('../../src/security/WorkspaceSandbox');
+const { ErrorType } = require('../../src/utils/ErrorHandler');
+
+// Runs git in the test repository with a fixed identity, ignoring the user's config
+function git(root, ...args) {
+    return execFileSync('git', args, {
+        cwd: root,
+        encoding: 'utf8',
+        env: {
+            ...process.env,
+            GIT_CONFIG_GLOBAL: os.devNull,
+            GIT_CONFIG_NOSYSTEM: '1',
+            GIT_AUTHOR_NAME: 'Test Author',
+            GIT_AUTHOR_EMAIL: 'author@example.com',
+            GIT_COMMITTER_NAME: 'Test Author',
+            GIT_COMMITTER_EMAIL: 'author@example.com'
+        }
+    });
+}
+
+describe('GitTool', () => {
+    let root;
+    let tool;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'toshimo-git-'));
+        git(root, 'init', '--quiet', '--initial-branch=main');
+        git(root, 'config', 'user.name', 'Test Author');
+        git(root, 'config', 'user.email', 'author@example.com');
+        fs.writeFileSync(path.join(root, 'a.js'), 'const a = 1;\nconst b = 2;\n');
+        git(root, 'add', 'a.js');
+        git(root, 'commit', '--quiet', '--message', 'Add a.js');
+
+        vscode.workspace.workspaceFolders = [{ name: 'repo', uri: vscode.Uri.file(root) }];
+        tool = new GitTool(new WorkspaceSandbox());
+    });
+
+    afterEach(() => {
+        vscode.workspace.workspaceFolders = undefined;
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('reports the branch and changed files', async () => {
+        fs.writeFileSync(path.join(root, 'a.js'), 'const a = 10;\nconst b = 2;\n');
+        fs.writeFileSync(path.join(root, 'new.txt'), 'new\n');
+
+        const status = await tool.status({});
+        expect(status).toContain('## main');
+        expect(status).toContain(' M a.js');
+        expect(status).toContain('?? new.txt');
+    });
+
+    test('shows unstaged and staged diffs, optionally for one path', async () => {
+        fs.writeFileSync(path.join(root, 'a.js'), 'const a = 10;\nconst b = 2;\n');
+
+        const diff = await tool.diff('a.js', false, {});
+        expect(diff).toContain('-const a = 1;');
+        expect(diff).toContain('+const a = 10;');
+        await expect(tool.diff(undefined, true, {})).resolves.toBe('No staged changes');
+
+        git(root, 'add', 'a.js');
+        await expect(tool.diff(undefined, true, {})).resolves.toContain('+const a = 10;');
+    });
+
+    test('lists commits touching a path', async () => {
+        fs.writeFileSync(path.join(root, 'b.js'), 'b\n');
+        git(root, 'add', 'b.js');
+        git(root, 'commit', '--quiet', '--message', 'Add b.js');
+
+        const log = await tool.log('a.js', 5, {});
+        expect(log).toContain('Test Author');
+        expect(log).toContain('    Add a.js');
+        expect(log).not.toContain('Add b.js');
+        expect((await tool.log(undefined, 1, {})).split('\n')).toHaveLength(2);
+    });
+
+    test('blames a line range', async () => {
+        const blame = await tool.blame('a.js', 2, 2, {});
+        expect(blame.trim().split('\n')).toHaveLength(1);
+        expect(blame).toContain('Test Author');
+        expect(blame).toContain('const b = 2;');
+    });
+
+    test('refuses paths outside the workspace', async () => {
+        await expect(tool.diff('../elsewhere', false, {})).rejects.toMatchObject({ type: ErrorType.Sandbox });
+    });
+
+    test('creates and switches to a branch', async () => {
+        await expect(tool.createBranch('feature/x', {})).resolves.toBe('Created and switched to branch feature/x');
+        expect(git(root, 'branch', '--show-current').trim()).toBe('feature/x');
+    });
+
+    test('rejects invalid branch names before changing anything', async () => {
+        await expect(tool.createBranch('bad..name', {})).rejects.toMatchObject({ type: ErrorType.Git });
+        expect(git(root, 'branch', '--show-current').trim()).toBe('main');
+    });
+
+    test('commits tracked changes with all', async () => {
+        fs.writeFileSync(path.join(root, 'a.js'), 'const a = 3;\n');
+
+        await expect(tool.commit('Change a', false, {})).rejects.toThrow(/no changes added to commit/);
+        await expect(tool.commit('Change a', true, {})).resolves.toContain('Change a');
+        expect(git(root, 'log', '-1', '--format=%s').trim()).toBe('Change a');
+        expect(git(root, 'status', '--short')).toBe('');
+    });
+
+    test('stops when cancelled', async () => {
+        const source = new vscode.CancellationTokenSource();
+        source.cancel();
+        await expect(tool.status({ cancellationToken: source.token })).rejects.toMatchObject({ type: ErrorType.Cancelled });
+    });
+
+    test('describes the exact command for approval', () => {
+        expect(tool.describeApproval('commit', ['Fix "quotes"', true])).toEqual({
+            command: 'git commit --all --message "Fix \\"quotes\\""',
+            cwd: root
+        });
+        expect(tool.describeApproval('createBranch', ['feature/x']).command).toBe('git switch --create feature/x');
+    });
+
+    test('only asks for approval for commands that change the repository', () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const registry = new ToolRegistry();
+        registry.register(tool);
+
+        const approval = Object.fromEntries(registry.getDefinitions().map(d => [d.command, d.requiresApproval]));
+        expect(approval).toEqual({
+            status: false,
+            diff: false,
+            log: false,
+            blame: false,
+            createBranch: true,
+            commit: true
+        });
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,39 @@
+const { ToolManager } = require('../../src/tools/ToolManager');
+
+// Settings snapshot that, like ConfigurationManager, only changes on reload()
+function createConfigManager(settings) {
+    let snapshot = { ...settings };
+    return {
+        settings,
+        reload: () => { snapshot = { ...settings }; },
+        getFilesConfig: () => ({ protectedPaths: snapshot.protectedPaths }),
+        getCommandPolicyConfig: () => ({ allowedCommands: snapshot.allowedCommands, deniedCommands: snapshot.deniedCommands }),
+        getTerminalConfig: () => ({}),
+        getTestsConfig: () => ({}),
+        getMcpConfig: () => ({ servers: {} })
+    };
+}
+
+describe('ToolManager', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('applies edited command and file settings without a restart', () => {
+        const configManager = createConfigManager({ allowedCommands: ['^make\\b'], deniedCommands: [], protectedPaths: ['.env'] });
+        const toolManager = new ToolManager({}, configManager);
+        expect(toolManager.approvalGate.policy.evaluate('make deploy').decision).toBe('allow');
+
+        configManager.settings.deniedCommands = ['^make deploy'];
+        configManager.settings.protectedPaths = ['secrets/**'];
+        toolManager.reloadSecurityConfig();
+
+        expect(toolManager.approvalGate.policy.evaluate('make deploy').decision).toBe('deny');
+        expect(toolManager.approvalGate.policy.evaluate('make build').decision).toBe('allow');
+        expect(toolManager.sandbox.protectedPaths).toEqual(['secrets/**']);
+    });
+});
@@ -0,0 +1,101 @@
+const { diffLines, createUnifiedDiff, diffStats, splitLines } = require('../../src/utils/DiffEngine');
+const { applyUnifiedDiff } = require('../../src/utils/TextEdits');
+
+// Small deterministic generator so the round-trip cases are the same on every run
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+describe('splitLines', () => {
+    test('drops the empty string after a final newline', () => {
+        expect(splitLines('a\r\nb\n')).toEqual({ lines: ['a', 'b'], trailingNewline: true });
+        expect(splitLines('a\nb')).toEqual({ lines: ['a', 'b'], trailingNewline: false });
+        expect(splitLines(null)).toEqual({ lines: [], trailingNewline: true });
+    });
+});
+
+describe('diffLines', () => {
+    test('finds a shortest edit script', () => {
+        const ops = diffLines(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+        expect(ops.filter(op => op.type !== ' ')).toHaveLength(5);
+        expect(ops.filter(op => op.type !== '+').map(op => op.text).join('')).toBe('abcabba');
+        expect(ops.filter(op => op.type !== '-').map(op => op.text).join('')).toBe('cbabac');
+    });
+
+    test('keeps line indexes on both sides', () => {
+        expect(diffLines(['x', 'y'], ['x', 'z', 'y'])).toEqual([
+            { type: ' ', text: 'x', oldIndex: 0, newIndex: 0 },
+            { type: '+', text: 'z', oldIndex: undefined, newIndex: 1 },
+            { type: ' ', text: 'y', oldIndex: 1, newIndex: 2 }
+        ]);
+    });
+});
+
+describe('createUnifiedDiff', () => {
+    test('formats hunks with three lines of context', () => {
+        const original = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+        const modified = 'a\nb\nc\nd\nE\nf\ng\nh\n';
+        expect(createUnifiedDiff(original, modified, { fromFile: 'a/x', toFile: 'b/x' }).patch).toBe(
+            '--- a/x\n+++ b/x\n@@ -2,7 +2,7 @@\n b\n c\n d\n-e\n+E\n f\n g\n h\n'
+        );
+    });
+
+    test('returns an empty patch when nothing changed', () => {
+        expect(createUnifiedDiff('same\n', 'same\n')).toEqual({ patch: '', hunks: [], added: 0, removed: 0 });
+    });
+
+    test('diffs a new file against /dev/null', () => {
+        const { patch, added } = createUnifiedDiff(null, 'one\ntwo\n', { toFile: 'b/new.js' });
+        expect(patch).toBe('--- /dev/null\n+++ b/new.js\n@@ -0,0 +1,2 @@\n+one\n+two\n');
+        expect(added).toBe(2);
+    });
+
+    test('marks a missing final newline', () => {
+        const { patch } = createUnifiedDiff('a\nb', 'a\nb\n', { headers: false });
+        expect(patch).toBe('@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n');
+    });
+
+    test('positions pure insertions and deletions at the line before', () => {
+        expect(createUnifiedDiff('a\nb\n', 'a\nnew\nb\n', { headers: false, context: 0 }).patch).toBe('@@ -1,0 +2,1 @@\n+new\n');
+        expect(createUnifiedDiff('a\nold\nb\n', 'a\nb\n', { headers: false, context: 0 }).patch).toBe('@@ -2,1 +1,0 @@\n-old\n');
+    });
+
+    test('merges changes whose context overlaps and splits distant ones', () => {
+        const lines = Array.from({ length: 30 }, (_, i) => `line ${i}`);
+        const changed = [...lines];
+        changed[2] = 'changed 2';
+        changed[6] = 'changed 6';
+        changed[25] = 'changed 25';
+        const { hunks } = createUnifiedDiff(`${lines.join('\n')}\n`, `${changed.join('\n')}\n`);
+        expect(hunks.map(hunk => [hunk.oldStart, hunk.oldLines])).toEqual([[1, 10], [23, 7]]);
+    });
+
+    test('produces patches that apply back to the modified text', () => {
+        const next = random(7);
+        for (let round = 0; round < 50; round++) {
+            const original = Array.from({ length: 20 }, () => `v${Math.floor(next() * 6)}`);
+            const modified = original
+                .filter(() => next() > 0.2)
+                .flatMap(line => (next() > 0.8 ? [line, `new${Math.floor(next() * 6)}`] : [line]));
+            const originalText = `${original.join('\n')}\n`;
+            const modifiedText = `${modified.join('\n')}\n`;
+
+            const { patch } = createUnifiedDiff(originalText, modifiedText);
+            if (!patch) {
+                expect(modifiedText).toBe(originalText);
+                continue;
+            }
+            expect(applyUnifiedDiff(originalText, patch).text).toBe(modifiedText);
+        }
+    });
+});
+
+describe('diffStats', () => {
+    test('counts added and removed lines', () => {
+        expect(diffStats('a\nb\nc\n', 'a\nB\nc\nd\n')).toEqual({ added: 2, removed: 1 });
+    });
+});
@@ -0,0 +1,61 @@
+const { globToRegExp, matchesGlob, matchesAnyGlob, toPosix } = require('../../src/utils/Glob');
+
+describe('globToRegExp', () => {
+    test.each([
+        ['*.js', 'a.js', true],
+        ['*.js', 'dir/a.js', false],
+        ['src/**/*.js', 'src/a.js', true],
+        ['src/**/*.js', 'src/x/y/a.js', true],
+        ['src/**', 'src/x/y', true],
+        ['?.md', 'a.md', true],
+        ['?.md', 'ab.md', false],
+        ['*.{js,ts}', 'a.ts', true],
+        ['*.{js,ts}', 'a.py', false],
+        ['[abc].txt', 'b.txt', true],
+        ['[!abc].txt', 'b.txt', false],
+        ['a+b(1).txt', 'a+b(1).txt', true]
+    ])('%s against %s is %s', (pattern, filePath, expected) => {
+        expect(globToRegExp(pattern).test(filePath)).toBe(expected);
+    });
+});
+
+describe('matchesGlob', () => {
+    test('matches patterns without a slash against any segment', () => {
+        expect(matchesGlob('.git/config', '.git')).toBe(true);
+        expect(matchesGlob('certs/server.pem', '*.pem')).toBe(true);
+        expect(matchesGlob('src/git/index.js', '.git')).toBe(false);
+    });
+
+    test('anchors patterns with a slash and matches inside matching directories', () => {
+        expect(matchesGlob('.vscode/settings.json', '.vscode/settings.json')).toBe(true);
+        expect(matchesGlob('sub/.vscode/settings.json', '.vscode/settings.json')).toBe(false);
+        expect(matchesGlob('.toshimo/tools/lint.json', '.toshimo/tools')).toBe(true);
+        expect(matchesGlob('.toshimo/tools/lint.json', '.toshimo/tools/')).toBe(true);
+    });
+
+    test('anchors patterns with a leading slash to the root', () => {
+        expect(matchesGlob('build/out.js', '/build')).toBe(true);
+        expect(matchesGlob('src/build/out.js', '/build')).toBe(false);
+        expect(matchesGlob('src/build/out.js', 'build')).toBe(true);
+    });
+
+    test('normalizes Windows separators and a leading ./', () => {
+        expect(toPosix('.\\src\\a.js')).toBe('src/a.js');
+        expect(matchesGlob('src\\.env', '.env')).toBe(true);
+        expect(matchesGlob('./a.js', '*.js')).toBe(true);
+    });
+
+    test('is case-sensitive unless ignoreCase is set', () => {
+        expect(matchesGlob('.GIT/config', '.git')).toBe(false);
+        expect(matchesGlob('.GIT/config', '.git', { ignoreCase: true })).toBe(true);
+        expect(matchesGlob('.VSCode/Settings.json', '.vscode/settings.json', { ignoreCase: true })).toBe(true);
+        // The cached case-insensitive pattern doesn't leak into case-sensitive matching
+        expect(matchesGlob('.GIT/config', '.git')).toBe(false);
+    });
+
+    test('matchesAnyGlob checks every pattern', () => {
+        expect(matchesAnyGlob('keys/id_rsa.pub', ['*.pem', 'id_rsa*'])).toBe(true);
+        expect(matchesAnyGlob('src/a.js', ['*.pem', 'id_rsa*'])).toBe(false);
+        expect(matchesAnyGlob('.ENV', ['.env'], { ignoreCase: true })).toBe(true);
+    });
+});
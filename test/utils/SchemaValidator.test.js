@@ -0,0 +1,99 @@
+const { validate, formatErrors } = require('../../src/utils/SchemaValidator');
+
+const schema = {
+    type: 'object',
+    properties: {
+        filePath: { type: 'string', minLength: 1 },
+        startLine: { type: 'integer', minimum: 1 },
+        ratio: { type: 'number', maximum: 1 },
+        recursive: { type: 'boolean' },
+        mode: { type: 'string', enum: ['read', 'write'] },
+        tags: { type: 'array', items: { type: 'string', maxLength: 3 } },
+        options: {
+            type: 'object',
+            properties: { depth: { type: 'integer' } },
+            required: ['depth']
+        }
+    },
+    required: ['filePath'],
+    additionalProperties: false
+};
+
+describe('validate', () => {
+    test('accepts valid arguments unchanged', () => {
+        const args = { filePath: 'a.js', startLine: 3, ratio: 0.5, recursive: false, mode: 'read', tags: ['x'], options: { depth: 2 } };
+        expect(validate(schema, args)).toEqual({ value: args, errors: [] });
+    });
+
+    test('converts exactly quoted scalars', () => {
+        const { value, errors } = validate(schema, { filePath: 12, startLine: ' 7 ', ratio: '0.25', recursive: 'true' });
+        expect(errors).toEqual([]);
+        expect(value).toEqual({ filePath: '12', startLine: 7, ratio: 0.25, recursive: true });
+    });
+
+    test('does not convert inexact values', () => {
+        const { errors } = validate(schema, { filePath: 'a', startLine: '1.5', recursive: 'yes' });
+        expect(errors).toEqual([
+            { path: 'startLine', message: 'must be integer', expected: 'integer', received: 'string' },
+            { path: 'recursive', message: 'must be boolean', expected: 'boolean', received: 'string' }
+        ]);
+    });
+
+    test('reports missing required values, including null', () => {
+        expect(validate(schema, {}).errors).toEqual([
+            { path: 'filePath', message: 'is required', expected: 'string', received: 'nothing' }
+        ]);
+        expect(validate(schema, { filePath: null }).errors[0].message).toBe('is required');
+    });
+
+    test('drops null optional values', () => {
+        expect(validate(schema, { filePath: 'a', mode: null }).value).toEqual({ filePath: 'a' });
+    });
+
+    test('rejects unknown names when additionalProperties is false', () => {
+        const { value, errors } = validate(schema, { filePath: 'a', path: 'b' });
+        expect(value).toEqual({ filePath: 'a' });
+        expect(errors[0]).toEqual({ path: 'path', message: expect.stringContaining('expected one of filePath, startLine') });
+    });
+
+    test('keeps unknown names otherwise', () => {
+        const open = { type: 'object', properties: { a: { type: 'string' } } };
+        expect(validate(open, { a: 'x', b: 1 })).toEqual({ value: { a: 'x', b: 1 }, errors: [] });
+    });
+
+    test('checks enums, ranges and lengths', () => {
+        const { errors } = validate(schema, { filePath: '', startLine: 0, ratio: 2, mode: 'delete' });
+        expect(errors.map(error => `${error.path}: ${error.message}`)).toEqual([
+            'filePath: must be at least 1 characters',
+            'startLine: must be at least 1',
+            'ratio: must be at most 1',
+            'mode: must be one of "read", "write"'
+        ]);
+    });
+
+    test('reports nested paths in arrays and objects', () => {
+        const { errors } = validate(schema, { filePath: 'a', tags: ['ok', 'long', 3], options: { depth: 'deep' } });
+        expect(errors.map(error => error.path)).toEqual(['tags[1]', 'options.depth']);
+        expect(validate(schema, { filePath: 'a', options: {} }).errors[0].path).toBe('options.depth');
+    });
+
+    test('accepts a list of types', () => {
+        const nullable = { type: ['string', 'null'] };
+        expect(validate(nullable, null).errors).toEqual([]);
+        expect(validate(nullable, [1]).errors[0]).toMatchObject({ path: '(arguments)', expected: 'string | null', received: 'array' });
+    });
+
+    test('treats a missing schema as accepting anything', () => {
+        expect(validate(undefined, { a: 1 })).toEqual({ value: { a: 1 }, errors: [] });
+    });
+});
+
+describe('formatErrors', () => {
+    test('formats one line per problem', () => {
+        expect(formatErrors(validate(schema, { startLine: 'x', path: 'b' }).errors)).toEqual([
+            'filePath: is required (expected string, got nothing)',
+            'startLine: must be integer (expected integer, got string)',
+            'path: is not a known name; expected one of filePath, startLine, ratio, recursive, mode, tags, options'
+        ]);
+    });
+});
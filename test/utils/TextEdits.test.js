@@ -0,0 +1,130 @@
+const { applySearchReplace, replaceLineRange, applyUnifiedDiff, parseUnifiedDiff } = require('../../src/utils/TextEdits');
+const { ErrorType } = require('../../src/utils/ErrorHandler');
+
+const LETTERS = 'a\nb\nc\nd\ne\nf\ng\n';
+
+describe('applySearchReplace', () => {
+    test('replaces a unique block', () => {
+        expect(applySearchReplace('one\ntwo\nthree\n', 'two\n', '2\n')).toEqual({ text: 'one\n2\nthree\n', replacements: 1 });
+    });
+
+    test('refuses ambiguous blocks unless replaceAll is set', () => {
+        expect(() => applySearchReplace('x x', 'x', 'y')).toThrow(/matches 2 times/);
+        expect(applySearchReplace('x x', 'x', 'y', true)).toEqual({ text: 'y y', replacements: 2 });
+    });
+
+    test('points at the first line when the rest of the block differs', () => {
+        expect(() => applySearchReplace('a\nb\n', 'a\nc', 'z')).toThrow(/appears at line 1/);
+    });
+
+    test('matches LF blocks against CRLF files', () => {
+        expect(applySearchReplace('a\r\nb\r\n', 'a\nb', 'c\nd').text).toBe('c\r\nd\r\n');
+    });
+
+    test('does not expand $ patterns in the replacement', () => {
+        expect(applySearchReplace('price', 'price', '$&$1').text).toBe('$&$1');
+    });
+});
+
+describe('replaceLineRange', () => {
+    test('replaces inclusive 1-based lines and keeps the final newline', () => {
+        expect(replaceLineRange('a\nb\nc\n', 3, 3, 'C')).toBe('a\nb\nC\n');
+        expect(replaceLineRange('a\nb\nc\n', 2, 3, 'x\n')).toBe('a\nx\n');
+    });
+
+    test('keeps a missing final newline missing', () => {
+        expect(replaceLineRange('a\nb', 2, 2, 'B')).toBe('a\nB');
+    });
+
+    test('inserts before startLine when endLine is startLine - 1', () => {
+        expect(replaceLineRange('a\nb\n', 2, 1, 'new')).toBe('a\nnew\nb\n');
+        expect(replaceLineRange('a\nb\n', 3, 2, 'end')).toBe('a\nb\nend\n');
+    });
+
+    test('deletes lines with empty content', () => {
+        expect(replaceLineRange('a\nb\nc\n', 2, 2, '')).toBe('a\nc\n');
+    });
+
+    test('rejects ranges outside the file', () => {
+        expect(() => replaceLineRange('a\nb\n', 2, 3, 'x')).toThrow(/outside the file, which has 2 lines/);
+        expect(() => replaceLineRange('a\n', 1.5, 2, 'x')).toThrow(/whole numbers/);
+    });
+});
+
+describe('parseUnifiedDiff', () => {
+    test('skips file headers but keeps removed lines that start with ---', () => {
+        const [hunk] = parseUnifiedDiff('--- a/doc.md\n+++ b/doc.md\n@@ -1,2 +1,2 @@\n---- rule\n+++++ heading\n keep\n');
+        expect(hunk.lines).toEqual([
+            { type: '-', text: '--- rule' },
+            { type: '+', text: '++++ heading' },
+            { type: ' ', text: 'keep' }
+        ]);
+    });
+
+    test('starts a new file header after a complete hunk', () => {
+        const hunks = parseUnifiedDiff('@@ -1 +1 @@\n-a\n+b\n--- a/x\n+++ b/x\n@@ -5 +5 @@\n-c\n+d\n');
+        expect(hunks).toHaveLength(2);
+        expect(hunks[0].lines).toHaveLength(2);
+    });
+
+    test('requires at least one hunk', () => {
+        expect(() => parseUnifiedDiff('just text')).toThrow(/no hunks/);
+    });
+});
+
+describe('applyUnifiedDiff', () => {
+    test('applies hunks and shifts later ones by the lines added', () => {
+        const diff = '@@ -1,2 +1,3 @@\n a\n+a2\n b\n@@ -6,2 +7,2 @@\n f\n-g\n+G\n';
+        expect(applyUnifiedDiff(LETTERS, diff)).toEqual({ text: 'a\na2\nb\nc\nd\ne\nf\nG\n', hunks: 2 });
+    });
+
+    test('applies hunks whose line numbers are off', () => {
+        expect(applyUnifiedDiff(LETTERS, '@@ -1,3 +1,3 @@\n d\n-e\n+E\n f\n').text).toBe('a\nb\nc\nd\nE\nf\ng\n');
+    });
+
+    test('removes lines that start with --- and +++', () => {
+        const text = 'title\n--- rule\n+++ mark\nend\n';
+        const diff = '--- a/doc.md\n+++ b/doc.md\n@@ -1,4 +1,2 @@\n title\n---- rule\n-+++ mark\n end\n';
+        expect(applyUnifiedDiff(text, diff).text).toBe('title\nend\n');
+    });
+
+    test('inserts after the line named by an empty old range', () => {
+        expect(applyUnifiedDiff('a\nb\nc\n', '@@ -2,0 +3 @@\n+new\n').text).toBe('a\nb\nnew\nc\n');
+        expect(applyUnifiedDiff('a\nb\n', '@@ -0,0 +1 @@\n+first\n').text).toBe('first\na\nb\n');
+    });
+
+    test('keeps the final newline, or its absence', () => {
+        expect(applyUnifiedDiff('a\nb\n', '@@ -2 +2 @@\n-b\n+B\n').text).toBe('a\nB\n');
+        expect(applyUnifiedDiff('a\nb', '@@ -2 +2 @@\n-b\n+B\n').text).toBe('a\nB');
+    });
+
+    test('keeps CRLF line endings', () => {
+        expect(applyUnifiedDiff('a\r\nb\r\n', '@@ -1,2 +1,2 @@\n a\n-b\n+c\n').text).toBe('a\r\nc\r\n');
+    });
+
+    test('keeps the file text of context lines matched ignoring whitespace', () => {
+        const text = 'function f() {\n\treturn 1;\n}\n';
+        const diff = '@@ -1,3 +1,4 @@\n function f() {\n     return 1;\n+    // done\n }\n';
+        expect(applyUnifiedDiff(text, diff).text).toBe('function f() {\n\treturn 1;\n    // done\n}\n');
+    });
+
+    test('trims unmatched context from the ends of a hunk', () => {
+        const diff = '@@ -2,3 +2,3 @@\n changed\n-c\n+C\n d\n';
+        expect(applyUnifiedDiff(LETTERS, diff).text).toBe('a\nb\nC\nd\ne\nf\ng\n');
+    });
+
+    test('refuses an insertion whose context matches nowhere', () => {
+        const diff = '@@ -2,4 +2,5 @@\n X1\n X2\n+NEW\n X3\n X4\n';
+        let error;
+        try {
+            applyUnifiedDiff('a\nb\nc\nd\ne\nf\ng', diff);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toMatchObject({ type: ErrorType.Edit, message: expect.stringContaining('Hunk 1') });
+    });
+
+    test('refuses a hunk whose removed lines are not in the file', () => {
+        expect(() => applyUnifiedDiff(LETTERS, '@@ -1 +1 @@\n-zzz\n+y\n')).toThrow(/does not match the file near line 1/);
+    });
+});